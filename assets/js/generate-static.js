@@ -20,7 +20,9 @@ await setupApp(app, {
     contentDir: "content",
     uploadsDir: "content/uploads",
     themesDir: "content/themes",
+    pluginsDir: "content/plugins",
     dataDir: "content/data",
+    enableScheduler: false,
 })
 
 // Get core systems
@@ -30,6 +32,7 @@ const hookSystem = getCoreSystem("hooks")
 const fileStorage = getCoreSystem("files")
 const authManager = getCoreSystem("auth")
 const settingsService = getCoreSystem("settings")
+const redirectManager = getCoreSystem("redirects")
 
 // Create systems object
 const systems = {
@@ -39,6 +42,13 @@ const systems = {
     fileStorage,
     authManager,
     settingsService,
+    redirectManager,
+}
+
+// Publish scheduled content that is due so it is part of the build
+const publishedItems = await contentManager.publishDueContent()
+if (publishedItems.length > 0) {
+    console.log(`📅 Published ${publishedItems.length} scheduled item(s) before building`)
 }
 
 // Get settings
@@ -52,6 +62,7 @@ const options = parseCommandLineArgs(args, settings)
 console.log(`\n🚀 Starting static site generation ${options.outputDir ? `to ${options.outputDir}` : ""}`)
 console.log(`Base URL: ${options.baseUrl}`)
 console.log(`Clean URLs: ${options.cleanUrls ? "enabled" : "disabled"}`)
+console.log(`Incremental: ${options.incremental ? "enabled" : "disabled"}`)
 
 try {
     const generator = new StaticSiteGenerator(app, systems, options)
@@ -86,6 +97,15 @@ function parseCommandLineArgs(args, settings) {
             options.baseUrl = args[++i]
         } else if (arg === "--no-clean-urls") {
             options.cleanUrls = false
+        } else if (arg === "--incremental" || arg === "-i") {
+            options.incremental = true
+        } else if (arg === "--no-search-index") {
+            options.searchIndex = false
+        } else if (arg === "--search-shard-threshold") {
+            const threshold = parseInt(args[++i])
+            if (!Number.isNaN(threshold)) {
+                options.searchShardThreshold = threshold
+            }
         } else if (arg === "--help" || arg === "-h") {
             showHelp()
             process.exit(0)
@@ -112,6 +132,10 @@ Options:
   --output, -o <dir>    Output directory (default from settings or "_site")
   --base-url, -b <url>  Base URL for the site (default from site URL in settings, or "/")
   --no-clean-urls       Use .html extensions instead of directory/index.html pattern
+  --incremental, -i     Only re-render pages whose content or templates changed since the last build
+  --no-search-index     Do not generate search-index.json for client-side search
+  --search-shard-threshold <n>
+                        Shard the search index when the site has more than <n> documents (default 1000)
   --help, -h            Show this help message
 
 Note: Command-line options override values from site settings.
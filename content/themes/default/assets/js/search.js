@@ -0,0 +1,248 @@
+/**
+ * Default Theme Client-Side Search
+ * - Queries the search-index.json written by the static site generator
+ * - Loads only the shards matching the query when the index is sharded
+ * - Reads the query from ?q= so that search links work like on the dynamic site
+ */
+
+;(function () {
+    const script = document.currentScript
+    const indexUrl = new URL(script?.dataset.searchIndex || "/search-index.json", window.location.href)
+    const maxResults = parseInt(script?.dataset.maxResults || "50")
+
+    // Matches words made of letters and digits in any language (same rules as the server)
+    const WORD_PATTERN = /[\p{L}\p{N}]+/gu
+
+    let indexPromise = null
+    const shardPromises = new Map()
+
+    /**
+     * Load the search index (once)
+     * @returns {Promise<Object>} Search index
+     */
+    function loadIndex() {
+        if (!indexPromise) {
+            indexPromise = fetch(indexUrl).then((response) => {
+                if (!response.ok) throw new Error(`Failed to load search index (${response.status})`)
+                return response.json()
+            })
+        }
+        return indexPromise
+    }
+
+    /**
+     * Load the terms of a shard (once)
+     * @param {string} key - Shard key
+     * @returns {Promise<Object>} Terms of the shard
+     */
+    function loadShard(key) {
+        if (!shardPromises.has(key)) {
+            const shardUrl = new URL(`search-index/${key}.json`, indexUrl)
+            shardPromises.set(
+                key,
+                fetch(shardUrl)
+                    .then((response) => (response.ok ? response.json() : { terms: {} }))
+                    .then((shard) => shard.terms)
+            )
+        }
+        return shardPromises.get(key)
+    }
+
+    /**
+     * Normalize a word (lowercase, without diacritics)
+     * @param {string} word - Word to normalize
+     * @returns {string} Normalized term
+     */
+    function normalizeTerm(word) {
+        return word
+            .toLowerCase()
+            .normalize("NFD")
+            .replace(/[\u0300-\u036f]/g, "")
+    }
+
+    /**
+     * Split a query into normalized terms
+     * @param {string} text - Query
+     * @param {Set<string>} stopWords - Words to ignore
+     * @returns {Array<string>} Unique terms
+     */
+    function tokenize(text, stopWords) {
+        const terms = []
+        for (const [word] of text.matchAll(WORD_PATTERN)) {
+            const term = normalizeTerm(word)
+            if (term.length < 2 && !/\d/.test(term)) continue
+            if (stopWords.has(term) || terms.includes(term)) continue
+            terms.push(term)
+        }
+        return terms
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#39;")
+    }
+
+    /**
+     * Escape a text and highlight the words matching the query
+     * @param {string} text - Plain text
+     * @param {Array<string>} terms - Query terms (the last one also matches as a prefix)
+     * @returns {string} Highlighted HTML
+     */
+    function highlight(text, terms) {
+        const prefixTerm = terms[terms.length - 1]
+        let html = ""
+        let lastIndex = 0
+
+        for (const match of text.matchAll(WORD_PATTERN)) {
+            const term = normalizeTerm(match[0])
+            if (!terms.includes(term) && !term.startsWith(prefixTerm)) continue
+
+            html += escapeHtml(text.slice(lastIndex, match.index))
+            html += `<mark>${escapeHtml(match[0])}</mark>`
+            lastIndex = match.index + match[0].length
+        }
+
+        return html + escapeHtml(text.slice(lastIndex))
+    }
+
+    /**
+     * Get the indexed terms needed to answer a query
+     * @param {Object} index - Search index
+     * @param {Array<string>} terms - Query terms
+     * @returns {Promise<Object>} Term -> postings
+     */
+    async function getTerms(index, terms) {
+        if (!index.shards) return index.terms
+
+        const keys = [...new Set(terms.map((term) => term.codePointAt(0).toString(36)))]
+        const shards = await Promise.all(keys.filter((key) => index.shards.includes(key)).map(loadShard))
+
+        return Object.assign({}, ...shards)
+    }
+
+    /**
+     * Search the index
+     * @param {string} query - Search query
+     * @returns {Promise<Object>} { terms, results }
+     */
+    async function search(query) {
+        const index = await loadIndex()
+        const terms = tokenize(query, new Set(index.stopWords || []))
+
+        if (terms.length === 0) return { terms, results: [] }
+
+        const indexedTerms = await getTerms(index, terms)
+        const prefixTerm = terms[terms.length - 1]
+        const totalDocuments = index.documents.length || 1
+        let scores = null
+
+        for (const term of terms) {
+            // Collect the documents matching the term, the last term also matches as a prefix
+            const matches = new Map()
+            for (const [indexedTerm, postings] of Object.entries(indexedTerms)) {
+                const isMatch = indexedTerm === term || (term === prefixTerm && indexedTerm.startsWith(term))
+                if (!isMatch) continue
+
+                const factor = indexedTerm === term ? 1 : 0.7
+                for (let i = 0; i < postings.length; i += 2) {
+                    const weight = postings[i + 1] * factor
+                    matches.set(postings[i], Math.max(matches.get(postings[i]) || 0, weight))
+                }
+            }
+
+            // Rare terms weigh more than common ones, and every term must match
+            const idf = Math.log(1 + totalDocuments / (matches.size || 1))
+            const termScores = new Map()
+            for (const [documentIndex, weight] of matches) {
+                if (scores && !scores.has(documentIndex)) continue
+                termScores.set(documentIndex, (scores?.get(documentIndex) || 0) + (1 + Math.log(weight)) * idf)
+            }
+
+            scores = termScores
+            if (scores.size === 0) break
+        }
+
+        const results = [...scores.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, maxResults)
+            .map(([documentIndex]) => index.documents[documentIndex])
+
+        return { terms, results }
+    }
+
+    /**
+     * Render the results of a query
+     * @param {string} query - Search query
+     */
+    async function renderResults(query) {
+        const container = document.querySelector("[data-search-results]")
+        const summary = document.querySelector("[data-search-summary]")
+        if (!container) return
+
+        container.innerHTML = ""
+        if (summary) summary.hidden = true
+
+        if (!query.trim()) return
+
+        try {
+            const { terms, results } = await search(query)
+
+            if (summary) {
+                summary.innerHTML = `${results.length} result(s) for <strong>${escapeHtml(query)}</strong>`
+                summary.hidden = false
+            }
+
+            container.innerHTML = results
+                .map(
+                    (result) => `
+                <article class="post-card">
+                    <h3><a href="${escapeHtml(result.url)}">${highlight(result.title, terms)}</a></h3>
+                    ${
+                        result.date
+                            ? `<div class="post-meta"><span class="post-date">${escapeHtml(
+                                  result.date.slice(0, 10)
+                              )}</span></div>`
+                            : ""
+                    }
+                    <div class="post-excerpt search-snippet">${highlight(result.excerpt || "", terms)}</div>
+                    <a href="${escapeHtml(result.url)}" class="read-more">Read More</a>
+                </article>`
+                )
+                .join("")
+        } catch (error) {
+            console.error("Search failed:", error)
+            if (summary) {
+                summary.textContent = "Search is currently unavailable."
+                summary.hidden = false
+            }
+        }
+    }
+
+    document.addEventListener("DOMContentLoaded", function () {
+        const form = document.querySelector("[data-search-form]")
+        const input = form?.querySelector("input[name='q']")
+        const query = new URLSearchParams(window.location.search).get("q") || ""
+
+        if (input) input.value = query
+        renderResults(query)
+
+        // Search without reloading the page, keeping the query in the URL
+        form?.addEventListener("submit", function (event) {
+            event.preventDefault()
+            const value = input?.value || ""
+            const url = new URL(window.location.href)
+            url.searchParams.set("q", value)
+            window.history.replaceState(null, "", url)
+            renderResults(value)
+        })
+    })
+})()
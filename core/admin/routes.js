@@ -1,10 +1,32 @@
+import { getContentPath, getPagesBySlug } from "../lib/content/utils/content-utils.js"
+
 /**
  * Sets up admin interface routes
  * @param {Object} app - LiteNode app instance
  * @param {Object} options - Configuration options
  */
 export function setupAdminRoutes(app, systems) {
-    const { themeManager, contentManager, authManager, signedCookies, settingsService, authenticate } = systems
+    const {
+        themeManager,
+        contentManager,
+        authManager,
+        signedCookies,
+        settingsService,
+        pluginManager,
+        authenticate,
+        authorize,
+    } = systems
+
+    // Posts and pages screens need the edit capability of their content type,
+    // and editing an existing item is checked against its author and status
+    const canEditContentType = authorize((req) => (req.params.contentType === "pages" ? "edit_pages" : "edit_posts"))
+    const canEditItem = authorize((req) => (req.params.contentType === "pages" ? "edit_pages" : "edit_posts"), {
+        getResource: (req) => {
+            const { contentType, id } = req.params
+            if (!id) return null
+            return contentType === "posts" ? contentManager.getPost(id) : contentManager.getPage(id)
+        },
+    })
 
     // Login page
     app.get("/aether/login", async (req, res) => {
@@ -31,19 +53,54 @@ export function setupAdminRoutes(app, systems) {
                 return res.redirect("/aether/login?error=Username+and+password+are+required")
             }
 
-            const result = await authManager.authenticateUser(username, password)
+            // Administrators can be required to use two-factor authentication
+            const settings = await settingsService.getSettings()
+            const result = await authManager.authenticateUser(username, password, {
+                requiredTwoFactorRoles: settings.requireAdminTwoFactor ? ["admin"] : [],
+            })
 
             if (!result) {
                 return res.redirect("/aether/login?error=Invalid+username+or+password")
             }
 
-            // Set auth cookie using LiteNode's API
-            await signedCookies.setCookie(res, "authToken", result.token, {
-                maxAge: 60 * 60 * 24, // 24 hours
-                path: "/",
-                httpOnly: true,
-                sameSite: "Strict",
-            })
+            // The password is correct, ask for the second factor
+            if (result.challengeToken) {
+                return renderTwoFactorStep(res, result.challengeToken)
+            }
+
+            await setAuthCookie(res, result.token)
+
+            res.redirect("/aether")
+        } catch (error) {
+            res.redirect(`/aether/login?error=${encodeURIComponent(error.message)}`)
+        }
+    })
+
+    // Two-factor authentication form submission (second login step)
+    app.post("/aether/login/2fa", async (req, res) => {
+        try {
+            const { challengeToken, code } = req.body
+
+            if (!challengeToken || !code) {
+                return renderTwoFactorStep(res, challengeToken, "Verification code is required")
+            }
+
+            const result = await authManager.completeTwoFactorLogin(challengeToken, code)
+
+            if (!result) {
+                return renderTwoFactorStep(res, challengeToken, "Invalid verification code")
+            }
+
+            await setAuthCookie(res, result.token)
+
+            // Show the recovery codes once after enrolling during login
+            if (result.recoveryCodes) {
+                return res.render("/core/admin/views/layouts/login.html", {
+                    title: "Recovery Codes",
+                    recoveryCodes: result.recoveryCodes,
+                    year: new Date().getFullYear(),
+                })
+            }
 
             res.redirect("/aether")
         } catch (error) {
@@ -51,6 +108,43 @@ export function setupAdminRoutes(app, systems) {
         }
     })
 
+    /**
+     * Render the second login step
+     * @param {Object} res - Response object
+     * @param {string} challengeToken - Challenge token of the pending login
+     * @param {string} [error] - Error message
+     */
+    function renderTwoFactorStep(res, challengeToken, error = null) {
+        const challenge = challengeToken ? authManager.getTwoFactorChallenge(challengeToken) : null
+
+        if (!challenge) {
+            return res.redirect("/aether/login?error=Your+login+session+has+expired.+Please+log+in+again.")
+        }
+
+        res.render("/core/admin/views/layouts/login.html", {
+            title: "Two-Factor Authentication",
+            twoFactor: challenge,
+            challengeToken,
+            error,
+            year: new Date().getFullYear(),
+        })
+    }
+
+    /**
+     * Set the authentication cookie
+     * @param {Object} res - Response object
+     * @param {string} token - Session token
+     */
+    async function setAuthCookie(res, token) {
+        // Set auth cookie using LiteNode's API
+        await signedCookies.setCookie(res, "authToken", token, {
+            maxAge: 60 * 60 * 24, // 24 hours
+            path: "/",
+            httpOnly: true,
+            sameSite: "Strict",
+        })
+    }
+
     // Logout
     app.get("/aether/logout", async (req, res) => {
         const token = await signedCookies.getCookie(req, "authToken")
@@ -93,7 +187,7 @@ export function setupAdminRoutes(app, systems) {
     })
 
     // Posts and Pages management page
-    app.get("/aether/table/:contentType", authenticate, async (req, res) => {
+    app.get("/aether/table/:contentType", authenticate, canEditContentType, async (req, res) => {
         try {
             const contentType = req.params.contentType
 
@@ -140,47 +234,8 @@ export function setupAdminRoutes(app, systems) {
         const offset = (page - 1) * size
         const paginatedPosts = data.slice(offset, offset + size)
 
-        // Helper function to generate view URL for pages
-        const generatePageViewUrl = (pageData) => {
-            const frontmatter = pageData.frontmatter
-
-            // For normal pages, use the standard /page/{slug} format
-            if (!frontmatter.pageType || frontmatter.pageType === "normal") {
-                return `/page/${frontmatter.slug}`
-            }
-
-            // For custom pages, we need to build the nested URL
-            if (frontmatter.pageType === "custom") {
-                return buildCustomPageUrl(frontmatter.slug, frontmatter.parentPage, data)
-            }
-
-            return `/page/${frontmatter.slug}` // fallback
-        }
-
-        // Helper function to build custom page URL by traversing the parent chain
-        const buildCustomPageUrl = (slug, parentSlug, allPages) => {
-            if (!parentSlug) {
-                // Root-level custom page
-                return `/${slug}`
-            }
-
-            // Find the parent page in the data
-            const parentPage = allPages.find((page) => page.frontmatter && page.frontmatter.slug === parentSlug)
-
-            if (!parentPage) {
-                // Parent not found, treat as root-level
-                return `/${slug}`
-            }
-
-            // Recursively build the parent URL
-            const parentUrl = buildCustomPageUrl(
-                parentPage.frontmatter.slug,
-                parentPage.frontmatter.parentPage,
-                allPages
-            )
-
-            return `${parentUrl}/${slug}`
-        }
+        // Custom pages are viewed at their nested URL, resolved through their parents
+        const pagesBySlug = getPagesBySlug(data)
 
         // Determine if this is a page request to generate proper URLs
         const isPageRequest = req.params.contentType === "pages"
@@ -199,7 +254,7 @@ export function setupAdminRoutes(app, systems) {
             pageType: post.frontmatter.pageType || null,
             parentPage: post.frontmatter.parentPage || null,
             // Generate the correct view URL
-            viewUrl: isPageRequest ? generatePageViewUrl(post) : `/post/${post.frontmatter.slug}`,
+            viewUrl: getContentPath(post.frontmatter, isPageRequest ? "page" : "post", pagesBySlug),
         }))
 
         // Return formatted data for Tabulator
@@ -211,7 +266,7 @@ export function setupAdminRoutes(app, systems) {
     }
 
     // Post and Page editor page
-    app.get("/aether/:contentType/edit/:id?", authenticate, async (req, res) => {
+    app.get("/aether/:contentType/edit/:id?", authenticate, canEditItem, async (req, res) => {
         try {
             const { contentType, id } = req.params
 
@@ -236,6 +291,7 @@ export function setupAdminRoutes(app, systems) {
                 contentType: contentType.slice(0, 4),
                 item: data,
                 isNew: id ? false : true,
+                canPublish: authManager.can(req.user, `publish_${contentType === "pages" ? "pages" : "posts"}`),
                 dashboardEditor: true,
             })
         } catch (error) {
@@ -245,7 +301,7 @@ export function setupAdminRoutes(app, systems) {
     })
 
     // Media management page
-    app.get("/aether/media", authenticate, async (req, res) => {
+    app.get("/aether/media", authenticate, authorize("upload_media"), async (req, res) => {
         try {
             res.render("/core/admin/views/layouts/index.html", {
                 title: "Media Library",
@@ -259,7 +315,7 @@ export function setupAdminRoutes(app, systems) {
     })
 
     // Theme management page
-    app.get("/aether/themes", authenticate, async (req, res) => {
+    app.get("/aether/themes", authenticate, authorize("manage_themes"), async (req, res) => {
         try {
             const availableThemes = themeManager.getAvailableThemes()
             const activeTheme = themeManager.getActiveTheme()
@@ -277,8 +333,82 @@ export function setupAdminRoutes(app, systems) {
         }
     })
 
+    // Plugin management page
+    app.get("/aether/plugins", authenticate, authorize("manage_plugins"), async (req, res) => {
+        try {
+            res.render("/core/admin/views/layouts/index.html", {
+                title: "Plugins",
+                user: req.user,
+                dashboardPlugins: true,
+            })
+        } catch (error) {
+            console.error("Plugins page error:", error)
+            res.status(500).html("<h1>Error</h1><p>Could not load plugins</p>")
+        }
+    })
+
+    // Admin pages added by plugins
+    app.get("/aether/plugins/:plugin/:page", authenticate, async (req, res) => {
+        try {
+            const page = pluginManager.getAdminPage(req.params.plugin, req.params.page)
+
+            if (!page) {
+                return res.status(404).html("<h1>Not Found</h1><p>This plugin page doesn't exist</p>")
+            }
+
+            if (!page.capabilities.every((capability) => authManager.can(req.user, capability))) {
+                return res.redirect("/aether")
+            }
+
+            const pageHtml = await pluginManager.renderAdminPage(req.params.plugin, page, req)
+
+            if (pageHtml === null) {
+                return res.status(500).html("<h1>Error</h1><p>Could not load the plugin page</p>")
+            }
+
+            res.render("/core/admin/views/layouts/index.html", {
+                title: page.title,
+                user: req.user,
+                plugin: pluginManager.getPlugin(req.params.plugin),
+                html_pluginPage: pageHtml,
+                dashboardPluginPage: true,
+            })
+        } catch (error) {
+            console.error("Plugin page error:", error)
+            res.status(500).html("<h1>Error</h1><p>Could not load the plugin page</p>")
+        }
+    })
+
+    // Webhooks page
+    app.get("/aether/webhooks", authenticate, authorize("manage_settings"), async (req, res) => {
+        try {
+            res.render("/core/admin/views/layouts/index.html", {
+                title: "Webhooks",
+                user: req.user,
+                dashboardWebhooks: true,
+            })
+        } catch (error) {
+            console.error("Webhooks page error:", error)
+            res.status(500).html("<h1>Error</h1><p>Could not load webhooks</p>")
+        }
+    })
+
+    // Redirects page
+    app.get("/aether/redirects", authenticate, authorize("manage_settings"), async (req, res) => {
+        try {
+            res.render("/core/admin/views/layouts/index.html", {
+                title: "Redirects",
+                user: req.user,
+                dashboardRedirects: true,
+            })
+        } catch (error) {
+            console.error("Redirects page error:", error)
+            res.status(500).html("<h1>Error</h1><p>Could not load redirects</p>")
+        }
+    })
+
     // Settings page
-    app.get("/aether/settings", authenticate, async (req, res) => {
+    app.get("/aether/settings", authenticate, authorize("manage_settings"), async (req, res) => {
         try {
             // Get all the data needed for the settings page
             // Force reload to ensure we have the latest data
@@ -305,14 +435,26 @@ export function setupAdminRoutes(app, systems) {
         }
     })
 
-    // Users management page
-    app.get("/aether/users", authenticate, async (req, res) => {
+    // Account security page (two-factor authentication), available to every user
+    app.get("/aether/security", authenticate, async (req, res) => {
         try {
-            // Check if user is admin
-            if (req.user?.role !== "admin") {
-                return res.redirect("/aether")
-            }
+            const settings = await settingsService.getSettings()
 
+            res.render("/core/admin/views/layouts/index.html", {
+                title: "Security",
+                user: req.user,
+                twoFactorRequired: settings.requireAdminTwoFactor && req.user.role === "admin",
+                dashboardSecurity: true,
+            })
+        } catch (error) {
+            console.error("Security page error:", error)
+            res.status(500).html("<h1>Error</h1><p>Could not load security settings</p>")
+        }
+    })
+
+    // Users management page
+    app.get("/aether/users", authenticate, authorize("manage_users"), async (req, res) => {
+        try {
             res.render("/core/admin/views/layouts/index.html", {
                 title: "User Management",
                 user: req.user,
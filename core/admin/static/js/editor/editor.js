@@ -14,6 +14,7 @@ import { MarkdownEditor } from "./markdown-editor/markdown-editor.js"
 import { MediaSelector } from "./media-selector/media-selector.js"
 import { EditorEnhancements } from "./modules/editor-enhancements.js"
 import { relatedPostsManager } from "./modules/related-posts-manager.js"
+import { revisionsManager } from "./modules/revisions-manager.js"
 
 document.addEventListener("DOMContentLoaded", function () {
     // Get content type and item ID from URL
@@ -60,6 +61,9 @@ document.addEventListener("DOMContentLoaded", function () {
     // Make it accessible globally for debugging, like mediaSelector
     window.relatedPostsManager = relatedPostsManager
 
+    // Initialize revisions manager (only active when editing existing content)
+    revisionsManager.init()
+
     const slugManager = new SlugManager({
         titleInput: formElements.title,
         slugInput: formElements.slug,
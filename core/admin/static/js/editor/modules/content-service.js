@@ -267,6 +267,14 @@ export class ContentService {
             contentData.metadata.status = status
         }
 
+        // Send the publish date in UTC so the server can compare it with its own clock
+        if (contentData.metadata.publishDate) {
+            const publishDate = new Date(contentData.metadata.publishDate)
+            if (!isNaN(publishDate.getTime())) {
+                contentData.metadata.publishDate = publishDate.toISOString()
+            }
+        }
+
         // Determine if this is a create or update operation
         const isCreate = !this.itemId
         const method = isCreate ? "POST" : "PUT"
@@ -327,7 +335,16 @@ export class ContentService {
                     this.editorUI.showSaveModal()
 
                     // Always update UI to match the saved status
-                    this.editorUI.updateUIForStatus(contentData.metadata.status, true)
+                    // (the server may have scheduled published content with a future date)
+                    const savedStatus = data.data?.status || contentData.metadata.status
+                    contentData.metadata.status = savedStatus
+                    this.editorUI.updateUIForStatus(savedStatus, true)
+
+                    if (savedStatus === "scheduled" && status === "published") {
+                        this.showInfo("Content scheduled: it will be published on its publish date", {
+                            position: "top-center",
+                        })
+                    }
 
                     // Update the editor state with the saved data to ensure consistency
                     this.editorState.updateState(contentData)
@@ -351,6 +368,9 @@ export class ContentService {
                     ) {
                         this.editorUI.markdownEditor.resetChangeIndicator()
                     }
+
+                    // Notify other modules (e.g. revisions) that the content was saved
+                    document.dispatchEvent(new CustomEvent("editor:contentSaved", { detail: data.data }))
                 }
             } else {
                 // If save failed, restore navigation warning
@@ -219,7 +219,7 @@ export class EditorUI {
 
     /**
      * Updates the UI to reflect the current content status
-     * @param {string} status - The current content status ("published" or "draft")
+     * @param {string} status - The current content status ("published", "scheduled" or "draft")
      * @param {boolean} isEdit - Whether this is an edit operation
      */
     updateUIForStatus(status, isEdit) {
@@ -230,12 +230,17 @@ export class EditorUI {
 
         // Update action buttons
         if (isEdit && this.editorActions) {
+            // Users who can't publish only get the update button
+            const canPublish = this.editorActions.dataset.canPublish !== "false"
+
             // First clear the current action buttons
-            const actionButtonsHTML =
-                status === "published"
-                    ? `<button id="update" class="btn btn-primary">Update</button>
+            // Scheduled content is treated like published content (it can be reverted to draft)
+            const actionButtonsHTML = !canPublish
+                ? `<button id="update" class="btn btn-primary">Update</button>`
+                : status === "published" || status === "scheduled"
+                ? `<button id="update" class="btn btn-primary">Update</button>
                    <button id="unpublish" class="btn btn-outline">Revert to Draft</button>`
-                    : `<button id="update" class="btn btn-primary">Update</button>
+                : `<button id="update" class="btn btn-primary">Update</button>
                    <button id="publish" class="btn btn-success">Publish</button>`
 
             this.editorActions.innerHTML = actionButtonsHTML
@@ -0,0 +1,341 @@
+/**
+ * RevisionsManager - Lists the revision history of the edited content
+ * and allows comparing and restoring previous revisions
+ */
+class RevisionsManager {
+    constructor() {
+        // DOM Elements
+        this.revisionsContainer = document.getElementById("revisionsContainer")
+        this.revisionsList = document.getElementById("revisionsList")
+
+        // State
+        this.contentType = null // "posts" or "pages"
+        this.itemId = null
+        this.revisions = []
+        this.modal = null
+        this.isInitialized = false
+    }
+
+    /**
+     * Initialize the revisions manager
+     */
+    init() {
+        // Only initialize when editing existing content
+        if (!this.revisionsContainer || this.isInitialized) {
+            return
+        }
+
+        const pathParts = window.location.pathname.split("/")
+        this.contentType = pathParts[2]
+        this.itemId = pathParts[3] === "edit" ? pathParts[4] : null
+
+        if (!this.itemId) {
+            return
+        }
+
+        this.isInitialized = true
+
+        this.loadRevisions()
+
+        // Every save creates a new revision, so refresh the list
+        document.addEventListener("editor:contentSaved", () => {
+            this.loadRevisions()
+        })
+    }
+
+    /**
+     * Get the base API URL for the revisions of the current item
+     * @returns {string} API URL
+     */
+    getApiUrl() {
+        return `/api/${this.contentType}/${this.itemId}/revisions`
+    }
+
+    /**
+     * Load the revisions list from the API
+     */
+    async loadRevisions() {
+        try {
+            const response = await fetch(this.getApiUrl())
+            const data = await response.json()
+
+            if (!data.success) {
+                throw new Error(data.error || "Failed to load revisions")
+            }
+
+            this.revisions = data.data || []
+            this.renderRevisions()
+        } catch (error) {
+            console.error("Error loading revisions:", error)
+            this.renderMessage("Could not load revisions")
+        }
+    }
+
+    /**
+     * Show a single message in place of the list
+     * @param {string} message - Message to display
+     */
+    renderMessage(message) {
+        this.revisionsList.innerHTML = ""
+
+        const placeholder = document.createElement("p")
+        placeholder.className = "revisions-placeholder"
+        placeholder.textContent = message
+        this.revisionsList.appendChild(placeholder)
+    }
+
+    /**
+     * Render the revisions list (newest first)
+     */
+    renderRevisions() {
+        if (this.revisions.length === 0) {
+            this.renderMessage("No revisions yet")
+            return
+        }
+
+        this.revisionsList.innerHTML = ""
+
+        this.revisions.forEach((revision, index) => {
+            const item = document.createElement("div")
+            item.className = "revision-item"
+
+            const details = document.createElement("div")
+            details.className = "revision-details"
+
+            const title = document.createElement("span")
+            title.className = "revision-title"
+            title.textContent = `#${revision.rev} · ${this.formatDate(revision.createdAt)}`
+            if (index === 0) {
+                title.textContent += " (current)"
+            }
+
+            const meta = document.createElement("span")
+            meta.className = "revision-meta"
+            meta.textContent = [revision.user, revision.status, revision.note].filter(Boolean).join(" · ")
+
+            details.appendChild(title)
+            details.appendChild(meta)
+
+            const actions = document.createElement("div")
+            actions.className = "revision-actions"
+
+            const compareBtn = document.createElement("button")
+            compareBtn.type = "button"
+            compareBtn.className = "btn btn-sm btn-outline"
+            compareBtn.textContent = "Compare"
+            compareBtn.addEventListener("click", () => this.showDiff(revision.rev))
+            actions.appendChild(compareBtn)
+
+            // The newest revision is the current state, nothing to restore
+            if (index > 0) {
+                const restoreBtn = document.createElement("button")
+                restoreBtn.type = "button"
+                restoreBtn.className = "btn btn-sm btn-outline"
+                restoreBtn.textContent = "Restore"
+                restoreBtn.addEventListener("click", () => this.restoreRevision(revision.rev))
+                actions.appendChild(restoreBtn)
+            }
+
+            item.appendChild(details)
+            item.appendChild(actions)
+            this.revisionsList.appendChild(item)
+        })
+    }
+
+    /**
+     * Fetch and display the diff between a revision and the previous one
+     * @param {number} rev - Revision number
+     */
+    async showDiff(rev) {
+        try {
+            const response = await fetch(`${this.getApiUrl()}/${rev}/diff`)
+            const data = await response.json()
+
+            if (!data.success) {
+                throw new Error(data.error || "Failed to load diff")
+            }
+
+            this.openDiffModal(data.data)
+        } catch (error) {
+            console.error("Error loading revision diff:", error)
+            alert(`Error: ${error.message}`)
+        }
+    }
+
+    /**
+     * Create the diff modal if needed and fill it with the diff
+     * @param {Object} diff - Diff returned by the API
+     */
+    openDiffModal(diff) {
+        if (!this.modal) {
+            this.modal = document.createElement("div")
+            this.modal.id = "revision-diff-modal"
+            this.modal.className = "modal revision-diff-modal"
+
+            this.modal.innerHTML = `
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h2 class="revision-diff-title"></h2>
+                        <button class="close-modal">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="revision-diff-fields"></div>
+                        <div class="revision-diff-content"></div>
+                    </div>
+                </div>
+            `
+
+            document.body.appendChild(this.modal)
+
+            this.modal.querySelector(".close-modal").addEventListener("click", () => this.closeDiffModal())
+            this.modal.addEventListener("click", (e) => {
+                if (e.target === this.modal) {
+                    this.closeDiffModal()
+                }
+            })
+        }
+
+        const heading = this.modal.querySelector(".revision-diff-title")
+        heading.textContent =
+            diff.from.rev === diff.to.rev
+                ? `Revision #${diff.to.rev} (initial version)`
+                : `Changes from #${diff.from.rev} to #${diff.to.rev} (+${diff.summary.added} / -${diff.summary.removed})`
+
+        this.renderFieldChanges(this.modal.querySelector(".revision-diff-fields"), diff.frontmatter)
+        this.renderContentDiff(this.modal.querySelector(".revision-diff-content"), diff.content)
+
+        this.modal.classList.add("show")
+    }
+
+    /**
+     * Close the diff modal
+     */
+    closeDiffModal() {
+        if (this.modal) {
+            this.modal.classList.remove("show")
+        }
+    }
+
+    /**
+     * Render changed frontmatter fields as a table
+     * @param {HTMLElement} container - Target element
+     * @param {Array<Object>} changes - Changed fields ({ field, from, to })
+     */
+    renderFieldChanges(container, changes) {
+        container.innerHTML = ""
+
+        if (!changes || changes.length === 0) {
+            return
+        }
+
+        const table = document.createElement("table")
+        table.className = "revision-fields-table"
+
+        changes.forEach((change) => {
+            const row = document.createElement("tr")
+
+            const field = document.createElement("th")
+            field.textContent = change.field
+
+            const from = document.createElement("td")
+            from.className = "diff-remove"
+            from.textContent = this.formatValue(change.from)
+
+            const to = document.createElement("td")
+            to.className = "diff-add"
+            to.textContent = this.formatValue(change.to)
+
+            row.appendChild(field)
+            row.appendChild(from)
+            row.appendChild(to)
+            table.appendChild(row)
+        })
+
+        container.appendChild(table)
+    }
+
+    /**
+     * Render the line diff of the content
+     * @param {HTMLElement} container - Target element
+     * @param {Array<Object>} operations - Diff operations ({ type, line })
+     */
+    renderContentDiff(container, operations) {
+        container.innerHTML = ""
+
+        const pre = document.createElement("pre")
+        pre.className = "revision-diff"
+
+        const prefixes = { add: "+ ", remove: "- ", equal: "  " }
+
+        operations.forEach((op) => {
+            const line = document.createElement("div")
+            line.className = `diff-line diff-${op.type}`
+            line.textContent = `${prefixes[op.type]}${op.line}`
+            pre.appendChild(line)
+        })
+
+        if (operations.every((op) => op.type === "equal")) {
+            const note = document.createElement("p")
+            note.className = "revisions-placeholder"
+            note.textContent = "No content changes"
+            container.appendChild(note)
+        }
+
+        container.appendChild(pre)
+    }
+
+    /**
+     * Restore a revision after confirmation, then reload the editor
+     * @param {number} rev - Revision number
+     */
+    async restoreRevision(rev) {
+        const hasUnsavedChanges = window.contentService?.editorUI?.unsavedChangesHandler?.hasUnsavedChanges
+        const message = hasUnsavedChanges
+            ? `Restore revision #${rev}? Your unsaved changes will be lost.`
+            : `Restore revision #${rev}? The current version stays available in the history.`
+
+        if (!confirm(message)) {
+            return
+        }
+
+        try {
+            const response = await fetch(`${this.getApiUrl()}/${rev}/restore`, { method: "POST" })
+            const data = await response.json()
+
+            if (!data.success) {
+                throw new Error(data.error || "Failed to restore revision")
+            }
+
+            // Reload without the unsaved changes warning to show the restored content
+            window.contentService?.removeBeforeUnloadListener()
+            window.location.reload()
+        } catch (error) {
+            console.error("Error restoring revision:", error)
+            alert(`Error: ${error.message}`)
+        }
+    }
+
+    /**
+     * Format a frontmatter value for display
+     * @param {*} value - Value to format
+     * @returns {string} Display value
+     */
+    formatValue(value) {
+        if (value === null || value === undefined || value === "") {
+            return "—"
+        }
+        return typeof value === "object" ? JSON.stringify(value) : String(value)
+    }
+
+    /**
+     * Format an ISO date for display
+     * @param {string} date - ISO date string
+     * @returns {string} Localized date
+     */
+    formatDate(date) {
+        return date ? new Date(date).toLocaleString() : ""
+    }
+}
+
+// Create and export a singleton instance
+export const revisionsManager = new RevisionsManager()
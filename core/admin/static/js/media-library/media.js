@@ -11,6 +11,8 @@ import { SelectionManager } from "./modules/selection-manager.js"
 import { MediaApiService } from "./modules/media-api-service.js"
 import { NotificationService } from "./modules/notification-service.js"
 import { MediaUtils } from "./modules/media-utils.js"
+import { MediaOrganizer } from "./modules/media-organizer.js"
+import { UnusedMedia } from "./modules/unused-media.js"
 
 document.addEventListener("DOMContentLoaded", function () {
     // Create services
@@ -26,6 +28,8 @@ document.addEventListener("DOMContentLoaded", function () {
     const uploadHandler = new UploadHandler(state, apiService, renderer, utils, notification)
     const formHandler = new MediaFormHandler(state, apiService, renderer, notification)
     const selectionManager = new SelectionManager(state, renderer, notification)
+    const organizer = new MediaOrganizer(state, apiService, notification)
+    const unusedMedia = new UnusedMedia(state, apiService, utils, notification)
 
     // Initialize the application
     init()
@@ -36,6 +40,7 @@ document.addEventListener("DOMContentLoaded", function () {
     function init() {
         // Load initial data
         loadMediaItems()
+        organizer.loadOrganization()
 
         // Set up filter and search event listeners
         initFilterHandlers()
@@ -135,7 +140,9 @@ document.addEventListener("DOMContentLoaded", function () {
             const matchesSearch =
                 state.filterQuery === "" ||
                 (item.filename && item.filename.toLowerCase().includes(state.filterQuery)) ||
-                (item.alt && item.alt.toLowerCase().includes(state.filterQuery))
+                (item.alt && item.alt.toLowerCase().includes(state.filterQuery)) ||
+                (item.caption && item.caption.toLowerCase().includes(state.filterQuery)) ||
+                (item.tags || []).some((tag) => tag.toLowerCase().includes(state.filterQuery))
 
             // Type filter
             const matchesType =
@@ -143,7 +150,7 @@ document.addEventListener("DOMContentLoaded", function () {
                 (state.filterType === "image" && item.type === "image") ||
                 (state.filterType === "document" && item.type === "document")
 
-            return matchesSearch && matchesType
+            return matchesSearch && matchesType && organizer.matchesFilters(item) && unusedMedia.matchesFilter(item)
         })
 
         // Apply sorting
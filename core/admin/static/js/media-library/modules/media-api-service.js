@@ -128,6 +128,87 @@ export class MediaApiService {
         }
     }
 
+    /**
+     * Get the virtual folders and the tags of the media files
+     * @returns {Promise<Object>} Object with folders ([{ path, name, count }]) and tags ([{ name, count }])
+     */
+    async getOrganization() {
+        try {
+            const [folders, tags] = await Promise.all([
+                fetch("/api/media/folders?type=all").then((response) => response.json()),
+                fetch("/api/media/tags?type=all").then((response) => response.json()),
+            ])
+
+            return {
+                success: folders.success && tags.success,
+                folders: folders.data || [],
+                tags: tags.data || [],
+            }
+        } catch (error) {
+            console.error("Error fetching media folders and tags:", error)
+            return { success: false, folders: [], tags: [] }
+        }
+    }
+
+    /**
+     * Move media items to a folder and change their tags
+     * @param {Array} itemIds - Array of item IDs to organize
+     * @param {Object} changes - Object with folder, addTags and/or removeTags
+     * @returns {Promise<Object>} API response data (updated items in data)
+     */
+    async organizeMediaItems(itemIds, changes) {
+        try {
+            const response = await fetch("/api/media/organize", {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                },
+                body: JSON.stringify({ ids: itemIds, ...changes }),
+            })
+
+            return await response.json()
+        } catch (error) {
+            console.error("Error organizing media:", error)
+            return { success: false, error: "Update failed" }
+        }
+    }
+
+    /**
+     * Get the media items that no content, setting or menu uses
+     * @returns {Promise<Object>} API response data (items in data, their size with variants in totalSize)
+     */
+    async getUnusedMediaItems() {
+        try {
+            const response = await fetch("/api/media/orphans")
+            return await response.json()
+        } catch (error) {
+            console.error("Error finding unused media:", error)
+            return { success: false, error: "Failed to find unused media" }
+        }
+    }
+
+    /**
+     * Delete unused media items, the ones used in the meantime are skipped by the server
+     * @param {Array} itemIds - Array of item IDs to delete
+     * @returns {Promise<Object>} API response data (deleted, skipped and reclaimedSize)
+     */
+    async deleteUnusedMediaItems(itemIds) {
+        try {
+            const response = await fetch("/api/media/orphans/delete", {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                },
+                body: JSON.stringify({ ids: itemIds }),
+            })
+
+            return await response.json()
+        } catch (error) {
+            console.error("Error deleting unused media:", error)
+            return { success: false, error: "Delete failed" }
+        }
+    }
+
     /**
      * Check if a media item has references in posts or pages
      * @param {string} itemId - ID of the media item to check
@@ -113,6 +113,8 @@ export class MediaFormHandler {
         const mediaFilename = document.getElementById("media-filename")
         const mediaAlt = document.getElementById("media-alt")
         const mediaCaption = document.getElementById("media-caption")
+        const mediaFolder = document.getElementById("media-folder")
+        const mediaTags = document.getElementById("media-tags")
         const mediaType = document.getElementById("media-type")
         const mediaSize = document.getElementById("media-size")
         const mediaDimensions = document.getElementById("media-dimensions")
@@ -139,6 +141,8 @@ export class MediaFormHandler {
         mediaFilename.value = item.filename
         mediaAlt.value = item.alt || ""
         mediaCaption.value = item.caption || ""
+        mediaFolder.value = item.folder || ""
+        mediaTags.value = (item.tags || []).join(", ")
 
         mediaType.textContent =
             item.type === "image"
@@ -284,6 +288,8 @@ export class MediaFormHandler {
     async updateMediaItem(itemId) {
         const mediaAlt = document.getElementById("media-alt")
         const mediaCaption = document.getElementById("media-caption")
+        const mediaFolder = document.getElementById("media-folder")
+        const mediaTags = document.getElementById("media-tags")
 
         // Store the previous values for comparison
         const currentItem = this.state.findMediaItem(itemId)
@@ -298,13 +304,20 @@ export class MediaFormHandler {
             const updates = {
                 alt: mediaAlt.value,
                 caption: mediaCaption.value,
+                folder: mediaFolder.value,
+                tags: mediaTags.value.split(","),
             }
 
             const data = await this.apiService.updateMediaItem(itemId, updates)
 
             if (data.success) {
-                // Update local data
-                this.state.updateMediaItem(itemId, updates)
+                // Update local data, with the folder and tags as saved on the server
+                this.state.updateMediaItem(itemId, {
+                    ...updates,
+                    folder: data.data.folder || "",
+                    tags: data.data.tags || [],
+                })
+                document.dispatchEvent(new CustomEvent("media-organization-changed"))
 
                 // If either alt text or caption has changed, propagate changes to content
                 if (previousAlt !== updates.alt || previousCaption !== updates.caption) {
@@ -516,6 +529,9 @@ export class MediaFormHandler {
 
                 this.notification.showToast(message, "success")
 
+                // Folders and tags of the deleted items are counted again
+                document.dispatchEvent(new CustomEvent("media-organization-changed"))
+
                 // Update UI
                 document.getElementById("total-items").textContent = this.state.mediaItems.length
 
@@ -0,0 +1,181 @@
+/**
+ * Media Organizer Module
+ * Handles the folder and tag filters, and moving or tagging the selected items
+ */
+export class MediaOrganizer {
+    /**
+     * @param {Object} state - The MediaState instance
+     * @param {Object} apiService - The MediaApiService instance
+     * @param {Object} notification - The NotificationService instance
+     */
+    constructor(state, apiService, notification) {
+        this.state = state
+        this.apiService = apiService
+        this.notification = notification
+
+        // DOM Elements
+        this.folderFilter = document.getElementById("media-filter-folder")
+        this.tagFilter = document.getElementById("media-filter-tag")
+        this.folderOptions = document.getElementById("media-folder-options")
+        this.bulkFolder = document.getElementById("bulk-folder")
+        this.bulkTags = document.getElementById("bulk-tags")
+
+        this.initEventListeners()
+    }
+
+    /**
+     * Initialize event listeners
+     */
+    initEventListeners() {
+        this.folderFilter.addEventListener("change", () => {
+            this.state.filterFolder = this.folderFilter.value
+            this.state.currentPage = 1
+            document.dispatchEvent(new CustomEvent("filters-changed"))
+        })
+
+        this.tagFilter.addEventListener("change", () => {
+            this.state.filterTag = this.tagFilter.value
+            this.state.currentPage = 1
+            document.dispatchEvent(new CustomEvent("filters-changed"))
+        })
+
+        document.getElementById("move-selected").addEventListener("click", () => {
+            this.organizeSelected({ folder: this.bulkFolder.value })
+        })
+
+        document.getElementById("add-tags-selected").addEventListener("click", () => {
+            this.organizeSelected({ addTags: this.parseTags(this.bulkTags.value) })
+        })
+
+        document.getElementById("remove-tags-selected").addEventListener("click", () => {
+            this.organizeSelected({ removeTags: this.parseTags(this.bulkTags.value) })
+        })
+
+        // Folders and tags change when items are uploaded, edited or deleted
+        document.addEventListener("media-organization-changed", () => {
+            this.loadOrganization()
+        })
+    }
+
+    /**
+     * Load the folders and tags, then render the filters
+     */
+    async loadOrganization() {
+        const data = await this.apiService.getOrganization()
+
+        if (data.success) {
+            this.state.folders = data.folders
+            this.state.tags = data.tags
+            this.renderFilters()
+        }
+    }
+
+    /**
+     * Render the folder and tag filters, and the folder suggestions of the inputs
+     */
+    renderFilters() {
+        // Keep the current filters, unless their folder or tag no longer exists
+        const folderPaths = this.state.folders.map((folder) => folder.path)
+        if (
+            this.state.filterFolder &&
+            this.state.filterFolder !== "/" &&
+            !folderPaths.includes(this.state.filterFolder)
+        ) {
+            this.state.filterFolder = ""
+        }
+
+        const tagNames = this.state.tags.map((tag) => tag.name)
+        if (this.state.filterTag && !tagNames.includes(this.state.filterTag)) {
+            this.state.filterTag = ""
+        }
+
+        this.folderFilter.length = 2
+        for (const folder of this.state.folders) {
+            // Nested folders are indented under their parent
+            const depth = folder.path.split("/").length - 1
+            const label = `${"  ".repeat(depth)}${folder.name} (${folder.count})`
+            this.folderFilter.add(new Option(label, folder.path))
+        }
+        this.folderFilter.value = this.state.filterFolder
+
+        this.tagFilter.length = 1
+        for (const tag of this.state.tags) {
+            this.tagFilter.add(new Option(`${tag.name} (${tag.count})`, tag.name))
+        }
+        this.tagFilter.value = this.state.filterTag
+
+        this.folderOptions.innerHTML = ""
+        for (const path of folderPaths) {
+            this.folderOptions.appendChild(new Option(path))
+        }
+    }
+
+    /**
+     * Move the selected items to a folder or change their tags
+     * @param {Object} changes - Object with folder, addTags or removeTags
+     */
+    async organizeSelected(changes) {
+        const itemIds = [...this.state.selectedItems]
+        if (itemIds.length === 0) return
+
+        if ((changes.addTags || changes.removeTags)?.length === 0) {
+            this.notification.showWarning("Enter one or more tags, separated by commas")
+            return
+        }
+
+        const result = await this.apiService.organizeMediaItems(itemIds, changes)
+
+        if (!result.success) {
+            this.notification.showToast(`Update failed: ${result.error}`, "error")
+            return
+        }
+
+        // Update local data with the folders and tags saved on the server
+        for (const item of result.data) {
+            this.state.updateMediaItem(item.id, { folder: item.folder, tags: item.tags })
+        }
+
+        const count = result.data.length
+        const message =
+            changes.folder !== undefined
+                ? `Moved ${count} item${count === 1 ? "" : "s"} to ${changes.folder.trim() || "the root folder"}`
+                : `Updated the tags of ${count} item${count === 1 ? "" : "s"}`
+
+        this.notification.showSuccess(message)
+        this.bulkTags.value = ""
+
+        document.dispatchEvent(new CustomEvent("media-organization-changed"))
+        document.dispatchEvent(new CustomEvent("filters-changed"))
+    }
+
+    /**
+     * Check if an item matches the folder and tag filters
+     * @param {Object} item - Media item
+     * @returns {boolean} True if the item matches
+     */
+    matchesFilters(item) {
+        const folder = item.folder || ""
+
+        const matchesFolder =
+            this.state.filterFolder === "" ||
+            (this.state.filterFolder === "/" ? folder === "" : folder === this.state.filterFolder)
+
+        const matchesTag =
+            this.state.filterTag === "" ||
+            (item.tags || []).some((tag) => tag.toLowerCase() === this.state.filterTag.toLowerCase())
+
+        return matchesFolder && matchesTag
+    }
+
+    /**
+     * Split a comma-separated list of tags
+     * @param {string} value - Tags separated by commas
+     * @returns {Array} Array of tags
+     */
+    parseTags(value) {
+        return value
+            .split(",")
+            .map((tag) => tag.trim())
+            .filter(Boolean)
+    }
+}
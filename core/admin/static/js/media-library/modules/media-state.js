@@ -17,8 +17,19 @@ export class MediaState {
         // Filter and sort state
         this.filterQuery = ""
         this.filterType = "all"
+        this.filterFolder = "" // "" for all folders, "/" for files outside of any folder
+        this.filterTag = ""
+        this.filterUsage = "" // "" for all files, "unused" for files that nothing references
         this.sortBy = "newest"
 
+        // Virtual folders and tags of the files
+        this.folders = []
+        this.tags = []
+
+        // Unused files, loaded when they are filtered
+        this.unusedIds = new Set()
+        this.unusedSize = 0
+
         // Pagination state
         this.currentPage = 1
         this.itemsPerPage = 48
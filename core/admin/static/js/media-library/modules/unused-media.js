@@ -0,0 +1,136 @@
+/**
+ * Unused Media Module
+ * Handles the usage filter, and deleting all the items that no content, setting or menu uses
+ */
+export class UnusedMedia {
+    /**
+     * @param {Object} state - The MediaState instance
+     * @param {Object} apiService - The MediaApiService instance
+     * @param {Object} utils - The MediaUtils instance
+     * @param {Object} notification - The NotificationService instance
+     */
+    constructor(state, apiService, utils, notification) {
+        this.state = state
+        this.apiService = apiService
+        this.utils = utils
+        this.notification = notification
+
+        // DOM Elements
+        this.usageFilter = document.getElementById("media-filter-usage")
+        this.summary = document.getElementById("unused-summary")
+        this.summaryText = document.getElementById("unused-summary-text")
+        this.deleteButton = document.getElementById("delete-unused")
+
+        this.initEventListeners()
+    }
+
+    /**
+     * Initialize event listeners
+     */
+    initEventListeners() {
+        this.usageFilter.addEventListener("change", async () => {
+            this.state.filterUsage = this.usageFilter.value
+            this.state.currentPage = 1
+
+            if (this.state.filterUsage === "unused") {
+                await this.loadUnused()
+            }
+
+            this.renderSummary()
+            document.dispatchEvent(new CustomEvent("filters-changed"))
+        })
+
+        this.deleteButton.addEventListener("click", () => {
+            this.deleteUnused()
+        })
+
+        // Uploads, edits and deletions can change which items are unused
+        document.addEventListener("media-organization-changed", async () => {
+            if (this.state.filterUsage !== "unused") return
+
+            await this.loadUnused()
+            this.renderSummary()
+            document.dispatchEvent(new CustomEvent("apply-filters-and-render"))
+        })
+    }
+
+    /**
+     * Load the unused items from the server, references are only searched there
+     */
+    async loadUnused() {
+        const data = await this.apiService.getUnusedMediaItems()
+
+        if (!data.success) {
+            this.notification.showError(`Could not find unused media: ${data.error}`)
+            return
+        }
+
+        this.state.unusedIds = new Set(data.data.map((item) => item.id))
+        this.state.unusedSize = data.totalSize
+    }
+
+    /**
+     * Show the number and size of the unused items while they are filtered
+     */
+    renderSummary() {
+        const count = this.state.unusedIds.size
+        const active = this.state.filterUsage === "unused"
+
+        this.summary.classList.toggle("hidden", !active)
+        this.deleteButton.disabled = count === 0
+
+        this.summaryText.textContent =
+            count === 0
+                ? "Every media item is used on your site."
+                : `${count} item${count === 1 ? " is" : "s are"} not used by any post, page, setting or menu ` +
+                  `(${this.utils.formatFileSize(this.state.unusedSize)} with resized versions).`
+    }
+
+    /**
+     * Delete all the unused items
+     */
+    async deleteUnused() {
+        const itemIds = [...this.state.unusedIds]
+        if (itemIds.length === 0) return
+
+        const size = this.utils.formatFileSize(this.state.unusedSize)
+        if (!confirm(`Delete ${itemIds.length} unused item${itemIds.length === 1 ? "" : "s"} (${size})?`)) return
+
+        this.deleteButton.disabled = true
+        const result = await this.apiService.deleteUnusedMediaItems(itemIds)
+
+        if (!result.success) {
+            this.deleteButton.disabled = false
+            this.notification.showError(`Delete failed: ${result.error}`)
+            return
+        }
+
+        // Update local data
+        this.state.removeMediaItems(result.deleted)
+        document.getElementById("total-items").textContent = this.state.mediaItems.length
+
+        const count = result.deleted.length
+        this.notification.showSuccess(
+            `Deleted ${count} item${count === 1 ? "" : "s"}, ${this.utils.formatFileSize(result.reclaimedSize)} freed`
+        )
+
+        if (result.skipped.length > 0) {
+            this.notification.showWarning(
+                `${result.skipped.length} item${result.skipped.length === 1 ? " was" : "s were"} kept, ` +
+                    "they are now used or no longer exist"
+            )
+        }
+
+        // Reloads the unused items and the folders and tags
+        document.dispatchEvent(new CustomEvent("media-organization-changed"))
+    }
+
+    /**
+     * Check if an item matches the usage filter
+     * @param {Object} item - Media item
+     * @returns {boolean} True if the item matches
+     */
+    matchesFilter(item) {
+        return this.state.filterUsage === "" || this.state.unusedIds.has(item.id)
+    }
+}
@@ -278,6 +278,7 @@ export class UploadHandler {
 
         // Get alt text if provided
         const altText = document.getElementById("alt-text-default")
+        const keepExif = document.getElementById("keep-exif")
 
         // Track successful uploads
         let successCount = 0
@@ -304,6 +305,16 @@ export class UploadHandler {
                     formData.append("alt", altText.value || "")
                 }
 
+                // Upload to the folder being browsed
+                if (this.state.filterFolder && this.state.filterFolder !== "/") {
+                    formData.append("folder", this.state.filterFolder)
+                }
+
+                // Ask the server to keep the EXIF data of photos
+                if (keepExif && keepExif.checked) {
+                    formData.append("keepExif", "true")
+                }
+
                 // If it's an image and has dimensions, add them to formData
                 if (file.type.startsWith("image/") && file.width && file.height) {
                     formData.append("width", file.width)
@@ -320,6 +331,9 @@ export class UploadHandler {
                 } else {
                     console.error("Upload error:", result.error)
                     errorCount++
+
+                    // Files refused by the upload policy are named with the reason
+                    this.notification.showError(`${file.name}: ${result.error}`)
                 }
             } catch (error) {
                 console.error("Upload error:", error)
@@ -375,6 +389,11 @@ export class UploadHandler {
             this.updateUploadPreview()
         }
 
+        // New uploads can add tags, and folders are counted again
+        if (successCount > 0) {
+            document.dispatchEvent(new CustomEvent("media-organization-changed"))
+        }
+
         this.notification.showToast(message, type)
     }
 }
@@ -7,6 +7,7 @@ import { MenuState } from "./modules/menu-state.js"
 import { MenuRenderer } from "./modules/menu-renderer.js"
 import { MenuFormHandler } from "./modules/menu-form-handler.js"
 import { MenuApiService } from "./modules/menu-api-service.js"
+import { MenuLocations } from "./modules/menu-locations.js"
 import { NotificationService } from "./modules/notification-service.js"
 
 document.addEventListener("DOMContentLoaded", function () {
@@ -15,7 +16,10 @@ document.addEventListener("DOMContentLoaded", function () {
     const notification = new NotificationService()
     const state = new MenuState()
     const renderer = new MenuRenderer(state, notification)
-    const formHandler = new MenuFormHandler(state, renderer, notification)
+    const formHandler = new MenuFormHandler(state, renderer, notification, apiService)
+    const menuLocations = new MenuLocations(state, apiService, notification)
+
+    const menuSelect = document.getElementById("menu-select")
 
     // Initialize the menu editor
     initMenuEditor()
@@ -31,7 +35,8 @@ document.addEventListener("DOMContentLoaded", function () {
             if (themeData.success) {
                 state.currentTheme = themeData.data.name
 
-                // Load menu items (now from the global menu)
+                // Load the menus and the locations of the active theme, then the items of the first menu
+                await loadMenus()
                 await loadMenuItems()
 
                 // Add event listeners
@@ -46,15 +51,64 @@ document.addEventListener("DOMContentLoaded", function () {
     }
 
     /**
-     * Load menu items from the global menu
+     * Load the menus and the menu locations
+     */
+    async function loadMenus() {
+        try {
+            const data = await apiService.getMenus()
+
+            if (data.success) {
+                state.menus = data.data.menus
+                state.locations = data.data.locations
+
+                // Keep the current menu selected, unless it was deleted
+                if (!state.menus.some((menu) => menu.id === state.currentMenuId)) {
+                    state.currentMenuId = "primary"
+                }
+
+                renderMenuSelect()
+                menuLocations.render()
+            } else {
+                notification.showError("Failed to load menus")
+            }
+        } catch (error) {
+            console.error("Error loading menus:", error)
+            notification.showError("Failed to load menus")
+        }
+    }
+
+    /**
+     * Fill the menu select with the menus
+     */
+    function renderMenuSelect() {
+        menuSelect.innerHTML = ""
+
+        for (const menu of state.menus) {
+            const locations = state.locations.filter((location) => location.menu === menu.id)
+            const label = locations.length
+                ? `${menu.name} (${locations.map((location) => location.name).join(", ")})`
+                : menu.name
+
+            menuSelect.add(new Option(label, menu.id))
+        }
+
+        menuSelect.value = state.currentMenuId
+
+        // The primary menu can't be deleted, themes without locations show it
+        document.getElementById("delete-menu").disabled = state.currentMenuId === "primary"
+    }
+
+    /**
+     * Load the items of the current menu
      */
     async function loadMenuItems() {
         try {
-            const data = await apiService.getMenuItems()
+            const data = await apiService.getMenuItems(state.currentMenuId)
 
             if (data.success) {
                 // Store flat menu items and build hierarchy
                 state.setMenuItems(data.data)
+                state.markAsClean()
 
                 // Render the menu
                 renderer.renderMenuItems()
@@ -79,6 +133,23 @@ document.addEventListener("DOMContentLoaded", function () {
         // Save menu button
         document.getElementById("save-menu").addEventListener("click", saveMenu)
 
+        // Switch to another menu
+        menuSelect.addEventListener("change", async () => {
+            if (state.isDirty && !confirm("You have unsaved changes. Switch menus anyway?")) {
+                menuSelect.value = state.currentMenuId
+                return
+            }
+
+            state.currentMenuId = menuSelect.value
+            renderMenuSelect()
+            await loadMenuItems()
+        })
+
+        // Menu management buttons
+        document.getElementById("create-menu").addEventListener("click", createMenu)
+        document.getElementById("rename-menu").addEventListener("click", renameMenu)
+        document.getElementById("delete-menu").addEventListener("click", deleteMenu)
+
         // Window beforeunload event (unsaved changes warning)
         window.addEventListener("beforeunload", (e) => {
             if (state.isDirty) {
@@ -104,7 +175,7 @@ document.addEventListener("DOMContentLoaded", function () {
             saveMenuBtn.innerHTML = '<span class="spinner-small"></span> Saving...'
 
             // Make the API request with the flat menu items array
-            const data = await apiService.saveMenuItems(state.menuItems)
+            const data = await apiService.saveMenuItems(state.menuItems, state.currentMenuId)
 
             if (data.success) {
                 state.markAsClean()
@@ -122,4 +193,66 @@ document.addEventListener("DOMContentLoaded", function () {
             saveMenuBtn.textContent = "💾 Save Menu"
         }
     }
+
+    /**
+     * Create a menu and switch to it
+     */
+    async function createMenu() {
+        if (state.isDirty && !confirm("You have unsaved changes. Create a new menu anyway?")) return
+
+        const name = prompt("Name of the new menu:")
+        if (!name || !name.trim()) return
+
+        const data = await apiService.createMenu(name.trim())
+
+        if (data.success) {
+            state.currentMenuId = data.data.id
+            await loadMenus()
+            await loadMenuItems()
+            notification.showSuccess(`Menu "${data.data.name}" created`)
+        } else {
+            notification.showError(`Failed to create menu: ${data.error || "Unknown error"}`)
+        }
+    }
+
+    /**
+     * Rename the current menu
+     */
+    async function renameMenu() {
+        const menu = state.menus.find((menu) => menu.id === state.currentMenuId)
+        if (!menu) return
+
+        const name = prompt("New name of the menu:", menu.name)
+        if (!name || !name.trim() || name.trim() === menu.name) return
+
+        const data = await apiService.renameMenu(menu.id, name.trim())
+
+        if (data.success) {
+            await loadMenus()
+            notification.showSuccess("Menu renamed successfully")
+        } else {
+            notification.showError(`Failed to rename menu: ${data.error || "Unknown error"}`)
+        }
+    }
+
+    /**
+     * Delete the current menu and switch to the primary menu
+     */
+    async function deleteMenu() {
+        const menu = state.menus.find((menu) => menu.id === state.currentMenuId)
+        if (!menu || menu.id === "primary") return
+
+        if (!confirm(`Delete the menu "${menu.name}" and its items? Locations showing it will be left empty.`)) return
+
+        const data = await apiService.deleteMenu(menu.id)
+
+        if (data.success) {
+            state.currentMenuId = "primary"
+            await loadMenus()
+            await loadMenuItems()
+            notification.showSuccess("Menu deleted successfully")
+        } else {
+            notification.showError(`Failed to delete menu: ${data.error || "Unknown error"}`)
+        }
+    }
 })
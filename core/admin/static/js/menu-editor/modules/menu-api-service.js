@@ -17,14 +17,129 @@ export class MenuApiService {
         }
     }
 
+    /**
+     * Get the menus and the menu locations of the active theme
+     * @returns {Promise<Object>} Menus and locations data
+     */
+    async getMenus() {
+        try {
+            const response = await fetch("/api/menus")
+            return await response.json()
+        } catch (error) {
+            console.error("Error fetching menus:", error)
+            return { success: false, error: "Failed to fetch menus" }
+        }
+    }
+
+    /**
+     * Create a menu
+     * @param {string} name - The menu name
+     * @returns {Promise<Object>} Response data (the created menu)
+     */
+    async createMenu(name) {
+        try {
+            const response = await fetch("/api/menus", {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                },
+                body: JSON.stringify({ name }),
+            })
+
+            return await response.json()
+        } catch (error) {
+            console.error("Error creating menu:", error)
+            return { success: false, error: "Failed to create menu" }
+        }
+    }
+
+    /**
+     * Rename a menu
+     * @param {string} menuId - The menu ID
+     * @param {string} name - The new name
+     * @returns {Promise<Object>} Response data
+     */
+    async renameMenu(menuId, name) {
+        try {
+            const response = await fetch(`/api/menus/${encodeURIComponent(menuId)}`, {
+                method: "PUT",
+                headers: {
+                    "Content-Type": "application/json",
+                },
+                body: JSON.stringify({ name }),
+            })
+
+            return await response.json()
+        } catch (error) {
+            console.error("Error renaming menu:", error)
+            return { success: false, error: "Failed to rename menu" }
+        }
+    }
+
+    /**
+     * Delete a menu
+     * @param {string} menuId - The menu ID
+     * @returns {Promise<Object>} Response data
+     */
+    async deleteMenu(menuId) {
+        try {
+            const response = await fetch(`/api/menus/${encodeURIComponent(menuId)}`, {
+                method: "DELETE",
+            })
+
+            return await response.json()
+        } catch (error) {
+            console.error("Error deleting menu:", error)
+            return { success: false, error: "Failed to delete menu" }
+        }
+    }
+
+    /**
+     * Give menus to the menu locations
+     * @param {Object} assignments - Location IDs and menu IDs (null to leave a location empty)
+     * @returns {Promise<Object>} Response data
+     */
+    async saveMenuLocations(assignments) {
+        try {
+            const response = await fetch("/api/menu-locations", {
+                method: "PUT",
+                headers: {
+                    "Content-Type": "application/json",
+                },
+                body: JSON.stringify({ assignments }),
+            })
+
+            return await response.json()
+        } catch (error) {
+            console.error("Error saving menu locations:", error)
+            return { success: false, error: "Failed to save menu locations" }
+        }
+    }
+
+    /**
+     * Get the content a menu item can link to
+     * @param {string} type - post, page, category or tag
+     * @returns {Promise<Object>} Link targets data ({ id, title, url })
+     */
+    async getLinkTargets(type) {
+        try {
+            const response = await fetch(`/api/menu/link-targets?type=${encodeURIComponent(type)}`)
+            return await response.json()
+        } catch (error) {
+            console.error("Error fetching link targets:", error)
+            return { success: false, error: "Failed to fetch link targets" }
+        }
+    }
+
     /**
      * Get menu items
+     * @param {string} menuId - The menu ID
      * @returns {Promise<Object>} Menu items data
      */
-    async getMenuItems() {
+    async getMenuItems(menuId) {
         try {
             // Use the new global menu endpoint
-            const response = await fetch("/api/menu")
+            const response = await fetch(`/api/menu?menu=${encodeURIComponent(menuId)}`)
             return await response.json()
         } catch (error) {
             console.error("Error fetching menu items:", error)
@@ -35,12 +150,13 @@ export class MenuApiService {
     /**
      * Save menu items
      * @param {Array} menuItems - The menu items to save
+     * @param {string} menuId - The menu ID
      * @returns {Promise<Object>} Response data
      */
-    async saveMenuItems(menuItems) {
+    async saveMenuItems(menuItems, menuId) {
         try {
             // Use the new global menu endpoint
-            const response = await fetch("/api/menu", {
+            const response = await fetch(`/api/menu?menu=${encodeURIComponent(menuId)}`, {
                 method: "PUT",
                 headers: {
                     "Content-Type": "application/json",
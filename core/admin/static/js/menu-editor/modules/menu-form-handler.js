@@ -7,11 +7,16 @@ export class MenuFormHandler {
      * @param {Object} state - The MenuState instance
      * @param {Object} renderer - The MenuRenderer instance
      * @param {Object} notification - The NotificationService instance
+     * @param {Object} apiService - The MenuApiService instance, lists the content items can link to
      */
-    constructor(state, renderer, notification) {
+    constructor(state, renderer, notification, apiService) {
         this.state = state
         this.renderer = renderer
         this.notification = notification
+        this.apiService = apiService
+
+        // Content items can link to, by link type (loaded when first needed)
+        this.linkTargets = new Map()
 
         // DOM Elements
         this.menuItemFormPanel = document.getElementById("menu-item-form-panel")
@@ -20,6 +25,12 @@ export class MenuFormHandler {
         this.backdrop = document.getElementById("menu-editor-backdrop")
         this.parentSelect = document.getElementById("menu-item-parent-select")
         this.parentHiddenInput = document.getElementById("menu-item-parent")
+        this.linkTypeSelect = document.getElementById("menu-item-link-type")
+        this.linkIdSelect = document.getElementById("menu-item-link-id")
+        this.linkGroup = document.getElementById("menu-item-link-group")
+        this.urlGroup = document.getElementById("menu-item-url-group")
+        this.customTitleCheckbox = document.getElementById("menu-item-custom-title")
+        this.customTitleLabel = document.getElementById("menu-item-custom-title-label")
 
         // Delete confirmation modal elements
         this.deleteModal = document.getElementById("delete-menu-item-modal")
@@ -64,6 +75,10 @@ export class MenuFormHandler {
             this.parentHiddenInput.value = this.parentSelect.value
         })
 
+        // Link type and linked content
+        this.linkTypeSelect.addEventListener("change", () => this.showLinkType(this.linkTypeSelect.value))
+        this.linkIdSelect.addEventListener("change", () => this.applyLinkTarget())
+
         // Form submission
         document.getElementById("save-menu-item").addEventListener("click", () => this.saveMenuItemForm())
 
@@ -83,6 +98,76 @@ export class MenuFormHandler {
         document.getElementById("menu-item-url").value = ""
         document.getElementById("menu-item-target").value = "_self"
         document.getElementById("menu-item-class").value = ""
+        this.linkTypeSelect.value = ""
+        this.customTitleCheckbox.checked = false
+        this.showLinkType("")
+    }
+
+    /**
+     * Show the fields of a link type, and list its content
+     * @param {string} linkType - Link type ("" for a custom URL)
+     * @param {string} [linkId] - Content to select
+     */
+    async showLinkType(linkType, linkId = "") {
+        this.linkGroup.hidden = !linkType
+        this.customTitleLabel.hidden = !linkType
+        this.urlGroup.hidden = Boolean(linkType)
+        this.linkIdSelect.innerHTML = ""
+
+        if (!linkType) return
+
+        const targets = await this.getLinkTargets(linkType)
+
+        // The type may have changed while the content was loading
+        if (this.linkTypeSelect.value !== linkType) return
+
+        this.linkIdSelect.add(new Option("— Select —", ""))
+
+        for (const target of targets) {
+            this.linkIdSelect.add(new Option(target.title, target.id))
+        }
+
+        // Content deleted or unpublished stays selected, so the item can be saved as is
+        if (linkId && !targets.some((target) => target.id === linkId)) {
+            this.linkIdSelect.add(new Option(`${linkId} (missing)`, linkId))
+        }
+
+        this.linkIdSelect.value = linkId
+    }
+
+    /**
+     * Get the content a menu item can link to
+     * @param {string} linkType - post, page, category or tag
+     * @returns {Promise<Array>} Link targets ({ id, title, url })
+     */
+    async getLinkTargets(linkType) {
+        if (!this.linkTargets.has(linkType)) {
+            const data = await this.apiService.getLinkTargets(linkType)
+
+            if (!data.success) {
+                this.notification.showError(`Failed to load content: ${data.error || "Unknown error"}`)
+                return []
+            }
+
+            this.linkTargets.set(linkType, data.data)
+        }
+
+        return this.linkTargets.get(linkType)
+    }
+
+    /**
+     * Fill the URL, and the title unless it's kept, with the selected content
+     */
+    applyLinkTarget() {
+        const targets = this.linkTargets.get(this.linkTypeSelect.value) || []
+        const target = targets.find((target) => target.id === this.linkIdSelect.value)
+        if (!target) return
+
+        document.getElementById("menu-item-url").value = target.url
+
+        if (!this.customTitleCheckbox.checked) {
+            document.getElementById("menu-item-title").value = target.title
+        }
     }
 
     /**
@@ -107,6 +192,9 @@ export class MenuFormHandler {
             document.getElementById("menu-item-target").value = this.state.currentMenuItem.target || "_self"
             document.getElementById("menu-item-class").value = this.state.currentMenuItem.class || ""
             document.getElementById("menu-item-parent").value = this.state.currentMenuItem.parent || ""
+            this.linkTypeSelect.value = this.state.currentMenuItem.linkType || ""
+            this.customTitleCheckbox.checked = Boolean(this.state.currentMenuItem.customTitle)
+            this.showLinkType(this.linkTypeSelect.value, this.state.currentMenuItem.linkId || "")
 
             // Show delete button for existing items
             this.deleteMenuItemBtn.style.display = "block"
@@ -151,14 +239,25 @@ export class MenuFormHandler {
         const parent = document.getElementById("menu-item-parent").value
         const target = document.getElementById("menu-item-target").value
         const cssClass = document.getElementById("menu-item-class").value
+        const linkType = this.linkTypeSelect.value
+        const linkId = this.linkIdSelect.value
 
         // Validate required fields
+        if (linkType && !linkId) {
+            this.notification.showError("Select the content to link to")
+            return
+        }
+
         if (!title || !url) {
             this.notification.showError("Title and URL are required")
             return
         }
 
-        // Create menu item object
+        // An item still linking to missing content keeps its flag until the menu is reloaded
+        const current = this.state.currentMenuItem
+        const missing = current?.missing && current.linkType === linkType && current.linkId === linkId
+
+        // Create menu item object (undefined link fields are dropped when an item becomes a custom URL)
         const menuItem = {
             id,
             title,
@@ -166,6 +265,10 @@ export class MenuFormHandler {
             parent: parent || null,
             target,
             class: cssClass,
+            linkType: linkType || undefined,
+            linkId: linkType ? linkId : undefined,
+            customTitle: linkType && this.customTitleCheckbox.checked ? true : undefined,
+            missing: missing || undefined,
         }
 
         // Check if editing or creating
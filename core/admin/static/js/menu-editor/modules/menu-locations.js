@@ -0,0 +1,83 @@
+/**
+ * Menu Locations Module
+ * Lists the menu locations of the active theme and the menu shown in each
+ */
+export class MenuLocations {
+    /**
+     * @param {Object} state - The MenuState instance
+     * @param {Object} apiService - The MenuApiService instance
+     * @param {Object} notification - The NotificationService instance
+     */
+    constructor(state, apiService, notification) {
+        this.state = state
+        this.apiService = apiService
+        this.notification = notification
+
+        // DOM Elements
+        this.list = document.getElementById("menu-locations-list")
+        this.saveButton = document.getElementById("save-menu-locations")
+
+        this.saveButton.addEventListener("click", () => this.save())
+    }
+
+    /**
+     * Render a menu select for each location
+     */
+    render() {
+        this.list.innerHTML = ""
+
+        for (const location of this.state.locations) {
+            const row = document.createElement("div")
+            row.className = "menu-location-row"
+
+            const label = document.createElement("label")
+            label.htmlFor = `menu-location-${location.id}`
+            label.textContent = location.name
+
+            const select = document.createElement("select")
+            select.id = `menu-location-${location.id}`
+            select.dataset.location = location.id
+            select.add(new Option("— No menu —", ""))
+
+            for (const menu of this.state.menus) {
+                select.add(new Option(menu.name, menu.id))
+            }
+
+            select.value = location.menu || ""
+
+            row.append(label, select)
+            this.list.appendChild(row)
+        }
+    }
+
+    /**
+     * Save the menu chosen for each location
+     */
+    async save() {
+        const assignments = {}
+
+        this.list.querySelectorAll("select[data-location]").forEach((select) => {
+            assignments[select.dataset.location] = select.value || null
+        })
+
+        this.saveButton.disabled = true
+
+        try {
+            const data = await this.apiService.saveMenuLocations(assignments)
+
+            if (data.success) {
+                for (const location of this.state.locations) {
+                    location.menu = assignments[location.id]
+                }
+                this.notification.showSuccess("Menu locations saved successfully")
+            } else {
+                this.notification.showError(`Failed to save menu locations: ${data.error || "Unknown error"}`)
+            }
+        } catch (error) {
+            console.error("Error saving menu locations:", error)
+            this.notification.showError("Failed to save menu locations. Please try again.")
+        } finally {
+            this.saveButton.disabled = false
+        }
+    }
+}
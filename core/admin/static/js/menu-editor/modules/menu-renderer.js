@@ -58,7 +58,15 @@ export class MenuRenderer {
 
             // Set content
             menuItem.querySelector(".menu-item-title").textContent = item.title
-            menuItem.querySelector(".menu-item-url").textContent = item.url
+            menuItem.querySelector(".menu-item-url").textContent = item.linkType
+                ? `${item.linkType}: ${item.url}`
+                : item.url
+
+            // Linked content deleted or unpublished since the menu was loaded
+            if (item.missing) {
+                menuItem.classList.add("menu-item-missing")
+                menuItem.querySelector(".menu-item-missing-badge").hidden = false
+            }
 
             // Handle indent/outdent buttons
             const indentBtn = menuItem.querySelector(".menu-item-indent")
@@ -4,6 +4,9 @@
  */
 export class MenuState {
     constructor() {
+        this.menus = [] // { id, name, itemCount, locations }
+        this.locations = [] // Locations of the active theme ({ id, name, menu })
+        this.currentMenuId = "primary"
         this.menuItems = []
         this.menuHierarchy = []
         this.currentTheme = null
@@ -0,0 +1,174 @@
+/**
+ * Plugins Page
+ * Lists the installed plugins and lets administrators enable or disable them
+ */
+
+document.addEventListener("DOMContentLoaded", function () {
+    const list = document.getElementById("pluginsList")
+    const emptyState = document.getElementById("pluginsEmptyState")
+    const message = document.getElementById("pluginsMessage")
+
+    if (!list) return
+
+    loadPlugins()
+
+    /**
+     * Load the plugins and render them
+     */
+    async function loadPlugins() {
+        try {
+            const response = await fetch("/api/plugins")
+            const result = await response.json()
+
+            if (!result.success) throw new Error(result.error)
+
+            renderPlugins(result.data)
+        } catch (error) {
+            console.error("Error loading plugins:", error)
+            list.innerHTML = ""
+            showMessage("Could not load the plugins.", "danger")
+        }
+    }
+
+    /**
+     * Render the plugin cards
+     * @param {Array<Object>} plugins - Plugins
+     */
+    function renderPlugins(plugins) {
+        list.innerHTML = ""
+        emptyState.hidden = plugins.length > 0
+
+        for (const plugin of plugins) {
+            const card = document.createElement("div")
+            card.className = `info-card plugin-card plugin-${plugin.status}`
+            card.innerHTML = `
+                <div class="plugin-header">
+                    <div>
+                        <h2 class="plugin-title"></h2>
+                        <p class="plugin-meta"></p>
+                    </div>
+                    <span class="plugin-status"></span>
+                </div>
+                <p class="plugin-description"></p>
+                <p class="plugin-capabilities" hidden>Requires: </p>
+                <ul class="plugin-errors" hidden></ul>
+                <div class="plugin-actions">
+                    <button type="button" class="btn btn-sm plugin-toggle"></button>
+                </div>
+            `
+
+            // Manifests come from third-party code, so their values are set as text
+            card.querySelector(".plugin-title").textContent = plugin.title
+            card.querySelector(".plugin-meta").textContent = [
+                plugin.version ? `v${plugin.version}` : null,
+                plugin.author ? `by ${plugin.author}` : null,
+                plugin.name,
+            ]
+                .filter(Boolean)
+                .join(" · ")
+            card.querySelector(".plugin-description").textContent = plugin.description
+
+            const status = card.querySelector(".plugin-status")
+            status.textContent = getStatusLabel(plugin)
+            status.classList.add(`plugin-status-${plugin.status}`)
+
+            if (plugin.capabilities.length > 0) {
+                const capabilities = card.querySelector(".plugin-capabilities")
+                capabilities.append(plugin.capabilities.join(", "))
+                capabilities.hidden = false
+            }
+
+            renderErrors(card.querySelector(".plugin-errors"), plugin)
+
+            const actions = card.querySelector(".plugin-actions")
+            for (const page of plugin.status === "active" ? plugin.adminPages : []) {
+                const link = document.createElement("a")
+                link.className = "btn btn-sm btn-outline"
+                link.href = page.url
+                link.textContent = page.title
+                actions.appendChild(link)
+            }
+
+            const toggle = card.querySelector(".plugin-toggle")
+            toggle.textContent = plugin.enabled ? "Disable" : "Enable"
+            toggle.classList.add(plugin.enabled ? "btn-outline" : "btn-primary")
+            toggle.disabled = !plugin.enabled && plugin.manifestErrors.length > 0
+            toggle.addEventListener("click", () => togglePlugin(plugin, toggle))
+
+            list.appendChild(card)
+        }
+    }
+
+    /**
+     * Render the manifest and runtime errors of a plugin
+     * @param {HTMLElement} container - Error list
+     * @param {Object} plugin - Plugin
+     */
+    function renderErrors(container, plugin) {
+        const errors = [...plugin.manifestErrors]
+
+        if (plugin.error) {
+            const source = plugin.error.source === "load" ? "Failed to load" : `Error in ${plugin.error.source}`
+            errors.push(`${source}: ${plugin.error.message}`)
+        }
+
+        for (const error of errors) {
+            const item = document.createElement("li")
+            item.textContent = error
+            container.appendChild(item)
+        }
+
+        container.hidden = errors.length === 0
+    }
+
+    /**
+     * Get the label of the status of a plugin
+     * @param {Object} plugin - Plugin
+     * @returns {string} Status label
+     */
+    function getStatusLabel(plugin) {
+        if (plugin.status === "active") return "Active"
+        if (plugin.status === "error") return "Error"
+        return plugin.manifestErrors.length > 0 ? "Invalid" : "Inactive"
+    }
+
+    /**
+     * Enable or disable a plugin
+     * @param {Object} plugin - Plugin
+     * @param {HTMLButtonElement} button - Toggle button
+     */
+    async function togglePlugin(plugin, button) {
+        const action = plugin.enabled ? "disable" : "enable"
+        message.hidden = true
+        button.disabled = true
+
+        try {
+            const response = await fetch(`/api/plugins/${encodeURIComponent(plugin.name)}/${action}`, {
+                method: "POST",
+            })
+            const result = await response.json()
+
+            if (!result.success) {
+                showMessage(result.error || `Could not ${action} the plugin`, "danger")
+            } else {
+                showMessage(`${plugin.title} has been ${action}d.`, "success")
+            }
+        } catch (error) {
+            console.error(`Error trying to ${action} plugin:`, error)
+            showMessage("An error occurred, please try again.", "danger")
+        }
+
+        await loadPlugins()
+    }
+
+    /**
+     * Show a message
+     * @param {string} text - Message
+     * @param {string} type - 'success' or 'danger'
+     */
+    function showMessage(text, type) {
+        message.textContent = text
+        message.className = `alert alert-${type}`
+        message.hidden = false
+    }
+})
@@ -0,0 +1,224 @@
+/**
+ * Redirects Page
+ * Manages the redirects of the site and shows their hit counts
+ */
+
+document.addEventListener("DOMContentLoaded", function () {
+    const form = document.getElementById("redirectForm")
+    const matchTypeSelect = document.getElementById("redirectMatchType")
+    const tableBody = document.getElementById("redirectsTableBody")
+    const searchInput = document.getElementById("redirectsSearch")
+    const testResult = document.getElementById("redirectTestResult")
+    const message = document.getElementById("redirectsMessage")
+
+    if (!form) return
+
+    // Help text of the source, by match type
+    const SOURCE_HELP = {
+        exact: "The path to redirect, e.g. /old-page.",
+        wildcard: "A path where * matches anything, e.g. /blog/* to redirect /blog/my-post.",
+        regex: "A regular expression tested on the path, e.g. ^/(\\d{4})/(.+)$ with /post/$2 as target.",
+    }
+
+    let redirects = []
+
+    loadRedirects()
+
+    document.getElementById("addRedirect").addEventListener("click", () => showForm())
+    document.getElementById("cancelRedirectForm").addEventListener("click", () => (form.hidden = true))
+    matchTypeSelect.addEventListener("change", updateSourceHelp)
+    searchInput.addEventListener("input", renderRedirects)
+
+    // Create or update a redirect
+    form.addEventListener("submit", async (event) => {
+        event.preventDefault()
+
+        const id = document.getElementById("redirectId").value
+
+        const data = await request(id ? `/api/redirects/${id}` : "/api/redirects", id ? "PUT" : "POST", {
+            source: document.getElementById("redirectSource").value,
+            target: document.getElementById("redirectTarget").value,
+            matchType: matchTypeSelect.value,
+            status: Number(document.getElementById("redirectStatus").value),
+            note: document.getElementById("redirectNote").value,
+        })
+        if (!data) return
+
+        form.hidden = true
+        showMessage(id ? "Redirect updated." : "Redirect created.", "success")
+        await loadRedirects()
+    })
+
+    // Show where a URL is redirected
+    document.getElementById("redirectTestForm").addEventListener("submit", async (event) => {
+        event.preventDefault()
+
+        const url = document.getElementById("redirectTestUrl").value.trim()
+        const data = await request(`/api/redirects/test?url=${encodeURIComponent(url)}`, "GET")
+        if (!data) return
+
+        testResult.textContent = data.data
+            ? `${url} redirects to ${data.data.location} (${data.data.redirect.status})`
+            : `${url} isn't redirected.`
+        testResult.hidden = false
+    })
+
+    /**
+     * Load the redirects
+     */
+    async function loadRedirects() {
+        const result = await request("/api/redirects", "GET")
+        if (!result) return
+
+        redirects = result.data
+        renderRedirects()
+    }
+
+    /**
+     * Render the redirects table, filtered by the search field
+     */
+    function renderRedirects() {
+        const query = searchInput.value.trim().toLowerCase()
+        const visible = redirects.filter(
+            (redirect) =>
+                !query ||
+                redirect.source.toLowerCase().includes(query) ||
+                redirect.target.toLowerCase().includes(query) ||
+                (redirect.note || "").toLowerCase().includes(query)
+        )
+
+        tableBody.innerHTML = ""
+        document.getElementById("redirectsEmptyState").hidden = visible.length > 0
+
+        for (const redirect of visible) {
+            const row = document.createElement("tr")
+            row.innerHTML = `
+                <td>
+                    <code class="redirect-source"></code>
+                    <div class="redirect-details"></div>
+                </td>
+                <td><code class="redirect-target"></code></td>
+                <td><span class="redirect-status">${redirect.status}</span></td>
+                <td class="redirect-hits"></td>
+                <td class="redirect-row-actions">
+                    <button type="button" class="btn btn-sm btn-outline" data-action="edit">Edit</button>
+                    <button type="button" class="btn btn-sm btn-outline" data-action="reset">Reset hits</button>
+                    <button type="button" class="btn btn-sm btn-danger" data-action="delete">Delete</button>
+                </td>
+            `
+
+            // Sources, targets and notes are entered by users, so they are set as text
+            row.querySelector(".redirect-source").textContent = redirect.source
+            row.querySelector(".redirect-target").textContent = redirect.target
+            row.querySelector(".redirect-details").textContent = [
+                redirect.matchType !== "exact" ? redirect.matchType : "",
+                redirect.auto ? `Added when the ${redirect.contentType || "content"} moved` : "",
+                redirect.note,
+            ]
+                .filter(Boolean)
+                .join(" · ")
+
+            const hitsCell = row.querySelector(".redirect-hits")
+            hitsCell.textContent = redirect.hits || 0
+            if (redirect.lastHitAt) hitsCell.title = `Last hit: ${new Date(redirect.lastHitAt).toLocaleString()}`
+
+            row.querySelector('[data-action="edit"]').addEventListener("click", () => showForm(redirect))
+            row.querySelector('[data-action="reset"]').addEventListener("click", () => resetHits(redirect))
+            row.querySelector('[data-action="delete"]').addEventListener("click", () => deleteRedirect(redirect))
+
+            tableBody.appendChild(row)
+        }
+    }
+
+    /**
+     * Show the redirect form, empty or filled with a redirect to edit
+     * @param {Object} [redirect] - Redirect to edit
+     */
+    function showForm(redirect = null) {
+        form.reset()
+        document.getElementById("redirectFormTitle").textContent = redirect ? "Edit Redirect" : "Add Redirect"
+        document.getElementById("redirectId").value = redirect?.id || ""
+        document.getElementById("redirectSource").value = redirect?.source || ""
+        document.getElementById("redirectTarget").value = redirect?.target || ""
+        document.getElementById("redirectStatus").value = String(redirect?.status || 301)
+        document.getElementById("redirectNote").value = redirect?.note || ""
+        matchTypeSelect.value = redirect?.matchType || "exact"
+
+        updateSourceHelp()
+        form.hidden = false
+        document.getElementById("redirectSource").focus()
+    }
+
+    /**
+     * Show the help text of the selected match type
+     */
+    function updateSourceHelp() {
+        document.getElementById("redirectSourceHelp").textContent = SOURCE_HELP[matchTypeSelect.value]
+    }
+
+    /**
+     * Reset the hit count of a redirect
+     * @param {Object} redirect - Redirect
+     */
+    async function resetHits(redirect) {
+        const data = await request(`/api/redirects/${redirect.id}`, "PUT", { resetHits: true })
+        if (!data) return
+
+        showMessage("Hit count reset.", "success")
+        await loadRedirects()
+    }
+
+    /**
+     * Delete a redirect after confirmation
+     * @param {Object} redirect - Redirect
+     */
+    async function deleteRedirect(redirect) {
+        if (!confirm(`Delete the redirect from "${redirect.source}"? Its URL may show a 404 page again.`)) return
+
+        const data = await request(`/api/redirects/${redirect.id}`, "DELETE")
+        if (!data) return
+
+        showMessage("Redirect deleted.", "success")
+        await loadRedirects()
+    }
+
+    /**
+     * Call the redirects API
+     * @param {string} url - Endpoint
+     * @param {string} method - HTTP method
+     * @param {Object} [body] - Request body
+     * @returns {Promise<Object|null>} Response body, or null on error (the error is shown)
+     */
+    async function request(url, method, body) {
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: body ? { "Content-Type": "application/json" } : {},
+                body: body ? JSON.stringify(body) : undefined,
+            })
+            const result = await response.json()
+
+            if (!result.success) {
+                showMessage(result.error || "Request failed", "danger")
+                return null
+            }
+
+            return result
+        } catch (error) {
+            console.error("Redirects request failed:", error)
+            showMessage("An error occurred, please try again.", "danger")
+            return null
+        }
+    }
+
+    /**
+     * Show a message
+     * @param {string} text - Message
+     * @param {string} type - 'success' or 'danger'
+     */
+    function showMessage(text, type) {
+        message.textContent = text
+        message.className = `alert alert-${type}`
+        message.hidden = false
+    }
+})
@@ -0,0 +1,157 @@
+/**
+ * Account Security Page
+ * Lets the current user enroll in, manage and disable two-factor authentication
+ */
+
+document.addEventListener("DOMContentLoaded", function () {
+    const statusText = document.getElementById("twoFactorStatus")
+    const disabledStep = document.getElementById("twoFactorDisabled")
+    const setupStep = document.getElementById("twoFactorSetup")
+    const enabledStep = document.getElementById("twoFactorEnabled")
+    const recoveryCodesStep = document.getElementById("recoveryCodes")
+    const message = document.getElementById("securityMessage")
+
+    if (!statusText) return
+
+    loadStatus()
+
+    // Start the enrollment
+    document.getElementById("startTwoFactorSetup").addEventListener("click", async () => {
+        const data = await request("/api/users/me/2fa/setup")
+        if (!data) return
+
+        document.getElementById("twoFactorSecret").textContent = data.secret
+        document.getElementById("twoFactorUri").href = data.provisioningUri
+
+        disabledStep.hidden = true
+        setupStep.hidden = false
+        document.getElementById("enableTwoFactorCode").focus()
+    })
+
+    // Confirm the enrollment with a first code
+    document.getElementById("enableTwoFactorForm").addEventListener("submit", async (event) => {
+        event.preventDefault()
+        const codeInput = document.getElementById("enableTwoFactorCode")
+
+        const data = await request("/api/users/me/2fa/enable", { code: codeInput.value })
+        if (!data) return
+
+        codeInput.value = ""
+        showMessage("Two-factor authentication is now enabled.", "success")
+        showRecoveryCodes(data.recoveryCodes)
+        loadStatus()
+    })
+
+    // Replace the recovery codes
+    document.getElementById("recoveryCodesForm").addEventListener("submit", async (event) => {
+        event.preventDefault()
+        const codeInput = document.getElementById("recoveryCodesCode")
+
+        const data = await request("/api/users/me/2fa/recovery-codes", { code: codeInput.value })
+        if (!data) return
+
+        codeInput.value = ""
+        showMessage("New recovery codes generated.", "success")
+        showRecoveryCodes(data.recoveryCodes)
+        loadStatus()
+    })
+
+    // Disable two-factor authentication
+    document.getElementById("disableTwoFactorForm").addEventListener("submit", async (event) => {
+        event.preventDefault()
+        const passwordInput = document.getElementById("disableTwoFactorPassword")
+
+        const data = await request("/api/users/me/2fa/disable", { password: passwordInput.value })
+        if (!data) return
+
+        passwordInput.value = ""
+        recoveryCodesStep.hidden = true
+        showMessage("Two-factor authentication has been disabled.", "success")
+        loadStatus()
+    })
+
+    /**
+     * Load the two-factor status and show the matching step
+     */
+    async function loadStatus() {
+        try {
+            const response = await fetch("/api/users/me/2fa")
+            const result = await response.json()
+
+            if (!result.success) throw new Error(result.error)
+
+            const { enabled, recoveryCodesRemaining } = result.data
+
+            statusText.textContent = enabled
+                ? `Enabled — ${recoveryCodesRemaining} recovery code(s) remaining.`
+                : "Two-factor authentication is not enabled."
+
+            disabledStep.hidden = enabled
+            enabledStep.hidden = !enabled
+            setupStep.hidden = true
+        } catch (error) {
+            console.error("Error loading two-factor status:", error)
+            statusText.textContent = "Could not load the two-factor authentication status."
+        }
+    }
+
+    /**
+     * Post to a two-factor endpoint
+     * @param {string} url - Endpoint
+     * @param {Object} [body] - Request body
+     * @returns {Promise<Object|null>} Response data, or null on error (the error is shown)
+     */
+    async function request(url, body = {}) {
+        message.hidden = true
+
+        try {
+            const response = await fetch(url, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(body),
+            })
+            const result = await response.json()
+
+            if (!result.success) {
+                showMessage(result.error || "Request failed", "danger")
+                return null
+            }
+
+            return result.data || {}
+        } catch (error) {
+            console.error("Two-factor request failed:", error)
+            showMessage("An error occurred, please try again.", "danger")
+            return null
+        }
+    }
+
+    /**
+     * Show recovery codes
+     * @param {Array<string>} codes - Recovery codes
+     */
+    function showRecoveryCodes(codes) {
+        const list = document.getElementById("recoveryCodesList")
+        list.innerHTML = ""
+
+        for (const code of codes) {
+            const item = document.createElement("li")
+            const codeElement = document.createElement("code")
+            codeElement.textContent = code
+            item.appendChild(codeElement)
+            list.appendChild(item)
+        }
+
+        recoveryCodesStep.hidden = false
+    }
+
+    /**
+     * Show a message
+     * @param {string} text - Message
+     * @param {string} type - 'success' or 'danger'
+     */
+    function showMessage(text, type) {
+        message.textContent = text
+        message.className = `alert alert-${type}`
+        message.hidden = false
+    }
+})
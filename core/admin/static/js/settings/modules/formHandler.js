@@ -106,7 +106,12 @@ async function handleFormSubmission(e, elements, showSaveModalFn) {
         }
 
         // Handle checkboxes properly
-        if (key === "enableComments" || key === "enableCaching") {
+        if (
+            key === "enableComments" ||
+            key === "enableCaching" ||
+            key === "scheduledStaticRebuild" ||
+            key === "requireAdminTwoFactor"
+        ) {
             settings[key] = value === "on"
         } else {
             settings[key] = value
@@ -116,6 +121,8 @@ async function handleFormSubmission(e, elements, showSaveModalFn) {
     // Add any missing checkbox values that are unchecked
     if (!formData.has("enableComments")) settings.enableComments = false
     if (!formData.has("enableCaching")) settings.enableCaching = false
+    if (!formData.has("scheduledStaticRebuild")) settings.scheduledStaticRebuild = false
+    if (!formData.has("requireAdminTwoFactor")) settings.requireAdminTwoFactor = false
 
     try {
         const response = await fetch("/api/settings", {
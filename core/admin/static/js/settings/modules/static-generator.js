@@ -3,20 +3,44 @@
  * Handles the static site generation UI functionality
  */
 
+// Readable names of the generation phases
+const PHASE_LABELS = {
+    prepare: "Preparing",
+    homepage: "Homepage",
+    posts: "Posts",
+    pages: "Pages",
+    taxonomies: "Categories and tags",
+    customPages: "Custom pages",
+    seo: "RSS and sitemaps",
+    search: "Search index",
+    notFound: "404 page",
+    redirects: "Redirects",
+    assets: "Theme assets and uploads",
+    cleanup: "Cleaning up",
+}
+
 export function initStaticGenerator() {
     // Get DOM elements
     const generateBtn = document.getElementById("generateStaticBtn")
     const statusDiv = document.getElementById("staticGeneratorStatus")
+    const statusMessage = document.getElementById("staticStatusMessage")
+    const progressBar = statusDiv?.querySelector(".progress-bar")
     const resultDiv = document.getElementById("staticGeneratorResult")
+    const historyList = document.getElementById("staticJobHistory")
 
     if (!generateBtn) return // Exit if elements don't exist (tab not shown)
 
+    let currentJobId = null
+    let eventSource = null
+    let pollTimer = null
+
     // Add event listener to generate button
     generateBtn.addEventListener("click", async function () {
         // Get form values
         const outputDir = document.getElementById("staticOutputDir").value.trim()
         const baseUrl = document.getElementById("staticBaseUrl").value.trim()
         const cleanUrls = document.getElementById("staticCleanUrls").checked
+        const incremental = document.getElementById("staticIncremental")?.checked || false
 
         // Validate form
         if (!outputDir) {
@@ -26,8 +50,8 @@ export function initStaticGenerator() {
 
         // Disable button and show status
         generateBtn.disabled = true
-        statusDiv.style.display = "block"
         resultDiv.style.display = "none"
+        showProgress({ status: "queued", progress: 0 })
 
         try {
             // Call API
@@ -40,17 +64,15 @@ export function initStaticGenerator() {
                     outputDir,
                     baseUrl,
                     cleanUrls,
+                    incremental,
                 }),
             })
 
             const data = await response.json()
 
             if (data.success) {
-                // Show success message but keep status indicator
-                // since generation is happening in background
-                setTimeout(() => {
-                    checkGenerationStatus()
-                }, 2000)
+                // Generation happens in the background, follow the job until it finishes
+                followJob(data.job)
             } else {
                 // Show error message
                 showResult(data.error || "Failed to generate static site", "danger")
@@ -65,40 +87,204 @@ export function initStaticGenerator() {
         }
     })
 
-    // Function to check generation status
-    async function checkGenerationStatus() {
+    // Resume following a build started elsewhere (another tab, scheduled rebuild...)
+    checkGenerationStatus(true)
+    loadHistory()
+
+    /**
+     * Follow a job through server-sent events, falling back to polling
+     * @param {Object} job - Job returned by the API
+     */
+    function followJob(job) {
+        currentJobId = job.id
+        updateJob(job)
+
+        if (!window.EventSource) {
+            pollTimer = setTimeout(checkGenerationStatus, 1000)
+            return
+        }
+
+        eventSource?.close()
+        eventSource = new EventSource("/api/static/events")
+
+        eventSource.addEventListener("job", (event) => {
+            const updatedJob = JSON.parse(event.data)
+            if (updatedJob.id === currentJobId) {
+                updateJob(updatedJob)
+            }
+        })
+
+        // Fall back to polling if the stream can't be opened or is interrupted
+        eventSource.onerror = () => {
+            eventSource?.close()
+            eventSource = null
+            if (currentJobId) {
+                pollTimer = setTimeout(checkGenerationStatus, 2000)
+            }
+        }
+    }
+
+    /**
+     * Poll the status of the current job
+     * @param {boolean} [isInitialCheck=false] - Only follow a job that is already running
+     */
+    async function checkGenerationStatus(isInitialCheck = false) {
         try {
-            const response = await fetch("/api/static/status")
+            const query = currentJobId ? `?job=${encodeURIComponent(currentJobId)}` : ""
+            const response = await fetch(`/api/static/status${query}`)
             const data = await response.json()
 
-            if (data.success && data.status === "ready") {
-                // Generation complete
-                showResult(
-                    "Static site generated successfully! You can find the files in the <strong>" +
-                        document.getElementById("staticOutputDir").value.trim() +
-                        "</strong> directory.",
-                    "success"
-                )
-                statusDiv.style.display = "none"
-                generateBtn.disabled = false
-            } else if (data.success && data.status === "generating") {
-                // Still generating, check again later
-                setTimeout(checkGenerationStatus, 2000)
-            } else {
-                // Error occurred
-                showResult(data.error || "Failed to generate static site", "danger")
+            if (!data.success) {
+                if (!isInitialCheck) showResult(data.error || "Failed to check generation status", "danger")
+                return
+            }
+
+            if (!data.job) return
+
+            if (isInitialCheck) {
+                // Only resume jobs that are still in progress
+                if (data.job.status === "queued" || data.job.status === "running") {
+                    generateBtn.disabled = true
+                    followJob(data.job)
+                }
+                return
+            }
+
+            updateJob(data.job)
+
+            if (data.job.status === "queued" || data.job.status === "running") {
+                pollTimer = setTimeout(checkGenerationStatus, 2000)
+            }
+        } catch (error) {
+            console.error("Error checking generation status:", error)
+
+            if (!isInitialCheck) {
+                // Assume generation is complete to unblock UI
+                showResult("Static site generation may have completed, but status check failed", "warning")
                 statusDiv.style.display = "none"
                 generateBtn.disabled = false
             }
+        }
+    }
+
+    /**
+     * Update the UI for a job
+     * @param {Object} job - Job
+     */
+    function updateJob(job) {
+        if (job.status === "queued" || job.status === "running") {
+            showProgress(job)
+            return
+        }
+
+        // The job is finished
+        clearTimeout(pollTimer)
+        eventSource?.close()
+        eventSource = null
+        currentJobId = null
+
+        statusDiv.style.display = "none"
+        generateBtn.disabled = false
+
+        if (job.status === "succeeded") {
+            showResult(
+                "Static site generated successfully! You can find the files in the <strong>" +
+                    escapeHtml(job.options?.outputDir || document.getElementById("staticOutputDir").value.trim()) +
+                    "</strong> directory." +
+                    (job.files ? `<br><small>${formatFiles(job.files)}</small>` : ""),
+                "success"
+            )
+        } else {
+            showResult(
+                `Static site generation failed: ${escapeHtml(job.error?.message || "Unknown error")}` +
+                    (job.error?.stack ? `<pre class="static-job-stack">${escapeHtml(job.error.stack)}</pre>` : ""),
+                "danger"
+            )
+        }
+
+        loadHistory()
+    }
+
+    /**
+     * Show the progress of a running or queued job
+     * @param {Object} job - Job
+     */
+    function showProgress(job) {
+        statusDiv.style.display = "block"
+
+        if (job.status === "queued") {
+            statusMessage.textContent = "Waiting for another build to finish..."
+        } else {
+            const phase = PHASE_LABELS[job.phase] || job.phase || "Starting"
+            statusMessage.textContent = `Generating static site: ${phase} (${job.progress || 0}%)`
+        }
+
+        if (progressBar) {
+            progressBar.style.width = `${Math.max(job.progress || 0, 5)}%`
+        }
+    }
+
+    /**
+     * Load the history of past builds
+     */
+    async function loadHistory() {
+        if (!historyList) return
+
+        try {
+            const response = await fetch("/api/static/jobs")
+            const data = await response.json()
+
+            if (!data.success || data.data.length === 0) {
+                historyList.innerHTML = '<p class="help-text">No builds yet.</p>'
+                return
+            }
+
+            historyList.innerHTML = data.data
+                .slice(0, 10)
+                .map(
+                    (job) => `
+                <li class="static-job static-job-${job.status}">
+                    <span class="static-job-status">${escapeHtml(job.status)}</span>
+                    <span class="static-job-date">${new Date(job.createdAt).toLocaleString()}</span>
+                    <span class="static-job-details">
+                        ${job.options?.incremental ? "Incremental" : "Full"} build
+                        ${job.trigger === "schedule" ? "after scheduled publishing" : ""}
+                        ${job.requestedBy ? `by ${escapeHtml(job.requestedBy)}` : ""}
+                        ${job.duration !== null ? `in ${(job.duration / 1000).toFixed(1)}s` : ""}
+                        ${job.files ? ` — ${formatFiles(job.files)}` : ""}
+                        ${job.error ? ` — ${escapeHtml(job.error.message)}` : ""}
+                    </span>
+                </li>`
+                )
+                .join("")
         } catch (error) {
-            console.error("Error checking generation status:", error)
-            // Assume generation is complete to unblock UI
-            showResult("Static site generation may have completed, but status check failed", "warning")
-            statusDiv.style.display = "none"
-            generateBtn.disabled = false
+            console.error("Error loading static build history:", error)
         }
     }
 
+    /**
+     * Format the file counts of a job
+     * @param {Object} files - File counts
+     * @returns {string} Summary
+     */
+    function formatFiles(files) {
+        return (
+            `${files.rendered || 0} pages rendered, ${files.skipped || 0} unchanged, ` +
+            `${(files.written || 0) + (files.copied || 0)} files written, ${files.deleted || 0} deleted`
+        )
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        const div = document.createElement("div")
+        div.textContent = text
+        return div.innerHTML
+    }
+
     // Function to show result
     function showResult(message, type = "success") {
         resultDiv.innerHTML = message
@@ -42,7 +42,7 @@ export function initializeTable(contentType, modalManager) {
             formatter: statusFormatter,
             headerFilter: "list",
             headerFilterParams: {
-                values: { "": "All", published: "Published", draft: "Draft" },
+                values: { "": "All", published: "Published", scheduled: "Scheduled", draft: "Draft" },
             },
             headerFilterPlaceholder: "Filter status...",
             responsive: 3,
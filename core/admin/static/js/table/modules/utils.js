@@ -5,7 +5,7 @@
 // Format the status badge using the Tabulator formatter
 export function statusFormatter(cell) {
     const value = cell.getValue() || "draft"
-    const statusClass = value === "published" ? "status-published" : "status-draft"
+    const statusClass = ["published", "scheduled"].includes(value) ? `status-${value}` : "status-draft"
     return `<span class="status-badge ${statusClass}">${value}</span>`
 }
 
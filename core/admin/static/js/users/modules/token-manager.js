@@ -0,0 +1,197 @@
+/**
+ * Token Manager
+ * Lists, creates and revokes API tokens
+ */
+import { userService } from "./user-api-service.js"
+import { toastManager } from "./toast.js"
+import { formatDate } from "./utils.js"
+
+class TokenManager {
+    constructor() {
+        // State
+        this.tokens = []
+        this.scopes = []
+
+        // DOM Elements
+        this.addTokenButton = document.getElementById("add-token-button")
+        this.tokenForm = document.getElementById("token-form")
+        this.cancelTokenForm = document.getElementById("cancel-token-form")
+        this.scopesContainer = document.getElementById("token-scopes")
+        this.newToken = document.getElementById("new-token")
+        this.newTokenValue = document.getElementById("new-token-value")
+        this.copyTokenButton = document.getElementById("copy-token")
+        this.tokensTableBody = document.getElementById("tokens-table-body")
+        this.emptyState = document.getElementById("tokens-empty-state")
+    }
+
+    /**
+     * Initialize the token manager
+     */
+    async init() {
+        if (!this.tokensTableBody) return
+
+        await this.loadTokens()
+
+        this.setupEventListeners()
+    }
+
+    /**
+     * Set up all event listeners
+     */
+    setupEventListeners() {
+        this.addTokenButton.addEventListener("click", () => this.showTokenForm())
+        this.cancelTokenForm.addEventListener("click", () => this.hideTokenForm())
+
+        this.tokenForm.addEventListener("submit", (e) => {
+            e.preventDefault()
+            this.createToken()
+        })
+
+        this.copyTokenButton.addEventListener("click", async () => {
+            try {
+                await navigator.clipboard.writeText(this.newTokenValue.textContent)
+                toastManager.show("Token copied to clipboard", "success")
+            } catch (error) {
+                toastManager.show("Could not copy the token, please copy it manually", "error")
+            }
+        })
+    }
+
+    /**
+     * Load tokens from the API
+     */
+    async loadTokens() {
+        try {
+            const { tokens, scopes } = await userService.getTokens()
+            this.tokens = tokens
+            this.scopes = scopes
+
+            this.renderScopes()
+            this.renderTokens()
+        } catch (error) {
+            toastManager.show("Failed to load API tokens", "error")
+        }
+    }
+
+    /**
+     * Render the scope checkboxes of the token form
+     */
+    renderScopes() {
+        this.scopesContainer.innerHTML = ""
+
+        for (const { name, label } of this.scopes) {
+            const option = document.createElement("label")
+            option.className = "checkbox-label"
+            option.innerHTML = `<input type="checkbox" name="scopes" value="${name}" /> ${label}`
+            this.scopesContainer.appendChild(option)
+        }
+    }
+
+    /**
+     * Render the tokens table
+     */
+    renderTokens() {
+        this.tokensTableBody.innerHTML = ""
+        this.emptyState.classList.toggle("hidden", this.tokens.length > 0)
+
+        for (const token of this.tokens) {
+            const scopes = token.scopes.map((scope) => `<span class="role-badge scope-badge">${scope}</span>`)
+            const expired = token.isExpired ? `<span class="role-badge token-expired">Expired</span>` : ""
+
+            const row = document.createElement("tr")
+            row.innerHTML = `
+                <td>
+                    <span class="token-name"></span>
+                    <code class="token-prefix">${token.prefix}…</code>
+                </td>
+                <td class="token-owner"></td>
+                <td>${scopes.join(" ")}</td>
+                <td>${token.expiresAt ? formatDate(token.expiresAt) : "Never"} ${expired}</td>
+                <td>${token.lastUsedAt ? formatDate(token.lastUsedAt) : "Never"}</td>
+                <td>
+                    <div class="user-actions">
+                        <button class="action-button delete-button" title="Revoke">🗑️</button>
+                    </div>
+                </td>
+            `
+
+            // Names are chosen by users, so they are set as text
+            row.querySelector(".token-name").textContent = token.name
+            row.querySelector(".token-owner").textContent = token.username || "Unknown"
+
+            row.querySelector(".delete-button").addEventListener("click", () => this.revokeToken(token.id))
+
+            this.tokensTableBody.appendChild(row)
+        }
+    }
+
+    /**
+     * Show the token creation form
+     */
+    showTokenForm() {
+        this.tokenForm.reset()
+        this.tokenForm.classList.remove("hidden")
+        this.newToken.classList.add("hidden")
+        document.getElementById("token-name").focus()
+    }
+
+    /**
+     * Hide the token creation form
+     */
+    hideTokenForm() {
+        this.tokenForm.classList.add("hidden")
+    }
+
+    /**
+     * Create a token from the form and show its secret once
+     */
+    async createToken() {
+        const formData = new FormData(this.tokenForm)
+        const expiresOn = formData.get("expiresAt")
+
+        const tokenData = {
+            name: formData.get("name"),
+            scopes: formData.getAll("scopes"),
+            // The token stays valid until the end of the chosen day
+            expiresAt: expiresOn ? new Date(`${expiresOn}T23:59:59`).toISOString() : null,
+        }
+
+        if (tokenData.scopes.length === 0) {
+            toastManager.show("Select at least one scope", "error")
+            return
+        }
+
+        try {
+            const { token } = await userService.createToken(tokenData)
+
+            this.hideTokenForm()
+            this.newTokenValue.textContent = token
+            this.newToken.classList.remove("hidden")
+
+            toastManager.show("API token created", "success")
+            await this.loadTokens()
+        } catch (error) {
+            toastManager.show(`Error: ${error.message || "Failed to create API token"}`, "error")
+        }
+    }
+
+    /**
+     * Revoke a token after confirmation
+     * @param {string} tokenId - ID of the token
+     */
+    async revokeToken(tokenId) {
+        const token = this.tokens.find((t) => t.id === tokenId)
+        if (!token || !confirm(`Revoke the token "${token.name}"? Clients using it will lose access.`)) return
+
+        try {
+            await userService.revokeToken(tokenId)
+            toastManager.show("API token revoked", "success")
+            await this.loadTokens()
+        } catch (error) {
+            toastManager.show(`Error: ${error.message || "Failed to revoke API token"}`, "error")
+        }
+    }
+}
+
+// Export a singleton instance
+export const tokenManager = new TokenManager()
@@ -66,19 +66,32 @@ class UIManager {
      * @param {Object} user - User data to render
      * @param {Function} onEdit - Edit callback function
      * @param {Function} onDelete - Delete callback function
+     * @param {Function} [onResetTwoFactor] - Two-factor reset callback function
      */
-    addUserRow(user, onEdit, onDelete) {
+    addUserRow(user, onEdit, onDelete, onResetTwoFactor) {
         if (!this.usersTableBody) return
 
         const row = document.createElement("tr")
         row.innerHTML = `
             <td>${user.username}</td>
             <td>${user.email}</td>
-            <td><span class="role-badge role-${user.role}">${user.role}</span></td>
+            <td>
+                <span class="role-badge role-${user.role}">${user.role}</span>
+                ${
+                    user.twoFactorEnabled
+                        ? `<span class="role-badge two-factor-badge" title="Two-factor authentication enabled">2FA</span>`
+                        : ""
+                }
+            </td>
             <td>${formatDate(user.createdAt)}</td>
             <td>
                 <div class="user-actions">
                     <button class="action-button edit-button" data-id="${user.id}" title="Edit">✏️</button>
+                    ${
+                        user.twoFactorEnabled
+                            ? `<button class="action-button reset-2fa-button" data-id="${user.id}" title="Reset two-factor authentication">🔓</button>`
+                            : ""
+                    }
                     <button class="action-button delete-button" data-id="${user.id}" title="Delete">🗑️</button>
                 </div>
             </td>
@@ -96,6 +109,11 @@ class UIManager {
             deleteButton.addEventListener("click", () => onDelete(user.id))
         }
 
+        const resetTwoFactorButton = row.querySelector(".reset-2fa-button")
+        if (resetTwoFactorButton && onResetTwoFactor) {
+            resetTwoFactorButton.addEventListener("click", () => onResetTwoFactor(user.id))
+        }
+
         this.usersTableBody.appendChild(row)
     }
 
@@ -122,6 +122,92 @@ class UserService {
             throw error
         }
     }
+
+    /**
+     * Reset the two-factor authentication of a user
+     * @param {string} userId - ID of the user
+     * @returns {Promise<boolean>} Success status
+     */
+    async resetTwoFactor(userId) {
+        try {
+            const response = await fetch(`/api/users/${userId}/2fa`, { method: "DELETE" })
+            const data = await response.json()
+
+            if (data.success) {
+                return true
+            }
+            throw new Error(data.error || "Failed to reset two-factor authentication")
+        } catch (error) {
+            console.error("Error resetting two-factor authentication:", error)
+            throw error
+        }
+    }
+
+    /**
+     * Get API tokens and the scopes they can be granted
+     * @returns {Promise<Object>} { tokens, scopes }
+     */
+    async getTokens() {
+        try {
+            const response = await fetch("/api/tokens")
+            const data = await response.json()
+
+            if (data.success) {
+                return { tokens: data.data, scopes: data.scopes }
+            }
+            throw new Error(data.error || "Failed to fetch API tokens")
+        } catch (error) {
+            console.error("Error fetching API tokens:", error)
+            throw error
+        }
+    }
+
+    /**
+     * Create an API token for the current user
+     * @param {Object} tokenData - Token data ({ name, scopes, expiresAt })
+     * @returns {Promise<Object>} { token, data } - The secret token and the token data
+     */
+    async createToken(tokenData) {
+        try {
+            const response = await fetch("/api/tokens", {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                },
+                body: JSON.stringify(tokenData),
+            })
+
+            const data = await response.json()
+
+            if (data.success) {
+                return { token: data.token, data: data.data }
+            }
+            throw new Error(data.error || "Failed to create API token")
+        } catch (error) {
+            console.error("Error creating API token:", error)
+            throw error
+        }
+    }
+
+    /**
+     * Revoke an API token
+     * @param {string} tokenId - ID of the token to revoke
+     * @returns {Promise<boolean>} Success status
+     */
+    async revokeToken(tokenId) {
+        try {
+            const response = await fetch(`/api/tokens/${tokenId}`, { method: "DELETE" })
+            const data = await response.json()
+
+            if (data.success) {
+                return true
+            }
+            throw new Error(data.error || "Failed to revoke API token")
+        } catch (error) {
+            console.error("Error revoking API token:", error)
+            throw error
+        }
+    }
 }
 
 // Export a singleton instance
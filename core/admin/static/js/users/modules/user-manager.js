@@ -150,7 +150,8 @@ class UserManager {
             uiManager.addUserRow(
                 user,
                 (id) => this.editUser(id),
-                (id) => this.showDeleteConfirmation(id)
+                (id) => this.showDeleteConfirmation(id),
+                (id) => this.resetTwoFactor(id)
             )
         })
     }
@@ -264,6 +265,23 @@ class UserManager {
         this.currentUserData = null
     }
 
+    /**
+     * Reset the two-factor authentication of a user who lost their device
+     * @param {string} userId - ID of the user
+     */
+    async resetTwoFactor(userId) {
+        const user = this.users.find((u) => u.id === userId)
+        if (!user || !confirm(`Reset two-factor authentication for ${user.username}?`)) return
+
+        try {
+            await userService.resetTwoFactor(userId)
+            toastManager.show("Two-factor authentication reset", "success")
+            await this.loadUsers()
+        } catch (error) {
+            toastManager.show(`Error: ${error.message || "Failed to reset two-factor authentication"}`, "error")
+        }
+    }
+
     /**
      * Confirm user deletion
      */
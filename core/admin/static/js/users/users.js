@@ -2,8 +2,12 @@
  * Users Management Main Entry Point
  */
 import { userManager } from "./modules/user-manager.js"
+import { tokenManager } from "./modules/token-manager.js"
 
 document.addEventListener("DOMContentLoaded", function () {
     // Initialize the user manager
     userManager.init()
+
+    // Initialize the API token manager
+    tokenManager.init()
 })
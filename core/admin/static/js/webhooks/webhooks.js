@@ -0,0 +1,330 @@
+/**
+ * Webhooks Page
+ * Manages webhook endpoints and shows their delivery log
+ */
+
+document.addEventListener("DOMContentLoaded", function () {
+    const form = document.getElementById("webhookForm")
+    const eventsList = document.getElementById("webhookEvents")
+    const allEventsInput = document.getElementById("webhookAllEvents")
+    const secretPanel = document.getElementById("webhookSecret")
+    const endpointsBody = document.getElementById("webhooksTableBody")
+    const deliveriesBody = document.getElementById("deliveriesTableBody")
+    const deliveriesFilter = document.getElementById("deliveriesEndpoint")
+    const message = document.getElementById("webhooksMessage")
+
+    if (!form) return
+
+    let endpoints = []
+
+    loadEndpoints().then(loadDeliveries)
+
+    document.getElementById("addWebhook").addEventListener("click", () => showForm())
+    document.getElementById("cancelWebhookForm").addEventListener("click", () => (form.hidden = true))
+    document.getElementById("refreshDeliveries").addEventListener("click", loadDeliveries)
+    deliveriesFilter.addEventListener("change", loadDeliveries)
+
+    // Subscribing to all events replaces the individual events
+    allEventsInput.addEventListener("change", () => {
+        for (const input of eventsList.querySelectorAll("input")) input.disabled = allEventsInput.checked
+    })
+
+    document.getElementById("copyWebhookSecret").addEventListener("click", async () => {
+        try {
+            await navigator.clipboard.writeText(document.getElementById("webhookSecretValue").textContent)
+            showMessage("Secret copied to clipboard.", "success")
+        } catch (error) {
+            showMessage("Could not copy the secret, please copy it manually.", "danger")
+        }
+    })
+
+    // Create or update an endpoint
+    form.addEventListener("submit", async (event) => {
+        event.preventDefault()
+
+        const id = document.getElementById("webhookId").value
+        const events = allEventsInput.checked
+            ? ["*"]
+            : [...eventsList.querySelectorAll("input:checked")].map((input) => input.value)
+
+        const data = await request(id ? `/api/webhooks/${id}` : "/api/webhooks", id ? "PUT" : "POST", {
+            name: document.getElementById("webhookName").value,
+            url: document.getElementById("webhookUrl").value,
+            events,
+            active: document.getElementById("webhookActive").checked,
+        })
+        if (!data) return
+
+        form.hidden = true
+        showMessage(id ? "Webhook updated." : "Webhook created.", "success")
+        if (data.secret) showSecret(data.secret)
+        await loadEndpoints()
+    })
+
+    /**
+     * Load the endpoints and the events they can subscribe to
+     */
+    async function loadEndpoints() {
+        const result = await request("/api/webhooks", "GET")
+        if (!result) return
+
+        endpoints = result.data
+        renderEvents(result.events)
+        renderEndpoints()
+        renderDeliveriesFilter()
+    }
+
+    /**
+     * Render the event checkboxes of the form
+     * @param {Array<Object>} events - Events ({ name, label })
+     */
+    function renderEvents(events) {
+        eventsList.innerHTML = ""
+
+        for (const { name, label } of events) {
+            const option = document.createElement("label")
+            option.className = "checkbox-label"
+            option.innerHTML = `<input type="checkbox" value="${name}" /> ${label} <code>${name}</code>`
+            eventsList.appendChild(option)
+        }
+    }
+
+    /**
+     * Render the endpoints table
+     */
+    function renderEndpoints() {
+        endpointsBody.innerHTML = ""
+        document.getElementById("webhooksEmptyState").hidden = endpoints.length > 0
+
+        for (const endpoint of endpoints) {
+            const row = document.createElement("tr")
+            row.innerHTML = `
+                <td>
+                    <strong class="webhook-name"></strong>
+                    <div class="webhook-url"></div>
+                </td>
+                <td class="webhook-events-cell"></td>
+                <td>
+                    <span class="webhook-status ${endpoint.active ? "webhook-status-active" : ""}">
+                        ${endpoint.active ? "Active" : "Paused"}
+                    </span>
+                </td>
+                <td class="webhook-row-actions">
+                    <button type="button" class="btn btn-sm btn-outline" data-action="edit">Edit</button>
+                    <button type="button" class="btn btn-sm btn-outline" data-action="ping">Test</button>
+                    <button type="button" class="btn btn-sm btn-outline" data-action="rotate">New secret</button>
+                    <button type="button" class="btn btn-sm btn-danger" data-action="delete">Delete</button>
+                </td>
+            `
+
+            // Names and URLs are entered by users, so they are set as text
+            row.querySelector(".webhook-name").textContent = endpoint.name
+            row.querySelector(".webhook-url").textContent = endpoint.url
+            row.querySelector(".webhook-events-cell").textContent = endpoint.events.includes("*")
+                ? "All events"
+                : endpoint.events.join(", ")
+
+            row.querySelector('[data-action="edit"]').addEventListener("click", () => showForm(endpoint))
+            row.querySelector('[data-action="ping"]').addEventListener("click", () => pingEndpoint(endpoint))
+            row.querySelector('[data-action="rotate"]').addEventListener("click", () => rotateSecret(endpoint))
+            row.querySelector('[data-action="delete"]').addEventListener("click", () => deleteEndpoint(endpoint))
+
+            endpointsBody.appendChild(row)
+        }
+    }
+
+    /**
+     * Render the endpoint options of the delivery log filter
+     */
+    function renderDeliveriesFilter() {
+        const selected = deliveriesFilter.value
+        deliveriesFilter.length = 1
+
+        for (const endpoint of endpoints) {
+            deliveriesFilter.add(new Option(endpoint.name, endpoint.id, false, endpoint.id === selected))
+        }
+    }
+
+    /**
+     * Load and render the delivery log
+     */
+    async function loadDeliveries() {
+        const endpointId = deliveriesFilter.value
+        const result = await request(`/api/webhooks/deliveries${endpointId ? `?endpoint=${endpointId}` : ""}`, "GET")
+        if (!result) return
+
+        deliveriesBody.innerHTML = ""
+        document.getElementById("deliveriesEmptyState").hidden = result.data.length > 0
+
+        for (const delivery of result.data) {
+            const lastAttempt = delivery.attempts[delivery.attempts.length - 1]
+            const row = document.createElement("tr")
+            row.innerHTML = `
+                <td>${new Date(delivery.createdAt).toLocaleString()}</td>
+                <td><code>${delivery.event}</code></td>
+                <td class="delivery-endpoint"></td>
+                <td><span class="webhook-status delivery-${delivery.status}">${getStatusLabel(delivery)}</span></td>
+                <td class="delivery-attempt"></td>
+                <td>
+                    <button type="button" class="btn btn-sm btn-outline" data-action="redeliver">Redeliver</button>
+                </td>
+            `
+
+            row.querySelector(".delivery-endpoint").textContent = delivery.endpointName
+            const attemptCell = row.querySelector(".delivery-attempt")
+            attemptCell.textContent = lastAttempt
+                ? `${lastAttempt.error || `HTTP ${lastAttempt.statusCode}`} (${lastAttempt.duration}ms)`
+                : "Not attempted yet"
+
+            // Retries are scheduled after a failed attempt
+            if (delivery.nextAttemptAt && lastAttempt) {
+                attemptCell.title = `Next retry: ${new Date(delivery.nextAttemptAt).toLocaleString()}`
+            }
+
+            row.querySelector('[data-action="redeliver"]').addEventListener("click", () => redeliver(delivery))
+
+            deliveriesBody.appendChild(row)
+        }
+    }
+
+    /**
+     * Get the label of a delivery status
+     * @param {Object} delivery - Delivery
+     * @returns {string} Status label
+     */
+    function getStatusLabel(delivery) {
+        const attempts = `${delivery.attempts.length} attempt${delivery.attempts.length === 1 ? "" : "s"}`
+
+        if (delivery.status === "succeeded") return `Delivered (${attempts})`
+        if (delivery.status === "failed") return `Failed (${attempts})`
+        return delivery.attempts.length > 0 ? `Retrying (${attempts})` : "Pending"
+    }
+
+    /**
+     * Show the endpoint form, empty or filled with an endpoint to edit
+     * @param {Object} [endpoint] - Endpoint to edit
+     */
+    function showForm(endpoint = null) {
+        form.reset()
+        document.getElementById("webhookFormTitle").textContent = endpoint ? "Edit Webhook" : "Add Webhook"
+        document.getElementById("webhookId").value = endpoint?.id || ""
+        document.getElementById("webhookName").value = endpoint?.name || ""
+        document.getElementById("webhookUrl").value = endpoint?.url || ""
+        document.getElementById("webhookActive").checked = endpoint ? endpoint.active : true
+
+        const events = endpoint?.events || []
+        allEventsInput.checked = events.includes("*")
+        for (const input of eventsList.querySelectorAll("input")) {
+            input.checked = events.includes(input.value)
+            input.disabled = allEventsInput.checked
+        }
+
+        secretPanel.hidden = true
+        form.hidden = false
+        document.getElementById("webhookName").focus()
+    }
+
+    /**
+     * Send a test event to an endpoint
+     * @param {Object} endpoint - Endpoint
+     */
+    async function pingEndpoint(endpoint) {
+        const data = await request(`/api/webhooks/${endpoint.id}/ping`, "POST")
+        if (!data) return
+
+        showMessage(`Test event sent to ${endpoint.name}.`, "success")
+
+        // Give the endpoint a moment to answer before showing the result
+        setTimeout(loadDeliveries, 1500)
+    }
+
+    /**
+     * Replace the signing secret of an endpoint
+     * @param {Object} endpoint - Endpoint
+     */
+    async function rotateSecret(endpoint) {
+        if (!confirm(`Create a new secret for "${endpoint.name}"? The current secret stops working immediately.`))
+            return
+
+        const data = await request(`/api/webhooks/${endpoint.id}`, "PUT", { rotateSecret: true })
+        if (!data) return
+
+        showSecret(data.secret)
+    }
+
+    /**
+     * Delete an endpoint after confirmation
+     * @param {Object} endpoint - Endpoint
+     */
+    async function deleteEndpoint(endpoint) {
+        if (!confirm(`Delete the webhook "${endpoint.name}"? Pending retries are cancelled.`)) return
+
+        const data = await request(`/api/webhooks/${endpoint.id}`, "DELETE")
+        if (!data) return
+
+        showMessage("Webhook deleted.", "success")
+        await loadEndpoints()
+        await loadDeliveries()
+    }
+
+    /**
+     * Send the payload of a delivery again
+     * @param {Object} delivery - Delivery
+     */
+    async function redeliver(delivery) {
+        const data = await request(`/api/webhooks/deliveries/${delivery.id}/redeliver`, "POST")
+        if (!data) return
+
+        showMessage("Payload sent again.", "success")
+        setTimeout(loadDeliveries, 1500)
+    }
+
+    /**
+     * Show a signing secret once
+     * @param {string} secret - Signing secret
+     */
+    function showSecret(secret) {
+        document.getElementById("webhookSecretValue").textContent = secret
+        secretPanel.hidden = false
+    }
+
+    /**
+     * Call the webhooks API
+     * @param {string} url - Endpoint
+     * @param {string} method - HTTP method
+     * @param {Object} [body] - Request body
+     * @returns {Promise<Object|null>} Response body, or null on error (the error is shown)
+     */
+    async function request(url, method, body) {
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: body ? { "Content-Type": "application/json" } : {},
+                body: body ? JSON.stringify(body) : undefined,
+            })
+            const result = await response.json()
+
+            if (!result.success) {
+                showMessage(result.error || "Request failed", "danger")
+                return null
+            }
+
+            return result
+        } catch (error) {
+            console.error("Webhooks request failed:", error)
+            showMessage("An error occurred, please try again.", "danger")
+            return null
+        }
+    }
+
+    /**
+     * Show a message
+     * @param {string} text - Message
+     * @param {string} type - 'success' or 'danger'
+     */
+    function showMessage(text, type) {
+        message.textContent = text
+        message.className = `alert alert-${type}`
+        message.hidden = false
+    }
+})
@@ -1,3 +1,5 @@
+import { createContentOperations, enforceContentPermissions } from "../utils/content-operations.js"
+
 /**
  * Sets up API routes for content management
  * @param {Object} app - LiteNode app instance
@@ -10,10 +12,21 @@
  *                                 (e.g., refreshing active theme when site settings are updated)
  */
 export function setupContentApi(app, systems) {
-    const { contentManager, hookSystem, themeManager, settingsService, authenticate } = systems
+    const { contentManager, hookSystem, themeManager, settingsService, authManager, authenticate, authorize } = systems
+
+    // Capability checks on the post or page targeted by a request (own or others' content)
+    const getPostResource = (req) => contentManager.getPost(req.params.id)
+    const getPageResource = (req) => contentManager.getPage(req.params.id)
+    const canEditPost = authorize("edit_posts", { getResource: getPostResource })
+    const canDeletePost = authorize("delete_posts", { getResource: getPostResource })
+    const canEditPage = authorize("edit_pages", { getResource: getPageResource })
+    const canDeletePage = authorize("delete_pages", { getResource: getPageResource })
+
+    // Writes go through the operations shared with the GraphQL API, which run the same checks and hooks
+    const contentOperations = createContentOperations(systems)
 
     // Get all posts
-    app.get("/api/posts", authenticate, async (req, res) => {
+    app.get("/api/posts", authenticate, authorize("edit_posts"), async (req, res) => {
         try {
             const status = req.queryParams?.get("status")
             const limit = parseInt(req.queryParams?.get("limit") || "10")
@@ -23,7 +36,7 @@ export function setupContentApi(app, systems) {
 
             // Apply filters to the result (allows themes to modify the response)
             // Pass the request to the filter to allow access to query parameters
-            const filteredPosts = hookSystem.applyFilters("api_posts", posts, req)
+            const filteredPosts = await hookSystem.applyFiltersAsync("api_posts", posts, req)
 
             res.json({ success: true, data: filteredPosts })
         } catch (error) {
@@ -32,7 +45,7 @@ export function setupContentApi(app, systems) {
     })
 
     // Get a specific post
-    app.get("/api/posts/:id", authenticate, async (req, res) => {
+    app.get("/api/posts/:id", authenticate, authorize("edit_posts"), async (req, res) => {
         try {
             // Extract resolveRelated query parameter (default to true)
             const resolveRelated = req.queryParams?.get("resolveRelated") !== "false"
@@ -47,7 +60,7 @@ export function setupContentApi(app, systems) {
             }
 
             // Apply filters to the result
-            const filteredPost = hookSystem.applyFilters("api_post", post, req)
+            const filteredPost = await hookSystem.applyFiltersAsync("api_post", post, req)
 
             res.json({ success: true, data: filteredPost })
         } catch (error) {
@@ -56,103 +69,47 @@ export function setupContentApi(app, systems) {
     })
 
     // Create a new post
-    app.post("/api/posts", authenticate, async (req, res) => {
+    app.post("/api/posts", authenticate, authorize("edit_posts"), async (req, res) => {
         try {
-            const postData = req.body
+            const result = await contentOperations.createContent("post", req.body, req.user)
 
-            // Validate required fields
-            if (!postData.metadata.title || !postData.metadata.slug) {
-                return res.status(400).json({ success: false, error: "Title is required" })
+            if (!result.success) {
+                const { status, ...body } = result
+                return res.status(status).json(body)
             }
 
-            // Set the author to the current user if not provided
-            if (!postData.metadata.author && req.user) {
-                postData.author = req.user.username
-            }
-
-            // Check if a post with this slug already exists
-            const existingContent = await contentManager.getContentByProperty("post", "slug", postData.metadata.slug)
-
-            if (existingContent) {
-                return res.status(409).json({
-                    success: false,
-                    error: "A post with this slug already exists",
-                    code: "DUPLICATE_SLUG",
-                    slug: postData.metadata.slug,
-                })
-            }
-
-            // Apply filters to the post data before creation
-            const filteredPostData = hookSystem.applyFilters("api_create_post", postData)
-
-            const post = await contentManager.createPost(filteredPostData)
-
-            // Run action hook after post creation
-            hookSystem.doAction("post_created", post)
-
-            res.status(201).json({ success: true, id: post.id })
+            res.status(201).json({ success: true, id: result.item.id })
         } catch (error) {
             res.status(500).json({ success: false, error: error.message })
         }
     })
 
     // Update a post
-    app.put("/api/posts/:id", authenticate, async (req, res) => {
+    app.put("/api/posts/:id", authenticate, canEditPost, async (req, res) => {
         try {
-            const postData = req.body
-
-            // Only check for duplicate slug if it's been changed
-            if (postData.metadata.slug) {
-                // Check if another post with this slug already exists (excluding the current post)
-                const existingContent = await contentManager.getContentByProperty(
-                    "post",
-                    "slug",
-                    postData.metadata.slug
-                )
+            const result = await contentOperations.updateContent("post", req.params.id, req.body, req.user)
 
-                if (existingContent && existingContent.frontmatter.id !== req.params.id) {
-                    return res.status(409).json({
-                        success: false,
-                        error: "Another post with this slug already exists",
-                        code: "DUPLICATE_SLUG",
-                        slug: postData.metadata.slug,
-                    })
-                }
+            if (!result.success) {
+                const { status, ...body } = result
+                return res.status(status).json(body)
             }
 
-            // Apply filters to the post data before update
-            const filteredPostData = hookSystem.applyFilters("api_update_post", postData, req.params.id)
-
-            const post = await contentManager.updatePost(req.params.id, filteredPostData)
-
-            if (!post) {
-                return res.status(404).json({ success: false, error: "Post not found" })
-            }
-
-            // Run action hook after post update
-            hookSystem.doAction("post_updated", post)
-
-            res.json({ success: true, data: post })
+            res.json({ success: true, data: result.item })
         } catch (error) {
             res.status(500).json({ success: false, error: error.message })
         }
     })
 
     // Delete a post
-    app.delete("/api/posts/:id", authenticate, async (req, res) => {
+    app.delete("/api/posts/:id", authenticate, canDeletePost, async (req, res) => {
         try {
-            // Run action hook before post deletion
-            hookSystem.doAction("pre_post_delete", req.params.id)
+            const result = await contentOperations.deleteContent("post", req.params.id)
 
-            const success = await contentManager.deletePost(req.params.id)
-
-            if (!success) {
-                return res.status(404).json({ success: false, error: "Post not found" })
+            if (!result.success) {
+                const { status, ...body } = result
+                return res.status(status).json(body)
             }
 
-            // Run action hook after post deletion
-            hookSystem.doAction("post_deleted", req.params.id)
-
             res.json({ success: true })
         } catch (error) {
             res.status(500).json({ success: false, error: error.message })
@@ -160,7 +117,10 @@ export function setupContentApi(app, systems) {
     })
 
     // API endpoint for bulk post and page actions with optimized batching
-    app.post("/api/bulk/:contentType", authenticate, async (req, res) => {
+    // Unknown content types are rejected by the handler
+    const canEditContentType = authorize((req) => (req.params.contentType === "pages" ? "edit_pages" : "edit_posts"))
+
+    app.post("/api/bulk/:contentType", authenticate, canEditContentType, async (req, res) => {
         try {
             const { action, ids } = req.body
             const { contentType } = req.params
@@ -196,9 +156,10 @@ export function setupContentApi(app, systems) {
                 frontmatter.status = status
 
                 // Update the item
+                const options = { user: req.user?.username }
                 return contentType === "posts"
-                    ? await contentManager.updatePost(id, frontmatter)
-                    : await contentManager.updatePage(id, frontmatter)
+                    ? await contentManager.updatePost(id, frontmatter, options)
+                    : await contentManager.updatePage(id, frontmatter, options)
             }
 
             const deleteContent = async (id) => {
@@ -223,7 +184,7 @@ export function setupContentApi(app, systems) {
             }
 
             // Run pre-bulk operation hook
-            hookSystem.doAction("pre_bulk_operation", { contentType, action, ids })
+            await hookSystem.doActionAsync("pre_bulk_operation", { contentType, action, ids })
 
             // Process a single item
             const processItem = async (id) => {
@@ -240,6 +201,17 @@ export function setupContentApi(app, systems) {
                         }
                     }
 
+                    // Check the user's rights on this item (publishing and unpublishing need the publish capability)
+                    const isAllowed =
+                        action === "delete"
+                            ? authManager.can(req.user, `delete_${contentType}`, contentExists)
+                            : authManager.can(req.user, `edit_${contentType}`, contentExists) &&
+                              authManager.can(req.user, `publish_${contentType}`)
+
+                    if (!isAllowed) {
+                        return { id, success: false, error: "Forbidden" }
+                    }
+
                     // Call the appropriate action handler
                     const result = await actionHandlers[action](id)
 
@@ -252,11 +224,11 @@ export function setupContentApi(app, systems) {
                     } else {
                         // For update operations (publish/draft), result should be an object with the updated content
                         // Success means we got back a valid object with an id property
-                        isSuccess = result && typeof result === "object" && result.id
+                        isSuccess = Boolean(result && typeof result === "object" && result.id)
                     }
 
                     // Run per-item hook
-                    hookSystem.doAction(`bulk_${action}_item`, { contentType, id, result })
+                    await hookSystem.doActionAsync(`bulk_${action}_item`, { contentType, id, result })
 
                     return {
                         id,
@@ -305,7 +277,7 @@ export function setupContentApi(app, systems) {
             const success = errors.length === 0
 
             // Run post-bulk operation hook
-            hookSystem.doAction("post_bulk_operation", { contentType, action, results })
+            await hookSystem.doActionAsync("post_bulk_operation", { contentType, action, results })
 
             // Send response with detailed results
             res.json({
@@ -330,7 +302,7 @@ export function setupContentApi(app, systems) {
     })
 
     // Get all pages
-    app.get("/api/pages", authenticate, async (req, res) => {
+    app.get("/api/pages", authenticate, authorize("edit_pages"), async (req, res) => {
         try {
             const status = req.queryParams?.get("status")
 
@@ -338,7 +310,7 @@ export function setupContentApi(app, systems) {
 
             // Apply filters to the result
             // Pass the request to the filter to allow access to query parameters
-            const filteredPages = hookSystem.applyFilters("api_pages", pages, req)
+            const filteredPages = await hookSystem.applyFiltersAsync("api_pages", pages, req)
 
             res.json({ success: true, data: filteredPages })
         } catch (error) {
@@ -347,7 +319,7 @@ export function setupContentApi(app, systems) {
     })
 
     // Get a specific page
-    app.get("/api/pages/:id", authenticate, async (req, res) => {
+    app.get("/api/pages/:id", authenticate, authorize("edit_pages"), async (req, res) => {
         try {
             const page = await contentManager.getPage(req.params.id)
 
@@ -356,7 +328,7 @@ export function setupContentApi(app, systems) {
             }
 
             // Apply filters to the result
-            const filteredPage = hookSystem.applyFilters("api_page", page)
+            const filteredPage = await hookSystem.applyFiltersAsync("api_page", page)
 
             res.json({ success: true, data: filteredPage })
         } catch (error) {
@@ -365,185 +337,165 @@ export function setupContentApi(app, systems) {
     })
 
     // Create a new page
-    app.post("/api/pages", authenticate, async (req, res) => {
+    app.post("/api/pages", authenticate, authorize("edit_pages"), async (req, res) => {
         try {
-            const pageData = req.body
-
-            // Validate required fields
-            if (!pageData.metadata.title || !pageData.metadata.slug) {
-                return res.status(400).json({ success: false, error: "Title is required" })
-            }
+            const result = await contentOperations.createContent("page", req.body, req.user)
 
-            // Set the author to the current user if not provided
-            if (!pageData.metadata.author && req.user) {
-                pageData.author = req.user.username
+            if (!result.success) {
+                const { status, ...body } = result
+                return res.status(status).json(body)
             }
 
-            // Handle parent page for custom pages
-            if (pageData.metadata.pageType === "custom" && pageData.metadata.parentPage) {
-                // Validate that the parent page exists and is also a custom page
-                const parentPage = await contentManager.getContentByProperty(
-                    "page",
-                    "slug",
-                    pageData.metadata.parentPage
-                )
+            res.status(201).json({ success: true, id: result.item.id })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
 
-                if (!parentPage || parentPage.frontmatter.pageType !== "custom") {
-                    return res.status(400).json({
-                        success: false,
-                        error: "Parent page must be a valid custom page",
-                    })
-                }
+    // Update a page
+    app.put("/api/pages/:id", authenticate, canEditPage, async (req, res) => {
+        try {
+            const result = await contentOperations.updateContent("page", req.params.id, req.body, req.user)
 
-                // Check for circular references
-                if (pageData.metadata.slug === pageData.metadata.parentPage) {
-                    return res.status(400).json({
-                        success: false,
-                        error: "A page cannot be its own parent",
-                    })
-                }
+            if (!result.success) {
+                const { status, ...body } = result
+                return res.status(status).json(body)
             }
 
-            // Check if a page with this slug already exists
-            const existingContent = await contentManager.getContentByProperty("page", "slug", pageData.metadata.slug)
-
-            if (existingContent) {
-                return res.status(409).json({
-                    success: false,
-                    error: "A page with this slug already exists",
-                    code: "DUPLICATE_SLUG",
-                    slug: pageData.metadata.slug,
-                })
-            }
-
-            // Apply filters to the page data before creation
-            const filteredPageData = hookSystem.applyFilters("api_create_page", pageData)
+            res.json({ success: true, data: result.item })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
 
-            const page = await contentManager.createPage(filteredPageData)
+    // Delete a page
+    app.delete("/api/pages/:id", authenticate, canDeletePage, async (req, res) => {
+        try {
+            const result = await contentOperations.deleteContent("page", req.params.id)
 
-            // Run action hook after page creation
-            hookSystem.doAction("page_created", page)
+            if (!result.success) {
+                const { status, ...body } = result
+                return res.status(status).json(body)
+            }
 
-            res.status(201).json({ success: true, id: page.id })
+            res.json({ success: true })
         } catch (error) {
             res.status(500).json({ success: false, error: error.message })
         }
     })
 
-    // Update a page
-    app.put("/api/pages/:id", authenticate, async (req, res) => {
-        try {
-            const pageData = req.body
-
-            // Only check for duplicate slug if it's been changed
-            if (pageData.metadata.slug) {
-                // Check if another page with this slug already exists (excluding the current page)
-                const existingContent = await contentManager.getContentByProperty(
-                    "page",
-                    "slug",
-                    pageData.metadata.slug
-                )
+    // Revision history routes for posts and pages
+    // Every update is stored as a revision that can be listed, compared and restored
+    for (const contentType of ["posts", "pages"]) {
+        const singularType = contentType.slice(0, -1)
+        const label = singularType[0].toUpperCase() + singularType.slice(1)
 
-                if (existingContent && existingContent.frontmatter.id !== req.params.id) {
-                    return res.status(409).json({
-                        success: false,
-                        error: "Another page with this slug already exists",
-                        code: "DUPLICATE_SLUG",
-                        slug: pageData.metadata.slug,
-                    })
-                }
-            }
+        // Revisions are visible to, and can be restored by, the users allowed to edit the item
+        const canEditItem = authorize(`edit_${contentType}`, {
+            getResource: (req) => contentManager.getContent(req.params.id, singularType),
+        })
 
-            // Handle parent page for custom pages
-            if (pageData.metadata.pageType === "custom" && pageData.metadata.parentPage) {
-                // Validate that the parent page exists and is also a custom page
-                const parentPage = await contentManager.getContentByProperty(
-                    "page",
-                    "slug",
-                    pageData.metadata.parentPage
-                )
+        // List the revisions of a post or page (newest first)
+        app.get(`/api/${contentType}/:id/revisions`, authenticate, canEditItem, async (req, res) => {
+            try {
+                const item = await contentManager.getContent(req.params.id, singularType)
 
-                if (!parentPage || parentPage.frontmatter.pageType !== "custom") {
-                    return res.status(400).json({
-                        success: false,
-                        error: "Parent page must be a valid custom page",
-                    })
+                if (!item) {
+                    return res.status(404).json({ success: false, error: `${label} not found` })
                 }
 
-                // Check for circular references
-                if (pageData.metadata.slug === pageData.metadata.parentPage) {
-                    return res.status(400).json({
-                        success: false,
-                        error: "A page cannot be its own parent",
-                    })
-                }
+                const revisions = await contentManager.getRevisions(req.params.id, singularType)
 
-                // Check if current page is not already an ancestor of the proposed parent
-                let currentParent = parentPage
-                while (currentParent.frontmatter.parentPage) {
-                    const grandParent = await contentManager.getContentByProperty(
-                        "page",
-                        "slug",
-                        currentParent.frontmatter.parentPage
-                    )
-                    if (!grandParent) break
-
-                    if (grandParent.frontmatter.slug === pageData.metadata.slug) {
-                        return res.status(400).json({
-                            success: false,
-                            error: "This would create a circular parent relationship",
-                        })
-                    }
-                    currentParent = grandParent
-                }
+                // Apply filters to the result
+                const filteredRevisions = await hookSystem.applyFiltersAsync("api_revisions", revisions, req)
+
+                res.json({ success: true, data: filteredRevisions })
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message })
             }
+        })
 
-            // Apply filters to the page data before update
-            const filteredPageData = hookSystem.applyFilters("api_update_page", pageData, req.params.id)
+        // Get a specific revision with its full content
+        app.get(`/api/${contentType}/:id/revisions/:rev`, authenticate, canEditItem, async (req, res) => {
+            try {
+                const revision = await contentManager.getRevision(req.params.id, req.params.rev, singularType)
 
-            const page = await contentManager.updatePage(req.params.id, filteredPageData)
+                if (!revision) {
+                    return res.status(404).json({ success: false, error: "Revision not found" })
+                }
 
-            if (!page) {
-                return res.status(404).json({ success: false, error: "Page not found" })
+                res.json({ success: true, data: revision })
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message })
             }
+        })
+
+        // Compare a revision with another one (defaults to the previous revision)
+        // Example: /api/posts/123/revisions/5/diff?compare=2
+        app.get(`/api/${contentType}/:id/revisions/:rev/diff`, authenticate, canEditItem, async (req, res) => {
+            try {
+                const compareTo = req.queryParams?.get("compare")
+
+                const diff = await contentManager.compareRevisions(
+                    req.params.id,
+                    req.params.rev,
+                    compareTo,
+                    singularType
+                )
 
-            // Run action hook after page update
-            hookSystem.doAction("page_updated", page)
+                if (!diff) {
+                    return res.status(404).json({ success: false, error: "Revision not found" })
+                }
 
-            res.json({ success: true, data: page })
-        } catch (error) {
-            res.status(500).json({ success: false, error: error.message })
-        }
-    })
+                res.json({ success: true, data: diff })
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message })
+            }
+        })
+
+        // Restore a post or page to a previous revision
+        app.post(`/api/${contentType}/:id/revisions/:rev/restore`, authenticate, canEditItem, async (req, res) => {
+            try {
+                const { id, rev } = req.params
+
+                // Restoring a published revision publishes it again
+                const revision = await contentManager.getRevision(id, rev, singularType)
+                const permissionError = revision
+                    ? enforceContentPermissions(authManager, req.user, contentType, { ...revision.frontmatter })
+                    : null
+                if (permissionError) {
+                    return res.status(403).json({ success: false, error: permissionError })
+                }
 
-    // Delete a page
-    app.delete("/api/pages/:id", authenticate, async (req, res) => {
-        try {
-            // Run action hook before page deletion
-            hookSystem.doAction("pre_page_delete", req.params.id)
+                // Run action hook before restoring
+                await hookSystem.doActionAsync(`pre_${singularType}_restore`, id, rev)
 
-            const success = await contentManager.deletePage(req.params.id)
+                const item = await contentManager.restoreRevision(id, rev, singularType, {
+                    user: req.user?.username,
+                })
 
-            if (!success) {
-                return res.status(404).json({ success: false, error: "Page not found" })
-            }
+                if (!item) {
+                    return res.status(404).json({ success: false, error: `${label} or revision not found` })
+                }
 
-            // Run action hook after page deletion
-            hookSystem.doAction("page_deleted", req.params.id)
+                // A restore is an update, so run the same action hook
+                await hookSystem.doActionAsync(`${singularType}_updated`, item)
+                await hookSystem.doActionAsync(`${singularType}_restored`, item, rev)
 
-            res.json({ success: true })
-        } catch (error) {
-            res.status(500).json({ success: false, error: error.message })
-        }
-    })
+                res.json({ success: true, data: item })
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message })
+            }
+        })
+    }
 
     // Get site settings
-    app.get("/api/settings", authenticate, async (req, res) => {
+    app.get("/api/settings", authenticate, authorize("manage_settings"), async (req, res) => {
         try {
             const settings = await settingsService.getSettings()
 
             // Apply filters to the result
-            const filteredSettings = hookSystem.applyFilters("api_settings", settings)
+            const filteredSettings = await hookSystem.applyFiltersAsync("api_settings", settings)
 
             res.json({ success: true, data: filteredSettings })
         } catch (error) {
@@ -552,17 +504,17 @@ export function setupContentApi(app, systems) {
     })
 
     // Update site settings
-    app.put("/api/settings", authenticate, async (req, res) => {
+    app.put("/api/settings", authenticate, authorize("manage_settings"), async (req, res) => {
         try {
             const settingsData = req.body
 
             // Apply filters to the settings data before update
-            const filteredSettingsData = hookSystem.applyFilters("api_update_settings", settingsData)
+            const filteredSettingsData = await hookSystem.applyFiltersAsync("api_update_settings", settingsData)
 
             const settings = await settingsService.updateSettings(filteredSettingsData)
 
             // Run action hook after settings update
-            hookSystem.doAction("settings_updated", settings)
+            await hookSystem.doActionAsync("settings_updated", settings)
 
             // Check if the activeTheme changed and refresh ThemeManager if needed
             if (settingsData.activeTheme && themeManager) {
@@ -0,0 +1,85 @@
+import { parse, validate, execute, getOperationAST } from "graphql"
+import { createGraphqlSchema } from "../lib/graphql/graphql-schema.js"
+
+/**
+ * Sets up the GraphQL endpoint
+ * Queries on published content are public, drafts, media and mutations need a session or an API token
+ * @param {Object} app - LiteNode app instance
+ * @param {Object} systems - Core systems
+ */
+export function setupGraphqlApi(app, systems) {
+    const { hookSystem, optionalAuthenticate } = systems
+    const { schema, rootValue } = createGraphqlSchema(systems)
+
+    /**
+     * Parse, validate and execute a GraphQL request
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     * @param {Object} params - { query, variables, operationName }
+     */
+    const handleRequest = async (req, res, { query, variables, operationName }) => {
+        if (!query) {
+            return res.status(400).json({ errors: [{ message: "A query is required" }] })
+        }
+
+        let document
+        try {
+            document = parse(query)
+        } catch (syntaxError) {
+            return res.status(400).json({ errors: [syntaxError] })
+        }
+
+        const validationErrors = validate(schema, document)
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ errors: validationErrors })
+        }
+
+        // GET requests can be sent by links and images, so they can't change anything
+        if (req.method === "GET" && getOperationAST(document, operationName)?.operation === "mutation") {
+            return res.status(405).json({ errors: [{ message: "Mutations must be sent with POST" }] })
+        }
+
+        const result = await execute({
+            schema,
+            document,
+            rootValue,
+            contextValue: req,
+            variableValues: variables,
+            operationName,
+        })
+
+        // Apply filters to the result
+        const filteredResult = await hookSystem.applyFiltersAsync("api_graphql", result, req)
+
+        res.json(filteredResult)
+    }
+
+    // Example: POST /api/graphql { "query": "{ posts(limit: 5) { items { title slug } nextCursor } }" }
+    app.post("/api/graphql", optionalAuthenticate, async (req, res) => {
+        try {
+            await handleRequest(req, res, req.body || {})
+        } catch (error) {
+            res.status(500).json({ errors: [{ message: error.message }] })
+        }
+    })
+
+    // Example: GET /api/graphql?query={settings{siteTitle}}
+    app.get("/api/graphql", optionalAuthenticate, async (req, res) => {
+        try {
+            let variables
+            try {
+                variables = JSON.parse(req.queryParams?.get("variables") || "null")
+            } catch {
+                return res.status(400).json({ errors: [{ message: "Variables must be valid JSON" }] })
+            }
+
+            await handleRequest(req, res, {
+                query: req.queryParams?.get("query"),
+                variables,
+                operationName: req.queryParams?.get("operationName"),
+            })
+        } catch (error) {
+            res.status(500).json({ errors: [{ message: error.message }] })
+        }
+    })
+}
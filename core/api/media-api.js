@@ -1,22 +1,147 @@
+import { normalizeFolder, normalizeTags } from "../lib/store/utils/media-query-utils.js"
+import { getUploadPolicy, validateUpload, MAX_UPLOAD_SIZE } from "../lib/store/utils/upload-policy.js"
+
+// Media types that can be listed ('all' combines images and documents)
+const MEDIA_TYPES = ["image", "document", "all"]
+
 /**
  * Sets up API routes for media management
  * @param {Object} app - LiteNode app instance
  * @param {Object} options - Configuration options
  */
 export function setupMediaApi(app, systems) {
-    const { fileStorage, contentManager, authenticate } = systems
+    const { fileStorage, contentManager, hookSystem, settingsService, menuManager, authenticate, authorize } = systems
+
+    /**
+     * Collect the places searched for media references, besides posts and pages
+     * Plugins storing media elsewhere add their data with the media_reference_sources filter.
+     * @param {Object} req - The request
+     * @returns {Promise<Object>} Settings, menu items and extra sources
+     */
+    const getReferenceSources = async (req) => ({
+        settings: await settingsService.getSettings(),
+        menuItems: menuManager.getAllMenuItems(),
+        extra: await hookSystem.applyFiltersAsync("media_reference_sources", [], req),
+    })
 
-    // Get all media files
-    app.get("/api/media", authenticate, async (req, res) => {
+    // Get media files, optionally filtered and sorted
+    // Example: /api/media?type=all&folder=Blog/2024&tag=hero&q=beach&sort=date&order=desc
+    // (folder=/ lists the root folder, recursive=true includes subfolders)
+    app.get("/api/media", authenticate, authorize("upload_media"), async (req, res) => {
         try {
             const type = req.queryParams?.get("type") || "image"
 
-            if (type !== "image" && type !== "document") {
+            if (!MEDIA_TYPES.includes(type)) {
                 return res.status(400).json({ success: false, error: "Invalid media type" })
             }
 
-            const files = await fileStorage.getFiles(type)
+            const files = await fileStorage.queryFiles(type, {
+                folder: req.queryParams?.get("folder") || undefined,
+                recursive: req.queryParams?.get("recursive") === "true",
+                tag: req.queryParams?.get("tag") || undefined,
+                q: req.queryParams?.get("q") || undefined,
+                sort: req.queryParams?.get("sort") || undefined,
+                order: req.queryParams?.get("order") || undefined,
+            })
+
             res.json({ success: true, data: files })
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message })
+        }
+    })
+
+    // Get the virtual folders holding media files
+    app.get("/api/media/folders", authenticate, authorize("upload_media"), async (req, res) => {
+        try {
+            const type = req.queryParams?.get("type") || "all"
+
+            if (!MEDIA_TYPES.includes(type)) {
+                return res.status(400).json({ success: false, error: "Invalid media type" })
+            }
+
+            res.json({ success: true, data: await fileStorage.getFolders(type) })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Get the tags given to media files
+    app.get("/api/media/tags", authenticate, authorize("upload_media"), async (req, res) => {
+        try {
+            const type = req.queryParams?.get("type") || "all"
+
+            if (!MEDIA_TYPES.includes(type)) {
+                return res.status(400).json({ success: false, error: "Invalid media type" })
+            }
+
+            res.json({ success: true, data: await fileStorage.getTags(type) })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Move media files to a folder and change their tags in bulk
+    // Files keep their ID and URL, so the content referencing them is not affected
+    app.post("/api/media/organize", authenticate, authorize("manage_media"), async (req, res) => {
+        try {
+            const { ids, folder, tags, addTags, removeTags } = req.body || {}
+
+            if (!Array.isArray(ids) || ids.length === 0) {
+                return res.status(400).json({ success: false, error: "No media files selected" })
+            }
+
+            let result
+            try {
+                result = await fileStorage.organizeFiles(ids, { folder, tags, addTags, removeTags })
+            } catch (error) {
+                // Invalid folder or tag, no file was changed
+                return res.status(400).json({ success: false, error: error.message })
+            }
+
+            // Run action hook for each updated file
+            for (const file of result.updated) {
+                await hookSystem.doActionAsync("media_updated", file)
+            }
+
+            res.json({ success: true, data: result.updated, notFound: result.notFound })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Get the media files that no post, page, setting or menu uses
+    app.get("/api/media/orphans", authenticate, authorize("upload_media"), async (req, res) => {
+        try {
+            const { orphans, totalSize } = await fileStorage.findOrphans(contentManager, await getReferenceSources(req))
+
+            res.json({ success: true, data: orphans, totalSize })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Delete orphaned media files in bulk
+    // Files that became referenced since the report was made are skipped
+    app.post("/api/media/orphans/delete", authenticate, authorize("manage_media"), async (req, res) => {
+        try {
+            const { ids } = req.body || {}
+
+            if (!Array.isArray(ids) || ids.length === 0) {
+                return res.status(400).json({ success: false, error: "No media files selected" })
+            }
+
+            const { deleted, skipped, reclaimedSize } = await fileStorage.deleteOrphans(
+                ids,
+                contentManager,
+                await getReferenceSources(req)
+            )
+
+            // Run action hook for each deleted file
+            for (const file of deleted) {
+                await hookSystem.doActionAsync("media_deleted", file.id)
+            }
+
+            res.json({ success: true, deleted: deleted.map((file) => file.id), skipped, reclaimedSize })
         } catch (error) {
             res.status(500).json({ success: false, error: error.message })
         }
@@ -26,6 +151,7 @@ export function setupMediaApi(app, systems) {
     app.post(
         "/api/media/upload",
         authenticate,
+        authorize("upload_media"),
         async (req, res) => {
             try {
                 // Check if there are files in the request body
@@ -40,16 +166,14 @@ export function setupMediaApi(app, systems) {
                     return res.status(400).json({ success: false, error: "Invalid file data" })
                 }
 
-                // Determine file type based on contentType or filename extension
-                let type = "document"
-                if (fileData.contentType && fileData.contentType.startsWith("image/")) {
-                    type = "image"
-                } else {
-                    const imageExtensions = [".jpg", ".jpeg", ".png", ".gif", ".webp", ".svg", ".avif", ".ico"]
-                    const fileExt = fileData.filename.substring(fileData.filename.lastIndexOf(".")).toLowerCase()
-                    if (imageExtensions.includes(fileExt)) {
-                        type = "image"
-                    }
+                // Check the extension, size and content of the file against the upload policy of the settings
+                // The type (image or document) comes from the checked extension, not from the client
+                let type
+                try {
+                    const policy = getUploadPolicy(await settingsService.getSettings())
+                    type = validateUpload(fileData.body, fileData.filename, policy).type
+                } catch (error) {
+                    return res.status(400).json({ success: false, error: error.message })
                 }
 
                 // LiteNode internally uses 'meros' to handle multipart/form-data submissions.
@@ -67,17 +191,38 @@ export function setupMediaApi(app, systems) {
                 const altText = req.body.alt ? req.body.alt[0].body.toString() : ""
 
                 // Get width and height from form data if provided
+                // They are only kept for images the server can't read (the dimensions of the file win)
                 const width = req.body.width ? parseInt(req.body.width[0].body) : null
                 const height = req.body.height ? parseInt(req.body.height[0].body) : null
 
+                // EXIF data (GPS position, camera...) is removed from images unless keepExif is "true"
+                const keepExif = req.body.keepExif ? req.body.keepExif[0].body.toString() === "true" : false
+
+                // Folder and comma-separated tags to file the upload under
+                let organization
+                try {
+                    organization = {
+                        folder: normalizeFolder(req.body.folder ? req.body.folder[0].body.toString() : ""),
+                        tags: normalizeTags(req.body.tags ? req.body.tags[0].body.toString() : ""),
+                    }
+                } catch (error) {
+                    return res.status(400).json({ success: false, error: error.message })
+                }
+
                 // Prepare metadata object
                 const metadata = {
                     alt: altText,
                     ...(width && height ? { width, height } : {}), // Only add if both exist
+                    ...organization,
                 }
 
                 // Save the file with metadata
-                const fileInfo = await fileStorage.saveFile(fileData.body, fileData.filename, type, metadata)
+                const fileInfo = await fileStorage.saveFile(fileData.body, fileData.filename, type, metadata, {
+                    keepExif,
+                })
+
+                // Run action hook after upload
+                await hookSystem.doActionAsync("media_uploaded", fileInfo)
 
                 // Return success response
                 res.status(201).json({
@@ -89,11 +234,11 @@ export function setupMediaApi(app, systems) {
                 res.status(500).json({ success: false, error: error.message })
             }
         },
-        10
+        MAX_UPLOAD_SIZE
     )
 
     // Check if a media item has references
-    app.get("/api/media/:id/references", authenticate, async (req, res) => {
+    app.get("/api/media/:id/references", authenticate, authorize("upload_media"), async (req, res) => {
         try {
             const { id } = req.params
             const type = req.queryParams?.get("type") || "image"
@@ -117,7 +262,7 @@ export function setupMediaApi(app, systems) {
     })
 
     // Propagate metadata changes (alt text and caption) to referenced content
-    app.post("/api/media/:id/propagate-metadata", authenticate, async (req, res) => {
+    app.post("/api/media/:id/propagate-metadata", authenticate, authorize("manage_media"), async (req, res) => {
         try {
             const { id } = req.params
             const { oldAlt, newAlt, oldCaption, newCaption } = req.body
@@ -274,7 +419,7 @@ export function setupMediaApi(app, systems) {
     })
 
     // Get a specific media file by ID
-    app.get("/api/media/:id", authenticate, async (req, res) => {
+    app.get("/api/media/:id", authenticate, authorize("upload_media"), async (req, res) => {
         try {
             const { id } = req.params
             const file = await fileStorage.getFileById(id)
@@ -341,10 +486,19 @@ export function setupMediaApi(app, systems) {
     })
 
     // Update a media file's metadata
-    app.put("/api/media/:id", authenticate, async (req, res) => {
+    app.put("/api/media/:id", authenticate, authorize("manage_media"), async (req, res) => {
         try {
             const { id } = req.params
-            const { alt, caption } = req.body
+            const { alt, caption, folder, tags } = req.body
+
+            // Move the file or replace its tags first, an invalid value leaves the file unchanged
+            if (folder !== undefined || tags !== undefined) {
+                try {
+                    await fileStorage.organizeFiles([id], { folder, tags })
+                } catch (error) {
+                    return res.status(400).json({ success: false, error: error.message })
+                }
+            }
 
             const updatedFile = await fileStorage.updateFile(id, { alt, caption })
 
@@ -352,6 +506,9 @@ export function setupMediaApi(app, systems) {
                 return res.status(404).json({ success: false, error: "File not found" })
             }
 
+            // Run action hook after update
+            await hookSystem.doActionAsync("media_updated", updatedFile)
+
             res.json({ success: true, data: updatedFile })
         } catch (error) {
             res.status(500).json({ success: false, error: error.message })
@@ -359,7 +516,7 @@ export function setupMediaApi(app, systems) {
     })
 
     // Delete a media file
-    app.delete("/api/media/:id", authenticate, async (req, res) => {
+    app.delete("/api/media/:id", authenticate, authorize("manage_media"), async (req, res) => {
         try {
             const { id } = req.params
             const cleanReferences = req.queryParams?.get("clean") === "true"
@@ -381,6 +538,9 @@ export function setupMediaApi(app, systems) {
                 return res.status(404).json({ success: false, error: "File not found" })
             }
 
+            // Run action hook after deletion
+            await hookSystem.doActionAsync("media_deleted", id)
+
             res.json({
                 success: true,
                 referencesFound: referenced ? references.length : 0,
@@ -0,0 +1,77 @@
+/**
+ * Sets up API routes for plugin management
+ * @param {Object} app - LiteNode app instance
+ * @param {Object} systems - Core systems
+ */
+export function setupPluginApi(app, systems) {
+    const { pluginManager, hookSystem, authenticate, authorize } = systems
+
+    const canManagePlugins = authorize("manage_plugins")
+
+    // Get all plugins, including the ones added to the plugins directory since the last request
+    app.get("/api/plugins", authenticate, canManagePlugins, async (req, res) => {
+        try {
+            await pluginManager.discoverPlugins()
+
+            // Apply filters to the result
+            const plugins = await hookSystem.applyFiltersAsync("api_plugins", pluginManager.getPlugins(), req)
+
+            res.json({ success: true, data: plugins })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Enable a plugin (it is loaded right away)
+    app.post("/api/plugins/:name/enable", authenticate, canManagePlugins, async (req, res) => {
+        try {
+            // Throws if the plugin fails to load
+            const plugin = await pluginManager.enablePlugin(req.params.name)
+
+            if (!plugin) {
+                return res.status(404).json({ success: false, error: "Plugin not found" })
+            }
+
+            // Run action hook after the plugin is enabled
+            await hookSystem.doActionAsync("plugin_enabled", plugin)
+
+            res.json({ success: true, data: plugin })
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message })
+        }
+    })
+
+    // Disable a plugin (its hooks are removed, its routes and admin pages stop answering)
+    app.post("/api/plugins/:name/disable", authenticate, canManagePlugins, async (req, res) => {
+        try {
+            const plugin = await pluginManager.disablePlugin(req.params.name)
+
+            if (!plugin) {
+                return res.status(404).json({ success: false, error: "Plugin not found" })
+            }
+
+            // Run action hook after the plugin is disabled
+            await hookSystem.doActionAsync("plugin_disabled", plugin)
+
+            res.json({ success: true, data: plugin })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // List the registered hooks, with the plugin that added each callback
+    // Example: /api/hooks?type=filter
+    app.get("/api/hooks", authenticate, canManagePlugins, async (req, res) => {
+        try {
+            const type = req.queryParams?.get("type")
+
+            if (type && type !== "action" && type !== "filter") {
+                return res.status(400).json({ success: false, error: "Type must be 'action' or 'filter'" })
+            }
+
+            res.json({ success: true, data: hookSystem.getHooks(type || undefined) })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+}
@@ -0,0 +1,154 @@
+import { createHash } from "node:crypto"
+import { isPublished } from "../lib/content/utils/content-utils.js"
+
+// Largest page a client can request
+const MAX_LIMIT = 100
+
+/**
+ * Sets up the public, read-only content API for headless frontends
+ * Only published content is returned and no authentication is required
+ * @param {Object} app - LiteNode app instance
+ * @param {Object} systems - Core systems
+ */
+export function setupPublicApi(app, systems) {
+    const { contentManager, hookSystem } = systems
+
+    for (const contentType of ["post", "page"]) {
+        const pluralType = `${contentType}s`
+        const notFoundError = `${contentType === "post" ? "Post" : "Page"} not found`
+
+        // List published content
+        // Example: /api/public/v1/posts?category=news&tag=release&sort=-publishDate&limit=20&cursor=...
+        app.get(`/api/public/v1/${pluralType}`, async (req, res) => {
+            try {
+                const query = {
+                    category: req.queryParams?.get("category"),
+                    tag: req.queryParams?.get("tag"),
+                    author: req.queryParams?.get("author"),
+                    from: req.queryParams?.get("from"),
+                    to: req.queryParams?.get("to"),
+                    sort: req.queryParams?.get("sort") || undefined,
+                    limit: Math.min(Math.max(parseInt(req.queryParams?.get("limit") || "10") || 10, 1), MAX_LIMIT),
+                    cursor: req.queryParams?.get("cursor"),
+                }
+
+                let result
+                try {
+                    result = await contentManager.queryPublishedContent(contentType, query)
+                } catch (queryError) {
+                    return res.status(400).json({ success: false, error: queryError.message })
+                }
+
+                // Apply filters to the result (frontmatterOnly and properties shaping, theme changes)
+                const items = result.items.map(toPublicItem)
+                const data = await hookSystem.applyFiltersAsync(`api_public_${pluralType}`, items, req)
+
+                sendCachedJson(req, res, getLastModified(result.items), {
+                    success: true,
+                    data,
+                    total: result.total,
+                    limit: query.limit,
+                    nextCursor: result.nextCursor,
+                })
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message })
+            }
+        })
+
+        // Get a published item by its slug
+        app.get(`/api/public/v1/${pluralType}/:slug`, async (req, res) => {
+            try {
+                const item = await contentManager.getContentByProperty(contentType, "slug", req.params.slug)
+
+                if (!item || !isPublished(item.frontmatter)) {
+                    return res.status(404).json({ success: false, error: notFoundError })
+                }
+
+                // Apply filters to the result
+                const data = await hookSystem.applyFiltersAsync(`api_public_${contentType}`, toPublicItem(item), req)
+
+                sendCachedJson(req, res, getLastModified([item]), { success: true, data })
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message })
+            }
+        })
+    }
+}
+
+/**
+ * Keep only the public parts of a content item (no file paths)
+ * @param {Object} item - Parsed content item
+ * @returns {Object} { frontmatter, content }
+ */
+function toPublicItem({ frontmatter, content }) {
+    return { frontmatter, content }
+}
+
+/**
+ * Get the latest modification date of content items
+ * @param {Array<Object>} items - Content items
+ * @returns {Date|null} Latest date, or null if no item has a valid date
+ */
+function getLastModified(items) {
+    const times = items
+        .map(({ frontmatter }) => new Date(frontmatter.updatedAt || frontmatter.createdAt).getTime())
+        .filter((time) => !isNaN(time))
+
+    return times.length > 0 ? new Date(Math.max(...times)) : null
+}
+
+/**
+ * Send a JSON response with caching headers, or 304 Not Modified if the client copy is current
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Date|null} lastModified - Latest modification date of the content in the response
+ * @param {Object} body - Response body
+ */
+function sendCachedJson(req, res, lastModified, body) {
+    const etag = `"${createHash("sha1").update(JSON.stringify(body)).digest("base64url")}"`
+
+    // Content can be read from any site, and clients revalidate with the ETag on every request
+    res.setHeader("Access-Control-Allow-Origin", "*")
+    res.setHeader("Access-Control-Expose-Headers", "ETag")
+    res.setHeader("Cache-Control", "public, no-cache")
+    res.setHeader("ETag", etag)
+
+    if (lastModified) {
+        res.setHeader("Last-Modified", lastModified.toUTCString())
+    }
+
+    if (isNotModified(req, etag, lastModified)) {
+        res.writeHead(304)
+        res.end()
+        return
+    }
+
+    res.json(body)
+}
+
+/**
+ * Check the conditional request headers (If-None-Match takes precedence over If-Modified-Since)
+ * @param {Object} req - Request object
+ * @param {string} etag - Current ETag
+ * @param {Date|null} lastModified - Current modification date
+ * @returns {boolean} True if the client copy is current
+ */
+function isNotModified(req, etag, lastModified) {
+    const ifNoneMatch = req.headers["if-none-match"]
+
+    if (ifNoneMatch) {
+        return ifNoneMatch
+            .split(",")
+            .map((tag) => tag.trim().replace(/^W\//, ""))
+            .some((tag) => tag === etag || tag === "*")
+    }
+
+    const ifModifiedSince = req.headers["if-modified-since"]
+
+    if (ifModifiedSince && lastModified) {
+        // HTTP dates have a precision of one second
+        return Math.floor(lastModified.getTime() / 1000) <= Math.floor(new Date(ifModifiedSince).getTime() / 1000)
+    }
+
+    return false
+}
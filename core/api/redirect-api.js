@@ -0,0 +1,105 @@
+import { MATCH_TYPES, REDIRECT_STATUSES } from "../lib/redirect-manager.js"
+
+/**
+ * Sets up API routes for redirects
+ * @param {Object} app - LiteNode app instance
+ * @param {Object} systems - Core systems
+ */
+export function setupRedirectApi(app, systems) {
+    const { redirectManager, hookSystem, authenticate, authorize } = systems
+
+    const canManageRedirects = authorize("manage_settings")
+
+    // Get all redirects, with the match types and statuses they can use
+    app.get("/api/redirects", authenticate, canManageRedirects, async (req, res) => {
+        try {
+            // Apply filters to the result
+            const redirects = await hookSystem.applyFiltersAsync("api_redirects", redirectManager.getRedirects(), req)
+
+            res.json({ success: true, data: redirects, matchTypes: MATCH_TYPES, statuses: REDIRECT_STATUSES })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Find the redirect a URL would follow, without counting a hit
+    // Example: /api/redirects/test?url=/post/old-slug
+    app.get("/api/redirects/test", authenticate, canManageRedirects, async (req, res) => {
+        try {
+            const url = req.queryParams?.get("url") || ""
+
+            if (!url.startsWith("/")) {
+                return res.status(400).json({ success: false, error: "url must be a path starting with /" })
+            }
+
+            const match = redirectManager.match(url)
+
+            res.json({
+                success: true,
+                data: match ? { redirect: match.redirect, location: match.location } : null,
+            })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Create a redirect
+    app.post("/api/redirects", authenticate, canManageRedirects, async (req, res) => {
+        try {
+            const { source, target, matchType, status, note } = req.body || {}
+
+            // Throws if the redirect is invalid
+            const redirect = await redirectManager.createRedirect({ source, target, matchType, status, note })
+
+            // Run action hook after redirect creation
+            await hookSystem.doActionAsync("redirect_created", redirect)
+
+            res.status(201).json({ success: true, data: redirect })
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message })
+        }
+    })
+
+    // Update a redirect (set resetHits to reset its hit count)
+    app.put("/api/redirects/:id", authenticate, canManageRedirects, async (req, res) => {
+        try {
+            const { source, target, matchType, status, note, resetHits } = req.body || {}
+
+            // Throws if the redirect is invalid
+            const redirect = await redirectManager.updateRedirect(req.params.id, {
+                source,
+                target,
+                matchType,
+                status,
+                note,
+                resetHits,
+            })
+
+            if (!redirect) {
+                return res.status(404).json({ success: false, error: "Redirect not found" })
+            }
+
+            res.json({ success: true, data: redirect })
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message })
+        }
+    })
+
+    // Delete a redirect
+    app.delete("/api/redirects/:id", authenticate, canManageRedirects, async (req, res) => {
+        try {
+            const deleted = await redirectManager.deleteRedirect(req.params.id)
+
+            if (!deleted) {
+                return res.status(404).json({ success: false, error: "Redirect not found" })
+            }
+
+            // Run action hook after redirect deletion
+            await hookSystem.doActionAsync("redirect_deleted", req.params.id)
+
+            res.json({ success: true })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+}
@@ -0,0 +1,47 @@
+/**
+ * Sets up API routes for full-text search
+ * @param {Object} app - LiteNode app instance
+ * @param {Object} systems - Core systems
+ */
+export function setupSearchApi(app, systems) {
+    const { contentManager, hookSystem, authenticate, authorize } = systems
+
+    // Public search over published posts and pages
+    // Example: /api/search?q=markdown+editor&type=post&limit=10&offset=0
+    app.get("/api/search", async (req, res) => {
+        try {
+            const query = (req.queryParams?.get("q") || "").trim()
+            const type = req.queryParams?.get("type")
+            const limit = Math.min(parseInt(req.queryParams?.get("limit") || "10") || 10, 50)
+            const offset = Math.max(parseInt(req.queryParams?.get("offset") || "0") || 0, 0)
+
+            if (!query) {
+                return res.status(400).json({ success: false, error: "Search query (q) is required" })
+            }
+
+            if (type && type !== "post" && type !== "page") {
+                return res.status(400).json({ success: false, error: "Invalid type. Must be 'post' or 'page'." })
+            }
+
+            const { total, results } = contentManager.searchContent(query, { type, limit, offset })
+
+            // Apply filters to the results (allows themes to modify the response)
+            const filteredResults = await hookSystem.applyFiltersAsync("api_search", results, req)
+
+            res.json({ success: true, query, total, limit, offset, data: filteredResults })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Rebuild the search index (e.g. after editing content files by hand)
+    app.post("/api/search/reindex", authenticate, authorize("manage_settings"), async (req, res) => {
+        try {
+            const indexed = await contentManager.rebuildSearchIndex()
+
+            res.json({ success: true, indexed })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+}
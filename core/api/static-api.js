@@ -6,25 +6,20 @@ import { createStaticSiteCommand } from "../utils/static-generator.js"
  * @param {Object} systems - Core systems
  */
 export function setupStaticApi(app, systems) {
-    const { authenticate, settingsService } = systems
+    const { authenticate, authorize, settingsService, staticJobManager } = systems
 
     // Create the static site generator command
     const generateStaticSite = createStaticSiteCommand(app, systems)
 
     // Generate static site endpoint
-    app.post("/api/static/generate", authenticate, async (req, res) => {
+    app.post("/api/static/generate", authenticate, authorize("generate_static"), async (req, res) => {
         try {
-            // Only allow admins to generate static sites
-            if (req.user.role !== "admin") {
-                return res.status(403).json({
-                    success: false,
-                    error: "Only administrators can generate static sites",
-                })
-            }
-
             // Get options from request body
             const options = req.body || {}
 
+            // Incremental builds only re-render what changed since the last build
+            options.incremental = options.incremental === true || options.incremental === "true"
+
             // Get site settings (for default values and logging purposes)
             const settings = await settingsService.getSettings()
 
@@ -33,18 +28,15 @@ export function setupStaticApi(app, systems) {
                 options.baseUrl = settings.siteUrl || "/"
             }
 
-            // Start generation in background
-            const genPromise = generateStaticSite(options)
+            // Queue the generation, it runs in the background after the response
+            const job = staticJobManager.enqueue(options, generateStaticSite, { requestedBy: req.user.username })
 
-            // Immediately return success response
-            res.json({
+            res.status(202).json({
                 success: true,
-                message: "Static site generation started",
+                message: job.status === "queued" ? "Static site generation queued" : "Static site generation started",
                 options,
+                job,
             })
-
-            // Continue generation in background
-            await genPromise
         } catch (error) {
             console.error("Static site generation error:", error)
             res.status(500).json({
@@ -56,25 +48,26 @@ export function setupStaticApi(app, systems) {
     })
 
     // Get static site generation status
-    app.get("/api/static/status", authenticate, async (req, res) => {
+    app.get("/api/static/status", authenticate, authorize("generate_static"), async (req, res) => {
         try {
-            // Only allow admins to check status
-            if (req.user.role !== "admin") {
-                return res.status(403).json({
-                    success: false,
-                    error: "Only administrators can check static site generation status",
-                })
-            }
-
             // Get settings for reporting
             const settings = await settingsService.getSettings()
 
-            // For now we'll just return a simple status with settings info
-            // Future enhancement, track the status in a database or memory
+            // Report a specific job if requested, otherwise the active or the latest one
+            const jobId = req.queryParams?.get("job")
+            const job = jobId
+                ? staticJobManager.getJob(jobId)
+                : staticJobManager.getActiveJob() || staticJobManager.getJobs()[0] || null
+
+            if (jobId && !job) {
+                return res.status(404).json({ success: false, error: "Job not found" })
+            }
+
             res.json({
                 success: true,
-                status: "ready",
-                lastGenerated: new Date().toISOString(),
+                status: job ? job.status : "idle",
+                job,
+                lastGenerated: staticJobManager.getLastSuccessfulJob()?.finishedAt || null,
                 settings: {
                     staticOutputDir: settings.staticOutputDir || "_site",
                     siteUrl: settings.siteUrl || "/",
@@ -89,4 +82,53 @@ export function setupStaticApi(app, systems) {
             })
         }
     })
+
+    // Get the history of static site generation jobs (newest first)
+    app.get("/api/static/jobs", authenticate, authorize("generate_static"), async (req, res) => {
+        try {
+            res.json({ success: true, data: staticJobManager.getJobs() })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Get a single static site generation job
+    app.get("/api/static/jobs/:id", authenticate, authorize("generate_static"), async (req, res) => {
+        try {
+            const job = staticJobManager.getJob(req.params.id)
+
+            if (!job) {
+                return res.status(404).json({ success: false, error: "Job not found" })
+            }
+
+            res.json({ success: true, data: job })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Stream job updates as server-sent events
+    app.get("/api/static/events", authenticate, authorize("generate_static"), async (req, res) => {
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive",
+        })
+
+        const sendJob = (job) => res.write(`event: job\ndata: ${JSON.stringify(job)}\n\n`)
+
+        // Start with the current state so that clients don't miss a job that is already running
+        const currentJob = staticJobManager.getActiveJob() || staticJobManager.getJobs()[0]
+        if (currentJob) sendJob(currentJob)
+
+        const unsubscribe = staticJobManager.subscribe(sendJob)
+
+        // Keep the connection open through proxies
+        const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 30000)
+
+        req.on("close", () => {
+            clearInterval(heartbeat)
+            unsubscribe()
+        })
+    })
 }
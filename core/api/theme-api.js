@@ -1,4 +1,5 @@
 import { ThemeMarketplaceCDN } from "../lib/theme/modules/theme-marketplace-cdn.js"
+import { LINK_TYPES } from "../lib/global-menu-manager.js"
 
 // Initialize CDN marketplace instance
 const marketplace = new ThemeMarketplaceCDN({
@@ -12,16 +13,21 @@ const marketplace = new ThemeMarketplaceCDN({
  *   @param {Object} themeManager - Used for all theme operations (required)
  *   @param {Object} fileStorage - Used for theme upload functionality
  *   @param {Object} authenticate - Used to secure API endpoints
+ *   @param {Function} authorize - Used to restrict endpoints to users with a capability
  *   @param {Object} contentManager - Included for consistency with other API setups but not currently used
  *   @param {Object} settingsService - Included for consistency with other API setups but not currently used
  *                                     (theme settings are managed through themeManager)
  *   @param {Object} menuManager - Global menu manager for menu-related operations
  */
 export function setupThemeApi(app, systems) {
-    const { themeManager, fileStorage, contentManager, settingsService, authenticate, menuManager } = systems
+    const { themeManager, fileStorage, contentManager, settingsService, authenticate, authorize, menuManager } = systems
+
+    // Theme routes are for theme managers, menu routes for menu managers
+    const canManageThemes = authorize("manage_themes")
+    const canManageMenus = authorize("manage_menus")
 
     // Get all available themes
-    app.get("/api/themes", authenticate, async (req, res) => {
+    app.get("/api/themes", authenticate, canManageThemes, async (req, res) => {
         try {
             const themes = themeManager.getAvailableThemes()
             res.json({ success: true, data: themes })
@@ -31,6 +37,7 @@ export function setupThemeApi(app, systems) {
     })
 
     // Get active theme
+    // Not restricted to theme managers, the menu editor reads it too
     app.get("/api/themes/active", authenticate, async (req, res) => {
         try {
             const theme = themeManager.getActiveTheme()
@@ -41,7 +48,7 @@ export function setupThemeApi(app, systems) {
     })
 
     // Get specific theme by name
-    app.get("/api/themes/:themeName", authenticate, async (req, res) => {
+    app.get("/api/themes/:themeName", authenticate, canManageThemes, async (req, res) => {
         try {
             const { themeName } = req.params
 
@@ -62,7 +69,7 @@ export function setupThemeApi(app, systems) {
     })
 
     // Switch to a different theme
-    app.post("/api/themes/switch/:themeName", authenticate, async (req, res) => {
+    app.post("/api/themes/switch/:themeName", authenticate, canManageThemes, async (req, res) => {
         try {
             const themeName = req.body
 
@@ -86,7 +93,7 @@ export function setupThemeApi(app, systems) {
     })
 
     // Delete a theme
-    app.delete("/api/themes/:themeName", authenticate, async (req, res) => {
+    app.delete("/api/themes/:themeName", authenticate, canManageThemes, async (req, res) => {
         try {
             const { themeName } = req.params
 
@@ -119,7 +126,7 @@ export function setupThemeApi(app, systems) {
     })
 
     // Upload a new theme
-    app.post("/api/themes/upload", authenticate, async (req, res) => {
+    app.post("/api/themes/upload", authenticate, canManageThemes, async (req, res) => {
         try {
             // Check if there are files in the request body
             if (!req.body || !req.body.theme || !req.body.theme.length) {
@@ -183,7 +190,7 @@ export function setupThemeApi(app, systems) {
     // ========== CDN MARKETPLACE ENDPOINTS ==========
 
     // Get all themes from CDN marketplace
-    app.get("/api/themes/marketplace", authenticate, async (req, res) => {
+    app.get("/api/themes/marketplace", authenticate, canManageThemes, async (req, res) => {
         try {
             // Get query parameters using LiteNode's method
             const queryParams = req.queryParams || new URLSearchParams(req.url.split("?")[1] || "")
@@ -226,7 +233,7 @@ export function setupThemeApi(app, systems) {
     })
 
     // Get single theme details from CDN marketplace
-    app.get("/api/themes/marketplace/:themeName", authenticate, async (req, res) => {
+    app.get("/api/themes/marketplace/:themeName", authenticate, canManageThemes, async (req, res) => {
         try {
             const { themeName } = req.params
             const themeDetails = await marketplace.getThemeDetails(themeName)
@@ -249,7 +256,7 @@ export function setupThemeApi(app, systems) {
     })
 
     // Install theme from CDN marketplace
-    app.post("/api/themes/marketplace/install", authenticate, async (req, res) => {
+    app.post("/api/themes/marketplace/install", authenticate, canManageThemes, async (req, res) => {
         try {
             const { themeName } = req.body
 
@@ -325,7 +332,7 @@ export function setupThemeApi(app, systems) {
     })
 
     // Refresh themes without restarting
-    app.get("/api/themes/refresh", authenticate, async (req, res) => {
+    app.get("/api/themes/refresh", authenticate, canManageThemes, async (req, res) => {
         try {
             // Rediscover all themes
             await themeManager.discovery.discoverThemes()
@@ -353,7 +360,7 @@ export function setupThemeApi(app, systems) {
     })
 
     // Get theme categories/tags from CDN marketplace
-    app.get("/api/themes/marketplace/categories", authenticate, async (req, res) => {
+    app.get("/api/themes/marketplace/categories", authenticate, canManageThemes, async (req, res) => {
         try {
             const categories = await marketplace.getCategories()
 
@@ -371,7 +378,7 @@ export function setupThemeApi(app, systems) {
     })
 
     // Get marketplace metadata (CDN-specific)
-    app.get("/api/themes/marketplace/metadata", authenticate, async (req, res) => {
+    app.get("/api/themes/marketplace/metadata", authenticate, canManageThemes, async (req, res) => {
         try {
             const metadata = await marketplace.getMarketplaceMetadata()
 
@@ -390,7 +397,7 @@ export function setupThemeApi(app, systems) {
 
     // Check for updates on installed themes (CDN version)
     // Enhanced check-updates endpoint with better error handling
-    app.get("/api/themes/marketplace/check-updates", authenticate, async (req, res) => {
+    app.get("/api/themes/marketplace/check-updates", authenticate, canManageThemes, async (req, res) => {
         try {
             const installedThemes = themeManager.getAvailableThemes()
 
@@ -493,7 +500,7 @@ export function setupThemeApi(app, systems) {
 
     // Update a theme from CDN marketplace
     // Enhanced update endpoint with better error handling
-    app.post("/api/themes/marketplace/update", authenticate, async (req, res) => {
+    app.post("/api/themes/marketplace/update", authenticate, canManageThemes, async (req, res) => {
         try {
             const { themeName } = req.body
 
@@ -665,132 +672,290 @@ export function setupThemeApi(app, systems) {
     })
 
     // Changelog endpoint
-    app.get("/api/themes/marketplace/changelog/:themeName/:version?", authenticate, async (req, res) => {
-        try {
-            const { themeName, version } = req.params
-
-            if (!themeName) {
-                return res.status(400).json({
-                    success: false,
-                    error: "Theme name required",
-                })
-            }
-
-            // Get theme details from marketplace
-            let marketplaceTheme
+    app.get(
+        "/api/themes/marketplace/changelog/:themeName/:version?",
+        authenticate,
+        canManageThemes,
+        async (req, res) => {
             try {
-                marketplaceTheme = await marketplace.getThemeDetails(themeName)
-            } catch (error) {
-                console.error("Marketplace error:", error)
-                return res.status(503).json({
-                    success: false,
-                    error: "Unable to connect to marketplace",
-                    details: error.message,
-                })
-            }
-
-            if (!marketplaceTheme) {
-                return res.status(404).json({
-                    success: false,
-                    error: "Theme not found in marketplace",
-                })
-            }
+                const { themeName, version } = req.params
 
-            // Check if theme has changelog data
-            if (!marketplaceTheme.changelog || typeof marketplaceTheme.changelog !== "object") {
-                return res.json({
-                    success: true,
-                    data: {
-                        version: version || marketplaceTheme.version,
-                        changes: [],
-                        message: "No changelog available for this version",
-                    },
-                })
-            }
+                if (!themeName) {
+                    return res.status(400).json({
+                        success: false,
+                        error: "Theme name required",
+                    })
+                }
 
-            // If version is specified, get that specific version's changelog
-            if (version) {
-                const versionChanges = marketplaceTheme.changelog[version]
+                // Get theme details from marketplace
+                let marketplaceTheme
+                try {
+                    marketplaceTheme = await marketplace.getThemeDetails(themeName)
+                } catch (error) {
+                    console.error("Marketplace error:", error)
+                    return res.status(503).json({
+                        success: false,
+                        error: "Unable to connect to marketplace",
+                        details: error.message,
+                    })
+                }
 
-                if (!versionChanges) {
+                if (!marketplaceTheme) {
                     return res.status(404).json({
                         success: false,
-                        error: `No changelog found for version ${version}`,
+                        error: "Theme not found in marketplace",
                     })
                 }
 
-                return res.json({
-                    success: true,
-                    data: {
-                        version: version,
-                        changes: Array.isArray(versionChanges) ? versionChanges : [versionChanges],
-                        releaseDate: marketplaceTheme.releases?.[version]?.date || null,
-                    },
-                })
-            }
+                // Check if theme has changelog data
+                if (!marketplaceTheme.changelog || typeof marketplaceTheme.changelog !== "object") {
+                    return res.json({
+                        success: true,
+                        data: {
+                            version: version || marketplaceTheme.version,
+                            changes: [],
+                            message: "No changelog available for this version",
+                        },
+                    })
+                }
+
+                // If version is specified, get that specific version's changelog
+                if (version) {
+                    const versionChanges = marketplaceTheme.changelog[version]
 
-            // If no version specified, return changelog for the latest version
-            const latestVersion = marketplaceTheme.version
-            const latestChanges = marketplaceTheme.changelog[latestVersion]
+                    if (!versionChanges) {
+                        return res.status(404).json({
+                            success: false,
+                            error: `No changelog found for version ${version}`,
+                        })
+                    }
 
-            // Also get changes since the currently installed version if possible
-            let fullChangelog = []
-            let installedVersion = null
+                    return res.json({
+                        success: true,
+                        data: {
+                            version: version,
+                            changes: Array.isArray(versionChanges) ? versionChanges : [versionChanges],
+                            releaseDate: marketplaceTheme.releases?.[version]?.date || null,
+                        },
+                    })
+                }
 
-            try {
-                const installedThemes = themeManager.getAvailableThemes()
-                const installed = installedThemes.find(
-                    (t) => t.name === themeName || t.info.title === marketplaceTheme.title
-                )
-
-                if (installed && installed.info.version) {
-                    installedVersion = installed.info.version
-
-                    // Collect all changes since installed version
-                    const allVersions = Object.keys(marketplaceTheme.changelog).sort(marketplace.compareVersions)
-
-                    for (const ver of allVersions) {
-                        if (marketplace.compareVersions(ver, installedVersion) > 0) {
-                            const changes = marketplaceTheme.changelog[ver]
-
-                            fullChangelog.push({
-                                version: ver,
-                                changes: Array.isArray(changes) ? changes : [changes],
-                                releaseDate: marketplaceTheme.releases?.[ver]?.date || null,
-                            })
+                // If no version specified, return changelog for the latest version
+                const latestVersion = marketplaceTheme.version
+                const latestChanges = marketplaceTheme.changelog[latestVersion]
+
+                // Also get changes since the currently installed version if possible
+                let fullChangelog = []
+                let installedVersion = null
+
+                try {
+                    const installedThemes = themeManager.getAvailableThemes()
+                    const installed = installedThemes.find(
+                        (t) => t.name === themeName || t.info.title === marketplaceTheme.title
+                    )
+
+                    if (installed && installed.info.version) {
+                        installedVersion = installed.info.version
+
+                        // Collect all changes since installed version
+                        const allVersions = Object.keys(marketplaceTheme.changelog).sort(marketplace.compareVersions)
+
+                        for (const ver of allVersions) {
+                            if (marketplace.compareVersions(ver, installedVersion) > 0) {
+                                const changes = marketplaceTheme.changelog[ver]
+
+                                fullChangelog.push({
+                                    version: ver,
+                                    changes: Array.isArray(changes) ? changes : [changes],
+                                    releaseDate: marketplaceTheme.releases?.[ver]?.date || null,
+                                })
+                            }
                         }
                     }
+                } catch (error) {
+                    console.warn("Could not determine installed version:", error)
                 }
+
+                res.json({
+                    success: true,
+                    data: {
+                        latestVersion: latestVersion,
+                        installedVersion: installedVersion,
+                        latestChanges: Array.isArray(latestChanges) ? latestChanges : [latestChanges],
+                        fullChangelog: fullChangelog,
+                        hasChanges: fullChangelog.length > 0,
+                    },
+                })
             } catch (error) {
-                console.warn("Could not determine installed version:", error)
+                console.error("Changelog fetch error:", error)
+                res.status(500).json({
+                    success: false,
+                    error: "Failed to fetch changelog",
+                    details: error.message,
+                })
             }
+        }
+    )
+
+    // MENU API ROUTES - Now using the global menu manager
+    // Item routes work on the primary menu, or on the menu given by the menu query parameter
+    // Example: /api/menu?menu=footer-links
+
+    /**
+     * Get the menu an item route works on, answering with a 404 if it doesn't exist
+     * @param {Object} req - The request
+     * @param {Object} res - The response
+     * @returns {string|null} Menu ID, or null if the response was sent
+     */
+    const getRequestMenu = (req, res) => {
+        const menuId = req.queryParams?.get("menu") || "primary"
+
+        if (!menuManager.hasMenu(menuId)) {
+            res.status(404).json({ success: false, error: "Menu not found" })
+            return null
+        }
+
+        return menuId
+    }
+
+    // List the menus and the menu locations of the active theme
+    app.get("/api/menus", authenticate, canManageMenus, async (req, res) => {
+        try {
+            await menuManager.loadMenus()
+            const assignments = menuManager.getMenuLocations()
 
             res.json({
                 success: true,
                 data: {
-                    latestVersion: latestVersion,
-                    installedVersion: installedVersion,
-                    latestChanges: Array.isArray(latestChanges) ? latestChanges : [latestChanges],
-                    fullChangelog: fullChangelog,
-                    hasChanges: fullChangelog.length > 0,
+                    menus: menuManager.getMenus(),
+                    locations: themeManager
+                        .getMenuLocations()
+                        .map((location) => ({ ...location, menu: assignments[location.id] || null })),
                 },
             })
         } catch (error) {
-            console.error("Changelog fetch error:", error)
-            res.status(500).json({
-                success: false,
-                error: "Failed to fetch changelog",
-                details: error.message,
-            })
+            res.status(500).json({ success: false, error: error.message })
         }
     })
 
-    // MENU API ROUTES - Now using the global menu manager
+    // Create a menu
+    app.post("/api/menus", authenticate, canManageMenus, async (req, res) => {
+        try {
+            const menu = await menuManager.createMenu(req.body?.name)
+            res.status(201).json({ success: true, data: menu })
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message })
+        }
+    })
+
+    // Rename a menu
+    app.put("/api/menus/:menuId", authenticate, canManageMenus, async (req, res) => {
+        try {
+            if (!menuManager.hasMenu(req.params.menuId)) {
+                return res.status(404).json({ success: false, error: "Menu not found" })
+            }
+
+            let success
+            try {
+                success = await menuManager.renameMenu(req.params.menuId, req.body?.name)
+            } catch (error) {
+                return res.status(400).json({ success: false, error: error.message })
+            }
+
+            if (success) {
+                res.json({ success: true, message: "Menu renamed successfully" })
+            } else {
+                res.status(500).json({ success: false, error: "Failed to rename menu" })
+            }
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Delete a menu, the locations showing it are left empty
+    app.delete("/api/menus/:menuId", authenticate, canManageMenus, async (req, res) => {
+        try {
+            if (!menuManager.hasMenu(req.params.menuId)) {
+                return res.status(404).json({ success: false, error: "Menu not found" })
+            }
+
+            let success
+            try {
+                success = await menuManager.deleteMenu(req.params.menuId)
+            } catch (error) {
+                return res.status(400).json({ success: false, error: error.message })
+            }
+
+            if (success) {
+                res.json({ success: true, message: "Menu deleted successfully" })
+            } else {
+                res.status(500).json({ success: false, error: "Failed to delete menu" })
+            }
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Give menus to the menu locations ({ assignments: { location: menuId or null } })
+    app.put("/api/menu-locations", authenticate, canManageMenus, async (req, res) => {
+        try {
+            const assignments = req.body?.assignments
+
+            if (!assignments || typeof assignments !== "object" || Array.isArray(assignments)) {
+                return res.status(400).json({
+                    success: false,
+                    error: "assignments must be an object of location IDs and menu IDs",
+                })
+            }
+
+            let success
+            try {
+                success = await menuManager.assignMenuLocations(assignments)
+            } catch (error) {
+                return res.status(400).json({ success: false, error: error.message })
+            }
+
+            if (success) {
+                res.json({ success: true, message: "Menu locations updated successfully" })
+            } else {
+                res.status(500).json({ success: false, error: "Failed to update menu locations" })
+            }
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // List the content menu items can link to (?type=post|page|category|tag)
+    app.get("/api/menu/link-targets", authenticate, canManageMenus, async (req, res) => {
+        try {
+            const type = req.queryParams?.get("type")
+
+            if (!LINK_TYPES.includes(type)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `type must be one of: ${LINK_TYPES.join(", ")}`,
+                })
+            }
+
+            const targets = await menuManager.getLinkTargets()
+            const data = [...targets[type]]
+                .map(([id, target]) => ({ id, ...target }))
+                .sort((a, b) => String(a.title).localeCompare(String(b.title)))
+
+            res.json({ success: true, data })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
 
     // Get global menu
-    app.get("/api/menu", authenticate, async (req, res) => {
+    app.get("/api/menu", authenticate, canManageMenus, async (req, res) => {
         try {
-            const menu = await menuManager.loadMenu()
+            const menuId = getRequestMenu(req, res)
+            if (!menuId) return
+
+            // Items whose linked content is gone are flagged (missing: true) for the editor
+            const menu = await menuManager.enhanceMenuItems(await menuManager.loadMenu(menuId))
             res.json({ success: true, data: menu })
         } catch (error) {
             res.status(500).json({ success: false, error: error.message })
@@ -798,8 +963,11 @@ export function setupThemeApi(app, systems) {
     })
 
     // Update global menu
-    app.put("/api/menu", authenticate, async (req, res) => {
+    app.put("/api/menu", authenticate, canManageMenus, async (req, res) => {
         try {
+            const menuId = getRequestMenu(req, res)
+            if (!menuId) return
+
             const menuItems = req.body
 
             if (!Array.isArray(menuItems)) {
@@ -810,10 +978,10 @@ export function setupThemeApi(app, systems) {
             }
 
             // Enhance the menu items before saving
-            const enhancedMenuItems = menuManager.enhanceMenuItems(menuItems)
+            const enhancedMenuItems = await menuManager.enhanceMenuItems(menuItems)
 
             // Save the enhanced menu
-            const success = await menuManager.saveMenu(enhancedMenuItems)
+            const success = await menuManager.saveMenu(enhancedMenuItems, menuId)
 
             if (success) {
                 res.json({ success: true, message: "Menu updated successfully" })
@@ -829,20 +997,30 @@ export function setupThemeApi(app, systems) {
     })
 
     // Create menu item
-    app.post("/api/menu", authenticate, async (req, res) => {
+    app.post("/api/menu", authenticate, canManageMenus, async (req, res) => {
         try {
+            const menuId = getRequestMenu(req, res)
+            if (!menuId) return
+
             const menuItem = req.body
 
-            // Validate required fields
-            if (!menuItem.id || !menuItem.title || !menuItem.url) {
+            // Validate required fields (linked items resolve their URL at render time)
+            if (!menuItem.id || !menuItem.title || (!menuItem.linkType && !menuItem.url)) {
                 return res.status(400).json({
                     success: false,
-                    error: "Menu item must include id, title, and url",
+                    error: "Menu item must include id, title, and url (or a linkType and linkId)",
+                })
+            }
+
+            if (menuItem.linkType && (!LINK_TYPES.includes(menuItem.linkType) || !menuItem.linkId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Linked menu items need a linkId and a linkType among: ${LINK_TYPES.join(", ")}`,
                 })
             }
 
             // Create the menu item
-            const success = await menuManager.createMenuItem(menuItem)
+            const success = await menuManager.createMenuItem(menuItem, menuId)
 
             if (success) {
                 res.status(201).json({
@@ -861,13 +1039,16 @@ export function setupThemeApi(app, systems) {
     })
 
     // Update menu item
-    app.put("/api/menu/:itemId", authenticate, async (req, res) => {
+    app.put("/api/menu/:itemId", authenticate, canManageMenus, async (req, res) => {
         try {
+            const menuId = getRequestMenu(req, res)
+            if (!menuId) return
+
             const { itemId } = req.params
             const updates = req.body
 
             // Update the menu item
-            const success = await menuManager.updateMenuItem(itemId, updates)
+            const success = await menuManager.updateMenuItem(itemId, updates, menuId)
 
             if (success) {
                 res.json({ success: true, message: "Menu item updated successfully" })
@@ -883,12 +1064,15 @@ export function setupThemeApi(app, systems) {
     })
 
     // Delete menu item
-    app.delete("/api/menu/:itemId", authenticate, async (req, res) => {
+    app.delete("/api/menu/:itemId", authenticate, canManageMenus, async (req, res) => {
         try {
+            const menuId = getRequestMenu(req, res)
+            if (!menuId) return
+
             const { itemId } = req.params
 
             // Delete the menu item
-            const success = await menuManager.deleteMenuItem(itemId)
+            const success = await menuManager.deleteMenuItem(itemId, menuId)
 
             if (success) {
                 res.json({ success: true, message: "Menu item deleted successfully" })
@@ -904,8 +1088,11 @@ export function setupThemeApi(app, systems) {
     })
 
     // Reorder menu items
-    app.put("/api/menu/reorder", authenticate, async (req, res) => {
+    app.put("/api/menu/reorder", authenticate, canManageMenus, async (req, res) => {
         try {
+            const menuId = getRequestMenu(req, res)
+            if (!menuId) return
+
             const { orderedIds } = req.body
 
             if (!Array.isArray(orderedIds)) {
@@ -916,7 +1103,7 @@ export function setupThemeApi(app, systems) {
             }
 
             // Reorder the menu
-            const success = await menuManager.reorderMenuItems(orderedIds)
+            const success = await menuManager.reorderMenuItems(orderedIds, menuId)
 
             if (success) {
                 res.json({ success: true, message: "Menu reordered successfully" })
@@ -0,0 +1,112 @@
+/**
+ * Sets up API routes for API token management
+ * Tokens are managed from a login session, never with another token
+ * @param {Object} app - LiteNode app instance
+ * @param {Object} systems - Core systems
+ */
+export function setupTokenApi(app, systems) {
+    const { authManager, hookSystem, authenticate, requireSession } = systems
+
+    /**
+     * Check if the current user may see or change a token
+     * @param {Object} req - Request object
+     * @param {Object} token - Token
+     * @returns {boolean} True for the owner of the token and user managers
+     */
+    const canAccessToken = (req, token) => token.userId === req.user.id || authManager.can(req.user, "manage_users")
+
+    // Get API tokens (user managers see the tokens of every user)
+    app.get("/api/tokens", authenticate, requireSession, async (req, res) => {
+        try {
+            const canManageUsers = authManager.can(req.user, "manage_users")
+            const tokens = await authManager.getApiTokens(canManageUsers ? null : req.user.id)
+
+            // Add the username of the owners
+            const users = canManageUsers ? await authManager.getUsers() : [req.user]
+            const data = tokens.map((token) => ({
+                ...token,
+                username: users.find((user) => user.id === token.userId)?.username || null,
+            }))
+
+            // Apply filters to the result
+            const filteredTokens = await hookSystem.applyFiltersAsync("api_tokens", data, req)
+
+            res.json({ success: true, data: filteredTokens, scopes: authManager.getApiTokenScopes() })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Create an API token for the current user
+    // The secret token is only returned in this response
+    app.post("/api/tokens", authenticate, requireSession, async (req, res) => {
+        try {
+            const { name, scopes, expiresAt } = req.body || {}
+
+            // Throws if the name, scopes or expiry are invalid
+            const result = await authManager.createApiToken(req.user.id, { name, scopes, expiresAt })
+
+            // Run action hook after token creation (without the secret)
+            await hookSystem.doActionAsync("api_token_created", result.data)
+
+            res.status(201).json({ success: true, token: result.token, data: result.data })
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message })
+        }
+    })
+
+    // Get a specific API token
+    app.get("/api/tokens/:id", authenticate, requireSession, async (req, res) => {
+        try {
+            const token = await authManager.getApiToken(req.params.id)
+
+            if (!token || !canAccessToken(req, token)) {
+                return res.status(404).json({ success: false, error: "Token not found" })
+            }
+
+            res.json({ success: true, data: token })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Update the name, scopes or expiry of an API token
+    app.put("/api/tokens/:id", authenticate, requireSession, async (req, res) => {
+        try {
+            const token = await authManager.getApiToken(req.params.id)
+
+            if (!token || !canAccessToken(req, token)) {
+                return res.status(404).json({ success: false, error: "Token not found" })
+            }
+
+            const { name, scopes, expiresAt } = req.body || {}
+
+            // Throws if the name, scopes or expiry are invalid
+            const updatedToken = await authManager.updateApiToken(req.params.id, { name, scopes, expiresAt })
+
+            res.json({ success: true, data: updatedToken })
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message })
+        }
+    })
+
+    // Revoke an API token
+    app.delete("/api/tokens/:id", authenticate, requireSession, async (req, res) => {
+        try {
+            const token = await authManager.getApiToken(req.params.id)
+
+            if (!token || !canAccessToken(req, token)) {
+                return res.status(404).json({ success: false, error: "Token not found" })
+            }
+
+            await authManager.revokeApiToken(req.params.id)
+
+            // Run action hook after token revocation
+            await hookSystem.doActionAsync("api_token_revoked", token)
+
+            res.json({ success: true })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+}
@@ -1,10 +1,12 @@
+import { ACCOUNT_LOCKED, LOGIN_CHALLENGE_EXPIRED } from "../lib/auth/auth-manager.js"
+
 /**
  * Sets up API routes for user management
  * @param {Object} app - LiteNode app instance
  * @param {Object} options - Configuration options
  */
 export function setupUserApi(app, systems) {
-    const { authManager, authenticate } = systems
+    const { authManager, settingsService, authenticate, authorize, requireSession } = systems
 
     // Login endpoint
     app.post("/api/auth/login", async (req, res) => {
@@ -15,12 +17,21 @@ export function setupUserApi(app, systems) {
                 return res.status(400).json({ success: false, error: "Username and password are required" })
             }
 
-            const result = await authManager.authenticateUser(username, password)
+            // Administrators can be required to use two-factor authentication
+            const settings = await settingsService.getSettings()
+            const result = await authManager.authenticateUser(username, password, {
+                requiredTwoFactorRoles: settings.requireAdminTwoFactor ? ["admin"] : [],
+            })
 
             if (!result) {
                 return res.status(401).json({ success: false, error: "Invalid username or password" })
             }
 
+            // The password is correct, the client must send a code to /api/auth/login/2fa
+            if (result.challengeToken) {
+                return res.json({ success: true, data: result })
+            }
+
             res.json({
                 success: true,
                 data: {
@@ -30,6 +41,32 @@ export function setupUserApi(app, systems) {
                 },
             })
         } catch (error) {
+            if (error.code === ACCOUNT_LOCKED) return sendLockout(res, error)
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Second login step for users with two-factor authentication
+    app.post("/api/auth/login/2fa", async (req, res) => {
+        try {
+            const { challengeToken, code } = req.body
+
+            if (!challengeToken || !code) {
+                return res.status(400).json({ success: false, error: "Challenge token and code are required" })
+            }
+
+            const result = await authManager.completeTwoFactorLogin(challengeToken, code)
+
+            if (!result) {
+                return res.status(401).json({ success: false, error: "Invalid verification code" })
+            }
+
+            res.json({ success: true, data: result })
+        } catch (error) {
+            if (error.code === ACCOUNT_LOCKED) return sendLockout(res, error)
+            if (error.code === LOGIN_CHALLENGE_EXPIRED) {
+                return res.status(401).json({ success: false, error: error.message })
+            }
             res.status(500).json({ success: false, error: error.message })
         }
     })
@@ -68,14 +105,110 @@ export function setupUserApi(app, systems) {
         }
     })
 
-    // Get all users
-    app.get("/api/users", authenticate, async (req, res) => {
+    // Get the two-factor authentication status of the current user
+    app.get("/api/users/me/2fa", authenticate, requireSession, async (req, res) => {
         try {
-            // Only admins can see all users
-            if (req.user?.role !== "admin") {
-                return res.status(403).json({ success: false, error: "Forbidden" })
+            const status = await authManager.getTwoFactorStatus(req.user.id)
+
+            if (!status) {
+                return res.status(404).json({ success: false, error: "User not found" })
+            }
+
+            res.json({ success: true, data: status })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Start enrolling the current user (returns the secret and provisioning URI)
+    app.post("/api/users/me/2fa/setup", authenticate, requireSession, async (req, res) => {
+        try {
+            const setup = await authManager.beginTwoFactorSetup(req.user.id)
+
+            if (!setup) {
+                return res.status(404).json({ success: false, error: "User not found" })
+            }
+
+            res.json({ success: true, data: setup })
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message })
+        }
+    })
+
+    // Confirm the enrollment with a first code (returns the recovery codes)
+    app.post("/api/users/me/2fa/enable", authenticate, requireSession, async (req, res) => {
+        try {
+            const recoveryCodes = await authManager.enableTwoFactor(req.user.id, req.body?.code)
+
+            if (!recoveryCodes) {
+                return res.status(400).json({ success: false, error: "Invalid verification code" })
+            }
+
+            res.json({ success: true, data: { recoveryCodes } })
+        } catch (error) {
+            if (error.code === ACCOUNT_LOCKED) return sendLockout(res, error)
+            res.status(400).json({ success: false, error: error.message })
+        }
+    })
+
+    // Replace the recovery codes of the current user
+    app.post("/api/users/me/2fa/recovery-codes", authenticate, requireSession, async (req, res) => {
+        try {
+            const recoveryCodes = await authManager.regenerateRecoveryCodes(req.user.id, req.body?.code)
+
+            if (!recoveryCodes) {
+                return res.status(400).json({ success: false, error: "Invalid verification code" })
             }
 
+            res.json({ success: true, data: { recoveryCodes } })
+        } catch (error) {
+            if (error.code === ACCOUNT_LOCKED) return sendLockout(res, error)
+            res.status(400).json({ success: false, error: error.message })
+        }
+    })
+
+    // Disable two-factor authentication for the current user (requires the password)
+    app.post("/api/users/me/2fa/disable", authenticate, requireSession, async (req, res) => {
+        try {
+            if (!(await authManager.verifyUserPassword(req.user.id, req.body?.password))) {
+                return res.status(403).json({ success: false, error: "Incorrect password" })
+            }
+
+            await authManager.disableTwoFactor(req.user.id)
+
+            res.json({ success: true })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Reset two-factor authentication for a user who lost their device
+    app.delete("/api/users/:id/2fa", authenticate, authorize("manage_users"), async (req, res) => {
+        try {
+            const success = await authManager.disableTwoFactor(req.params.id)
+
+            if (!success) {
+                return res.status(404).json({ success: false, error: "User not found" })
+            }
+
+            res.json({ success: true })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Get the roles users can have, with their capabilities
+    app.get("/api/roles", authenticate, authorize("manage_users"), async (req, res) => {
+        try {
+            res.json({ success: true, data: authManager.getRoles() })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Get all users
+    app.get("/api/users", authenticate, authorize("manage_users"), async (req, res) => {
+        try {
             const users = await authManager.getUsers()
             res.json({ success: true, data: users })
         } catch (error) {
@@ -86,8 +219,8 @@ export function setupUserApi(app, systems) {
     // Get a specific user
     app.get("/api/users/:id", authenticate, async (req, res) => {
         try {
-            // Only admins can see other users, or users can see themselves
-            if (req.user?.role !== "admin" && req.user?.id !== req.params.id) {
+            // Only user managers can see other users, or users can see themselves
+            if (!authManager.can(req.user, "manage_users") && req.user?.id !== req.params.id) {
                 return res.status(403).json({ success: false, error: "Forbidden" })
             }
 
@@ -104,13 +237,8 @@ export function setupUserApi(app, systems) {
     })
 
     // Create a new user
-    app.post("/api/users", authenticate, async (req, res) => {
+    app.post("/api/users", authenticate, authorize("manage_users"), async (req, res) => {
         try {
-            // Only admins can create users
-            if (req.user?.role !== "admin") {
-                return res.status(403).json({ success: false, error: "Forbidden" })
-            }
-
             const userData = req.body
 
             // Validate required fields
@@ -118,6 +246,10 @@ export function setupUserApi(app, systems) {
                 return res.status(400).json({ success: false, error: "Username, password, and email are required" })
             }
 
+            if (userData.role && !authManager.isValidRole(userData.role)) {
+                return res.status(400).json({ success: false, error: `Invalid role '${userData.role}'` })
+            }
+
             const user = await authManager.createUser(userData)
             res.status(201).json({ success: true, data: user })
         } catch (error) {
@@ -126,18 +258,22 @@ export function setupUserApi(app, systems) {
     })
 
     // Update a user
-    app.put("/api/users/:id", authenticate, async (req, res) => {
+    app.put("/api/users/:id", authenticate, requireSession, async (req, res) => {
         try {
-            // Only admins can update other users, or users can update themselves
-            if (req.user?.role !== "admin" && req.user?.id !== req.params.id) {
+            // Only user managers can update other users, or users can update themselves
+            if (!authManager.can(req.user, "manage_users") && req.user?.id !== req.params.id) {
                 return res.status(403).json({ success: false, error: "Forbidden" })
             }
 
-            // Only admins can change roles
-            if (req.body.role && req.user?.role !== "admin") {
+            // Only user managers can change roles
+            if (req.body.role && !authManager.can(req.user, "manage_users")) {
                 return res.status(403).json({ success: false, error: "Forbidden" })
             }
 
+            if (req.body.role && !authManager.isValidRole(req.body.role)) {
+                return res.status(400).json({ success: false, error: `Invalid role '${req.body.role}'` })
+            }
+
             const userData = req.body
             const user = await authManager.updateUser(req.params.id, userData)
 
@@ -152,16 +288,11 @@ export function setupUserApi(app, systems) {
     })
 
     // Delete a user
-    app.delete("/api/users/:id", authenticate, async (req, res) => {
+    app.delete("/api/users/:id", authenticate, authorize("manage_users"), async (req, res) => {
         try {
             // Get the user id to delete from the request body
             const id = req.body
 
-            // Only admins can delete users
-            if (req.user?.role !== "admin") {
-                return res.status(403).json({ success: false, error: "Forbidden" })
-            }
-
             // Prevent users from deleting themselves
             if (req.user?.id === id) {
                 return res.status(400).json({ success: false, error: "Cannot delete your own account" })
@@ -179,3 +310,13 @@ export function setupUserApi(app, systems) {
         }
     })
 }
+
+/**
+ * Send the response of a login attempt on a locked out account
+ * @param {Object} res - Response object
+ * @param {Error} error - Lockout error (with retryAfter in seconds)
+ */
+function sendLockout(res, error) {
+    res.setHeader("Retry-After", String(error.retryAfter))
+    res.status(429).json({ success: false, error: error.message, retryAfter: error.retryAfter })
+}
@@ -0,0 +1,127 @@
+/**
+ * Sets up API routes for webhook endpoints and their delivery log
+ * @param {Object} app - LiteNode app instance
+ * @param {Object} systems - Core systems
+ */
+export function setupWebhookApi(app, systems) {
+    const { webhookManager, hookSystem, authenticate, authorize } = systems
+
+    const canManageWebhooks = authorize("manage_settings")
+
+    // Get all endpoints and the events they can subscribe to
+    app.get("/api/webhooks", authenticate, canManageWebhooks, async (req, res) => {
+        try {
+            // Apply filters to the result
+            const endpoints = await hookSystem.applyFiltersAsync("api_webhooks", webhookManager.getEndpoints(), req)
+
+            res.json({ success: true, data: endpoints, events: webhookManager.getEvents() })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Create an endpoint
+    // The signing secret is only returned in this response
+    app.post("/api/webhooks", authenticate, canManageWebhooks, async (req, res) => {
+        try {
+            const { name, url, events, active } = req.body || {}
+
+            // Throws if the name, URL or events are invalid
+            const { endpoint, secret } = await webhookManager.createEndpoint({ name, url, events, active })
+
+            // Run action hook after endpoint creation (without the secret)
+            await hookSystem.doActionAsync("webhook_created", endpoint)
+
+            res.status(201).json({ success: true, data: endpoint, secret })
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message })
+        }
+    })
+
+    // Get the delivery log, optionally for one endpoint
+    // Example: /api/webhooks/deliveries?endpoint=1a2b3c&limit=20
+    app.get("/api/webhooks/deliveries", authenticate, canManageWebhooks, async (req, res) => {
+        try {
+            const deliveries = webhookManager.getDeliveries({
+                endpointId: req.queryParams?.get("endpoint") || undefined,
+                limit: Math.min(parseInt(req.queryParams?.get("limit") || "50") || 50, 200),
+            })
+
+            res.json({ success: true, data: deliveries })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Send the payload of a delivery again
+    app.post("/api/webhooks/deliveries/:id/redeliver", authenticate, canManageWebhooks, async (req, res) => {
+        try {
+            const delivery = webhookManager.redeliver(req.params.id)
+
+            if (!delivery) {
+                return res.status(404).json({ success: false, error: "Delivery or endpoint not found" })
+            }
+
+            res.status(202).json({ success: true, data: delivery })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Update an endpoint (set rotateSecret to get a new signing secret)
+    app.put("/api/webhooks/:id", authenticate, canManageWebhooks, async (req, res) => {
+        try {
+            const { name, url, events, active, rotateSecret } = req.body || {}
+
+            // Throws if the name, URL or events are invalid
+            const result = await webhookManager.updateEndpoint(req.params.id, {
+                name,
+                url,
+                events,
+                active,
+                rotateSecret,
+            })
+
+            if (!result) {
+                return res.status(404).json({ success: false, error: "Webhook not found" })
+            }
+
+            res.json({ success: true, data: result.endpoint, ...(result.secret ? { secret: result.secret } : {}) })
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message })
+        }
+    })
+
+    // Delete an endpoint
+    app.delete("/api/webhooks/:id", authenticate, canManageWebhooks, async (req, res) => {
+        try {
+            const deleted = await webhookManager.deleteEndpoint(req.params.id)
+
+            if (!deleted) {
+                return res.status(404).json({ success: false, error: "Webhook not found" })
+            }
+
+            // Run action hook after endpoint deletion
+            await hookSystem.doActionAsync("webhook_deleted", req.params.id)
+
+            res.json({ success: true })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+
+    // Send a test event to an endpoint
+    app.post("/api/webhooks/:id/ping", authenticate, canManageWebhooks, async (req, res) => {
+        try {
+            const delivery = webhookManager.ping(req.params.id)
+
+            if (!delivery) {
+                return res.status(404).json({ success: false, error: "Webhook not found" })
+            }
+
+            res.status(202).json({ success: true, data: delivery })
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message })
+        }
+    })
+}
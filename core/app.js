@@ -8,19 +8,38 @@ import { setupMediaApi } from "./api/media-api.js"
 import { setupThemeApi } from "./api/theme-api.js"
 import { setupUserApi } from "./api/user-api.js"
 import { setupStaticApi } from "./api/static-api.js"
+import { setupSearchApi } from "./api/search-api.js"
+import { setupTokenApi } from "./api/token-api.js"
+import { setupPublicApi } from "./api/public-api.js"
+import { setupGraphqlApi } from "./api/graphql-api.js"
+import { setupPluginApi } from "./api/plugin-api.js"
+import { setupWebhookApi } from "./api/webhook-api.js"
+import { setupRedirectApi } from "./api/redirect-api.js"
 
 // Import core libraries
 import { ThemeManager } from "./lib/theme/theme-manager.js"
 import { ContentManager } from "./lib/content/content-manager.js"
 import { HookSystem } from "./lib/hooks.js"
 import { FileStorage } from "./lib/store/file-storage.js"
+import { getStorageOptions } from "./lib/store/adapters/storage-adapter.js"
 import { AuthManager } from "./lib/auth/auth-manager.js"
 import { SettingsService } from "./lib/settings-service.js"
 import { GlobalMenuManager } from "./lib/global-menu-manager.js"
+import { StaticJobManager } from "./lib/static-job-manager.js"
+import { PluginManager } from "./lib/plugins/plugin-manager.js"
+import { WebhookManager } from "./lib/webhook-manager.js"
+import { RedirectManager } from "./lib/redirect-manager.js"
 
 // Import utilities
 import { handle404, handle500 } from "./utils/route-utils.js"
-import { setupContentOptimizationHooks } from "./utils/hook-utils.js"
+import {
+    setupContentOptimizationHooks,
+    setupSearchIndexHooks,
+    setupWebhookHooks,
+    setupResponsiveImageHooks,
+    setupUploadUrlHooks,
+} from "./utils/hook-utils.js"
+import { createStaticSiteCommand } from "./utils/static-generator.js"
 
 // Global instances
 let themeManager
@@ -30,6 +49,10 @@ let fileStorage
 let authManager
 let settingsService
 let menuManager
+let staticJobManager
+let pluginManager
+let webhookManager
+let redirectManager
 
 export async function setupApp(app, config) {
     // Enable cookie parser
@@ -40,7 +63,8 @@ export async function setupApp(app, config) {
 
     // Initialize core systems in proper sequence
     hookSystem = new HookSystem()
-    fileStorage = new FileStorage(config.uploadsDir)
+    // Uploads are stored locally unless the config or the environment (STORAGE_DRIVER...) says otherwise
+    fileStorage = new FileStorage(config.uploadsDir, config.storage || getStorageOptions(process.env))
     authManager = new AuthManager(config.dataDir)
 
     // Initialize settings service first
@@ -55,10 +79,30 @@ export async function setupApp(app, config) {
     contentManager = new ContentManager(config.dataDir, app, settingsService)
     await contentManager.initialize()
 
+    // Menu items linking to content get its current URL and title
+    menuManager.setContentManager(contentManager)
+
+    // Old URLs of content whose slug or parent page changes redirect to the new ones
+    redirectManager = new RedirectManager(config.dataDir)
+    await redirectManager.initialize()
+    contentManager.setRedirectManager(redirectManager)
+
     // Finally initialize theme manager with settings service and menu manager
     themeManager = new ThemeManager(config.themesDir, settingsService, menuManager)
     await themeManager.initialize()
 
+    // Track static site generation jobs and their history
+    staticJobManager = new StaticJobManager(config.dataDir)
+    await staticJobManager.initialize()
+
+    // Send content, media and settings events to webhook endpoints
+    webhookManager = new WebhookManager(config.dataDir)
+    await webhookManager.initialize()
+
+    // Discover the plugins, they are loaded once the core routes are set up
+    pluginManager = new PluginManager(config.pluginsDir, config.dataDir)
+    await pluginManager.initialize()
+
     // Add security headers to all responses
     app.use(async (req, res) => {
         // Security headers
@@ -81,12 +125,43 @@ export async function setupApp(app, config) {
     // Example: /api/posts?frontmatterOnly=true&properties=id,title,slug
     setupContentOptimizationHooks(hookSystem)
 
-    // Set up authentication middleware
-    const authenticate = async (req, res) => {
+    // Keep the full-text search index up to date when content changes
+    setupSearchIndexHooks(hookSystem, contentManager)
+
+    // Notify webhook endpoints of content, media and settings changes
+    setupWebhookHooks(hookSystem, webhookManager)
+
+    // Give the images referenced in template data the srcset of their variants
+    setupResponsiveImageHooks(hookSystem, fileStorage)
+
+    // Point the uploads linked in content to their public URL (e.g. a CDN)
+    setupUploadUrlHooks(hookSystem, fileStorage)
+
+    // Identify the user of a request from its session or API token
+    const identifyUser = async (req) => {
         // Using LiteNode's cookie parser
         const token = req.headers.authorization?.split(" ")[1] || (await signedCookies.getCookie(req, "authToken"))
 
-        if (!token || !(await authManager.verifyToken(token))) {
+        if (authManager.isApiToken(token)) {
+            // Long-lived API tokens only give access to the API, within their scopes
+            const result = req.url.startsWith("/api") ? await authManager.verifyApiToken(token) : null
+            req.user = result?.user || null
+            req.apiToken = result?.apiToken || null
+        } else if (token && (await authManager.verifyToken(token))) {
+            req.user = await authManager.getUserFromToken(token)
+        }
+
+        // Expose the user's capabilities to admin templates and API clients
+        if (req.user) {
+            req.user.capabilities = authManager.getUserCapabilities(req.user)
+        }
+
+        return req.user || null
+    }
+
+    // Set up authentication middleware
+    const authenticate = async (req, res) => {
+        if (!(await identifyUser(req))) {
             if (req.url.startsWith("/api")) {
                 res.status(401).json({ error: "Unauthorized" })
                 return false
@@ -96,10 +171,39 @@ export async function setupApp(app, config) {
             }
         }
 
-        req.user = await authManager.getUserFromToken(token)
         return true
     }
 
+    // Authentication middleware for routes that also serve anonymous visitors
+    // Sets req.user when the request carries a valid session or API token
+    const optionalAuthenticate = async (req) => {
+        await identifyUser(req)
+        return true
+    }
+
+    // Reject API tokens on account routes (password, two-factor, tokens), which need a login session
+    const requireSession = async (req, res) => {
+        if (!req.apiToken) return true
+
+        res.status(403).json({ success: false, error: "This endpoint can't be used with an API token" })
+        return false
+    }
+
+    // Send requests matching a redirect to its target, before the frontend routes render anything
+    // Returns false once the redirect is sent, so routes and the not found handler stop there
+    const applyRedirects = async (req, res) => {
+        const match = redirectManager.match(req.url)
+        if (!match) return true
+
+        redirectManager.recordHit(match.redirect)
+        res.redirect(match.location, match.redirect.status)
+        return false
+    }
+
+    // Create capability middleware for routes, used after authenticate
+    // Example: app.put("/api/menu", authenticate, authorize("manage_menus"), handler)
+    const authorize = (capability, options) => authManager.createCapabilityMiddleware(capability, options)
+
     // Create a systems object to pass to route setup functions
     const systems = {
         themeManager,
@@ -109,10 +213,39 @@ export async function setupApp(app, config) {
         authManager,
         settingsService,
         menuManager,
+        staticJobManager,
+        pluginManager,
+        webhookManager,
+        redirectManager,
+        applyRedirects,
         authenticate,
+        optionalAuthenticate,
+        authorize,
+        requireSession,
         signedCookies,
     }
 
+    // Publish scheduled content when its publish date arrives
+    // The static build script disables it and publishes due content itself
+    if (config.enableScheduler !== false) {
+        const generateStaticSite = createStaticSiteCommand(app, systems)
+
+        contentManager.startScheduler(async (publishedItems) => {
+            for (const { item, contentType } of publishedItems) {
+                // Publishing is an update, so run the same action hooks as the API
+                await hookSystem.doActionAsync(`${contentType}_updated`, item)
+                await hookSystem.doActionAsync(`scheduled_${contentType}_published`, item)
+            }
+
+            // Optionally rebuild the static site so it includes the new content
+            const settings = await settingsService.getSettings()
+            if (settings.scheduledStaticRebuild) {
+                // Only the published items and the pages listing them need to be rendered again
+                staticJobManager.enqueue({ incremental: true }, generateStaticSite, { trigger: "schedule" })
+            }
+        })
+    }
+
     // Set up frontend routes (home, content, taxonomy, custom)
     setupFrontendRoutes(app, systems)
 
@@ -125,12 +258,26 @@ export async function setupApp(app, config) {
     setupMediaApi(app, systems)
     setupUserApi(app, systems)
     setupStaticApi(app, systems)
+    setupSearchApi(app, systems)
+    setupTokenApi(app, systems)
+    setupPublicApi(app, systems)
+    setupGraphqlApi(app, systems)
+    setupPluginApi(app, systems)
+    setupWebhookApi(app, systems)
+    setupRedirectApi(app, systems)
+
+    // Load the enabled plugins, a plugin that fails to load is reported and skipped
+    // Plugins get the core systems to add hooks, and helpers to add routes and admin pages
+    await pluginManager.loadPlugins(app, systems)
 
     // Set global not found handler
     app.notFound(async (req, res) => {
         if (req.url.startsWith("/api")) {
             res.status(404).json({ error: "Endpoint not found" })
         } else if (!req.url.startsWith("/aether")) {
+            // Paths no route matches can still be old URLs
+            if (!(await applyRedirects(req, res))) return
+
             // Use theme 404 handler for frontend routes
             await handle404(res, req, themeManager, settingsService)
         }
@@ -150,7 +297,7 @@ export async function setupApp(app, config) {
     })
 }
 
-// Export utility to get core systems (for plugins in the future)
+// Export utility to get core systems (for plugins)
 export function getCoreSystem(name) {
     switch (name) {
         case "hooks":
@@ -167,6 +314,14 @@ export function getCoreSystem(name) {
             return settingsService
         case "menu":
             return menuManager
+        case "static":
+            return staticJobManager
+        case "plugins":
+            return pluginManager
+        case "webhooks":
+            return webhookManager
+        case "redirects":
+            return redirectManager
         default:
             return null
     }
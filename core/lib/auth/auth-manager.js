@@ -1,10 +1,31 @@
 /**
  * Main AuthManager class that orchestrates all auth-related modules
  */
+import { randomBytes } from "node:crypto"
 import { UserManager } from "./modules/user-manager.js"
 import { SessionManager } from "./modules/session-manager.js"
 import { PasswordService } from "./modules/password-service.js"
 import { RateLimiter } from "./modules/rate-limiter.js"
+import { TwoFactorService } from "./modules/two-factor-service.js"
+import { ApiTokenManager } from "./modules/api-token-manager.js"
+import {
+    OWNERSHIP_CAPABILITIES,
+    getApiTokenScopes,
+    getRoleCapabilities,
+    getRoles,
+    isAllowedByScopes,
+    isValidRole,
+    isValidScope,
+} from "./utils/capabilities.js"
+
+// Time allowed to enter the two-factor code after the password (5 minutes)
+const LOGIN_CHALLENGE_LIFETIME = 5 * 60 * 1000
+
+// Error code of the attempts made while an account is locked out
+export const ACCOUNT_LOCKED = "ACCOUNT_LOCKED"
+
+// Error code of the second login step when its challenge has expired or is unknown
+export const LOGIN_CHALLENGE_EXPIRED = "LOGIN_CHALLENGE_EXPIRED"
 
 /**
  * Manages user authentication and permissions
@@ -18,11 +39,16 @@ export class AuthManager {
 
         // Initialize services
         this.passwordService = new PasswordService()
+        this.twoFactorService = new TwoFactorService()
+
+        // Logins waiting for their second factor (challenge token -> { userId, username, setupSecret, expiresAt })
+        this.loginChallenges = new Map()
 
         // Initialize managers with dependencies
         this.userManager = new UserManager(dataDir, this.passwordService)
         this.sessionManager = new SessionManager(dataDir)
         this.rateLimiter = new RateLimiter(dataDir)
+        this.apiTokenManager = new ApiTokenManager(dataDir)
 
         // Initialize
         this.initialize()
@@ -37,6 +63,7 @@ export class AuthManager {
             await this.userManager.initialize()
             await this.sessionManager.initialize()
             await this.rateLimiter.initialize()
+            await this.apiTokenManager.initialize()
 
             // Create default admin user if no users exist
             const users = await this.userManager.getUsers()
@@ -66,15 +93,21 @@ export class AuthManager {
 
     /**
      * Authenticate a user
+     * When the user has two-factor authentication enabled, or their role requires it, no session is
+     * created yet: the result holds a challenge token to pass to completeTwoFactorLogin with a code.
      * @param {string} username - Username
      * @param {string} password - Password
+     * @param {Object} [options] - Authentication options
+     * @param {Array<string>} [options.requiredTwoFactorRoles=[]] - Roles that must use two-factor authentication
      * @returns {Object|null} Authentication result or null if failed
      */
-    async authenticateUser(username, password) {
+    async authenticateUser(username, password, options = {}) {
+        const { requiredTwoFactorRoles = [] } = options
+
         // Check rate limiting first
         const rateLimitCheck = this.rateLimiter.checkRateLimit(username)
         if (rateLimitCheck.isLimited) {
-            throw new Error(rateLimitCheck.message)
+            throw createLockoutError(rateLimitCheck)
         }
 
         // Find the user
@@ -93,21 +126,325 @@ export class AuthManager {
             return null
         }
 
+        // The second factor is checked before resetting the login attempts,
+        // so that the password can't be used to get more code attempts
+        if (user.twoFactor?.enabled) {
+            const challenge = this.createLoginChallenge(user)
+            return { twoFactorRequired: true, challengeToken: challenge.token, expiresAt: challenge.expiresAt }
+        }
+
+        // Users whose role requires two-factor authentication enroll before their first session
+        if (requiredTwoFactorRoles.includes(user.role)) {
+            const secret = this.twoFactorService.generateSecret()
+            const challenge = this.createLoginChallenge(user, secret)
+
+            return {
+                twoFactorSetupRequired: true,
+                challengeToken: challenge.token,
+                expiresAt: challenge.expiresAt,
+                secret,
+                provisioningUri: this.twoFactorService.getProvisioningUri(secret, user.username),
+            }
+        }
+
+        return await this.startSession(user)
+    }
+
+    /**
+     * Complete a login with the second factor
+     * @param {string} challengeToken - Challenge token returned by authenticateUser
+     * @param {string} code - Code from the authenticator app, or a recovery code
+     * @returns {Object|null} Authentication result (with the recovery codes after an enrollment) or null if failed
+     * @throws {Error} LOGIN_CHALLENGE_EXPIRED if the challenge has expired, ACCOUNT_LOCKED during a lockout
+     */
+    async completeTwoFactorLogin(challengeToken, code) {
+        const challenge = this.getLoginChallenge(challengeToken)
+        if (!challenge) {
+            const error = new Error("Your login session has expired. Please log in again.")
+            error.code = LOGIN_CHALLENGE_EXPIRED
+            throw error
+        }
+
+        // Code attempts count as login attempts
+        const rateLimitCheck = this.rateLimiter.checkRateLimit(challenge.username)
+        if (rateLimitCheck.isLimited) {
+            this.loginChallenges.delete(challengeToken)
+            throw createLockoutError(rateLimitCheck)
+        }
+
+        const user = await this.userManager.getUserRecord(challenge.userId)
+        if (!user) {
+            this.loginChallenges.delete(challengeToken)
+            return null
+        }
+
+        let recoveryCodes = null
+
+        if (challenge.setupSecret) {
+            // Enrollment during login
+            const step = this.twoFactorService.verifyCode(challenge.setupSecret, code)
+            if (step === null) {
+                await this.rateLimiter.recordFailedAttempt(challenge.username)
+                return null
+            }
+
+            recoveryCodes = await this.saveTwoFactor(user, challenge.setupSecret, step)
+        } else if (!(await this.verifySecondFactor(user, code))) {
+            await this.rateLimiter.recordFailedAttempt(challenge.username)
+            return null
+        }
+
+        this.loginChallenges.delete(challengeToken)
+
+        const result = await this.startSession(user)
+        return recoveryCodes ? { ...result, recoveryCodes } : result
+    }
+
+    /**
+     * Get the public details of a pending two-factor login
+     * @param {string} challengeToken - Challenge token
+     * @returns {Object|null} { setup, secret, provisioningUri } or null if expired
+     */
+    getTwoFactorChallenge(challengeToken) {
+        const challenge = this.getLoginChallenge(challengeToken)
+        if (!challenge) {
+            return null
+        }
+
+        if (!challenge.setupSecret) {
+            return { setup: false }
+        }
+
+        return {
+            setup: true,
+            secret: challenge.setupSecret,
+            provisioningUri: this.twoFactorService.getProvisioningUri(challenge.setupSecret, challenge.username),
+        }
+    }
+
+    /**
+     * Create a pending two-factor login
+     * @param {Object} user - User record
+     * @param {string|null} [setupSecret=null] - Secret to enroll, for users who must set up two-factor authentication
+     * @returns {Object} Challenge ({ token, expiresAt })
+     */
+    createLoginChallenge(user, setupSecret = null) {
+        // Forget expired challenges
+        const now = Date.now()
+        for (const [token, challenge] of this.loginChallenges) {
+            if (challenge.expiresAt < now) this.loginChallenges.delete(token)
+        }
+
+        const token = randomBytes(32).toString("hex")
+        const expiresAt = now + LOGIN_CHALLENGE_LIFETIME
+
+        this.loginChallenges.set(token, { userId: user.id, username: user.username, setupSecret, expiresAt })
+
+        return { token, expiresAt }
+    }
+
+    /**
+     * Get a pending two-factor login
+     * @param {string} challengeToken - Challenge token
+     * @returns {Object|null} Challenge or null if not found or expired
+     */
+    getLoginChallenge(challengeToken) {
+        const challenge = this.loginChallenges.get(challengeToken)
+
+        if (!challenge || challenge.expiresAt < Date.now()) {
+            this.loginChallenges.delete(challengeToken)
+            return null
+        }
+
+        return challenge
+    }
+
+    /**
+     * Create a session for an authenticated user
+     * @param {Object} user - User record
+     * @returns {Object} Authentication result ({ user, token, expiresAt })
+     */
+    async startSession(user) {
         // Reset login attempts on successful authentication
-        await this.rateLimiter.resetAttempts(username)
+        await this.rateLimiter.resetAttempts(user.username)
 
         // Create a session
         const sessionData = await this.sessionManager.createSession(user.id)
 
-        // Return the session data and user info (without password)
-        const { passwordHash, ...safeUser } = user
+        // Return the session data and user info (without credentials)
         return {
-            user: safeUser,
+            user: await this.userManager.getUser(user.id),
             token: sessionData.token,
             expiresAt: sessionData.expiresAt,
         }
     }
 
+    /**
+     * Verify a code from the authenticator app or a recovery code, which is then used up
+     * @param {Object} user - User record with two-factor authentication enabled
+     * @param {string} code - Code entered by the user
+     * @returns {Promise<boolean>} True if the code is valid
+     */
+    async verifySecondFactor(user, code) {
+        const twoFactor = user.twoFactor
+
+        const step = this.twoFactorService.verifyCode(twoFactor.secret, code, twoFactor.lastUsedStep ?? null)
+        if (step !== null) {
+            await this.userManager.setTwoFactor(user.id, { ...twoFactor, lastUsedStep: step })
+            return true
+        }
+
+        const index = this.twoFactorService.findRecoveryCode(twoFactor.recoveryCodes, code)
+        if (index !== -1) {
+            const recoveryCodes = twoFactor.recoveryCodes.filter((hash, i) => i !== index)
+            await this.userManager.setTwoFactor(user.id, { ...twoFactor, recoveryCodes })
+            return true
+        }
+
+        return false
+    }
+
+    /**
+     * Enable two-factor authentication for a user
+     * @param {Object} user - User record
+     * @param {string} secret - Verified secret
+     * @param {number} step - Time step of the code used to verify the secret
+     * @returns {Promise<Array<string>>} Recovery codes, to show once to the user
+     */
+    async saveTwoFactor(user, secret, step) {
+        const recoveryCodes = this.twoFactorService.generateRecoveryCodes()
+
+        await this.userManager.setTwoFactor(user.id, {
+            enabled: true,
+            secret,
+            recoveryCodes: recoveryCodes.map((code) => this.twoFactorService.hashRecoveryCode(code)),
+            lastUsedStep: step,
+            enabledAt: new Date().toISOString(),
+        })
+
+        return recoveryCodes
+    }
+
+    /**
+     * Get the two-factor authentication status of a user
+     * @param {string} userId - User ID
+     * @returns {Object|null} { enabled, recoveryCodesRemaining, enabledAt } or null if the user doesn't exist
+     */
+    async getTwoFactorStatus(userId) {
+        const user = await this.userManager.getUserRecord(userId)
+        if (!user) {
+            return null
+        }
+
+        return {
+            enabled: Boolean(user.twoFactor?.enabled),
+            recoveryCodesRemaining: user.twoFactor?.enabled ? user.twoFactor.recoveryCodes.length : 0,
+            enabledAt: user.twoFactor?.enabledAt || null,
+        }
+    }
+
+    /**
+     * Start the two-factor enrollment of a signed in user
+     * @param {string} userId - User ID
+     * @returns {Object|null} { secret, provisioningUri } or null if the user doesn't exist
+     */
+    async beginTwoFactorSetup(userId) {
+        const user = await this.userManager.getUserRecord(userId)
+        if (!user) {
+            return null
+        }
+
+        if (user.twoFactor?.enabled) {
+            throw new Error("Two-factor authentication is already enabled")
+        }
+
+        const secret = this.twoFactorService.generateSecret()
+        await this.userManager.setTwoFactor(userId, { enabled: false, pendingSecret: secret })
+
+        return { secret, provisioningUri: this.twoFactorService.getProvisioningUri(secret, user.username) }
+    }
+
+    /**
+     * Finish the two-factor enrollment of a signed in user
+     * @param {string} userId - User ID
+     * @param {string} code - Code from the authenticator app
+     * @returns {Array<string>|null} Recovery codes, or null if the code is invalid
+     */
+    async enableTwoFactor(userId, code) {
+        const user = await this.userManager.getUserRecord(userId)
+        const pendingSecret = user?.twoFactor?.pendingSecret
+
+        if (!pendingSecret) {
+            throw new Error("Two-factor authentication setup has not been started")
+        }
+
+        const rateLimitCheck = this.rateLimiter.checkRateLimit(user.username)
+        if (rateLimitCheck.isLimited) {
+            throw createLockoutError(rateLimitCheck)
+        }
+
+        const step = this.twoFactorService.verifyCode(pendingSecret, code)
+        if (step === null) {
+            await this.rateLimiter.recordFailedAttempt(user.username)
+            return null
+        }
+
+        await this.rateLimiter.resetAttempts(user.username)
+        return await this.saveTwoFactor(user, pendingSecret, step)
+    }
+
+    /**
+     * Replace the recovery codes of a user
+     * @param {string} userId - User ID
+     * @param {string} code - Current code from the authenticator app
+     * @returns {Array<string>|null} New recovery codes, or null if the code is invalid
+     */
+    async regenerateRecoveryCodes(userId, code) {
+        const user = await this.userManager.getUserRecord(userId)
+
+        if (!user?.twoFactor?.enabled) {
+            throw new Error("Two-factor authentication is not enabled")
+        }
+
+        const rateLimitCheck = this.rateLimiter.checkRateLimit(user.username)
+        if (rateLimitCheck.isLimited) {
+            throw createLockoutError(rateLimitCheck)
+        }
+
+        const step = this.twoFactorService.verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? null)
+        if (step === null) {
+            await this.rateLimiter.recordFailedAttempt(user.username)
+            return null
+        }
+
+        await this.rateLimiter.resetAttempts(user.username)
+        return await this.saveTwoFactor(user, user.twoFactor.secret, step)
+    }
+
+    /**
+     * Disable two-factor authentication for a user
+     * @param {string} userId - User ID
+     * @returns {boolean} Success or failure
+     */
+    async disableTwoFactor(userId) {
+        return await this.userManager.setTwoFactor(userId, null)
+    }
+
+    /**
+     * Check the password of a user (e.g. to confirm a sensitive change)
+     * @param {string} userId - User ID
+     * @param {string} password - Password to check
+     * @returns {Promise<boolean>} True if the password matches
+     */
+    async verifyUserPassword(userId, password) {
+        const user = await this.userManager.getUserRecord(userId)
+        if (!user || !password) {
+            return false
+        }
+
+        return await this.passwordService.verifyPassword(password, user.passwordHash)
+    }
+
     /**
      * Verify an authentication token
      * @param {string} token - Authentication token
@@ -176,8 +513,9 @@ export class AuthManager {
         const success = await this.userManager.deleteUser(id)
 
         if (success) {
-            // Also remove all sessions for this user
+            // Also remove all sessions and API tokens for this user
             await this.sessionManager.invalidateUserSessions(id)
+            await this.apiTokenManager.revokeUserTokens(id)
         }
 
         return success
@@ -202,6 +540,187 @@ export class AuthManager {
         return await this.passwordService.verifyPassword(password, hash)
     }
 
+    /**
+     * Check if a bearer token is an API token rather than a session token
+     * @param {string} token - Bearer token
+     * @returns {boolean} True for API tokens
+     */
+    isApiToken(token) {
+        return this.apiTokenManager.isApiToken(token)
+    }
+
+    /**
+     * Verify an API token and get the user it acts for
+     * @param {string} token - API token
+     * @returns {Object|null} { user, apiToken } or null if the token is invalid, expired or its user was deleted
+     */
+    async verifyApiToken(token) {
+        const apiToken = await this.apiTokenManager.verifyToken(token)
+        if (!apiToken) {
+            return null
+        }
+
+        const user = await this.userManager.getUser(apiToken.userId)
+        return user ? { user, apiToken } : null
+    }
+
+    /**
+     * Create an API token
+     * @param {string} userId - ID of the user the token acts for
+     * @param {Object} tokenData - Token data ({ name, scopes, expiresAt })
+     * @returns {Object} { token, data } - The secret token is only available here
+     */
+    async createApiToken(userId, tokenData) {
+        return await this.apiTokenManager.createToken(userId, validateApiTokenData(tokenData))
+    }
+
+    /**
+     * Get API tokens
+     * @param {string} [userId] - Only return the tokens of this user
+     * @returns {Array} Tokens (without secrets)
+     */
+    async getApiTokens(userId = null) {
+        return await this.apiTokenManager.getTokens(userId)
+    }
+
+    /**
+     * Get an API token by ID
+     * @param {string} id - Token ID
+     * @returns {Object|null} Token or null if not found
+     */
+    async getApiToken(id) {
+        return await this.apiTokenManager.getToken(id)
+    }
+
+    /**
+     * Update the name, scopes or expiry of an API token
+     * @param {string} id - Token ID
+     * @param {Object} tokenData - Updated token data
+     * @returns {Object|null} Updated token or null if not found
+     */
+    async updateApiToken(id, tokenData) {
+        return await this.apiTokenManager.updateToken(id, validateApiTokenData(tokenData, true))
+    }
+
+    /**
+     * Revoke an API token
+     * @param {string} id - Token ID
+     * @returns {boolean} Success or failure
+     */
+    async revokeApiToken(id) {
+        return await this.apiTokenManager.revokeToken(id)
+    }
+
+    /**
+     * Get the scopes API tokens can have
+     * @returns {Array<Object>} Scopes ({ name, label })
+     */
+    getApiTokenScopes() {
+        return getApiTokenScopes()
+    }
+
+    /**
+     * Get the roles users can have
+     * @returns {Array<Object>} Roles ({ name, label, capabilities })
+     */
+    getRoles() {
+        return getRoles()
+    }
+
+    /**
+     * Check if a role exists
+     * @param {string} role - Role name
+     * @returns {boolean} True if the role exists
+     */
+    isValidRole(role) {
+        return isValidRole(role)
+    }
+
+    /**
+     * Get the capabilities of a user as a map, convenient for templates and clients
+     * @param {Object} user - User object
+     * @returns {Object} Capability -> true
+     */
+    getUserCapabilities(user) {
+        return Object.fromEntries(getRoleCapabilities(user?.role).map((capability) => [capability, true]))
+    }
+
+    /**
+     * Check if a user has a capability, optionally on a specific content item.
+     * Editing or deleting another user's content requires the matching "others" capability,
+     * and editing or deleting published content requires the publish capability.
+     * @param {Object} user - User object
+     * @param {string} capability - Capability (e.g. 'edit_posts', 'manage_media')
+     * @param {Object} [resource] - Content item the action applies to ({ author, status } or { frontmatter })
+     * @returns {boolean} True if the user is allowed
+     */
+    can(user, capability, resource = null) {
+        if (!user) return false
+
+        const capabilities = getRoleCapabilities(user.role)
+        if (!capabilities.includes(capability)) return false
+
+        if (!resource || !OWNERSHIP_CAPABILITIES[capability]) return true
+
+        const { author, status } = resource.frontmatter || resource
+
+        // Content of other users
+        if (author !== user.username && !capabilities.includes(OWNERSHIP_CAPABILITIES[capability])) {
+            return false
+        }
+
+        // Live content can only be changed by users allowed to publish it
+        const contentType = capability.split("_").pop()
+        if ((status === "published" || status === "scheduled") && !capabilities.includes(`publish_${contentType}`)) {
+            return false
+        }
+
+        return true
+    }
+
+    /**
+     * Check if the user of a request has a capability
+     * Requests made with an API token are also limited to the scopes of the token
+     * @param {Object} req - Request object (with user, and apiToken for token requests)
+     * @param {string} capability - Capability to check
+     * @param {Object|null} [resource=null] - Post or page the capability applies to
+     * @param {string} [method=req.method] - HTTP method the scopes are checked for (read-only scopes allow GET)
+     * @returns {boolean} True if the request is allowed
+     */
+    canRequest(req, capability, resource = null, method = req.method) {
+        const isAllowedByToken = !req.apiToken || isAllowedByScopes(req.apiToken.scopes, capability, method)
+
+        return isAllowedByToken && this.can(req.user, capability, resource)
+    }
+
+    /**
+     * Creates a middleware function that rejects requests from users lacking a capability.
+     * Must run after the authentication middleware, which sets req.user.
+     * @param {string|Function} capability - Capability, or function returning it from the request
+     * @param {Object} options - Middleware options
+     * @param {Function} [options.getResource] - Async function returning the content item targeted by the request
+     * @returns {Function} Middleware function compatible with LiteNode
+     */
+    createCapabilityMiddleware(capability, options = {}) {
+        return async (req, res) => {
+            const requiredCapability = typeof capability === "function" ? capability(req) : capability
+
+            // Missing resources are left to the route handler, which answers with a 404
+            const resource = options.getResource ? await options.getResource(req) : null
+
+            if (this.canRequest(req, requiredCapability, resource)) {
+                return true
+            }
+
+            if (req.url.startsWith("/api")) {
+                res.status(403).json({ success: false, error: "Forbidden", capability: requiredCapability })
+            } else {
+                res.redirect("/aether")
+            }
+            return false
+        }
+    }
+
     /**
      * Creates a middleware function that adds edit permission data to the request object
      * @param {Object} signedCookies - The signedCookies utility
@@ -224,9 +743,9 @@ export class AuthManager {
                     const isValidToken = await this.verifyToken(token)
                     if (isValidToken) {
                         req.currentUser = await this.getUserFromToken(token)
-                        // User must be admin or editor to edit content
+                        // User must be allowed to edit content
                         req.isEditable =
-                            req.currentUser && (req.currentUser.role === "admin" || req.currentUser.role === "editor")
+                            this.can(req.currentUser, "edit_posts") || this.can(req.currentUser, "edit_pages")
                     }
                 }
             } catch (error) {
@@ -236,3 +755,58 @@ export class AuthManager {
         }
     }
 }
+
+/**
+ * Create the error thrown while an account is locked out
+ * @param {Object} rateLimitCheck - Result of RateLimiter.checkRateLimit
+ * @returns {Error} Error with the ACCOUNT_LOCKED code and the seconds to wait (retryAfter)
+ */
+function createLockoutError(rateLimitCheck) {
+    const error = new Error(rateLimitCheck.message)
+    error.code = ACCOUNT_LOCKED
+    error.retryAfter = rateLimitCheck.timeRemaining * 60
+    return error
+}
+
+/**
+ * Validate the data of an API token
+ * @param {Object} tokenData - Token data ({ name, scopes, expiresAt })
+ * @param {boolean} [isUpdate=false] - Allow missing fields
+ * @returns {Object} Normalized token data
+ * @throws {Error} If the data is invalid
+ */
+function validateApiTokenData(tokenData = {}, isUpdate = false) {
+    const { name, scopes, expiresAt } = tokenData
+    const data = {}
+
+    if (name !== undefined || !isUpdate) {
+        if (typeof name !== "string" || !name.trim()) {
+            throw new Error("Token name is required")
+        }
+        data.name = name.trim()
+    }
+
+    if (scopes !== undefined || !isUpdate) {
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            throw new Error("At least one scope is required")
+        }
+
+        const invalidScope = scopes.find((scope) => !isValidScope(scope))
+        if (invalidScope) {
+            throw new Error(`Invalid scope '${invalidScope}'`)
+        }
+        data.scopes = [...new Set(scopes)]
+    }
+
+    if (expiresAt) {
+        const expiryDate = new Date(expiresAt)
+        if (isNaN(expiryDate) || expiryDate <= new Date()) {
+            throw new Error("Expiry date must be in the future")
+        }
+        data.expiresAt = expiryDate.toISOString()
+    } else if (expiresAt !== undefined || !isUpdate) {
+        data.expiresAt = null
+    }
+
+    return data
+}
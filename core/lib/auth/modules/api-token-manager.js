@@ -0,0 +1,240 @@
+/**
+ * Manages long-lived API tokens for headless and automated access
+ */
+import { join } from "node:path"
+import { createHash, randomBytes } from "node:crypto"
+import { readJsonFile, writeJsonFile } from "../utils/storage-utils.js"
+
+// Prefix of API tokens, which tells them apart from session tokens
+export const API_TOKEN_PREFIX = "aether_"
+
+export class ApiTokenManager {
+    /**
+     * @param {string} dataDir - Directory for storing token data
+     */
+    constructor(dataDir) {
+        this.tokensPath = join(dataDir, "api-tokens.json")
+        this.tokens = null
+
+        // Configuration
+        this.lastUsedInterval = 60 * 1000 // Only save the last use of a token once per minute
+    }
+
+    /**
+     * Initialize the token manager
+     */
+    async initialize() {
+        await this.loadTokens()
+    }
+
+    /**
+     * Load tokens from file
+     */
+    async loadTokens() {
+        try {
+            this.tokens = await readJsonFile(this.tokensPath, [])
+        } catch (error) {
+            console.error("Error loading API tokens:", error)
+            this.tokens = []
+        }
+    }
+
+    /**
+     * Save tokens to file
+     */
+    async saveTokens() {
+        try {
+            return await writeJsonFile(this.tokensPath, this.tokens)
+        } catch (error) {
+            console.error("Error saving API tokens:", error)
+            return false
+        }
+    }
+
+    /**
+     * Check if a bearer token looks like an API token
+     * @param {string} token - Bearer token
+     * @returns {boolean} True for API tokens
+     */
+    isApiToken(token) {
+        return typeof token === "string" && token.startsWith(API_TOKEN_PREFIX)
+    }
+
+    /**
+     * Create a token
+     * @param {string} userId - ID of the user the token acts for
+     * @param {Object} tokenData - Token data
+     * @param {string} tokenData.name - Name describing what the token is used for
+     * @param {Array<string>} tokenData.scopes - Scopes granted to the token
+     * @param {string|null} [tokenData.expiresAt] - Expiry date (ISO string), null for no expiry
+     * @returns {Object} { token, data } - The secret token (only returned here) and the stored token data
+     */
+    async createToken(userId, { name, scopes, expiresAt = null }) {
+        if (!this.tokens) {
+            await this.loadTokens()
+        }
+
+        const token = `${API_TOKEN_PREFIX}${randomBytes(32).toString("hex")}`
+        const now = new Date().toISOString()
+
+        const record = {
+            id: randomBytes(8).toString("hex"),
+            userId,
+            name,
+            scopes,
+            tokenHash: hashToken(token),
+            // Start of the token, to recognize it in lists
+            prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+            createdAt: now,
+            updatedAt: now,
+            expiresAt,
+            lastUsedAt: null,
+        }
+
+        this.tokens.push(record)
+        await this.saveTokens()
+
+        return { token, data: toSafeToken(record) }
+    }
+
+    /**
+     * Get tokens
+     * @param {string} [userId] - Only return the tokens of this user
+     * @returns {Array} Tokens (without their hash)
+     */
+    async getTokens(userId = null) {
+        if (!this.tokens) {
+            await this.loadTokens()
+        }
+
+        return this.tokens.filter((record) => !userId || record.userId === userId).map(toSafeToken)
+    }
+
+    /**
+     * Get a token by ID
+     * @param {string} id - Token ID
+     * @returns {Object|null} Token or null if not found
+     */
+    async getToken(id) {
+        if (!this.tokens) {
+            await this.loadTokens()
+        }
+
+        const record = this.tokens.find((record) => record.id === id)
+        return record ? toSafeToken(record) : null
+    }
+
+    /**
+     * Update the name, scopes or expiry of a token
+     * @param {string} id - Token ID
+     * @param {Object} tokenData - Updated token data ({ name, scopes, expiresAt })
+     * @returns {Object|null} Updated token or null if not found
+     */
+    async updateToken(id, tokenData) {
+        if (!this.tokens) {
+            await this.loadTokens()
+        }
+
+        const record = this.tokens.find((record) => record.id === id)
+        if (!record) {
+            return null
+        }
+
+        if (tokenData.name) record.name = tokenData.name
+        if (tokenData.scopes) record.scopes = tokenData.scopes
+        if (tokenData.expiresAt !== undefined) record.expiresAt = tokenData.expiresAt
+        record.updatedAt = new Date().toISOString()
+
+        await this.saveTokens()
+        return toSafeToken(record)
+    }
+
+    /**
+     * Verify a token
+     * @param {string} token - Secret token
+     * @returns {Object|null} Token data or null if the token is unknown or expired
+     */
+    async verifyToken(token) {
+        if (!this.tokens) {
+            await this.loadTokens()
+        }
+
+        const tokenHash = hashToken(token)
+        const record = this.tokens.find((record) => record.tokenHash === tokenHash)
+
+        if (!record || (record.expiresAt && new Date(record.expiresAt) < new Date())) {
+            return null
+        }
+
+        // Record the last use without writing the file on every request
+        const now = Date.now()
+        if (!record.lastUsedAt || now - new Date(record.lastUsedAt) > this.lastUsedInterval) {
+            record.lastUsedAt = new Date(now).toISOString()
+            await this.saveTokens()
+        }
+
+        return toSafeToken(record)
+    }
+
+    /**
+     * Revoke a token
+     * @param {string} id - Token ID
+     * @returns {boolean} Success or failure
+     */
+    async revokeToken(id) {
+        if (!this.tokens) {
+            await this.loadTokens()
+        }
+
+        const initialLength = this.tokens.length
+        this.tokens = this.tokens.filter((record) => record.id !== id)
+
+        if (this.tokens.length === initialLength) {
+            return false // Token not found
+        }
+
+        await this.saveTokens()
+        return true
+    }
+
+    /**
+     * Revoke all tokens of a user
+     * @param {string} userId - User ID
+     * @returns {boolean} Success or failure
+     */
+    async revokeUserTokens(userId) {
+        if (!this.tokens) {
+            await this.loadTokens()
+        }
+
+        const initialLength = this.tokens.length
+        this.tokens = this.tokens.filter((record) => record.userId !== userId)
+
+        if (this.tokens.length === initialLength) {
+            return false // No tokens for this user
+        }
+
+        await this.saveTokens()
+        return true
+    }
+}
+
+/**
+ * Hash a token for storage
+ * Tokens are long random values, so a fast hash is enough
+ * @param {string} token - Secret token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+    return createHash("sha256").update(String(token)).digest("hex")
+}
+
+/**
+ * Remove the hash from a token record
+ * @param {Object} record - Token record
+ * @returns {Object} Token data safe to return to clients
+ */
+function toSafeToken(record) {
+    const { tokenHash, ...safeToken } = record
+    return { ...safeToken, isExpired: Boolean(record.expiresAt && new Date(record.expiresAt) < new Date()) }
+}
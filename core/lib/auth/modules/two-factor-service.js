@@ -0,0 +1,209 @@
+/**
+ * Service for two-factor authentication
+ * Time-based one-time passwords (RFC 6238) compatible with authenticator apps, and recovery codes
+ */
+import { createHash, createHmac, randomBytes, timingSafeEqual } from "node:crypto"
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+
+export class TwoFactorService {
+    /**
+     * @param {Object} options - Service options
+     * @param {string} [options.issuer="Aether CMS"] - Name shown in authenticator apps
+     */
+    constructor(options = {}) {
+        this.issuer = options.issuer || "Aether CMS"
+
+        // Configuration (the defaults of authenticator apps)
+        this.digits = 6
+        this.period = 30 // Seconds a code is valid for
+        this.window = 1 // Codes of the previous and next periods are accepted to allow for clock drift
+        this.recoveryCodeCount = 10
+    }
+
+    /**
+     * Generate a new secret
+     * @returns {string} Base32 encoded secret
+     */
+    generateSecret() {
+        return base32Encode(randomBytes(20))
+    }
+
+    /**
+     * Get the provisioning URI of a secret, to be shown as a QR code or opened by an authenticator app
+     * @param {string} secret - Base32 encoded secret
+     * @param {string} accountName - Account name (username)
+     * @returns {string} otpauth:// URI
+     */
+    getProvisioningUri(secret, accountName) {
+        const label = encodeURIComponent(`${this.issuer}:${accountName}`)
+        const params = new URLSearchParams({
+            secret,
+            issuer: this.issuer,
+            algorithm: "SHA1",
+            digits: String(this.digits),
+            period: String(this.period),
+        })
+
+        return `otpauth://totp/${label}?${params}`
+    }
+
+    /**
+     * Get the time step of a moment
+     * @param {number} [time=Date.now()] - Timestamp in milliseconds
+     * @returns {number} Time step
+     */
+    getTimeStep(time = Date.now()) {
+        return Math.floor(time / 1000 / this.period)
+    }
+
+    /**
+     * Generate the code of a time step
+     * @param {string} secret - Base32 encoded secret
+     * @param {number} [step] - Time step (defaults to the current one)
+     * @returns {string} Code
+     */
+    generateCode(secret, step = this.getTimeStep()) {
+        const counter = Buffer.alloc(8)
+        counter.writeBigUInt64BE(BigInt(step))
+
+        const hmac = createHmac("sha1", base32Decode(secret)).update(counter).digest()
+
+        // Dynamic truncation
+        const offset = hmac[hmac.length - 1] & 0xf
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+
+        return String(binary % 10 ** this.digits).padStart(this.digits, "0")
+    }
+
+    /**
+     * Verify a code
+     * @param {string} secret - Base32 encoded secret
+     * @param {string} code - Code entered by the user
+     * @param {number|null} [lastUsedStep=null] - Time step of the last accepted code, which can't be used again
+     * @returns {number|null} Time step of the code, or null if it is invalid
+     */
+    verifyCode(secret, code, lastUsedStep = null) {
+        const normalizedCode = String(code || "").replace(/\s/g, "")
+
+        if (!secret || normalizedCode.length !== this.digits || !/^\d+$/.test(normalizedCode)) {
+            return null
+        }
+
+        const currentStep = this.getTimeStep()
+
+        for (let step = currentStep - this.window; step <= currentStep + this.window; step++) {
+            // Prevent the replay of a code that was already used
+            if (lastUsedStep !== null && step <= lastUsedStep) continue
+
+            if (safeEqual(this.generateCode(secret, step), normalizedCode)) {
+                return step
+            }
+        }
+
+        return null
+    }
+
+    /**
+     * Generate recovery codes
+     * @returns {Array<string>} Codes (xxxxx-xxxxx), shown once to the user
+     */
+    generateRecoveryCodes() {
+        return Array.from({ length: this.recoveryCodeCount }, () => {
+            const code = randomBytes(5).toString("hex")
+            return `${code.slice(0, 5)}-${code.slice(5)}`
+        })
+    }
+
+    /**
+     * Hash a recovery code for storage
+     * Recovery codes are long random values, so a fast hash is enough
+     * @param {string} code - Recovery code
+     * @returns {string} SHA-256 hex digest
+     */
+    hashRecoveryCode(code) {
+        const normalizedCode = String(code || "")
+            .toLowerCase()
+            .replace(/[^0-9a-f]/g, "")
+
+        return createHash("sha256").update(normalizedCode).digest("hex")
+    }
+
+    /**
+     * Find a recovery code among stored hashes
+     * @param {Array<string>} hashes - Hashes of the unused recovery codes
+     * @param {string} code - Code entered by the user
+     * @returns {number} Index of the matching hash, or -1
+     */
+    findRecoveryCode(hashes = [], code) {
+        const hash = this.hashRecoveryCode(code)
+        return hashes.findIndex((storedHash) => safeEqual(storedHash, hash))
+    }
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a))
+    const bufferB = Buffer.from(String(b))
+
+    return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB)
+}
+
+/**
+ * Encode bytes as base32 (RFC 4648, without padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+    let bits = 0
+    let value = 0
+    let output = ""
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte
+        bits += 8
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+            bits -= 5
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+    }
+
+    return output
+}
+
+/**
+ * Decode a base32 string (case and padding insensitive)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+    const cleanInput = input.toUpperCase().replace(/[\s=]/g, "")
+    const bytes = []
+    let bits = 0
+    let value = 0
+
+    for (const char of cleanInput) {
+        const index = BASE32_ALPHABET.indexOf(char)
+        if (index === -1) continue
+
+        value = (value << 5) | index
+        bits += 5
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255)
+            bits -= 8
+        }
+    }
+
+    return Buffer.from(bytes)
+}
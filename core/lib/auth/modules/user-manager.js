@@ -4,6 +4,7 @@
 import { join } from "node:path"
 import { randomBytes } from "node:crypto"
 import { readJsonFile, writeJsonFile } from "../utils/storage-utils.js"
+import { DEFAULT_ROLE } from "../utils/capabilities.js"
 
 export class UserManager {
     /**
@@ -79,7 +80,7 @@ export class UserManager {
             username: userData.username,
             email: userData.email,
             passwordHash,
-            role: userData.role || "editor",
+            role: userData.role || DEFAULT_ROLE,
             createdAt,
             updatedAt: createdAt,
         }
@@ -88,8 +89,7 @@ export class UserManager {
         await this.saveUsers()
 
         // Return the user without sensitive data
-        const { passwordHash: ph, ...safeUser } = user
-        return safeUser
+        return toSafeUser(user)
     }
 
     /**
@@ -115,10 +115,7 @@ export class UserManager {
         }
 
         // Return users without sensitive data
-        return this.users.map((user) => {
-            const { passwordHash, ...safeUser } = user
-            return safeUser
-        })
+        return this.users.map(toSafeUser)
     }
 
     /**
@@ -137,8 +134,41 @@ export class UserManager {
         }
 
         // Return the user without sensitive data
-        const { passwordHash, ...safeUser } = user
-        return safeUser
+        return toSafeUser(user)
+    }
+
+    /**
+     * Get a user by ID, including their password hash and two-factor secrets
+     * @param {string} id - User ID
+     * @returns {Object|null} User record or null if not found
+     */
+    async getUserRecord(id) {
+        if (!this.users) {
+            await this.loadUsers()
+        }
+
+        return this.users.find((user) => user.id === id) || null
+    }
+
+    /**
+     * Save the two-factor authentication data of a user
+     * @param {string} id - User ID
+     * @param {Object|null} twoFactor - Two-factor data, or null to remove it
+     * @returns {boolean} Success or failure
+     */
+    async setTwoFactor(id, twoFactor) {
+        const user = await this.getUserRecord(id)
+        if (!user) {
+            return false
+        }
+
+        if (twoFactor) {
+            user.twoFactor = twoFactor
+        } else {
+            delete user.twoFactor
+        }
+
+        return await this.saveUsers()
     }
 
     /**
@@ -197,8 +227,7 @@ export class UserManager {
         await this.saveUsers()
 
         // Return the user without sensitive data
-        const { passwordHash: ph, ...safeUser } = updatedUser
-        return safeUser
+        return toSafeUser(updatedUser)
     }
 
     /**
@@ -228,3 +257,13 @@ export class UserManager {
         return true
     }
 }
+
+/**
+ * Remove credentials from a user record
+ * @param {Object} user - User record
+ * @returns {Object} User without password hash and two-factor secrets
+ */
+function toSafeUser(user) {
+    const { passwordHash, twoFactor, ...safeUser } = user
+    return { ...safeUser, twoFactorEnabled: Boolean(twoFactor?.enabled) }
+}
@@ -0,0 +1,162 @@
+/**
+ * Roles and the capabilities they grant
+ */
+
+// Every capability known to the CMS
+export const CAPABILITIES = [
+    "edit_posts",
+    "edit_others_posts",
+    "publish_posts",
+    "delete_posts",
+    "delete_others_posts",
+    "edit_pages",
+    "edit_others_pages",
+    "publish_pages",
+    "delete_pages",
+    "delete_others_pages",
+    "upload_media",
+    "manage_media",
+    "manage_menus",
+    "manage_themes",
+    "manage_settings",
+    "manage_plugins",
+    "manage_users",
+    "generate_static",
+]
+
+// Capabilities that only cover the user's own content, and the capability needed for other users' content
+export const OWNERSHIP_CAPABILITIES = {
+    edit_posts: "edit_others_posts",
+    delete_posts: "delete_others_posts",
+    edit_pages: "edit_others_pages",
+    delete_pages: "delete_others_pages",
+}
+
+// Roles from the most to the least privileged
+export const ROLES = {
+    admin: {
+        label: "Administrator",
+        capabilities: CAPABILITIES,
+    },
+    editor: {
+        label: "Editor",
+        capabilities: [
+            "edit_posts",
+            "edit_others_posts",
+            "publish_posts",
+            "delete_posts",
+            "delete_others_posts",
+            "edit_pages",
+            "edit_others_pages",
+            "publish_pages",
+            "delete_pages",
+            "delete_others_pages",
+            "upload_media",
+            "manage_media",
+        ],
+    },
+    author: {
+        label: "Author",
+        capabilities: ["edit_posts", "publish_posts", "delete_posts", "upload_media"],
+    },
+    contributor: {
+        label: "Contributor",
+        capabilities: ["edit_posts", "delete_posts"],
+    },
+}
+
+// Role given to new users when none is provided
+export const DEFAULT_ROLE = "editor"
+
+/**
+ * Check if a role exists
+ * @param {string} role - Role name
+ * @returns {boolean} True if the role exists
+ */
+export function isValidRole(role) {
+    return Object.hasOwn(ROLES, role)
+}
+
+/**
+ * Get the capabilities of a role
+ * @param {string} role - Role name
+ * @returns {Array<string>} Capabilities (empty for unknown roles)
+ */
+export function getRoleCapabilities(role) {
+    return isValidRole(role) ? ROLES[role].capabilities : []
+}
+
+/**
+ * Get all roles with their labels and capabilities
+ * @returns {Array<Object>} Roles ({ name, label, capabilities })
+ */
+export function getRoles() {
+    return Object.entries(ROLES).map(([name, { label, capabilities }]) => ({ name, label, capabilities }))
+}
+
+// Scopes that can be granted to API tokens and the capabilities they cover.
+// Read-only scopes only allow GET requests, and tokens never exceed the capabilities of their owner.
+export const API_TOKEN_SCOPES = {
+    "content:read": {
+        label: "Read content",
+        capabilities: ["edit_posts", "edit_pages", "upload_media"],
+        readOnly: true,
+    },
+    "content:write": {
+        label: "Write content",
+        capabilities: [
+            "edit_posts",
+            "edit_others_posts",
+            "publish_posts",
+            "delete_posts",
+            "delete_others_posts",
+            "edit_pages",
+            "edit_others_pages",
+            "publish_pages",
+            "delete_pages",
+            "delete_others_pages",
+        ],
+    },
+    "media:upload": {
+        label: "Upload media",
+        capabilities: ["upload_media"],
+    },
+    "static:build": {
+        label: "Trigger static builds",
+        capabilities: ["generate_static"],
+    },
+}
+
+/**
+ * Check if an API token scope exists
+ * @param {string} scope - Scope name
+ * @returns {boolean} True if the scope exists
+ */
+export function isValidScope(scope) {
+    return Object.hasOwn(API_TOKEN_SCOPES, scope)
+}
+
+/**
+ * Get all API token scopes with their labels
+ * @returns {Array<Object>} Scopes ({ name, label })
+ */
+export function getApiTokenScopes() {
+    return Object.entries(API_TOKEN_SCOPES).map(([name, { label }]) => ({ name, label }))
+}
+
+/**
+ * Check if token scopes allow a capability for a request method
+ * @param {Array<string>} scopes - Scopes of the token
+ * @param {string} capability - Required capability
+ * @param {string} method - HTTP method of the request
+ * @returns {boolean} True if one of the scopes covers the capability
+ */
+export function isAllowedByScopes(scopes = [], capability, method = "GET") {
+    const isReadRequest = method === "GET" || method === "HEAD"
+
+    return scopes.some((scope) => {
+        const definition = API_TOKEN_SCOPES[scope]
+        if (!definition?.capabilities.includes(capability)) return false
+        return !definition.readOnly || isReadRequest
+    })
+}
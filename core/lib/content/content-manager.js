@@ -4,6 +4,9 @@
 import { join } from "node:path"
 import { ContentItemManager } from "./modules/content-item-manager.js"
 import { ContentQueryManager } from "./modules/content-query-manager.js"
+import { ContentRevisionManager } from "./modules/content-revision-manager.js"
+import { ContentScheduler } from "./modules/content-scheduler.js"
+import { ContentSearchIndex } from "./modules/content-search-index.js"
 
 /**
  * Manages content (posts, pages, etc.) in the CMS using Markdown files
@@ -27,8 +30,11 @@ export class ContentManager {
         this.settingsService = settingsService
 
         // Initialize sub-modules
-        this.itemManager = new ContentItemManager(dataDir, app)
+        this.revisionManager = new ContentRevisionManager(dataDir)
+        this.itemManager = new ContentItemManager(dataDir, app, this.revisionManager)
         this.queryManager = new ContentQueryManager(dataDir, app)
+        this.scheduler = new ContentScheduler(this.queryManager, this.itemManager)
+        this.searchIndex = new ContentSearchIndex(this.queryManager)
     }
 
     /**
@@ -38,6 +44,7 @@ export class ContentManager {
         try {
             // Initialize all modules
             await this.itemManager.initialize()
+            await this.revisionManager.initialize()
 
             // Create default home page if no pages exist
             const pages = await this.getPages()
@@ -51,12 +58,23 @@ export class ContentManager {
                         "# Welcome to your new site!\n\nThis is your homepage. You can edit this page in the admin dashboard.",
                 })
             }
+
+            // Build the full-text search index
+            await this.searchIndex.build()
         } catch (error) {
             console.error("Error initializing content manager:", error)
             throw error
         }
     }
 
+    /**
+     * Set the redirect manager recording the old URLs of content whose slug or parent page changes
+     * @param {Object} redirectManager - The RedirectManager instance
+     */
+    setRedirectManager(redirectManager) {
+        this.itemManager.redirectManager = redirectManager
+    }
+
     // SETTINGS MANAGEMENT
     // ------------------
 
@@ -102,20 +120,22 @@ export class ContentManager {
     /**
      * Create a new post
      * @param {Object} postData - Post data
+     * @param {Object} options - Save options (user)
      * @returns {Object} Created post
      */
-    async createPost(postData) {
-        return await this.itemManager.createPost(postData)
+    async createPost(postData, options = {}) {
+        return await this.itemManager.createPost(postData, options)
     }
 
     /**
      * Update an existing post
      * @param {string} id - Post ID
      * @param {Object} postData - Updated post data
+     * @param {Object} options - Save options (user, note)
      * @returns {Object|null} Updated post or null if not found
      */
-    async updatePost(id, postData) {
-        return await this.itemManager.updatePost(id, postData)
+    async updatePost(id, postData, options = {}) {
+        return await this.itemManager.updatePost(id, postData, options)
     }
 
     /**
@@ -171,20 +191,22 @@ export class ContentManager {
     /**
      * Create a new page
      * @param {Object} pageData - Page data
+     * @param {Object} options - Save options (user)
      * @returns {Object} Created page
      */
-    async createPage(pageData) {
-        return await this.itemManager.createPage(pageData)
+    async createPage(pageData, options = {}) {
+        return await this.itemManager.createPage(pageData, options)
     }
 
     /**
      * Update an existing page
      * @param {string} id - Page ID
      * @param {Object} pageData - Updated page data
+     * @param {Object} options - Save options (user, note)
      * @returns {Object|null} Updated page or null if not found
      */
-    async updatePage(id, pageData) {
-        return await this.itemManager.updatePage(id, pageData)
+    async updatePage(id, pageData, options = {}) {
+        return await this.itemManager.updatePage(id, pageData, options)
     }
 
     /**
@@ -233,14 +255,25 @@ export class ContentManager {
         return await this.queryManager.getContentByFieldValue(contentType, field, value, options)
     }
 
+    /**
+     * Query published content with filters, sorting and cursor pagination
+     * @param {string} contentType - Type of content ('post' or 'page')
+     * @param {Object} query - Query options (category, tag, author, from, to, sort, limit, cursor)
+     * @returns {Object} { items, total, nextCursor }
+     */
+    async queryPublishedContent(contentType, query = {}) {
+        return await this.queryManager.queryPublishedContent(contentType, query)
+    }
+
     /**
      * Create a new content item (post or page)
      * @param {Object} contentData - Content data
      * @param {string} contentType - Type of content ('post' or 'page')
+     * @param {Object} options - Save options (user)
      * @returns {Object} Created content item
      */
-    async createContent(contentData, contentType = "post") {
-        return await this.itemManager.createContent(contentData, contentType)
+    async createContent(contentData, contentType = "post", options = {}) {
+        return await this.itemManager.createContent(contentData, contentType, options)
     }
 
     /**
@@ -248,10 +281,11 @@ export class ContentManager {
      * @param {string} id - Content ID
      * @param {Object} contentData - Updated content data
      * @param {string} contentType - Type of content ('post' or 'page')
+     * @param {Object} options - Save options (user, note)
      * @returns {Object|null} Updated content or null if not found
      */
-    async updateContent(id, contentData, contentType = "post") {
-        return await this.itemManager.updateContent(id, contentData, contentType)
+    async updateContent(id, contentData, contentType = "post", options = {}) {
+        return await this.itemManager.updateContent(id, contentData, contentType, options)
     }
 
     /**
@@ -264,6 +298,151 @@ export class ContentManager {
         return await this.itemManager.deleteContent(id, contentType)
     }
 
+    // SEARCH
+    // ------
+
+    /**
+     * Search published posts and pages
+     * @param {string} query - Search query
+     * @param {Object} options - Search options (type, limit, offset)
+     * @returns {Object} Search result ({ query, total, results }) with highlighted snippets
+     */
+    searchContent(query, options = {}) {
+        return this.searchIndex.search(query, options)
+    }
+
+    /**
+     * Add or refresh a content item in the search index
+     * @param {Object} item - Content item
+     * @param {string} contentType - Type of content ('post' or 'page')
+     */
+    indexContent(item, contentType = "post") {
+        this.searchIndex.add(item, contentType)
+    }
+
+    /**
+     * Remove a content item from the search index
+     * @param {string} id - Content ID
+     * @param {string} contentType - Type of content ('post' or 'page')
+     */
+    removeFromSearchIndex(id, contentType = "post") {
+        this.searchIndex.remove(id, contentType)
+    }
+
+    /**
+     * Rebuild the search index from all content
+     * @returns {number} Number of indexed items
+     */
+    async rebuildSearchIndex() {
+        return await this.searchIndex.build()
+    }
+
+    // SCHEDULED PUBLISHING
+    // --------------------
+
+    /**
+     * Start publishing scheduled content when its publish date arrives
+     * @param {Function} [onPublish] - Called with the published items ([{ item, contentType }]) after each run
+     */
+    startScheduler(onPublish) {
+        this.scheduler.start(onPublish)
+    }
+
+    /**
+     * Stop the content scheduler
+     */
+    stopScheduler() {
+        this.scheduler.stop()
+    }
+
+    /**
+     * Publish every scheduled item whose publish date has been reached
+     * @returns {Array} Published items ([{ item, contentType }])
+     */
+    async publishDueContent() {
+        return await this.scheduler.publishDueContent()
+    }
+
+    // REVISIONS MANAGEMENT
+    // -------------------
+
+    /**
+     * Get the revision history of a content item (newest first, without bodies)
+     * @param {string} id - Content ID
+     * @param {string} contentType - Type of content ('post' or 'page')
+     * @returns {Array} Revision summaries
+     */
+    async getRevisions(id, contentType = "post") {
+        return await this.revisionManager.getRevisions(id, contentType)
+    }
+
+    /**
+     * Get a single revision of a content item
+     * @param {string} id - Content ID
+     * @param {number|string} rev - Revision number
+     * @param {string} contentType - Type of content ('post' or 'page')
+     * @returns {Object|null} Revision or null if not found
+     */
+    async getRevision(id, rev, contentType = "post") {
+        return await this.revisionManager.getRevision(id, rev, contentType)
+    }
+
+    /**
+     * Compare a revision with another one
+     * @param {string} id - Content ID
+     * @param {number|string} rev - Revision to inspect
+     * @param {number|string} [compareTo] - Revision to compare against (defaults to the previous revision)
+     * @param {string} contentType - Type of content ('post' or 'page')
+     * @returns {Object|null} Diff result or null if a revision is missing
+     */
+    async compareRevisions(id, rev, compareTo, contentType = "post") {
+        let fromRev = compareTo
+
+        if (fromRev === undefined || fromRev === null || fromRev === "") {
+            const previous = await this.revisionManager.getPreviousRevision(id, rev, contentType)
+
+            // The first revision is compared against itself (no changes)
+            fromRev = previous ? previous.rev : rev
+        }
+
+        return await this.revisionManager.compareRevisions(id, fromRev, rev, contentType)
+    }
+
+    /**
+     * Restore a content item to a previous revision.
+     * The restore is saved as a regular update, so it gets its own revision and can be undone.
+     * @param {string} id - Content ID
+     * @param {number|string} rev - Revision number to restore
+     * @param {string} contentType - Type of content ('post' or 'page')
+     * @param {Object} options - Save options (user)
+     * @returns {Object|null} Restored content or null if the content or revision is not found
+     */
+    async restoreRevision(id, rev, contentType = "post", options = {}) {
+        const revision = await this.revisionManager.getRevision(id, rev, contentType)
+        const current = await this.queryManager.getContent(id, contentType)
+
+        if (!revision || !current) {
+            return null
+        }
+
+        const { id: revisionId, createdAt, updatedAt, ...revisionFrontmatter } = revision.frontmatter
+        const { content, type, ...currentFrontmatter } = current
+
+        // Remove fields that were added after the revision was made
+        const removeFields = Object.keys(currentFrontmatter).filter((field) => !(field in revision.frontmatter))
+
+        return await this.itemManager.updateContent(
+            id,
+            { metadata: revisionFrontmatter, content: revision.content },
+            contentType,
+            {
+                user: options.user,
+                note: `Restored from revision ${revision.rev}`,
+                removeFields,
+            }
+        )
+    }
+
     /**
      * Find content by a custom query across all content types
      * This is useful for implementing search, tags, or other cross-content features
@@ -2,21 +2,30 @@
  * Manages content items (posts and pages)
  */
 import { join } from "node:path"
-import { ensureDirectory, findMarkdownFileByProperty, writeMarkdownFile, deleteFile } from "../utils/file-utils.js"
-import { slugify } from "../utils/content-utils.js"
+import {
+    ensureDirectory,
+    findMarkdownFileByProperty,
+    getMarkdownFiles,
+    writeMarkdownFile,
+    deleteFile,
+} from "../utils/file-utils.js"
+import { slugify, resolveScheduledStatus, isPublished, getContentPath } from "../utils/content-utils.js"
 import { serializeFrontmatter } from "../utils/yaml-utils.js"
 
 export class ContentItemManager {
     /**
      * @param {string} dataDir - Directory for storing content files
      * @param {Object} app - App instance with parseMarkdownFile method
+     * @param {Object} [revisionManager] - Revision manager used to keep a history of every save
      */
-    constructor(dataDir, app) {
+    constructor(dataDir, app, revisionManager = null) {
         this.dataDir = dataDir
         this.postsDir = join(dataDir, "posts")
         this.pagesDir = join(dataDir, "pages")
         this.customPagesDir = join(dataDir, "custom")
         this.app = app
+        this.revisionManager = revisionManager
+        this.redirectManager = null // Set by the content manager, records redirects when content moves
     }
 
     /**
@@ -41,9 +50,11 @@ export class ContentItemManager {
      * Create a new content item (post or page)
      * @param {Object} contentData - Content data
      * @param {string} contentType - Type of content ('post' or 'page')
+     * @param {Object} options - Save options
+     * @param {string} [options.user] - Username of whoever creates the content (stored with the revision)
      * @returns {Promise<Object>} Created content item
      */
-    async createContent(contentData, contentType = "post") {
+    async createContent(contentData, contentType = "post", options = {}) {
         try {
             const id = Date.now().toString()
             const createdAt = new Date().toISOString()
@@ -73,7 +84,7 @@ export class ContentItemManager {
                 title: metadata.title || defaultTitle,
                 subtitle: metadata.subtitle || "",
                 slug,
-                status: metadata.status || "draft",
+                status: resolveScheduledStatus(metadata.status || "draft", metadata.publishDate),
                 author: metadata.author || "admin",
                 createdAt,
                 updatedAt: createdAt,
@@ -122,6 +133,19 @@ export class ContentItemManager {
             const filePath = join(contentDir, `${slug}.md`)
             await writeMarkdownFile(filePath, yamlFrontmatter, content)
 
+            // Record the initial revision
+            if (this.revisionManager) {
+                await this.revisionManager.addRevision(
+                    id,
+                    { frontmatter, content },
+                    {
+                        contentType,
+                        user: options.user,
+                        createdAt,
+                    }
+                )
+            }
+
             // Return the content object
             return {
                 ...frontmatter,
@@ -137,19 +161,21 @@ export class ContentItemManager {
     /**
      * Create a new post
      * @param {Object} postData - Post data
+     * @param {Object} options - Save options (user)
      * @returns {Promise<Object>} Created post
      */
-    async createPost(postData) {
-        return this.createContent(postData, "post")
+    async createPost(postData, options = {}) {
+        return this.createContent(postData, "post", options)
     }
 
     /**
      * Create a new page
      * @param {Object} pageData - Page data
+     * @param {Object} options - Save options (user)
      * @returns {Promise<Object>} Created page
      */
-    async createPage(pageData) {
-        return this.createContent(pageData, "page")
+    async createPage(pageData, options = {}) {
+        return this.createContent(pageData, "page", options)
     }
 
     /**
@@ -157,9 +183,13 @@ export class ContentItemManager {
      * @param {string} id - Content ID
      * @param {Object} contentData - Updated content data
      * @param {string} contentType - Type of content ('post' or 'page')
+     * @param {Object} options - Save options
+     * @param {string} [options.user] - Username of whoever makes the change (stored with the revision)
+     * @param {string} [options.note] - Optional note stored with the revision
+     * @param {Array<string>} [options.removeFields] - Frontmatter fields to remove from the saved content
      * @returns {Promise<Object|null>} Updated content or null if not found
      */
-    async updateContent(id, contentData, contentType = "post") {
+    async updateContent(id, contentData, contentType = "post", options = {}) {
         try {
             // Determine content directory based on type
             const isPost = contentType === "post"
@@ -195,6 +225,15 @@ export class ContentItemManager {
 
             const { filePath, content: originalContent } = result
 
+            // Make sure content created before revisions existed keeps its original version
+            if (this.revisionManager) {
+                await this.revisionManager.ensureBaselineRevision(
+                    id,
+                    { frontmatter: originalContent.frontmatter, content: originalContent.content },
+                    contentType
+                )
+            }
+
             // Get metadata from the right property based on what's available
             const metadata = contentData.metadata || contentData
 
@@ -206,6 +245,16 @@ export class ContentItemManager {
                 updatedAt: new Date().toISOString(),
             }
 
+            for (const field of options.removeFields || []) {
+                delete updatedFrontmatter[field]
+            }
+
+            // Published content dated in the future waits for the scheduler
+            updatedFrontmatter.status = resolveScheduledStatus(
+                updatedFrontmatter.status,
+                updatedFrontmatter.publishDate
+            )
+
             // Use updated content field if provided or keep original
             const content = contentData.content !== undefined ? contentData.content : originalContent.content
 
@@ -236,6 +285,13 @@ export class ContentItemManager {
             const newFilePath =
                 slugChanged || pageTypeChanged ? join(targetDir, `${updatedFrontmatter.slug}.md`) : filePath
 
+            // A new slug, page type or parent page changes the URL of the content (and of its sub-pages)
+            const urlChanged =
+                slugChanged ||
+                pageTypeChanged ||
+                (!isPost && updatedFrontmatter.parentPage !== originalContent.frontmatter.parentPage)
+            const previousPaths = this.redirectManager && urlChanged ? await this.getPublishedPaths(contentType) : null
+
             await writeMarkdownFile(newFilePath, yamlFrontmatter, content)
 
             // If slug changed or page type changed, remove the old file
@@ -243,6 +299,19 @@ export class ContentItemManager {
                 await deleteFile(filePath)
             }
 
+            if (previousPaths) {
+                await this.recordRedirects(previousPaths, contentType)
+            }
+
+            // Record the new version in the revision history
+            if (this.revisionManager) {
+                await this.revisionManager.addRevision(
+                    id,
+                    { frontmatter: updatedFrontmatter, content },
+                    { contentType, user: options.user, note: options.note }
+                )
+            }
+
             // Return the updated content
             return {
                 ...updatedFrontmatter,
@@ -255,24 +324,82 @@ export class ContentItemManager {
         }
     }
 
+    /**
+     * Get the URL paths of the published posts or pages
+     * @param {string} contentType - Type of content ('post' or 'page')
+     * @returns {Promise<Map<string, string>>} Content ID => URL path
+     */
+    async getPublishedPaths(contentType) {
+        const parse = this.app.parseMarkdownFile.bind(this.app)
+        const dirs = contentType === "post" ? [this.postsDir] : [this.pagesDir, this.customPagesDir]
+        const published = []
+
+        for (const dir of dirs) {
+            // Pages without a pageType get the one of their directory, as in the query manager
+            const pageType = dir === this.customPagesDir ? "custom" : "normal"
+
+            for (const { frontmatter } of await getMarkdownFiles(dir, parse)) {
+                if (isPublished(frontmatter)) published.push({ pageType, ...frontmatter })
+            }
+        }
+
+        const pagesBySlug = new Map(published.map((frontmatter) => [frontmatter.slug, frontmatter]))
+
+        return new Map(
+            published.map((frontmatter) => [
+                String(frontmatter.id),
+                getContentPath(frontmatter, contentType, pagesBySlug),
+            ])
+        )
+    }
+
+    /**
+     * Redirect the old URLs of the content that moved to their new URLs
+     * Moving a page moves its sub-pages too, so all pages are compared.
+     * @param {Map<string, string>} previousPaths - URL paths before the update (getPublishedPaths)
+     * @param {string} contentType - Type of content ('post' or 'page')
+     */
+    async recordRedirects(previousPaths, contentType) {
+        try {
+            const currentPaths = await this.getPublishedPaths(contentType)
+
+            for (const [id, previousPath] of previousPaths) {
+                const currentPath = currentPaths.get(id)
+
+                // Content that is no longer published has no URL to redirect to
+                if (currentPath && currentPath !== previousPath) {
+                    await this.redirectManager.addContentRedirect(previousPath, currentPath, {
+                        contentId: id,
+                        contentType,
+                    })
+                }
+            }
+        } catch (error) {
+            // The content is saved, a missing redirect shouldn't fail the update
+            console.error("Error recording content redirects:", error)
+        }
+    }
+
     /**
      * Update an existing post
      * @param {string} id - Post ID
      * @param {Object} postData - Updated post data
+     * @param {Object} options - Save options (user, note)
      * @returns {Promise<Object|null>} Updated post or null if not found
      */
-    async updatePost(id, postData) {
-        return this.updateContent(id, postData, "post")
+    async updatePost(id, postData, options = {}) {
+        return this.updateContent(id, postData, "post", options)
     }
 
     /**
      * Update an existing page
      * @param {string} id - Page ID
      * @param {Object} pageData - Updated page data
+     * @param {Object} options - Save options (user, note)
      * @returns {Promise<Object|null>} Updated page or null if not found
      */
-    async updatePage(id, pageData) {
-        return this.updateContent(id, pageData, "page")
+    async updatePage(id, pageData, options = {}) {
+        return this.updateContent(id, pageData, "page", options)
     }
 
     /**
@@ -313,7 +440,14 @@ export class ContentItemManager {
             }
 
             // Delete the file
-            return await deleteFile(result.filePath)
+            const deleted = await deleteFile(result.filePath)
+
+            // Remove the revision history along with the content
+            if (deleted && this.revisionManager) {
+                await this.revisionManager.deleteRevisions(id, contentType)
+            }
+
+            return deleted
         } catch (error) {
             console.error(`Error deleting ${contentType} ${id}:`, error)
             return false
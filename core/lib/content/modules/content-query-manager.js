@@ -10,8 +10,15 @@ import {
     addPostReferences,
     truncateExcerpt,
     transformContentItems,
+    isPublished,
+    hasFieldValue,
+    encodeCursor,
+    decodeCursor,
 } from "../utils/content-utils.js"
 
+// Fields published content can be sorted by
+const SORT_FIELDS = ["createdAt", "updatedAt", "publishDate", "title"]
+
 export class ContentQueryManager {
     /**
      * @param {string} dataDir - Directory for content files
@@ -38,7 +45,7 @@ export class ContentQueryManager {
             // Filter by status if needed
             let filteredPosts = posts
             if (options.status) {
-                filteredPosts = posts.filter((post) => post.frontmatter && post.frontmatter.status === options.status)
+                filteredPosts = posts.filter((post) => this.matchesStatus(post.frontmatter, options.status))
             }
 
             // Sort by date (newest first)
@@ -85,7 +92,7 @@ export class ContentQueryManager {
             // Filter by status if needed
             let filteredPages = pages
             if (options.status) {
-                filteredPages = pages.filter((page) => page.frontmatter && page.frontmatter.status === options.status)
+                filteredPages = pages.filter((page) => this.matchesStatus(page.frontmatter, options.status))
             }
 
             // Filter by pageType if specified
@@ -108,6 +115,18 @@ export class ContentQueryManager {
         }
     }
 
+    /**
+     * Check if a content item matches a status filter
+     * "published" only matches items whose publish date has been reached
+     * @param {Object} frontmatter - Content frontmatter
+     * @param {string} status - Status to match
+     * @returns {boolean} True if the item matches
+     */
+    matchesStatus(frontmatter, status) {
+        if (!frontmatter) return false
+        return status === "published" ? isPublished(frontmatter) : frontmatter.status === status
+    }
+
     /**
      * Get content (post or page) by ID
      * @param {string} id - Content ID
@@ -386,29 +405,12 @@ export class ContentQueryManager {
             const results = []
 
             for (const item of contentItems) {
-                // Do not process draft/unpublished content
-                if (!item.frontmatter || !item.frontmatter.status || item.frontmatter.status !== "published") continue
+                // Do not process draft/unpublished or future-dated content
+                if (!isPublished(item.frontmatter)) continue
 
                 // Try both singular and plural forms of the field
-                const singularField = field
-                const pluralField = field.endsWith("s") ? field : `${field}s`
-
-                const fieldValue = item.frontmatter[singularField] || item.frontmatter[pluralField]
-
-                if (fieldValue) {
-                    let matches = false
-
-                    // Check for matches in different data formats
-                    if (Array.isArray(fieldValue)) {
-                        matches = fieldValue.includes(value)
-                    } else if (typeof fieldValue === "string") {
-                        const valueList = fieldValue.split(",").map((v) => v.trim())
-                        matches = valueList.includes(value)
-                    }
-
-                    if (matches) {
-                        results.push(item)
-                    }
+                if (hasFieldValue(item.frontmatter, field, value)) {
+                    results.push(item)
                 }
             }
 
@@ -446,6 +448,98 @@ export class ContentQueryManager {
         return this.getContentByFieldValue("post", "tag", tagSlug, options)
     }
 
+    /**
+     * Query published content with filters, sorting and cursor pagination
+     * Cursors point after the last item of a page, so pages stay consistent while content is added
+     * @param {string} contentType - Type of content ('post' or 'page')
+     * @param {Object} query - Query options
+     * @param {string} [query.category] - Category slug
+     * @param {string} [query.tag] - Tag slug
+     * @param {string} [query.author] - Author username
+     * @param {string} [query.from] - Earliest publish date (inclusive)
+     * @param {string} [query.to] - Latest publish date (inclusive, a date without time covers the whole day)
+     * @param {string} [query.sort="-publishDate"] - Sort field, prefixed with "-" for descending order
+     * @param {number} [query.limit=10] - Maximum number of items
+     * @param {string} [query.cursor] - Cursor returned with the previous page
+     * @returns {Promise<Object>} { items, total, nextCursor } - total counts all matching items
+     * @throws {Error} If the sort field, date range or cursor is invalid
+     */
+    async queryPublishedContent(contentType, query = {}) {
+        const { category, tag, author, from, to, sort = "-publishDate", limit = 10, cursor } = query
+
+        const descending = sort.startsWith("-")
+        const sortField = descending ? sort.slice(1) : sort
+
+        if (!SORT_FIELDS.includes(sortField)) {
+            throw new Error(`Invalid sort field. Must be one of: ${SORT_FIELDS.join(", ")}`)
+        }
+
+        const fromDate = from ? new Date(from) : null
+        const toDate = to ? new Date(to) : null
+
+        if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+            throw new Error("Invalid date range")
+        }
+
+        if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+            toDate.setUTCHours(23, 59, 59, 999)
+        }
+
+        const position = cursor ? decodeCursor(cursor) : null
+
+        if (cursor && !position) {
+            throw new Error("Invalid cursor")
+        }
+
+        const items =
+            contentType === "post"
+                ? await this.getPosts({ status: "published" })
+                : await this.getPages({ status: "published" })
+
+        const matchingItems = items.filter(({ frontmatter }) => {
+            if (category && !hasFieldValue(frontmatter, "category", category)) return false
+            if (tag && !hasFieldValue(frontmatter, "tag", tag)) return false
+            if (author && frontmatter.author !== author) return false
+
+            const date = new Date(frontmatter.publishDate || frontmatter.createdAt)
+            if (fromDate && !(date >= fromDate)) return false
+            if (toDate && !(date <= toDate)) return false
+
+            return true
+        })
+
+        // Position of an item in the sorted list: its sort value, then its ID to break ties
+        const getPosition = ({ frontmatter }) => [
+            sortField === "title"
+                ? String(frontmatter.title || "").toLowerCase()
+                : new Date(frontmatter[sortField] || frontmatter.createdAt || 0).getTime() || 0,
+            String(frontmatter.id),
+        ]
+
+        const comparePositions = ([valueA, idA], [valueB, idB]) => {
+            const result = valueA < valueB ? -1 : valueA > valueB ? 1 : idA.localeCompare(idB)
+            return descending ? -result : result
+        }
+
+        const sortedItems = matchingItems
+            .map((item) => ({ item, position: getPosition(item) }))
+            .sort((a, b) => comparePositions(a.position, b.position))
+
+        // Skip the items up to the cursor
+        const remainingItems = position
+            ? sortedItems.filter((entry) => comparePositions(entry.position, [position[0], String(position[1])]) > 0)
+            : sortedItems
+
+        const pageItems = remainingItems.slice(0, limit)
+        const nextCursor = remainingItems.length > limit ? encodeCursor(pageItems[pageItems.length - 1].position) : null
+
+        return {
+            items: pageItems.map((entry) => entry.item),
+            total: matchingItems.length,
+            nextCursor,
+        }
+    }
+
     /**
      * Find content by a custom query across all content types
      * This is useful for implementing search, tags, or other cross-content features
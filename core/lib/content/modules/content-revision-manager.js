@@ -0,0 +1,214 @@
+/**
+ * Manages revision history for content items (posts and pages)
+ */
+import { join } from "node:path"
+import { ensureDirectory, readJsonFile, writeJsonFile, deleteFile } from "../utils/file-utils.js"
+import { diffLines, diffFrontmatter, summarizeDiff } from "../utils/diff-utils.js"
+
+export class ContentRevisionManager {
+    /**
+     * @param {string} dataDir - Directory for storing content files
+     * @param {Object} options - Revision options
+     * @param {number} [options.maxRevisions=50] - Maximum number of revisions kept per item
+     */
+    constructor(dataDir, options = {}) {
+        this.dataDir = dataDir
+        this.revisionsDir = join(dataDir, "revisions")
+        this.maxRevisions = options.maxRevisions || 50
+    }
+
+    /**
+     * Initialize revision directories
+     * @returns {Promise<boolean>} Success or failure
+     */
+    async initialize() {
+        try {
+            await ensureDirectory(join(this.revisionsDir, "post"))
+            await ensureDirectory(join(this.revisionsDir, "page"))
+            return true
+        } catch (error) {
+            console.error("Error initializing revision directories:", error)
+            return false
+        }
+    }
+
+    /**
+     * Get the path of the revisions file for a content item
+     * @param {string} id - Content ID
+     * @param {string} contentType - Type of content ('post' or 'page')
+     * @returns {string} Revisions file path
+     */
+    getRevisionsPath(id, contentType = "post") {
+        return join(this.revisionsDir, contentType, `${id}.json`)
+    }
+
+    /**
+     * Read all stored revisions for a content item (oldest first)
+     * @param {string} id - Content ID
+     * @param {string} contentType - Type of content ('post' or 'page')
+     * @returns {Promise<Array>} Stored revisions
+     */
+    async readRevisions(id, contentType = "post") {
+        const revisions = await readJsonFile(this.getRevisionsPath(id, contentType), [])
+        return Array.isArray(revisions) ? revisions : []
+    }
+
+    /**
+     * Record a new revision for a content item
+     * @param {string} id - Content ID
+     * @param {Object} snapshot - Content state to store ({ frontmatter, content })
+     * @param {Object} details - Revision details
+     * @param {string} [details.contentType='post'] - Type of content ('post' or 'page')
+     * @param {string} [details.user] - Username of whoever made the change
+     * @param {string} [details.createdAt] - When the change was made (defaults to now)
+     * @param {string} [details.note] - Optional note (e.g. "Restored from revision 3")
+     * @returns {Promise<Object|null>} The stored revision or null on failure
+     */
+    async addRevision(id, snapshot, details = {}) {
+        try {
+            const contentType = details.contentType || "post"
+            const revisions = await this.readRevisions(id, contentType)
+            const lastRevision = revisions[revisions.length - 1]
+
+            // Skip saves that did not change anything since the last revision
+            if (
+                lastRevision &&
+                lastRevision.content === (snapshot.content || "") &&
+                diffFrontmatter(lastRevision.frontmatter, snapshot.frontmatter).length === 0
+            ) {
+                return lastRevision
+            }
+
+            const revision = {
+                rev: lastRevision ? lastRevision.rev + 1 : 1,
+                contentId: String(id),
+                contentType,
+                user: details.user || snapshot.frontmatter?.author || "unknown",
+                createdAt: details.createdAt || new Date().toISOString(),
+                note: details.note || "",
+                frontmatter: { ...snapshot.frontmatter },
+                content: snapshot.content || "",
+            }
+
+            revisions.push(revision)
+
+            // Drop the oldest revisions once the limit is reached
+            const trimmedRevisions = revisions.slice(-this.maxRevisions)
+
+            await ensureDirectory(join(this.revisionsDir, contentType))
+            await writeJsonFile(this.getRevisionsPath(id, contentType), trimmedRevisions)
+
+            return revision
+        } catch (error) {
+            console.error(`Error saving revision for ${details.contentType || "post"} ${id}:`, error)
+            return null
+        }
+    }
+
+    /**
+     * Record a revision for the state of an item before its first tracked update.
+     * Content created before revisions existed has no history, so its current state
+     * becomes the first revision to make sure the original can always be restored.
+     * @param {string} id - Content ID
+     * @param {Object} snapshot - Current content state ({ frontmatter, content })
+     * @param {string} contentType - Type of content ('post' or 'page')
+     * @returns {Promise<Object|null>} The baseline revision, or null if history already exists
+     */
+    async ensureBaselineRevision(id, snapshot, contentType = "post") {
+        const revisions = await this.readRevisions(id, contentType)
+        if (revisions.length > 0) {
+            return null
+        }
+
+        return this.addRevision(id, snapshot, {
+            contentType,
+            user: snapshot.frontmatter?.author,
+            createdAt: snapshot.frontmatter?.updatedAt || snapshot.frontmatter?.createdAt,
+        })
+    }
+
+    /**
+     * List revisions for a content item without their bodies (newest first)
+     * @param {string} id - Content ID
+     * @param {string} contentType - Type of content ('post' or 'page')
+     * @returns {Promise<Array>} Revision summaries
+     */
+    async getRevisions(id, contentType = "post") {
+        const revisions = await this.readRevisions(id, contentType)
+
+        return revisions
+            .map((revision) => ({
+                rev: revision.rev,
+                user: revision.user,
+                createdAt: revision.createdAt,
+                note: revision.note,
+                title: revision.frontmatter?.title || "",
+                slug: revision.frontmatter?.slug || "",
+                status: revision.frontmatter?.status || "",
+            }))
+            .reverse()
+    }
+
+    /**
+     * Get a single revision
+     * @param {string} id - Content ID
+     * @param {number|string} rev - Revision number
+     * @param {string} contentType - Type of content ('post' or 'page')
+     * @returns {Promise<Object|null>} Revision or null if not found
+     */
+    async getRevision(id, rev, contentType = "post") {
+        const revisions = await this.readRevisions(id, contentType)
+        return revisions.find((revision) => revision.rev === Number(rev)) || null
+    }
+
+    /**
+     * Compare two revisions of a content item
+     * @param {string} id - Content ID
+     * @param {number|string} fromRev - Older revision number
+     * @param {number|string} toRev - Newer revision number
+     * @param {string} contentType - Type of content ('post' or 'page')
+     * @returns {Promise<Object|null>} Diff result or null if a revision is missing
+     */
+    async compareRevisions(id, fromRev, toRev, contentType = "post") {
+        const revisions = await this.readRevisions(id, contentType)
+        const from = revisions.find((revision) => revision.rev === Number(fromRev))
+        const to = revisions.find((revision) => revision.rev === Number(toRev))
+
+        if (!from || !to) {
+            return null
+        }
+
+        const contentDiff = diffLines(from.content, to.content)
+
+        return {
+            from: { rev: from.rev, user: from.user, createdAt: from.createdAt },
+            to: { rev: to.rev, user: to.user, createdAt: to.createdAt },
+            frontmatter: diffFrontmatter(from.frontmatter, to.frontmatter),
+            content: contentDiff,
+            summary: summarizeDiff(contentDiff),
+        }
+    }
+
+    /**
+     * Get the revision that precedes a given revision
+     * @param {string} id - Content ID
+     * @param {number|string} rev - Revision number
+     * @param {string} contentType - Type of content ('post' or 'page')
+     * @returns {Promise<Object|null>} Previous revision or null if there is none
+     */
+    async getPreviousRevision(id, rev, contentType = "post") {
+        const revisions = await this.readRevisions(id, contentType)
+        const older = revisions.filter((revision) => revision.rev < Number(rev))
+        return older.length > 0 ? older[older.length - 1] : null
+    }
+
+    /**
+     * Delete the whole revision history of a content item
+     * @param {string} id - Content ID
+     * @param {string} contentType - Type of content ('post' or 'page')
+     * @returns {Promise<boolean>} Success or failure
+     */
+    async deleteRevisions(id, contentType = "post") {
+        return deleteFile(this.getRevisionsPath(id, contentType))
+    }
+}
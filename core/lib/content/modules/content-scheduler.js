@@ -0,0 +1,108 @@
+/**
+ * Publishes scheduled content items when their publish date arrives
+ */
+import { isFutureDate } from "../utils/content-utils.js"
+
+export class ContentScheduler {
+    /**
+     * @param {Object} queryManager - Content query manager used to find scheduled items
+     * @param {Object} itemManager - Content item manager used to update their status
+     * @param {Object} options - Scheduler options
+     * @param {number} [options.interval=60000] - Delay between checks in milliseconds
+     */
+    constructor(queryManager, itemManager, options = {}) {
+        this.queryManager = queryManager
+        this.itemManager = itemManager
+        this.interval = options.interval || 60000
+        this.timer = null
+        this.isRunning = false
+        this.onPublish = null
+    }
+
+    /**
+     * Start checking for due content at a regular interval
+     * @param {Function} [onPublish] - Called with the published items ([{ item, contentType }]) after each run
+     */
+    start(onPublish = null) {
+        if (this.timer) {
+            return
+        }
+
+        this.onPublish = onPublish
+
+        // Publish anything that became due while the server was down
+        this.publishDueContent()
+
+        this.timer = setInterval(() => this.publishDueContent(), this.interval)
+
+        // Do not keep the process alive only for the scheduler
+        this.timer.unref?.()
+    }
+
+    /**
+     * Stop the scheduler
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer)
+            this.timer = null
+        }
+    }
+
+    /**
+     * Get scheduled items whose publish date has been reached
+     * @param {Date} now - Reference date (defaults to now)
+     * @returns {Promise<Array>} Due items ([{ item, contentType }])
+     */
+    async getDueContent(now = new Date()) {
+        const posts = await this.queryManager.getPosts({ status: "scheduled" })
+        const pages = await this.queryManager.getPages({ status: "scheduled" })
+
+        return [
+            ...posts.map((item) => ({ item, contentType: "post" })),
+            ...pages.map((item) => ({ item, contentType: "page" })),
+        ].filter(({ item }) => !isFutureDate(item.frontmatter.publishDate, now))
+    }
+
+    /**
+     * Publish every scheduled item whose publish date has been reached
+     * @returns {Promise<Array>} Published items ([{ item, contentType }])
+     */
+    async publishDueContent() {
+        // Skip if a previous run is still in progress
+        if (this.isRunning) {
+            return []
+        }
+
+        this.isRunning = true
+        const published = []
+
+        try {
+            const dueItems = await this.getDueContent()
+
+            for (const { item, contentType } of dueItems) {
+                const updatedItem = await this.itemManager.updateContent(
+                    item.frontmatter.id,
+                    { metadata: { status: "published" } },
+                    contentType,
+                    { note: "Published on schedule" }
+                )
+
+                if (updatedItem) {
+                    console.log(`Published scheduled ${contentType}: ${updatedItem.title}`)
+                    published.push({ item: updatedItem, contentType })
+                }
+            }
+
+            if (published.length > 0 && this.onPublish) {
+                await this.onPublish(published)
+            }
+        } catch (error) {
+            console.error("Error publishing scheduled content:", error)
+        } finally {
+            this.isRunning = false
+        }
+
+        return published
+    }
+}
@@ -0,0 +1,289 @@
+/**
+ * In-memory full-text search index for posts and pages
+ */
+import { getContentPath, getPagesBySlug, isPublished, markdownToPlainText } from "../utils/content-utils.js"
+import { FIELD_WEIGHTS, tokenize, highlightText, buildSnippet, escapeHtml } from "../utils/search-utils.js"
+
+export class ContentSearchIndex {
+    /**
+     * @param {Object} queryManager - Content query manager used to (re)build the index
+     */
+    constructor(queryManager) {
+        this.queryManager = queryManager
+        this.documents = new Map() // "type:id" -> indexed document
+        this.postings = new Map() // term -> Map("type:id" -> weighted term frequency)
+    }
+
+    /**
+     * Build the index from all posts and pages
+     * @returns {Promise<number>} Number of indexed documents
+     */
+    async build() {
+        this.documents.clear()
+        this.postings.clear()
+
+        const posts = await this.queryManager.getPosts()
+        const pages = await this.queryManager.getPages()
+
+        posts.forEach((post) => this.add(post, "post"))
+        pages.forEach((page) => this.add(page, "page"))
+
+        return this.documents.size
+    }
+
+    /**
+     * Get the key of a document in the index
+     * @param {string} id - Content ID
+     * @param {string} contentType - Type of content ('post' or 'page')
+     * @returns {string} Document key
+     */
+    getKey(id, contentType) {
+        return `${contentType}:${id}`
+    }
+
+    /**
+     * Add or replace a content item in the index.
+     * Accepts items as returned by queries ({ frontmatter, content })
+     * or by create/update operations ({ ...frontmatter, content, type }).
+     * @param {Object} item - Content item
+     * @param {string} [contentType] - Type of content ('post' or 'page'), defaults to item.type
+     */
+    add(item, contentType) {
+        if (!item) return
+
+        const { content = "", type, ...flatFrontmatter } = item
+        const frontmatter = item.frontmatter || flatFrontmatter
+        const docType = contentType || type || "post"
+
+        if (!frontmatter.id) return
+
+        const key = this.getKey(frontmatter.id, docType)
+
+        // Replace any previous version of the document
+        this.remove(frontmatter.id, docType)
+
+        // Only content that is or will become public can be found
+        if (frontmatter.status !== "published" && frontmatter.status !== "scheduled") {
+            return
+        }
+
+        const tags = Array.isArray(frontmatter.tags)
+            ? frontmatter.tags
+            : typeof frontmatter.tags === "string"
+            ? frontmatter.tags.split(",").map((tag) => tag.trim())
+            : []
+
+        const body = markdownToPlainText(content)
+            .replace(/<[^>]+>/g, " ") // Remove inline HTML
+            .replace(/\s+/g, " ")
+
+        const fields = {
+            title: frontmatter.title || "",
+            tags: tags.join(" "),
+            category: frontmatter.category || "",
+            excerpt: frontmatter.excerpt || frontmatter.seoDescription || "",
+            body,
+        }
+
+        // Collect weighted term frequencies over all fields
+        const frequencies = new Map()
+        for (const [field, text] of Object.entries(fields)) {
+            for (const term of tokenize(text)) {
+                frequencies.set(term, (frequencies.get(term) || 0) + FIELD_WEIGHTS[field])
+            }
+        }
+
+        for (const [term, frequency] of frequencies) {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map())
+            }
+            this.postings.get(term).set(key, frequency)
+        }
+
+        this.documents.set(key, {
+            key,
+            contentType: docType,
+            frontmatter: { ...frontmatter },
+            tags,
+            body,
+            terms: [...frequencies.keys()],
+        })
+    }
+
+    /**
+     * Remove a content item from the index
+     * @param {string} id - Content ID
+     * @param {string} contentType - Type of content ('post' or 'page')
+     */
+    remove(id, contentType = "post") {
+        const key = this.getKey(id, contentType)
+        const document = this.documents.get(key)
+
+        if (!document) return
+
+        for (const term of document.terms) {
+            const posting = this.postings.get(term)
+            if (!posting) continue
+
+            posting.delete(key)
+            if (posting.size === 0) {
+                this.postings.delete(term)
+            }
+        }
+
+        this.documents.delete(key)
+    }
+
+    /**
+     * Find the documents matching a query term
+     * @param {string} term - Normalized query term
+     * @param {boolean} isPrefix - Whether indexed terms starting with the query term also match
+     * @returns {Map<string, number>} Document key -> weighted frequency
+     */
+    matchTerm(term, isPrefix) {
+        if (!isPrefix) {
+            return this.postings.get(term) || new Map()
+        }
+
+        // Merge the postings of every indexed term starting with the query term
+        const matches = new Map()
+        for (const [indexedTerm, posting] of this.postings) {
+            if (!indexedTerm.startsWith(term)) continue
+
+            // Exact matches count fully, longer words a little less
+            const factor = indexedTerm === term ? 1 : 0.7
+            for (const [key, frequency] of posting) {
+                matches.set(key, Math.max(matches.get(key) || 0, frequency * factor))
+            }
+        }
+
+        return matches
+    }
+
+    /**
+     * Search published content
+     * @param {string} query - Search query
+     * @param {Object} options - Search options
+     * @param {string} [options.type] - Restrict results to 'post' or 'page'
+     * @param {number} [options.limit=10] - Maximum number of results
+     * @param {number} [options.offset=0] - Number of results to skip
+     * @returns {Object} Search result ({ query, total, results })
+     */
+    search(query, options = {}) {
+        const limit = options.limit || 10
+        const offset = options.offset || 0
+        const terms = [...new Set(tokenize(query))]
+
+        if (terms.length === 0) {
+            return { query, total: 0, results: [] }
+        }
+
+        // The last term may still be being typed, so it also matches as a prefix
+        const prefixTerm = terms[terms.length - 1]
+        const now = new Date()
+        const totalDocuments = this.documents.size || 1
+
+        let scores = null
+
+        for (const term of terms) {
+            const matches = this.matchTerm(term, term === prefixTerm)
+
+            // Rare terms weigh more than common ones
+            const idf = Math.log(1 + totalDocuments / (matches.size || 1))
+            const termScores = new Map()
+
+            for (const [key, frequency] of matches) {
+                // Every term must match (AND search)
+                if (scores && !scores.has(key)) continue
+                termScores.set(key, (scores?.get(key) || 0) + (1 + Math.log(frequency)) * idf)
+            }
+
+            scores = termScores
+            if (scores.size === 0) break
+        }
+
+        const normalizedQuery = terms.join(" ")
+
+        const ranked = [...scores.entries()]
+            .map(([key, score]) => ({ document: this.documents.get(key), score }))
+            .filter(({ document }) => {
+                if (!document || !isPublished(document.frontmatter, now)) return false
+                return !options.type || document.contentType === options.type
+            })
+            .map(({ document, score }) => {
+                // Boost documents whose title contains the whole query
+                const titleTerms = tokenize(document.frontmatter.title).join(" ")
+                return { document, score: titleTerms.includes(normalizedQuery) ? score * 1.5 : score }
+            })
+            .sort((a, b) => b.score - a.score || this.getDate(b.document) - this.getDate(a.document))
+
+        const results = ranked
+            .slice(offset, offset + limit)
+            .map(({ document, score }) => this.formatResult(document, score, terms, prefixTerm))
+
+        return { query, total: ranked.length, results }
+    }
+
+    /**
+     * Get the date used to order documents with the same score
+     * @param {Object} document - Indexed document
+     * @returns {number} Timestamp
+     */
+    getDate(document) {
+        const { publishDate, createdAt } = document.frontmatter
+        return new Date(publishDate || createdAt || 0).getTime() || 0
+    }
+
+    /**
+     * Build the public URL of an indexed document
+     * @param {Object} document - Indexed document
+     * @returns {string} URL path
+     */
+    getUrl(document) {
+        if (document.contentType === "post") {
+            return getContentPath(document.frontmatter, "post")
+        }
+
+        // Custom pages are nested under their parents
+        const pages = [...this.documents.values()].filter((doc) => doc.contentType === "page")
+
+        return getContentPath(document.frontmatter, document.contentType, getPagesBySlug(pages))
+    }
+
+    /**
+     * Format an indexed document as a search result
+     * @param {Object} document - Indexed document
+     * @param {number} score - Relevance score
+     * @param {Array<string>} terms - Normalized query terms
+     * @param {string} prefixTerm - Term that may also match as a prefix
+     * @returns {Object} Search result
+     */
+    formatResult(document, score, terms, prefixTerm) {
+        const { frontmatter, body } = document
+        const excerpt = frontmatter.excerpt || frontmatter.seoDescription || ""
+
+        // Prefer a snippet from the body, fall back to the excerpt or the beginning of the body
+        const snippet =
+            buildSnippet(body, terms, { prefixTerm }) ||
+            buildSnippet(excerpt, terms, { prefixTerm }) ||
+            escapeHtml(excerpt || body.slice(0, 200))
+
+        return {
+            id: frontmatter.id,
+            type: document.contentType,
+            title: frontmatter.title,
+            highlightedTitle: highlightText(frontmatter.title || "", terms, prefixTerm),
+            subtitle: frontmatter.subtitle || "",
+            slug: frontmatter.slug,
+            url: this.getUrl(document),
+            excerpt,
+            snippet,
+            author: frontmatter.author,
+            category: frontmatter.category || null,
+            tags: document.tags,
+            featuredImage: frontmatter.featuredImage || null,
+            publishDate: frontmatter.publishDate || frontmatter.createdAt,
+            score: Math.round(score * 1000) / 1000,
+        }
+    }
+}
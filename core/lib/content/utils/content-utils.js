@@ -109,6 +109,46 @@ export function sortContentByDate(items) {
     })
 }
 
+/**
+ * Check if a publish date lies in the future
+ * @param {string|Date} publishDate - Publish date from frontmatter
+ * @param {Date} now - Reference date (defaults to now)
+ * @returns {boolean} True if the date is valid and still to come
+ */
+export function isFutureDate(publishDate, now = new Date()) {
+    if (!publishDate) return false
+
+    const date = new Date(publishDate)
+    return !isNaN(date.getTime()) && date > now
+}
+
+/**
+ * Check if a content item is publicly visible
+ * Published items with a publish date in the future stay hidden until that date
+ * @param {Object} frontmatter - Content frontmatter
+ * @param {Date} now - Reference date (defaults to now)
+ * @returns {boolean} True if the item can be shown on the frontend
+ */
+export function isPublished(frontmatter, now = new Date()) {
+    return frontmatter?.status === "published" && !isFutureDate(frontmatter.publishDate, now)
+}
+
+/**
+ * Resolve the status to store for a content item based on its publish date
+ * Published items dated in the future become "scheduled", scheduled items whose date has passed become "published"
+ * @param {string} status - Requested status
+ * @param {string|Date} publishDate - Publish date from frontmatter
+ * @param {Date} now - Reference date (defaults to now)
+ * @returns {string} Status to store
+ */
+export function resolveScheduledStatus(status, publishDate, now = new Date()) {
+    if (status !== "published" && status !== "scheduled") {
+        return status
+    }
+
+    return isFutureDate(publishDate, now) ? "scheduled" : "published"
+}
+
 /**
  * Apply offset and limit to an array
  * @param {Array<Object>} items - Array of items
@@ -121,6 +161,148 @@ export function applyPagination(items, options) {
     return items.slice(offset, offset + limit)
 }
 
+/**
+ * Check if a frontmatter field contains a value
+ * Fields can hold an array or a comma-separated string, under their singular or plural name
+ * @param {Object} frontmatter - Content frontmatter
+ * @param {string} field - Field name (e.g. "category" or "tag")
+ * @param {string} value - Value to look for
+ * @returns {boolean} True if the field contains the value
+ */
+export function hasFieldValue(frontmatter, field, value) {
+    const pluralField = field.endsWith("s") ? field : `${field}s`
+    const fieldValue = frontmatter?.[field] || frontmatter?.[pluralField]
+
+    if (Array.isArray(fieldValue)) {
+        return fieldValue.includes(value)
+    }
+
+    if (typeof fieldValue === "string") {
+        return fieldValue
+            .split(",")
+            .map((v) => v.trim())
+            .includes(value)
+    }
+
+    return false
+}
+
+/**
+ * Map pages by slug, to resolve the parents of custom pages
+ * @param {Array<Object>} pages - Pages ({ frontmatter } items or frontmatter)
+ * @returns {Map<string, Object>} Slug => frontmatter
+ */
+export function getPagesBySlug(pages) {
+    return new Map(
+        pages.map((page) => {
+            const frontmatter = page.frontmatter || page
+            return [frontmatter.slug, frontmatter]
+        })
+    )
+}
+
+/**
+ * Get the ancestors of a custom page, from the topmost page down to its parent
+ * The chain stops at a parent that isn't a custom page of the map, or that is already in the chain.
+ * @param {Object} frontmatter - Page frontmatter
+ * @param {Map<string, Object>} pagesBySlug - Frontmatter of the pages by slug
+ * @returns {Array<Object>} Frontmatter of the ancestors
+ */
+export function getPageAncestors(frontmatter, pagesBySlug) {
+    const ancestors = []
+    const visited = new Set([frontmatter.slug])
+    let parent = pagesBySlug.get(frontmatter.parentPage)
+
+    // Parents referencing each other would loop forever
+    while (parent && parent.pageType === "custom" && !visited.has(parent.slug)) {
+        visited.add(parent.slug)
+        ancestors.unshift(parent)
+        parent = pagesBySlug.get(parent.parentPage)
+    }
+
+    return ancestors
+}
+
+/**
+ * Get the URL path of a content item
+ * Custom pages are nested under their parent pages (/docs/api/examples), at any depth
+ * @param {Object} frontmatter - Content frontmatter
+ * @param {string} contentType - Type of content ('post' or 'page')
+ * @param {Map<string, Object>} [pagesBySlug] - Frontmatter of the pages by slug, to find the parents of custom pages
+ * @returns {string} URL path
+ */
+export function getContentPath(frontmatter, contentType, pagesBySlug = new Map()) {
+    if (contentType === "post") {
+        return `/post/${frontmatter.slug}`
+    }
+
+    if (frontmatter.pageType !== "custom") {
+        return `/page/${frontmatter.slug}`
+    }
+
+    const segments = [...getPageAncestors(frontmatter, pagesBySlug).map((parent) => parent.slug), frontmatter.slug]
+
+    return `/${segments.join("/")}`
+}
+
+/**
+ * Find the custom page served at a URL path
+ * Pages are only found at their full path, so /team doesn't serve /company/team.
+ * @param {string} path - URL path (e.g. /docs/api/examples)
+ * @param {Map<string, Object>} pagesBySlug - Frontmatter of the pages by slug
+ * @returns {Object|null} Page frontmatter, or null if no custom page has this path
+ */
+export function findCustomPageByPath(path, pagesBySlug) {
+    const segments = path.split("/").filter(Boolean)
+    const frontmatter = pagesBySlug.get(segments.at(-1))
+
+    if (!frontmatter || frontmatter.pageType !== "custom") {
+        return null
+    }
+
+    return getContentPath(frontmatter, "page", pagesBySlug) === `/${segments.join("/")}` ? frontmatter : null
+}
+
+/**
+ * Build the breadcrumbs of a nested custom page, from its topmost ancestor to the page itself
+ * @param {Object} frontmatter - Page frontmatter
+ * @param {Map<string, Object>} pagesBySlug - Frontmatter of the pages by slug
+ * @returns {Array<Object>} Breadcrumbs ({ title, slug, url, order, active }), slug holding the path like url
+ */
+export function getPageBreadcrumbs(frontmatter, pagesBySlug) {
+    const trail = [...getPageAncestors(frontmatter, pagesBySlug), frontmatter]
+
+    return trail.map((page, order) => {
+        const url = getContentPath(page, "page", pagesBySlug)
+        const crumb = { title: page.title || page.slug, slug: url, url, order }
+
+        return page === frontmatter ? { ...crumb, active: true } : crumb
+    })
+}
+
+/**
+ * Encode the position of an item in a sorted list as an opaque pagination cursor
+ * @param {Array} position - Sort value and ID of the last item of a page
+ * @returns {string} Base64url cursor
+ */
+export function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString("base64url")
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor created by encodeCursor
+ * @returns {Array|null} Sort value and ID, or null if the cursor is invalid
+ */
+export function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"))
+        return Array.isArray(position) && position.length === 2 ? position : null
+    } catch {
+        return null
+    }
+}
+
 /**
  * Helper method to truncate excerpt to specified length
  * @param {string} excerpt - The excerpt to truncate
@@ -145,6 +327,27 @@ export function truncateExcerpt(excerpt, maxLength = 120) {
     return truncated + "..."
 }
 
+/**
+ * Strip Markdown syntax from a text, keeping its readable content
+ * @param {string} markdown - Markdown text
+ * @returns {string} Plain text
+ */
+export function markdownToPlainText(markdown) {
+    if (!markdown) return ""
+
+    return markdown
+        .replace(/#+\s+/g, "") // Remove headings
+        .replace(/\[([^\]]+)\]\([^)]+\)/g, "$1") // Replace links with just text
+        .replace(/\*\*([^*]+)\*\*/g, "$1") // Remove bold but keep content
+        .replace(/\*([^*]+)\*/g, "$1") // Remove italic (asterisks) but keep content
+        .replace(/~~([^~]+)~~/g, "$1") // Remove strikethrough but keep content
+        .replace(/\_([^_]+)\_/g, "$1") // Remove italic (underscores) but keep content
+        .replace(/`{1,3}[^`]*`{1,3}/g, "") // Remove code blocks entirely
+        .replace(/>\s+(.*)/g, "$1") // Remove blockquote markers but keep content
+        .replace(/\|.*\|/g, "") // Remove table rows
+        .trim()
+}
+
 /**
  * Transforms a list of content items based on view options
  * @param {Array<Object>} contentItems - Array of content items to transform
@@ -168,17 +371,7 @@ export function transformContentItems(contentItems, options = {}) {
             let contentPreview = ""
             if (item.content) {
                 // Strip markdown syntax
-                const plainText = item.content
-                    .replace(/#+\s+/g, "") // Remove headings
-                    .replace(/\[([^\]]+)\]\([^)]+\)/g, "$1") // Replace links with just text
-                    .replace(/\*\*([^*]+)\*\*/g, "$1") // Remove bold but keep content
-                    .replace(/\*([^*]+)\*/g, "$1") // Remove italic (asterisks) but keep content
-                    .replace(/~~([^~]+)~~/g, "$1") // Remove strikethrough but keep content
-                    .replace(/\_([^_]+)\_/g, "$1") // Remove italic (underscores) but keep content
-                    .replace(/`{1,3}[^`]*`{1,3}/g, "") // Remove code blocks entirely
-                    .replace(/>\s+(.*)/g, "$1") // Remove blockquote markers but keep content
-                    .replace(/\|.*\|/g, "") // Remove table rows
-                    .trim()
+                const plainText = markdownToPlainText(item.content)
 
                 contentPreview =
                     plainText.length > previewLength ? plainText.substring(0, previewLength - 3) + "..." : plainText
@@ -0,0 +1,146 @@
+/**
+ * Utility functions for comparing content revisions
+ */
+
+/**
+ * Compute a line-based diff between two texts using the Myers algorithm
+ * @param {string} oldText - Original text
+ * @param {string} newText - Updated text
+ * @returns {Array<Object>} Array of operations ({ type: 'equal'|'add'|'remove', line, oldLine, newLine })
+ */
+export function diffLines(oldText = "", newText = "") {
+    const a = splitLines(oldText)
+    const b = splitLines(newText)
+    const n = a.length
+    const m = b.length
+    const max = n + m
+    const offset = max + 1
+
+    // Furthest reaching x for each diagonal k, one snapshot per edit distance d
+    const v = new Int32Array(2 * max + 3)
+    const trace = []
+
+    let done = n === 0 && m === 0
+
+    for (let d = 0; d <= max && !done; d++) {
+        trace.push(v.slice())
+
+        for (let k = -d; k <= d; k += 2) {
+            // Decide whether to move down (insertion) or right (deletion)
+            let x =
+                k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1
+            let y = x - k
+
+            // Follow the diagonal while lines are equal
+            while (x < n && y < m && a[x] === b[y]) {
+                x++
+                y++
+            }
+
+            v[offset + k] = x
+
+            if (x >= n && y >= m) {
+                done = true
+                break
+            }
+        }
+    }
+
+    return backtrack(trace, a, b, offset)
+}
+
+/**
+ * Walk back through the Myers trace to build the list of operations
+ * @param {Array<Int32Array>} trace - Snapshots of the V array per edit distance
+ * @param {Array<string>} a - Original lines
+ * @param {Array<string>} b - Updated lines
+ * @param {number} offset - Index offset used for negative diagonals
+ * @returns {Array<Object>} Ordered diff operations
+ */
+function backtrack(trace, a, b, offset) {
+    const operations = []
+    let x = a.length
+    let y = b.length
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const v = trace[d]
+        const k = x - y
+
+        const prevK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1
+        const prevX = v[offset + prevK]
+        const prevY = prevX - prevK
+
+        // Diagonal moves are unchanged lines
+        while (x > prevX && y > prevY) {
+            operations.push({ type: "equal", line: a[x - 1], oldLine: x, newLine: y })
+            x--
+            y--
+        }
+
+        if (d > 0) {
+            if (x === prevX) {
+                operations.push({ type: "add", line: b[y - 1], newLine: y })
+            } else {
+                operations.push({ type: "remove", line: a[x - 1], oldLine: x })
+            }
+        }
+
+        x = prevX
+        y = prevY
+    }
+
+    return operations.reverse()
+}
+
+/**
+ * Compare two frontmatter objects field by field
+ * @param {Object} oldFrontmatter - Original frontmatter
+ * @param {Object} newFrontmatter - Updated frontmatter
+ * @param {Array<string>} ignoreFields - Fields to leave out of the comparison
+ * @returns {Array<Object>} Changed fields ({ field, from, to })
+ */
+export function diffFrontmatter(oldFrontmatter = {}, newFrontmatter = {}, ignoreFields = ["updatedAt"]) {
+    const fields = new Set([...Object.keys(oldFrontmatter), ...Object.keys(newFrontmatter)])
+    const changes = []
+
+    for (const field of fields) {
+        if (ignoreFields.includes(field)) continue
+
+        const from = oldFrontmatter[field] ?? null
+        const to = newFrontmatter[field] ?? null
+
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes.push({ field, from, to })
+        }
+    }
+
+    return changes
+}
+
+/**
+ * Summarize a list of diff operations
+ * @param {Array<Object>} operations - Operations returned by diffLines
+ * @returns {Object} Counts of added and removed lines
+ */
+export function summarizeDiff(operations) {
+    return operations.reduce(
+        (summary, op) => {
+            if (op.type === "add") summary.added++
+            if (op.type === "remove") summary.removed++
+            return summary
+        },
+        { added: 0, removed: 0 }
+    )
+}
+
+/**
+ * Split text into lines, normalizing line endings
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Lines
+ */
+function splitLines(text) {
+    if (!text) return []
+    return String(text).replace(/\r\n?/g, "\n").split("\n")
+}
@@ -0,0 +1,151 @@
+/**
+ * Utility functions for full-text search (tokenizing, highlighting and snippets)
+ */
+
+// Common English words that carry no meaning on their own
+export const STOP_WORDS = new Set(
+    "a an and are as at be but by for from has have in is it its of on or that the this to was were will with".split(
+        " "
+    )
+)
+
+// Relative weight of a match in each indexed field
+export const FIELD_WEIGHTS = {
+    title: 10,
+    tags: 6,
+    category: 4,
+    excerpt: 3,
+    body: 1,
+}
+
+// Matches words made of letters and digits in any language
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu
+
+/**
+ * Normalize a word for indexing and matching (lowercase, without diacritics)
+ * @param {string} word - Word to normalize
+ * @returns {string} Normalized term
+ */
+export function normalizeTerm(word) {
+    return word
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+}
+
+/**
+ * Split a text into normalized search terms
+ * @param {string} text - Text to tokenize
+ * @param {Object} options - Tokenizer options
+ * @param {boolean} [options.keepStopWords=false] - Keep common words such as "the" or "and"
+ * @returns {Array<string>} Terms in order of appearance
+ */
+export function tokenize(text, options = {}) {
+    if (!text) return []
+
+    const terms = []
+    for (const [word] of String(text).matchAll(WORD_PATTERN)) {
+        const term = normalizeTerm(word)
+        if (term.length < 2 && !/\d/.test(term)) continue
+        if (!options.keepStopWords && STOP_WORDS.has(term)) continue
+        terms.push(term)
+    }
+
+    return terms
+}
+
+/**
+ * Escape HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;")
+}
+
+/**
+ * Check if a word matches one of the query terms
+ * @param {string} word - Word from the text
+ * @param {Array<string>} terms - Normalized query terms
+ * @param {string} [prefixTerm] - Term that may also match as a prefix (the one being typed)
+ * @returns {boolean} True if the word matches
+ */
+function matchesTerms(word, terms, prefixTerm) {
+    const term = normalizeTerm(word)
+    return terms.includes(term) || (prefixTerm && term.startsWith(prefixTerm))
+}
+
+/**
+ * Escape a text and wrap the words matching the query terms in <mark> tags
+ * @param {string} text - Plain text
+ * @param {Array<string>} terms - Normalized query terms
+ * @param {string} [prefixTerm] - Term that may also match as a prefix
+ * @returns {string} Highlighted HTML
+ */
+export function highlightText(text, terms, prefixTerm = null) {
+    if (!text) return ""
+
+    let html = ""
+    let lastIndex = 0
+
+    for (const match of String(text).matchAll(WORD_PATTERN)) {
+        if (!matchesTerms(match[0], terms, prefixTerm)) continue
+
+        html += escapeHtml(text.slice(lastIndex, match.index))
+        html += `<mark>${escapeHtml(match[0])}</mark>`
+        lastIndex = match.index + match[0].length
+    }
+
+    return html + escapeHtml(text.slice(lastIndex))
+}
+
+/**
+ * Build a highlighted snippet around the first match of the query terms
+ * @param {string} text - Plain text to extract the snippet from
+ * @param {Array<string>} terms - Normalized query terms
+ * @param {Object} options - Snippet options
+ * @param {string} [options.prefixTerm] - Term that may also match as a prefix
+ * @param {number} [options.length=200] - Approximate snippet length in characters
+ * @returns {string|null} Highlighted HTML snippet, or null if no term matches the text
+ */
+export function buildSnippet(text, terms, options = {}) {
+    if (!text) return null
+
+    const length = options.length || 200
+    const prefixTerm = options.prefixTerm || null
+
+    // Find the position of the first matching word
+    let matchIndex = -1
+    for (const match of text.matchAll(WORD_PATTERN)) {
+        if (matchesTerms(match[0], terms, prefixTerm)) {
+            matchIndex = match.index
+            break
+        }
+    }
+
+    if (matchIndex === -1) return null
+
+    // Center the window on the match, then snap it to word boundaries
+    let start = Math.max(0, matchIndex - Math.floor(length / 3))
+    let end = Math.min(text.length, start + length)
+
+    if (start > 0) {
+        const space = text.indexOf(" ", start)
+        start = space !== -1 && space < matchIndex ? space + 1 : start
+    }
+
+    if (end < text.length) {
+        const space = text.lastIndexOf(" ", end)
+        end = space > matchIndex ? space : end
+    }
+
+    const prefix = start > 0 ? "…" : ""
+    const suffix = end < text.length ? "…" : ""
+
+    return prefix + highlightText(text.slice(start, end), terms, prefixTerm) + suffix
+}
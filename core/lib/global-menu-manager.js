@@ -1,9 +1,22 @@
 /**
  * Global Menu Manager Module
  * Centralized menu management across all themes
+ *
+ * Menus are named and shared by all themes. Themes declare menu locations (header, footer...)
+ * in their theme.json, and each location is given one of the menus.
+ *
+ * Items either hold a URL, or link to a post, page, category or tag (linkType and linkId) and get
+ * its current URL and title when the menu is shown, so a changed slug doesn't break the menu.
  */
 import { join } from "node:path"
 import { readJsonFile, writeJsonFile } from "./theme/utils/file-utils.js"
+import { getContentPath } from "./content/utils/content-utils.js"
+
+// Menu created on first run, also used by themes that only show html_menu
+export const PRIMARY_MENU = "primary"
+
+// Content a menu item can link to, posts and pages by ID, categories and tags by slug
+export const LINK_TYPES = ["post", "page", "category", "tag"]
 
 export class GlobalMenuManager {
     /**
@@ -12,7 +25,17 @@ export class GlobalMenuManager {
     constructor(dataDir) {
         this.dataDir = dataDir
         this.menuPath = join(dataDir, "menu.json")
-        this.menuItems = []
+        this.menus = {} // Menu ID => { name, items }
+        this.locations = {} // Location ID => menu ID
+        this.contentManager = null // Set once the content manager is ready, resolves linked items
+    }
+
+    /**
+     * Set the content manager used to resolve the items linking to content
+     * @param {Object} contentManager - The ContentManager instance
+     */
+    setContentManager(contentManager) {
+        this.contentManager = contentManager
     }
 
     /**
@@ -21,8 +44,8 @@ export class GlobalMenuManager {
      */
     async initialize() {
         try {
-            // Load the menu or create default
-            await this.loadMenu()
+            // Load the menus or create the default one
+            await this.loadMenus()
             return true
         } catch (error) {
             console.error("Error initializing global menu manager:", error)
@@ -31,35 +54,79 @@ export class GlobalMenuManager {
     }
 
     /**
-     * Load the menu from the data directory
-     * @returns {Promise<Array>} Menu items
+     * Load the menus and the menu locations from the data directory
+     * A menu.json with a single menu (from older versions) becomes the primary menu.
+     * @returns {Promise<Object>} { menus, locations }
      */
-    async loadMenu() {
+    async loadMenus() {
         try {
-            const menu = await readJsonFile(this.menuPath, { menu: this.getDefaultMenu() })
-            this.menuItems = Array.isArray(menu.menu) ? menu.menu : this.getDefaultMenu()
+            const data = await readJsonFile(this.menuPath, null)
+
+            if (data && data.menus && typeof data.menus === "object") {
+                this.menus = data.menus
+                this.locations = data.locations || {}
+            } else {
+                this.menus = {
+                    [PRIMARY_MENU]: {
+                        name: "Primary Menu",
+                        items: Array.isArray(data?.menu) ? data.menu : this.getDefaultMenu(),
+                    },
+                }
+                this.locations = { [PRIMARY_MENU]: PRIMARY_MENU }
+
+                // Store the menus in the new format right away
+                await this.writeMenus()
+            }
 
             // Sort top-level items by order
-            this.menuItems.sort((a, b) => (a.order || 0) - (b.order || 0))
+            for (const menu of Object.values(this.menus)) {
+                menu.items = Array.isArray(menu.items) ? menu.items : []
+                menu.items.sort((a, b) => (a.order || 0) - (b.order || 0))
+            }
 
-            return this.menuItems
+            return { menus: this.menus, locations: this.locations }
         } catch (error) {
-            console.error("Error loading menu:", error)
-            // Return default menu if loading fails
-            this.menuItems = this.getDefaultMenu()
-            return this.menuItems
+            console.error("Error loading menus:", error)
+            // Use the default menu if loading fails
+            this.menus = { [PRIMARY_MENU]: { name: "Primary Menu", items: this.getDefaultMenu() } }
+            this.locations = { [PRIMARY_MENU]: PRIMARY_MENU }
+            return { menus: this.menus, locations: this.locations }
         }
     }
 
     /**
-     * Save the menu to the data directory
+     * Write the menus and the menu locations to the data directory
+     * @returns {Promise<boolean>} Success or failure
+     */
+    async writeMenus() {
+        return writeJsonFile(this.menuPath, { menus: this.menus, locations: this.locations })
+    }
+
+    /**
+     * Load the items of a menu
+     * @param {string} [menuId='primary'] - Menu ID
+     * @returns {Promise<Array>} Menu items, sorted by order (empty if the menu doesn't exist)
+     */
+    async loadMenu(menuId = PRIMARY_MENU) {
+        await this.loadMenus()
+        return this.getMenuItems(menuId)
+    }
+
+    /**
+     * Save the items of a menu
      * @param {Array} menuItems - The menu items to save
+     * @param {string} [menuId='primary'] - Menu ID
      * @returns {Promise<boolean>} Success or failure
      */
-    async saveMenu(menuItems) {
+    async saveMenu(menuItems, menuId = PRIMARY_MENU) {
         try {
-            this.menuItems = menuItems
-            return await writeJsonFile(this.menuPath, { menu: menuItems })
+            if (!this.hasMenu(menuId)) {
+                throw new Error(`Menu "${menuId}" not found`)
+            }
+
+            // Whether a linked item's content is missing is computed each time the menu is read
+            this.menus[menuId].items = menuItems.map(({ missing, ...item }) => item)
+            return await this.writeMenus()
         } catch (error) {
             console.error("Error saving menu:", error)
             return false
@@ -67,11 +134,150 @@ export class GlobalMenuManager {
     }
 
     /**
-     * Get the menu items
+     * Get the items of a menu
+     * @param {string} [menuId='primary'] - Menu ID
+     * @returns {Array} Menu items (empty if the menu doesn't exist)
+     */
+    getMenuItems(menuId = PRIMARY_MENU) {
+        return this.menus[menuId]?.items || []
+    }
+
+    /**
+     * Get the items of every menu
      * @returns {Array} Menu items
      */
-    getMenuItems() {
-        return this.menuItems
+    getAllMenuItems() {
+        return Object.values(this.menus).flatMap((menu) => menu.items || [])
+    }
+
+    /**
+     * Check if a menu exists
+     * @param {string} menuId - Menu ID
+     * @returns {boolean} True if the menu exists
+     */
+    hasMenu(menuId) {
+        return Object.hasOwn(this.menus, menuId)
+    }
+
+    /**
+     * Get the menus
+     * @returns {Array<Object>} Menus ({ id, name, itemCount, locations })
+     */
+    getMenus() {
+        return Object.entries(this.menus).map(([id, menu]) => ({
+            id,
+            name: menu.name,
+            itemCount: (menu.items || []).length,
+            locations: Object.keys(this.locations).filter((location) => this.locations[location] === id),
+        }))
+    }
+
+    /**
+     * Create a menu
+     * @param {string} name - Menu name
+     * @returns {Promise<Object>} The created menu ({ id, name, itemCount, locations })
+     * @throws {Error} If the name is invalid or the menu can't be saved
+     */
+    async createMenu(name) {
+        const menuName = validateMenuName(name)
+
+        // The ID is the slug of the name, numbered if it's taken
+        const slug =
+            menuName
+                .toLowerCase()
+                .replace(/[^a-z0-9]+/g, "-")
+                .replace(/^-+|-+$/g, "") || "menu"
+
+        let id = slug
+        for (let number = 2; this.hasMenu(id); number++) {
+            id = `${slug}-${number}`
+        }
+
+        this.menus[id] = { name: menuName, items: [] }
+
+        if (!(await this.writeMenus())) {
+            delete this.menus[id]
+            throw new Error("Failed to save the menu")
+        }
+
+        return { id, name: menuName, itemCount: 0, locations: [] }
+    }
+
+    /**
+     * Rename a menu
+     * @param {string} menuId - Menu ID
+     * @param {string} name - New name
+     * @returns {Promise<boolean>} Success or failure
+     * @throws {Error} If the name is invalid
+     */
+    async renameMenu(menuId, name) {
+        const menuName = validateMenuName(name)
+
+        if (!this.hasMenu(menuId)) return false
+
+        this.menus[menuId].name = menuName
+        return this.writeMenus()
+    }
+
+    /**
+     * Delete a menu, the locations showing it are left empty
+     * The primary menu can't be deleted, themes without menu locations show it.
+     * @param {string} menuId - Menu ID
+     * @returns {Promise<boolean>} Success or failure
+     * @throws {Error} If the menu is the primary menu
+     */
+    async deleteMenu(menuId) {
+        if (menuId === PRIMARY_MENU) {
+            throw new Error("The primary menu can't be deleted")
+        }
+
+        if (!this.hasMenu(menuId)) return false
+
+        delete this.menus[menuId]
+
+        for (const [location, assignedMenu] of Object.entries(this.locations)) {
+            if (assignedMenu === menuId) delete this.locations[location]
+        }
+
+        return this.writeMenus()
+    }
+
+    /**
+     * Get the menu given to each location
+     * @returns {Object} Location ID => menu ID
+     */
+    getMenuLocations() {
+        return { ...this.locations }
+    }
+
+    /**
+     * Give menus to locations
+     * Locations are those declared by the themes, assignments of other themes are kept
+     * so switching back to them restores their menus.
+     * @param {Object} assignments - Location ID => menu ID (null or "" to leave the location empty)
+     * @returns {Promise<boolean>} Success or failure
+     * @throws {Error} If a menu doesn't exist
+     */
+    async assignMenuLocations(assignments) {
+        for (const [location, menuId] of Object.entries(assignments)) {
+            if (!/^[a-z0-9][\w-]*$/i.test(location)) {
+                throw new Error(`Invalid menu location "${location}"`)
+            }
+
+            if (menuId && !this.hasMenu(menuId)) {
+                throw new Error(`Menu "${menuId}" not found`)
+            }
+        }
+
+        for (const [location, menuId] of Object.entries(assignments)) {
+            if (menuId) {
+                this.locations[location] = menuId
+            } else {
+                delete this.locations[location]
+            }
+        }
+
+        return this.writeMenus()
     }
 
     /**
@@ -163,12 +369,13 @@ export class GlobalMenuManager {
     /**
      * Create a new menu item
      * @param {Object} menuItem - The menu item to create
+     * @param {string} [menuId='primary'] - Menu ID
      * @returns {Promise<boolean>} Success or failure
      */
-    async createMenuItem(menuItem) {
+    async createMenuItem(menuItem, menuId = PRIMARY_MENU) {
         try {
             // Get current menu
-            const currentMenu = await this.loadMenu()
+            const currentMenu = await this.loadMenu(menuId)
 
             // Check if ID already exists
             if (currentMenu.some((item) => item.id === menuItem.id)) {
@@ -185,7 +392,7 @@ export class GlobalMenuManager {
 
             // Add to menu and save
             currentMenu.push(newItem)
-            return this.saveMenu(currentMenu)
+            return this.saveMenu(currentMenu, menuId)
         } catch (error) {
             console.error("Error creating menu item:", error)
             return false
@@ -196,12 +403,13 @@ export class GlobalMenuManager {
      * Update a menu item
      * @param {string} id - ID of the menu item to update
      * @param {Object} updates - Properties to update
+     * @param {string} [menuId='primary'] - Menu ID
      * @returns {Promise<boolean>} Success or failure
      */
-    async updateMenuItem(id, updates) {
+    async updateMenuItem(id, updates, menuId = PRIMARY_MENU) {
         try {
             // Get current menu
-            const currentMenu = await this.loadMenu()
+            const currentMenu = await this.loadMenu(menuId)
 
             // Find and update the item
             const updatedMenu = currentMenu.map((item) => {
@@ -212,7 +420,7 @@ export class GlobalMenuManager {
             })
 
             // Save updated menu
-            return this.saveMenu(updatedMenu)
+            return this.saveMenu(updatedMenu, menuId)
         } catch (error) {
             console.error("Error updating menu item:", error)
             return false
@@ -222,12 +430,13 @@ export class GlobalMenuManager {
     /**
      * Delete a menu item
      * @param {string} id - ID of the menu item to delete
+     * @param {string} [menuId='primary'] - Menu ID
      * @returns {Promise<boolean>} Success or failure
      */
-    async deleteMenuItem(id) {
+    async deleteMenuItem(id, menuId = PRIMARY_MENU) {
         try {
             // Get current menu
-            const currentMenu = await this.loadMenu()
+            const currentMenu = await this.loadMenu(menuId)
 
             // Filter out the item to delete
             const updatedMenu = currentMenu.filter((item) => item.id !== id)
@@ -245,7 +454,7 @@ export class GlobalMenuManager {
             }
 
             // Save updated menu
-            return this.saveMenu(updatedMenu)
+            return this.saveMenu(updatedMenu, menuId)
         } catch (error) {
             console.error("Error deleting menu item:", error)
             return false
@@ -255,12 +464,13 @@ export class GlobalMenuManager {
     /**
      * Reorder menu items
      * @param {Array<string>} orderedIds - Array of menu item IDs in the new order
+     * @param {string} [menuId='primary'] - Menu ID
      * @returns {Promise<boolean>} Success or failure
      */
-    async reorderMenuItems(orderedIds) {
+    async reorderMenuItems(orderedIds, menuId = PRIMARY_MENU) {
         try {
             // Get current menu
-            const currentMenu = await this.loadMenu()
+            const currentMenu = await this.loadMenu(menuId)
 
             // Create a map for quick lookups
             const menuMap = new Map()
@@ -286,7 +496,7 @@ export class GlobalMenuManager {
             })
 
             // Save the reordered menu
-            return this.saveMenu(orderedMenu)
+            return this.saveMenu(orderedMenu, menuId)
         } catch (error) {
             console.error("Error reordering menu items:", error)
             return false
@@ -294,14 +504,23 @@ export class GlobalMenuManager {
     }
 
     /**
-     * Generate HTML for the menu
+     * Generate HTML for a menu
+     * @param {string} [menuId='primary'] - Menu ID
      * @returns {Promise<string>} HTML for the menu
      */
-    async generateMenuHtml() {
-        try {
-            // Get the menu items
-            const menuItems = await this.loadMenu()
+    async generateMenuHtml(menuId = PRIMARY_MENU) {
+        await this.loadMenus()
+        return this.renderMenuHtml(await this.getVisibleMenuItems(menuId))
+    }
 
+    /**
+     * Render menu items as HTML
+     * @param {Array} menuItems - Flat menu items
+     * @param {string} [navClass='site-navigation'] - Class of the nav element
+     * @returns {string} HTML for the menu
+     */
+    renderMenuHtml(menuItems, navClass = "site-navigation") {
+        try {
             if (!menuItems || menuItems.length === 0) {
                 return "<!-- No menu items defined -->"
             }
@@ -337,7 +556,7 @@ export class GlobalMenuManager {
             }
 
             // Generate navigation HTML
-            let html = '<nav class="site-navigation">\n'
+            let html = `<nav class="${navClass}">\n`
             html += generateMenuItemsHtml(hierarchicalMenu)
             html += "</nav>"
 
@@ -349,20 +568,45 @@ export class GlobalMenuManager {
     }
 
     /**
-     * Add the menu to the template data
+     * Add the menus to the template data
+     * html_menu and menuItems hold the menu of the primary location (or the primary menu),
+     * menus holds the menu of each location ({ id, name, items, html }, without items if the location is empty).
      * @param {Object} templateData - The template data object
+     * @param {Array<string>} [locations=['primary']] - Menu locations of the active theme
      * @returns {Promise<Object>} The updated template data
      */
-    async addMenuToTemplateData(templateData) {
+    async addMenuToTemplateData(templateData, locations = [PRIMARY_MENU]) {
         try {
-            // Generate the menu HTML
-            const menuHtml = await this.generateMenuHtml()
+            await this.loadMenus()
+
+            // Content is read once for all the menus
+            const linkTargets = this.getAllMenuItems().some(isLinkedItem) ? await this.getLinkTargets() : null
+
+            const menus = {}
+
+            for (const location of new Set([PRIMARY_MENU, ...locations])) {
+                const menuId = this.locations[location]
+                const items = menuId ? await this.getVisibleMenuItems(menuId, linkTargets) : []
+                const navClass = location === PRIMARY_MENU ? "site-navigation" : `${location}-navigation`
+
+                menus[location] = {
+                    id: menuId || null,
+                    name: this.menus[menuId]?.name || "",
+                    items,
+                    html: items.length > 0 ? this.renderMenuHtml(items, navClass) : "",
+                }
+            }
+
+            // Themes without locations show the primary menu
+            const primaryMenuId = this.locations[PRIMARY_MENU] || PRIMARY_MENU
+            const menuItems = await this.getVisibleMenuItems(primaryMenuId, linkTargets)
 
             // Add to template data
             return {
                 ...templateData,
-                html_menu: menuHtml,
-                menuItems: await this.loadMenu(),
+                html_menu: this.renderMenuHtml(menuItems),
+                menuItems,
+                menus,
             }
         } catch (error) {
             console.error("Error adding menu to template data:", error)
@@ -370,22 +614,100 @@ export class GlobalMenuManager {
         }
     }
 
+    /**
+     * Get the items of a menu as shown on the site
+     * Linked items get the URL and title of their content, those whose content was deleted
+     * or unpublished are left out (their sub-items move up a level).
+     * @param {string} [menuId='primary'] - Menu ID
+     * @param {Object} [linkTargets] - Result of getLinkTargets, read when not given
+     * @returns {Promise<Array>} Menu items
+     */
+    async getVisibleMenuItems(menuId = PRIMARY_MENU, linkTargets) {
+        return this.enhanceMenuItems(this.getMenuItems(menuId), { hideMissing: true, linkTargets })
+    }
+
+    /**
+     * Get the published content menu items can link to
+     * @returns {Promise<Object>} Link type => Map of ID (slug for taxonomies) => { title, url }
+     */
+    async getLinkTargets() {
+        const targets = Object.fromEntries(LINK_TYPES.map((type) => [type, new Map()]))
+        if (!this.contentManager) return targets
+
+        const posts = await this.contentManager.getPosts({ status: "published", frontmatterOnly: true })
+        const pages = await this.contentManager.getPages({ status: "published", frontmatterOnly: true })
+
+        for (const { frontmatter } of posts) {
+            targets.post.set(String(frontmatter.id), {
+                title: frontmatter.title,
+                url: getContentPath(frontmatter, "post"),
+            })
+
+            for (const slug of getFieldValues(frontmatter, "category")) {
+                targets.category.set(slug, { title: slug, url: `/category/${slug}` })
+            }
+
+            for (const slug of getFieldValues(frontmatter, "tag")) {
+                targets.tag.set(slug, { title: slug, url: `/tag/${slug}` })
+            }
+        }
+
+        const pagesBySlug = new Map(pages.map((page) => [page.frontmatter.slug, page.frontmatter]))
+
+        for (const { frontmatter } of pages) {
+            targets.page.set(String(frontmatter.id), {
+                title: frontmatter.title,
+                url: getContentPath(frontmatter, "page", pagesBySlug),
+            })
+        }
+
+        return targets
+    }
+
     /**
      * Enhances menu data by adding depth and hasChildren properties
+     * Items linking to content get its current URL and title, and missing: true when it was deleted or unpublished.
      * @param {Array} menuItems - Flat array of menu items
-     * @returns {Array} Enhanced menu items with depth and hasChildren properties
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.hideMissing=false] - Leave out the items whose content is missing
+     * @param {Object} [options.linkTargets] - Result of getLinkTargets, read when not given
+     * @returns {Promise<Array>} Enhanced menu items with depth and hasChildren properties
      */
-    enhanceMenuItems(menuItems) {
+    async enhanceMenuItems(menuItems, { hideMissing = false, linkTargets } = {}) {
         if (!menuItems || !menuItems.length) return []
 
+        // Content is only read for menus linking to it, items keep their stored URL until it can be read
+        const targets =
+            this.contentManager && menuItems.some(isLinkedItem) ? linkTargets || (await this.getLinkTargets()) : null
+
+        let items = menuItems.map((item) => {
+            if (!targets || !isLinkedItem(item)) return item
+
+            const target = targets[item.linkType].get(String(item.linkId))
+
+            // The stored URL and title are those of the last time the content was found
+            if (!target) return { ...item, missing: true }
+
+            return {
+                ...item,
+                url: target.url,
+                title: item.customTitle ? item.title : target.title,
+                missing: false,
+            }
+        })
+
+        if (hideMissing) {
+            items = removeMissingItems(items)
+        }
+
         // First, create a map for quick lookups
         const itemMap = new Map()
-        menuItems.forEach((item) => {
+        items.forEach((item) => {
             itemMap.set(item.id, { ...item, hasChildren: false })
         })
 
         // Set hasChildren flag on parent items
-        menuItems.forEach((item) => {
+        items.forEach((item) => {
             if (item.parent && itemMap.has(item.parent)) {
                 itemMap.get(item.parent).hasChildren = true
             }
@@ -409,7 +731,7 @@ export class GlobalMenuManager {
 
         // Apply depth to all items
         const result = []
-        menuItems.forEach((item) => {
+        items.forEach((item) => {
             const enhancedItem = itemMap.get(item.id)
             enhancedItem.depth = calculateDepth(item.id)
             result.push(enhancedItem)
@@ -441,3 +763,76 @@ export class GlobalMenuManager {
         ]
     }
 }
+
+/**
+ * Validate a menu name
+ * @param {string} name - Menu name
+ * @returns {string} The trimmed name
+ * @throws {Error} If the name is empty or too long
+ */
+function validateMenuName(name) {
+    const menuName = typeof name === "string" ? name.trim() : ""
+
+    if (!menuName) {
+        throw new Error("Menu name is required")
+    }
+
+    if (menuName.length > 60) {
+        throw new Error("Menu name can't be longer than 60 characters")
+    }
+
+    return menuName
+}
+
+/**
+ * Check if a menu item links to content
+ * @param {Object} item - Menu item
+ * @returns {boolean} True if the item has a known linkType
+ */
+function isLinkedItem(item) {
+    return LINK_TYPES.includes(item.linkType)
+}
+
+/**
+ * Get the values of a taxonomy field, in its singular or plural form
+ * @param {Object} frontmatter - Content frontmatter
+ * @param {string} field - Field name (category or tag)
+ * @returns {Array<string>} Values
+ */
+function getFieldValues(frontmatter, field) {
+    const value = frontmatter[field] || frontmatter[`${field}s`]
+
+    if (Array.isArray(value)) return value.filter(Boolean).map(String)
+    if (typeof value === "string")
+        return value
+            .split(",")
+            .map((v) => v.trim())
+            .filter(Boolean)
+
+    return []
+}
+
+/**
+ * Remove the items whose content is missing, their sub-items take their place
+ * @param {Array} menuItems - Flat menu items, with the missing flag
+ * @returns {Array} Visible menu items
+ */
+function removeMissingItems(menuItems) {
+    const missing = new Map(menuItems.filter((item) => item.missing).map((item) => [item.id, item]))
+    if (missing.size === 0) return menuItems
+
+    return menuItems
+        .filter((item) => !item.missing)
+        .map((item) => {
+            let parent = item.parent
+            const visited = new Set()
+
+            // Move up to the closest visible parent
+            while (parent && missing.has(parent) && !visited.has(parent)) {
+                visited.add(parent)
+                parent = missing.get(parent).parent
+            }
+
+            return parent === item.parent ? item : { ...item, parent: missing.has(parent) ? null : parent }
+        })
+}
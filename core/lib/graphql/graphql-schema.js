@@ -0,0 +1,487 @@
+/**
+ * GraphQL schema over posts, pages, taxonomies, media, the menus and site settings
+ */
+import { buildSchema, GraphQLError } from "graphql"
+import { isPublished } from "../content/utils/content-utils.js"
+import { createContentOperations } from "../../utils/content-operations.js"
+
+const typeDefs = /* GraphQL */ `
+    "Any JSON value"
+    scalar JSON
+
+    type Query {
+        "Published posts, newest first by default (sort fields: publishDate, createdAt, updatedAt, title)"
+        posts(
+            category: String
+            tag: String
+            author: String
+            from: String
+            to: String
+            sort: String
+            limit: Int = 10
+            cursor: String
+        ): PostConnection!
+        "A post by ID or slug (drafts are only returned to users who can edit posts)"
+        post(id: ID, slug: String): Post
+        "Published pages"
+        pages(pageType: String): [Page!]!
+        "A page by ID or slug (drafts are only returned to users who can edit pages)"
+        page(id: ID, slug: String): Page
+        "Categories of published posts"
+        categories: [Taxonomy!]!
+        "Tags of published posts"
+        tags: [Taxonomy!]!
+        "Uploaded media, filtered by folder ('/' for the root folder), tag or text (requires the upload_media capability)"
+        media(type: MediaType = image, folder: String, tag: String, q: String): [MediaItem!]!
+        "A media item by ID (requires the upload_media capability)"
+        mediaItem(id: ID!): MediaItem
+        "The menu of a theme location as a tree (the primary menu by default)"
+        menu(location: String): [MenuItem!]!
+        "Public site settings"
+        settings: SiteSettings!
+    }
+
+    type Mutation {
+        createPost(input: ContentInput!): Post!
+        updatePost(id: ID!, input: ContentInput!): Post!
+        deletePost(id: ID!): Boolean!
+        createPage(input: ContentInput!): Page!
+        updatePage(id: ID!, input: ContentInput!): Page!
+        deletePage(id: ID!): Boolean!
+    }
+
+    "The same data as the body of the REST content endpoints"
+    input ContentInput {
+        metadata: JSON!
+        content: String
+    }
+
+    type PostConnection {
+        items: [Post!]!
+        total: Int!
+        nextCursor: String
+    }
+
+    type Post {
+        id: ID!
+        title: String
+        subtitle: String
+        slug: String
+        excerpt: String
+        content: String
+        status: String
+        author: String
+        category: String
+        tags: [String!]!
+        featuredImage: JSON
+        createdAt: String
+        updatedAt: String
+        publishDate: String
+        "All frontmatter fields, including custom ones"
+        frontmatter: JSON
+        "Published related posts"
+        relatedPosts: [Post!]!
+    }
+
+    type Page {
+        id: ID!
+        title: String
+        subtitle: String
+        slug: String
+        excerpt: String
+        content: String
+        status: String
+        author: String
+        pageType: String
+        featuredImage: JSON
+        createdAt: String
+        updatedAt: String
+        publishDate: String
+        "All frontmatter fields, including custom ones"
+        frontmatter: JSON
+        "Parent of a custom page"
+        parent: Page
+        "Published custom pages whose parent is this page"
+        children: [Page!]!
+    }
+
+    type Taxonomy {
+        slug: String!
+        "Number of published posts"
+        count: Int!
+        posts(sort: String, limit: Int = 10, cursor: String): PostConnection!
+    }
+
+    enum MediaType {
+        image
+        document
+        all
+    }
+
+    type MediaItem {
+        id: ID!
+        filename: String!
+        url: String!
+        type: String!
+        size: Int
+        alt: String
+        caption: String
+        width: Int
+        height: Int
+        "Virtual folder (empty for the root folder)"
+        folder: String
+        tags: [String!]!
+        createdAt: String
+        modifiedAt: String
+        "All metadata fields"
+        metadata: JSON
+    }
+
+    type MenuItem {
+        id: ID!
+        title: String
+        url: String
+        target: String
+        class: String
+        order: Int
+        linkType: String
+        linkId: String
+        children: [MenuItem!]!
+    }
+
+    type SiteSettings {
+        siteTitle: String
+        siteDescription: String
+        siteUrl: String
+        siteLogo: String
+        siteIcon: String
+        postsPerPage: Int
+        activeTheme: String
+        footerCode: String
+    }
+`
+
+/**
+ * Create the executable schema and its root resolvers
+ * Resolvers receive the request as context (with req.user set for authenticated requests)
+ * @param {Object} systems - Core systems
+ * @returns {Object} { schema, rootValue }
+ */
+export function createGraphqlSchema(systems) {
+    const { contentManager, fileStorage, menuManager, settingsService, authManager } = systems
+    const contentOperations = createContentOperations(systems)
+
+    /**
+     * Get published items of a type, read once per request
+     * @param {Object} req - Request (used as a per-request cache)
+     * @param {string} contentType - Type of content ('post' or 'page')
+     * @returns {Promise<Array>} Published items
+     */
+    const getPublished = (req, contentType) => {
+        req.graphqlCache ??= {}
+        req.graphqlCache[contentType] ??=
+            contentType === "post"
+                ? contentManager.getPosts({ status: "published" })
+                : contentManager.getPages({ status: "published" })
+
+        return req.graphqlCache[contentType]
+    }
+
+    /**
+     * Require a capability, for the scopes of API tokens mutations count as writes
+     * @param {Object} req - Request
+     * @param {string} capability - Capability
+     * @param {Object|null} [resource] - Targeted post or page
+     * @param {string} [method="GET"] - HTTP method the capability is checked for
+     */
+    const requireCapability = (req, capability, resource = null, method = "GET") => {
+        if (!req.user) {
+            throw new GraphQLError("Authentication required", { extensions: { code: "UNAUTHENTICATED" } })
+        }
+
+        if (!authManager.canRequest(req, capability, resource, method)) {
+            throw new GraphQLError("Forbidden", { extensions: { code: "FORBIDDEN", capability } })
+        }
+    }
+
+    /**
+     * Get a post or page by ID or slug, drafts only for users who can edit them
+     * @param {Object} req - Request
+     * @param {string} contentType - Type of content ('post' or 'page')
+     * @param {Object} args - { id, slug }
+     * @returns {Promise<Object|null>} Item ({ frontmatter, content }) or null
+     */
+    const getItem = async (req, contentType, { id, slug }) => {
+        const found = id
+            ? await contentManager.getContent(id, contentType)
+            : slug
+            ? await contentManager.getContentByProperty(contentType, "slug", slug)
+            : null
+
+        if (!found) return null
+
+        const item = toEntry(found)
+
+        if (!isPublished(item.frontmatter) && !authManager.canRequest(req, `edit_${contentType}s`, null, "GET")) {
+            return null
+        }
+
+        return item
+    }
+
+    /**
+     * Wrap a post for its field resolvers
+     * @param {Object} item - Post ({ frontmatter, content })
+     * @returns {Object} Post
+     */
+    const toPost = ({ frontmatter, content }) => ({
+        ...frontmatter,
+        content,
+        tags: toList(frontmatter.tags),
+        frontmatter,
+        relatedPosts: async (args, req) => {
+            const ids = Array.isArray(frontmatter.relatedPosts) ? frontmatter.relatedPosts : []
+            const posts = await getPublished(req, "post")
+
+            return ids
+                .map((relatedId) => posts.find((post) => post.frontmatter.id === relatedId))
+                .filter(Boolean)
+                .map(toPost)
+        },
+    })
+
+    /**
+     * Wrap a page for its field resolvers
+     * @param {Object} item - Page ({ frontmatter, content })
+     * @returns {Object} Page
+     */
+    const toPage = ({ frontmatter, content }) => ({
+        ...frontmatter,
+        content,
+        frontmatter,
+        parent: async (args, req) => {
+            if (!frontmatter.parentPage) return null
+
+            const pages = await getPublished(req, "page")
+            const parent = pages.find((page) => page.frontmatter.slug === frontmatter.parentPage)
+
+            return parent ? toPage(parent) : null
+        },
+        children: async (args, req) => {
+            const pages = await getPublished(req, "page")
+
+            return pages.filter((page) => page.frontmatter.parentPage === frontmatter.slug).map(toPage)
+        },
+    })
+
+    /**
+     * Query published posts as a connection
+     * @param {Object} query - Query options of queryPublishedContent
+     * @returns {Promise<Object>} PostConnection
+     */
+    const queryPosts = async (query) => {
+        let result
+        try {
+            result = await contentManager.queryPublishedContent("post", {
+                ...query,
+                limit: Math.min(Math.max(query.limit || 10, 1), 100),
+            })
+        } catch (error) {
+            throw new GraphQLError(error.message, { extensions: { code: "BAD_USER_INPUT" } })
+        }
+
+        return { ...result, items: result.items.map(toPost) }
+    }
+
+    /**
+     * Collect the categories or tags of published posts
+     * @param {Object} req - Request
+     * @param {string} field - Frontmatter field ('category' or 'tags')
+     * @returns {Promise<Array>} Taxonomies
+     */
+    const getTaxonomies = async (req, field) => {
+        const posts = await getPublished(req, "post")
+        const counts = new Map()
+
+        for (const { frontmatter } of posts) {
+            for (const slug of toList(frontmatter[field])) {
+                counts.set(slug, (counts.get(slug) || 0) + 1)
+            }
+        }
+
+        const filterName = field === "category" ? "category" : "tag"
+
+        return [...counts]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([slug, count]) => ({
+                slug,
+                count,
+                posts: ({ sort, limit, cursor }) => queryPosts({ [filterName]: slug, sort, limit, cursor }),
+            }))
+    }
+
+    /**
+     * Run a content operation and return the saved item
+     * @param {Promise<Object>} operation - Result of a content operation
+     * @returns {Promise<Object>} Saved item ({ frontmatter, content })
+     */
+    const runOperation = async (operation) => {
+        const result = await operation
+
+        if (!result.success) {
+            const { success, error, status, ...details } = result
+            throw new GraphQLError(error, { extensions: { ...details, code: details.code || getErrorCode(status) } })
+        }
+
+        return result.item ? toEntry(result.item) : null
+    }
+
+    /**
+     * Create the mutations of a content type
+     * @param {string} contentType - Type of content ('post' or 'page')
+     * @param {Function} wrap - Wraps a saved item for its field resolvers
+     * @returns {Object} Create, update and delete resolvers
+     */
+    const createMutations = (contentType, wrap) => {
+        const pluralType = `${contentType}s`
+
+        // Capability checks on the targeted item, like the REST routes
+        const getTarget = async (id) => {
+            const item = await contentManager.getContent(id, contentType)
+
+            if (!item) {
+                throw new GraphQLError(`${contentType === "post" ? "Post" : "Page"} not found`, {
+                    extensions: { code: "NOT_FOUND" },
+                })
+            }
+
+            return item
+        }
+
+        return {
+            create: async ({ input }, req) => {
+                requireCapability(req, `edit_${pluralType}`, null, "POST")
+
+                return wrap(await runOperation(contentOperations.createContent(contentType, { ...input }, req.user)))
+            },
+            update: async ({ id, input }, req) => {
+                // Check the capability before revealing whether the item exists
+                requireCapability(req, `edit_${pluralType}`, null, "POST")
+                requireCapability(req, `edit_${pluralType}`, await getTarget(id), "POST")
+
+                const operation = contentOperations.updateContent(contentType, id, { ...input }, req.user)
+                return wrap(await runOperation(operation))
+            },
+            delete: async ({ id }, req) => {
+                // Check the capability before revealing whether the item exists
+                requireCapability(req, `delete_${pluralType}`, null, "POST")
+                requireCapability(req, `delete_${pluralType}`, await getTarget(id), "POST")
+
+                await runOperation(contentOperations.deleteContent(contentType, id))
+                return true
+            },
+        }
+    }
+
+    const postMutations = createMutations("post", toPost)
+    const pageMutations = createMutations("page", toPage)
+
+    const rootValue = {
+        // Content
+        posts: (args) => queryPosts(args),
+        post: async (args, req) => {
+            const item = await getItem(req, "post", args)
+            return item ? toPost(item) : null
+        },
+        pages: async ({ pageType }, req) => {
+            const pages = await getPublished(req, "page")
+            return pages.filter((page) => !pageType || page.frontmatter.pageType === pageType).map(toPage)
+        },
+        page: async (args, req) => {
+            const item = await getItem(req, "page", args)
+            return item ? toPage(item) : null
+        },
+
+        // Taxonomies
+        categories: (args, req) => getTaxonomies(req, "category"),
+        tags: (args, req) => getTaxonomies(req, "tags"),
+
+        // Media
+        media: async ({ type, folder, tag, q }, req) => {
+            requireCapability(req, "upload_media")
+
+            const files = await fileStorage.queryFiles(type, { folder: folder || undefined, tag, q })
+            return files.map(toMediaItem)
+        },
+        mediaItem: async ({ id }, req) => {
+            requireCapability(req, "upload_media")
+
+            const file = await fileStorage.getFileById(id)
+            return file ? toMediaItem(file) : null
+        },
+
+        // Menu and settings
+        menu: async ({ location }) => {
+            const locations = menuManager.getMenuLocations()
+            const menuId = location ? locations[location] : locations.primary || "primary"
+            return menuId ? menuManager.buildMenuHierarchy(await menuManager.getVisibleMenuItems(menuId)) : []
+        },
+        settings: () => settingsService.getSettings(),
+
+        // Mutations
+        createPost: postMutations.create,
+        updatePost: postMutations.update,
+        deletePost: postMutations.delete,
+        createPage: pageMutations.create,
+        updatePage: pageMutations.update,
+        deletePage: pageMutations.delete,
+    }
+
+    return { schema: buildSchema(typeDefs), rootValue }
+}
+
+/**
+ * Normalize a content item to { frontmatter, content }
+ * Items read by ID or returned after saving have their frontmatter at the top level
+ * @param {Object} item - Content item
+ * @returns {Object} { frontmatter, content }
+ */
+function toEntry(item) {
+    if (item.frontmatter) {
+        return { frontmatter: item.frontmatter, content: item.content }
+    }
+
+    const { content, type, ...frontmatter } = item
+    return { frontmatter, content }
+}
+
+/**
+ * Read a frontmatter field holding an array or a comma-separated string as a list
+ * @param {Array|string|undefined} value - Field value
+ * @returns {Array<string>} Values
+ */
+function toList(value) {
+    if (Array.isArray(value)) return value
+    if (typeof value === "string" && value.trim()) return value.split(",").map((item) => item.trim())
+    return []
+}
+
+/**
+ * Expose a stored file without its path on disk
+ * @param {Object} file - File information from FileStorage
+ * @returns {Object} MediaItem
+ */
+function toMediaItem(file) {
+    const { path, ...metadata } = file
+    return { ...metadata, folder: file.folder || "", tags: file.tags || [], metadata }
+}
+
+/**
+ * Get the GraphQL error code of a content operation status
+ * @param {number} status - HTTP status of the failed operation
+ * @returns {string} Error code
+ */
+function getErrorCode(status) {
+    const codes = { 400: "BAD_USER_INPUT", 403: "FORBIDDEN", 404: "NOT_FOUND", 409: "CONFLICT" }
+    return codes[status] || "INTERNAL_SERVER_ERROR"
+}
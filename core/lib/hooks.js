@@ -1,6 +1,8 @@
 /**
  * Hook System for extensibility
- * Provides actions (callbacks with no return) and filters (callbacks that transform values)
+ * Provides actions (callbacks with no return) and filters (callbacks that transform values).
+ * Callbacks run in priority order and a failing callback is logged and skipped, so it
+ * can't break the request that runs the hook. The async variants await each callback.
  */
 export class HookSystem {
     constructor() {
@@ -13,20 +15,20 @@ export class HookSystem {
      * @param {string} name - Hook name
      * @param {Function} callback - Callback function
      * @param {number} priority - Priority (lower runs first)
+     * @param {Object} [options] - Hook options
+     * @param {number} [options.timeout] - Time the callback has to finish in doActionAsync, in milliseconds
+     * @param {string} [options.source] - Who added the hook (a plugin name...), listed by getHooks
+     * @param {Function} [options.onError] - Called with the error when the callback fails
      */
-    addAction(name, callback, priority = 10) {
-        if (!this.actions[name]) {
-            this.actions[name] = []
-        }
-
-        this.actions[name].push({ callback, priority })
-        this.actions[name].sort((a, b) => a.priority - b.priority)
+    addAction(name, callback, priority = 10, options = {}) {
+        this.addHook(this.actions, name, callback, priority, options)
 
         return this // For chaining
     }
 
     /**
      * Execute all registered callbacks for an action
+     * Async callbacks are started but not awaited, use doActionAsync to wait for them
      * @param {string} name - Hook name
      * @param {...any} args - Arguments to pass to callbacks
      */
@@ -36,7 +38,37 @@ export class HookSystem {
         }
 
         for (const hook of this.actions[name]) {
-            hook.callback(...args)
+            try {
+                const result = hook.callback(...args)
+
+                // Report the failure of async callbacks when it happens
+                if (result instanceof Promise) {
+                    result.catch((error) => this.handleError("action", name, hook, error))
+                }
+            } catch (error) {
+                this.handleError("action", name, hook, error)
+            }
+        }
+    }
+
+    /**
+     * Execute all registered callbacks for an action, one after the other
+     * @param {string} name - Hook name
+     * @param {...any} args - Arguments to pass to callbacks
+     * @returns {Promise<void>}
+     */
+    async doActionAsync(name, ...args) {
+        if (!this.actions[name]) {
+            return
+        }
+
+        // Copy the list, callbacks may add or remove hooks while it runs
+        for (const hook of [...this.actions[name]]) {
+            try {
+                await this.runWithTimeout(hook, args)
+            } catch (error) {
+                this.handleError("action", name, hook, error)
+            }
         }
     }
 
@@ -45,20 +77,20 @@ export class HookSystem {
      * @param {string} name - Hook name
      * @param {Function} callback - Callback function that returns modified value
      * @param {number} priority - Priority (lower runs first)
+     * @param {Object} [options] - Hook options
+     * @param {number} [options.timeout] - Time the callback has to finish in applyFiltersAsync, in milliseconds
+     * @param {string} [options.source] - Who added the hook (a plugin name...), listed by getHooks
+     * @param {Function} [options.onError] - Called with the error when the callback fails
      */
-    addFilter(name, callback, priority = 10) {
-        if (!this.filters[name]) {
-            this.filters[name] = []
-        }
-
-        this.filters[name].push({ callback, priority })
-        this.filters[name].sort((a, b) => a.priority - b.priority)
+    addFilter(name, callback, priority = 10, options = {}) {
+        this.addHook(this.filters, name, callback, priority, options)
 
         return this // For chaining
     }
 
     /**
      * Apply all registered callbacks for a filter
+     * A callback that fails, or returns a Promise (async filters need applyFiltersAsync), is skipped
      * @param {string} name - Hook name
      * @param {any} value - Value to filter
      * @param {...any} args - Additional arguments to pass to callbacks
@@ -72,7 +104,46 @@ export class HookSystem {
         let result = value
 
         for (const hook of this.filters[name]) {
-            result = hook.callback(result, ...args)
+            try {
+                const filtered = hook.callback(result, ...args)
+
+                if (filtered instanceof Promise) {
+                    filtered.catch((error) => this.handleError("filter", name, hook, error))
+                    console.warn(`Async callback skipped by filter "${name}", it only runs with applyFiltersAsync`)
+                    continue
+                }
+
+                result = filtered
+            } catch (error) {
+                this.handleError("filter", name, hook, error)
+            }
+        }
+
+        return result
+    }
+
+    /**
+     * Apply all registered callbacks for a filter, awaiting each of them
+     * A callback that fails or times out is skipped and the value passes on unchanged
+     * @param {string} name - Hook name
+     * @param {any} value - Value to filter
+     * @param {...any} args - Additional arguments to pass to callbacks
+     * @returns {Promise<any>} - The filtered value
+     */
+    async applyFiltersAsync(name, value, ...args) {
+        if (!this.filters[name]) {
+            return value
+        }
+
+        let result = value
+
+        // Copy the list, callbacks may add or remove hooks while it runs
+        for (const hook of [...this.filters[name]]) {
+            try {
+                result = await this.runWithTimeout(hook, [result, ...args])
+            } catch (error) {
+                this.handleError("filter", name, hook, error)
+            }
         }
 
         return result
@@ -103,4 +174,109 @@ export class HookSystem {
 
         this.filters[name] = this.filters[name].filter((hook) => hook.callback !== callback)
     }
+
+    /**
+     * Check if an action has callbacks
+     * @param {string} name - Hook name
+     * @returns {boolean} True if at least one callback is registered
+     */
+    hasAction(name) {
+        return this.actions[name]?.length > 0
+    }
+
+    /**
+     * Check if a filter has callbacks
+     * @param {string} name - Hook name
+     * @returns {boolean} True if at least one callback is registered
+     */
+    hasFilter(name) {
+        return this.filters[name]?.length > 0
+    }
+
+    /**
+     * List the registered hooks
+     * @param {string} [type] - 'action' or 'filter', both when omitted
+     * @returns {Array<Object>} Hooks ({ type, name, callbacks: [{ callback, priority, timeout, source }] })
+     */
+    getHooks(type) {
+        const describe = (hookType, hooks) =>
+            Object.entries(hooks)
+                .filter(([, callbacks]) => callbacks.length > 0)
+                .map(([name, callbacks]) => ({
+                    type: hookType,
+                    name,
+                    callbacks: callbacks.map((hook) => ({
+                        callback: hook.callback.name || "anonymous",
+                        priority: hook.priority,
+                        timeout: hook.timeout,
+                        source: hook.source,
+                    })),
+                }))
+
+        return [
+            ...(type === "filter" ? [] : describe("action", this.actions)),
+            ...(type === "action" ? [] : describe("filter", this.filters)),
+        ].sort((a, b) => a.name.localeCompare(b.name))
+    }
+
+    /**
+     * Register a callback in a list of hooks
+     * @param {Object} hooks - this.actions or this.filters
+     * @param {string} name - Hook name
+     * @param {Function} callback - Callback function
+     * @param {number} priority - Priority (lower runs first)
+     * @param {Object} options - Hook options (timeout, source, onError)
+     */
+    addHook(hooks, name, callback, priority, { timeout = null, source = "core", onError = null } = {}) {
+        if (!hooks[name]) {
+            hooks[name] = []
+        }
+
+        hooks[name].push({ callback, priority, timeout, source, onError })
+
+        // The sort is stable, so callbacks with the same priority run in the order they were added
+        hooks[name].sort((a, b) => a.priority - b.priority)
+    }
+
+    /**
+     * Run a callback and wait for it, failing if it takes longer than its timeout
+     * @param {Object} hook - Registered hook
+     * @param {Array} args - Arguments to pass to the callback
+     * @returns {Promise<any>} Result of the callback
+     */
+    async runWithTimeout(hook, args) {
+        if (!hook.timeout) {
+            return hook.callback(...args)
+        }
+
+        let timer
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timed out after ${hook.timeout}ms`)), hook.timeout)
+        })
+
+        try {
+            return await Promise.race([Promise.resolve().then(() => hook.callback(...args)), timeout])
+        } finally {
+            clearTimeout(timer)
+        }
+    }
+
+    /**
+     * Log the failure of a callback and skip it
+     * @param {string} type - 'action' or 'filter'
+     * @param {string} name - Hook name
+     * @param {Object} hook - Registered hook
+     * @param {Error} error - Error thrown by the callback
+     */
+    handleError(type, name, hook, error) {
+        console.error(`Error in ${type} "${name}" (${hook.source}):`, error)
+
+        if (hook.onError) {
+            try {
+                hook.onError(error)
+            } catch (handlerError) {
+                console.error(`Error handler of ${type} "${name}" failed:`, handlerError)
+            }
+        }
+    }
 }
@@ -0,0 +1,207 @@
+/**
+ * Plugin context module
+ * Builds what a plugin receives when it registers: the core systems, a router and admin page helpers.
+ * Hooks and routes go through wrappers that record what the plugin added and report its errors.
+ */
+import { handle404 } from "../../../utils/route-utils.js"
+
+// HTTP methods plugins can add routes for
+const ROUTE_METHODS = ["get", "post", "put", "patch", "delete"]
+
+const SLUG_REGEX = /^[a-z0-9][a-z0-9-]*$/
+
+/**
+ * Create the arguments passed to the register function of a plugin
+ * @param {Object} plugin - Plugin record (name, manifest, path, hooks, adminPages)
+ * @param {Object} options - Context options
+ * @param {Object} options.app - LiteNode app instance
+ * @param {Object} options.systems - Core systems
+ * @param {Function} options.isActive - Returns true while the plugin is active
+ * @param {Function} options.onError - Called with (error, source) when plugin code throws
+ * @returns {Object} { systems, helpers }
+ */
+export function createPluginContext(plugin, { app, systems, isActive, onError }) {
+    return {
+        systems: { ...systems, hookSystem: createPluginHooks(plugin, systems.hookSystem, onError) },
+        helpers: {
+            name: plugin.name,
+            version: plugin.manifest.version,
+            path: plugin.path,
+            app: createPluginRouter(app, systems, isActive, onError),
+            addAdminPage: (page) => addAdminPage(plugin, page),
+        },
+    }
+}
+
+/**
+ * Create a hook system for a plugin
+ * Running and reading hooks is left to the shared hook system, while the callbacks the plugin
+ * adds are recorded (so they can be removed when it is disabled) and their errors reported on it.
+ * @param {Object} plugin - Plugin record
+ * @param {Object} hookSystem - Shared hook system
+ * @param {Function} onError - Error callback
+ * @returns {Object} Hook system for the plugin
+ */
+function createPluginHooks(plugin, hookSystem, onError) {
+    const pluginHooks = Object.create(hookSystem)
+
+    // Hooks added once the plugin failed to load or was disabled are only recorded
+    const isRunning = () => plugin.status === "loading" || plugin.status === "active"
+
+    pluginHooks.addAction = (name, callback, priority = 10, options = {}) => {
+        const hook = recordHook(plugin, "action", name, callback, priority, options, onError)
+        if (isRunning()) hookSystem.addAction(name, callback, priority, hook.options)
+        return pluginHooks
+    }
+
+    pluginHooks.addFilter = (name, callback, priority = 10, options = {}) => {
+        const hook = recordHook(plugin, "filter", name, callback, priority, options, onError)
+        if (isRunning()) hookSystem.addFilter(name, callback, priority, hook.options)
+        return pluginHooks
+    }
+
+    pluginHooks.removeAction = (name, callback) => removePluginHook(plugin, hookSystem, "action", name, callback)
+    pluginHooks.removeFilter = (name, callback) => removePluginHook(plugin, hookSystem, "filter", name, callback)
+
+    return pluginHooks
+}
+
+/**
+ * Record a hook added by a plugin
+ * @param {Object} plugin - Plugin record
+ * @param {string} type - 'action' or 'filter'
+ * @param {string} name - Hook name
+ * @param {Function} callback - Callback given by the plugin
+ * @param {number} priority - Priority (lower runs first)
+ * @param {Object} options - Hook options given by the plugin (timeout)
+ * @param {Function} onError - Error callback
+ * @returns {Object} Recorded hook
+ */
+function recordHook(plugin, type, name, callback, priority, options, onError) {
+    const hook = {
+        type,
+        name,
+        callback,
+        priority,
+        options: {
+            timeout: options.timeout,
+            source: `plugin:${plugin.name}`,
+            onError: (error) => onError(error, `${type} "${name}"`),
+        },
+    }
+
+    plugin.hooks.push(hook)
+    return hook
+}
+
+/**
+ * Remove a hook added by a plugin
+ * @param {Object} plugin - Plugin record
+ * @param {Object} hookSystem - Shared hook system
+ * @param {string} type - 'action' or 'filter'
+ * @param {string} name - Hook name
+ * @param {Function} callback - Callback given by the plugin
+ */
+function removePluginHook(plugin, hookSystem, type, name, callback) {
+    plugin.hooks = plugin.hooks.filter((h) => !(h.type === type && h.name === name && h.callback === callback))
+
+    if (type === "action") {
+        hookSystem.removeAction(name, callback)
+    } else {
+        hookSystem.removeFilter(name, callback)
+    }
+}
+
+/**
+ * Create a router through which a plugin adds routes
+ * Routes can't be removed from the app, so the routes of a disabled plugin answer like missing pages.
+ * @param {Object} app - LiteNode app instance
+ * @param {Object} systems - Core systems
+ * @param {Function} isActive - Returns true while the plugin is active
+ * @param {Function} onError - Error callback
+ * @returns {Object} Router with get, post, put, patch and delete methods
+ */
+function createPluginRouter(app, systems, isActive, onError) {
+    const router = {}
+
+    const requireActive = async (req, res) => {
+        if (isActive()) return true
+
+        if (req.url.startsWith("/api")) {
+            res.status(404).json({ error: "Endpoint not found" })
+        } else {
+            await handle404(res, req, systems.themeManager, systems.settingsService)
+        }
+        return false
+    }
+
+    for (const method of ROUTE_METHODS) {
+        router[method] = (path, ...handlers) => {
+            const source = `route ${method.toUpperCase()} ${path}`
+            app[method](path, requireActive, ...handlers.map((handler) => guardHandler(handler, source, onError)))
+            return router
+        }
+    }
+
+    return router
+}
+
+/**
+ * Wrap a route handler or middleware so its errors end in a 500 response
+ * @param {Function} handler - Route handler or middleware
+ * @param {string} source - Description of the route for error reports
+ * @param {Function} onError - Error callback
+ * @returns {Function} Guarded handler
+ */
+function guardHandler(handler, source, onError) {
+    return async (req, res, ...args) => {
+        try {
+            return await handler(req, res, ...args)
+        } catch (error) {
+            onError(error, source)
+
+            if (!res.headersSent) {
+                if (req.url.startsWith("/api")) {
+                    res.status(500).json({ success: false, error: "Internal server error" })
+                } else {
+                    res.status(500).html("<h1>500 - Server Error</h1><p>A plugin failed to handle this request</p>")
+                }
+            }
+            return false
+        }
+    }
+}
+
+/**
+ * Add an admin screen for a plugin, served at /aether/plugins/:plugin/:slug
+ * @param {Object} plugin - Plugin record
+ * @param {Object} page - Admin page
+ * @param {string} page.slug - URL slug of the page
+ * @param {string} page.title - Page title
+ * @param {Function} page.render - Returns the HTML of the page, called with the request
+ * @param {string} [page.capability] - Capability needed on top of those required by the plugin
+ * @returns {string} URL of the page
+ */
+function addAdminPage(plugin, { slug, title, render, capability } = {}) {
+    if (typeof slug !== "string" || !SLUG_REGEX.test(slug)) {
+        throw new Error("Admin page slug must contain only lowercase letters, numbers and hyphens")
+    }
+    if (typeof title !== "string" || title.trim() === "") {
+        throw new Error("Admin page title is required")
+    }
+    if (typeof render !== "function") {
+        throw new Error("Admin page render must be a function")
+    }
+
+    // Users need every capability required by the plugin, and managing plugins when it requires none
+    const capabilities = [...(plugin.manifest.capabilities || []), capability].filter(Boolean)
+
+    plugin.adminPages.set(slug, {
+        slug,
+        title,
+        render,
+        capabilities: capabilities.length > 0 ? capabilities : ["manage_plugins"],
+    })
+
+    return `/aether/plugins/${plugin.name}/${slug}`
+}
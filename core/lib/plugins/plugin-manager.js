@@ -0,0 +1,413 @@
+/**
+ * Plugin Manager
+ * Discovers plugins in the plugins directory, keeps track of the enabled ones and loads them
+ * inside an error boundary: a plugin that fails to load or throws is reported, never fatal.
+ */
+import { join, normalize, sep } from "node:path"
+import { mkdir, readdir, readFile } from "node:fs/promises"
+import { pathToFileURL } from "node:url"
+import { readJsonFile, writeJsonFile } from "../theme/utils/file-utils.js"
+import { validatePluginManifest } from "./utils/validate-plugin-json.js"
+import { createPluginContext } from "./modules/plugin-context.js"
+
+export class PluginManager {
+    /**
+     * @param {string} pluginsDir - Directory containing plugins
+     * @param {string} dataDir - Directory containing site data
+     * @param {Object} options - Plugin manager options
+     * @param {number} [options.loadTimeout=10000] - Time a plugin has to register, in milliseconds
+     */
+    constructor(pluginsDir, dataDir, options = {}) {
+        this.pluginsDir = pluginsDir
+        this.statePath = join(dataDir, "plugins.json")
+        this.loadTimeout = options.loadTimeout || 10000
+        this.plugins = new Map()
+        this.enabled = new Set()
+        this.app = null
+        this.systems = null
+    }
+
+    /**
+     * Initialize the plugin manager
+     * @returns {Promise<boolean>} Success or failure
+     */
+    async initialize() {
+        try {
+            await mkdir(this.pluginsDir, { recursive: true })
+
+            const state = await readJsonFile(this.statePath, { enabled: [] })
+            this.enabled = new Set(Array.isArray(state.enabled) ? state.enabled : [])
+
+            await this.discoverPlugins()
+            return true
+        } catch (error) {
+            console.error("Error initializing plugin manager:", error)
+            return false
+        }
+    }
+
+    /**
+     * Save the names of the enabled plugins to the data directory
+     * @returns {Promise<boolean>} Success or failure
+     */
+    async saveState() {
+        return writeJsonFile(this.statePath, { enabled: [...this.enabled] })
+    }
+
+    /**
+     * Discover the plugins in the plugins directory
+     * Plugins found earlier keep their runtime state (loaded module, hooks, admin pages)
+     * @returns {Promise<Map<string, Object>>} Map of plugin name to plugin record
+     */
+    async discoverPlugins() {
+        try {
+            const entries = await readdir(this.pluginsDir, { withFileTypes: true })
+            const found = new Set()
+
+            for (const dirent of entries) {
+                if (!dirent.isDirectory() || dirent.name.startsWith("_temp")) continue
+                found.add(dirent.name)
+
+                const pluginPath = join(this.pluginsDir, dirent.name)
+                const { manifest, errors } = await this.readManifest(pluginPath, dirent.name)
+                const existing = this.plugins.get(dirent.name)
+
+                // A loaded plugin keeps running the code it was loaded with until the next restart
+                if (existing?.loaded) continue
+
+                this.plugins.set(dirent.name, {
+                    name: dirent.name,
+                    path: normalize(pluginPath).split(sep).join("/"),
+                    manifest,
+                    errors,
+                    status: existing?.status === "error" ? "error" : "inactive",
+                    error: existing?.error || null,
+                    loaded: false,
+                    module: null,
+                    hooks: [],
+                    adminPages: new Map(),
+                })
+            }
+
+            // Forget the plugins removed from the directory, unless they are already running
+            for (const [name, plugin] of this.plugins) {
+                if (!found.has(name) && !plugin.loaded) this.plugins.delete(name)
+            }
+
+            return this.plugins
+        } catch (error) {
+            console.error("Error discovering plugins:", error.message)
+            return this.plugins
+        }
+    }
+
+    /**
+     * Read and validate the manifest of a plugin
+     * @param {string} pluginPath - Plugin directory
+     * @param {string} directoryName - Name of the plugin directory
+     * @returns {Promise<Object>} { manifest, errors }
+     */
+    async readManifest(pluginPath, directoryName) {
+        try {
+            const manifest = JSON.parse(await readFile(join(pluginPath, "plugin.json"), "utf8"))
+            const { errors } = validatePluginManifest(manifest, directoryName)
+            return { manifest, errors }
+        } catch (error) {
+            return { manifest: { name: directoryName }, errors: [`Failed to read plugin.json: ${error.message}`] }
+        }
+    }
+
+    /**
+     * Load the enabled plugins
+     * @param {Object} app - LiteNode app instance
+     * @param {Object} systems - Core systems passed to the plugins
+     * @returns {Promise<number>} Number of plugins loaded
+     */
+    async loadPlugins(app, systems) {
+        this.app = app
+        this.systems = systems
+
+        let loaded = 0
+        for (const name of this.enabled) {
+            if (await this.activatePlugin(name)) loaded++
+        }
+
+        return loaded
+    }
+
+    /**
+     * Activate a plugin: load and register it the first time, restore its hooks afterwards
+     * @param {string} name - Plugin name
+     * @returns {Promise<boolean>} True if the plugin is active
+     */
+    async activatePlugin(name) {
+        const plugin = this.plugins.get(name)
+
+        if (!plugin) {
+            console.warn(`Plugin "${name}" is enabled but can't be found in ${this.pluginsDir}`)
+            return false
+        }
+        if (plugin.status === "active") return true
+
+        if (plugin.errors.length > 0) {
+            this.setLoadError(plugin, new Error(`Invalid plugin.json: ${plugin.errors.join(" ")}`))
+            return false
+        }
+
+        // The module is only imported once, re-enabling a plugin restores the hooks it added
+        if (plugin.loaded) {
+            this.attachHooks(plugin)
+            plugin.status = "active"
+            plugin.error = null
+            return true
+        }
+
+        try {
+            const entryUrl = pathToFileURL(join(plugin.path, plugin.manifest.entry)).href
+            const module = await import(entryUrl)
+            const register = module.default || module.register
+
+            if (typeof register !== "function") {
+                throw new Error("The entry must export a register function (as default or named 'register')")
+            }
+
+            // Start from a clean record, an earlier attempt may have registered hooks before failing
+            plugin.hooks = []
+            plugin.adminPages.clear()
+            plugin.status = "loading"
+
+            const { systems, helpers } = createPluginContext(plugin, {
+                app: this.app,
+                systems: this.systems,
+                isActive: () => plugin.status === "active",
+                onError: (error, source) => this.recordError(plugin, error, source),
+            })
+
+            // A plugin that doesn't finish registering in time is treated as broken
+            let timer
+            const timeout = new Promise((_, reject) => {
+                timer = setTimeout(
+                    () => reject(new Error(`Registration timed out after ${this.loadTimeout}ms`)),
+                    this.loadTimeout
+                )
+            })
+
+            try {
+                await Promise.race([Promise.resolve().then(() => register(systems, helpers)), timeout])
+            } finally {
+                clearTimeout(timer)
+            }
+
+            plugin.module = module
+            plugin.loaded = true
+            plugin.status = "active"
+            plugin.error = null
+
+            console.log(`Plugin "${name}" v${plugin.manifest.version} loaded`)
+            return true
+        } catch (error) {
+            // Undo what the plugin registered before it failed (its routes stay inactive)
+            this.detachHooks(plugin)
+            plugin.hooks = []
+            plugin.adminPages.clear()
+            this.setLoadError(plugin, error)
+            return false
+        }
+    }
+
+    /**
+     * Deactivate a plugin: remove its hooks and stop serving its routes and admin pages
+     * @param {string} name - Plugin name
+     * @returns {Promise<boolean>} True if the plugin was active
+     */
+    async deactivatePlugin(name) {
+        const plugin = this.plugins.get(name)
+        if (!plugin || plugin.status !== "active") return false
+
+        // Let the plugin clean up (timers, connections...)
+        if (typeof plugin.module?.deactivate === "function") {
+            try {
+                await plugin.module.deactivate(this.systems)
+            } catch (error) {
+                this.recordError(plugin, error, "deactivate")
+            }
+        }
+
+        this.detachHooks(plugin)
+        plugin.status = "inactive"
+        return true
+    }
+
+    /**
+     * Enable a plugin and activate it
+     * @param {string} name - Plugin name
+     * @returns {Promise<Object|null>} Plugin info, or null if the plugin doesn't exist
+     * @throws {Error} If the plugin fails to load (it stays disabled)
+     */
+    async enablePlugin(name) {
+        const plugin = this.plugins.get(name)
+        if (!plugin) return null
+
+        if (!(await this.activatePlugin(name))) {
+            throw new Error(plugin.error?.message || "The plugin could not be loaded")
+        }
+
+        this.enabled.add(name)
+        await this.saveState()
+
+        return this.getPlugin(name)
+    }
+
+    /**
+     * Disable a plugin and deactivate it
+     * @param {string} name - Plugin name
+     * @returns {Promise<Object|null>} Plugin info, or null if the plugin doesn't exist
+     */
+    async disablePlugin(name) {
+        const plugin = this.plugins.get(name)
+        if (!plugin) return null
+
+        await this.deactivatePlugin(name)
+
+        // A plugin that failed to load is no longer in error once disabled
+        if (plugin.status === "error") {
+            plugin.status = "inactive"
+        }
+
+        this.enabled.delete(name)
+        await this.saveState()
+
+        return this.getPlugin(name)
+    }
+
+    /**
+     * Add the recorded hooks of a plugin to the hook system
+     * @param {Object} plugin - Plugin record
+     */
+    attachHooks(plugin) {
+        const { hookSystem } = this.systems
+
+        for (const hook of plugin.hooks) {
+            if (hook.type === "action") {
+                hookSystem.addAction(hook.name, hook.callback, hook.priority, hook.options)
+            } else {
+                hookSystem.addFilter(hook.name, hook.callback, hook.priority, hook.options)
+            }
+        }
+    }
+
+    /**
+     * Remove the recorded hooks of a plugin from the hook system
+     * @param {Object} plugin - Plugin record
+     */
+    detachHooks(plugin) {
+        const { hookSystem } = this.systems
+
+        for (const hook of plugin.hooks) {
+            if (hook.type === "action") {
+                hookSystem.removeAction(hook.name, hook.callback)
+            } else {
+                hookSystem.removeFilter(hook.name, hook.callback)
+            }
+        }
+    }
+
+    /**
+     * Mark a plugin as failed to load
+     * @param {Object} plugin - Plugin record
+     * @param {Error} error - Load error
+     */
+    setLoadError(plugin, error) {
+        console.error(`Plugin "${plugin.name}" failed to load:`, error)
+        plugin.status = "error"
+        plugin.error = { message: error.message, source: "load", at: new Date().toISOString() }
+    }
+
+    /**
+     * Report an error thrown by an active plugin (the plugin keeps running)
+     * @param {Object} plugin - Plugin record
+     * @param {Error} error - Error thrown by the plugin
+     * @param {string} source - Where the error happened (hook, route...)
+     */
+    recordError(plugin, error, source) {
+        console.error(`Plugin "${plugin.name}" error in ${source}:`, error)
+        plugin.error = { message: error?.message || String(error), source, at: new Date().toISOString() }
+    }
+
+    /**
+     * Check if a plugin is active
+     * @param {string} name - Plugin name
+     * @returns {boolean} True if the plugin is loaded and enabled
+     */
+    isActive(name) {
+        return this.plugins.get(name)?.status === "active"
+    }
+
+    /**
+     * Get the public information of a plugin
+     * @param {string} name - Plugin name
+     * @returns {Object|null} Plugin info, or null if the plugin doesn't exist
+     */
+    getPlugin(name) {
+        const plugin = this.plugins.get(name)
+        if (!plugin) return null
+
+        const { manifest } = plugin
+
+        return {
+            name: plugin.name,
+            title: manifest.title || plugin.name,
+            description: manifest.description || "",
+            author: manifest.author || "",
+            version: manifest.version || null,
+            capabilities: Array.isArray(manifest.capabilities) ? manifest.capabilities : [],
+            enabled: this.enabled.has(plugin.name),
+            status: plugin.status,
+            error: plugin.error,
+            manifestErrors: plugin.errors,
+            adminPages: [...plugin.adminPages.values()].map(({ slug, title, capabilities }) => ({
+                slug,
+                title,
+                capabilities,
+                url: `/aether/plugins/${plugin.name}/${slug}`,
+            })),
+        }
+    }
+
+    /**
+     * Get the public information of all plugins
+     * @returns {Array<Object>} Plugins sorted by title
+     */
+    getPlugins() {
+        return [...this.plugins.keys()]
+            .map((name) => this.getPlugin(name))
+            .sort((a, b) => a.title.localeCompare(b.title))
+    }
+
+    /**
+     * Get an admin page of an active plugin
+     * @param {string} name - Plugin name
+     * @param {string} slug - Page slug
+     * @returns {Object|null} Admin page, or null if it doesn't exist
+     */
+    getAdminPage(name, slug) {
+        if (!this.isActive(name)) return null
+        return this.plugins.get(name).adminPages.get(slug) || null
+    }
+
+    /**
+     * Render an admin page of a plugin
+     * @param {string} name - Plugin name
+     * @param {Object} page - Admin page
+     * @param {Object} req - Request object
+     * @returns {Promise<string|null>} HTML of the page, or null if rendering failed
+     */
+    async renderAdminPage(name, page, req) {
+        try {
+            return String(await page.render(req))
+        } catch (error) {
+            this.recordError(this.plugins.get(name), error, `admin page "${page.slug}"`)
+            return null
+        }
+    }
+}
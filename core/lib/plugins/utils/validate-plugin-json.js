@@ -0,0 +1,115 @@
+import { isAbsolute, normalize } from "node:path"
+import { CAPABILITIES } from "../../auth/utils/capabilities.js"
+
+// Constants for validation rules
+const REQUIRED_FIELDS = ["name", "version", "entry"]
+
+const OPTIONAL_FIELDS = ["title", "description", "author", "capabilities"]
+
+const NAME_REGEX = /^[a-z0-9][a-z0-9-]*$/
+const VERSION_REGEX = /^\d+\.\d+\.\d+$/
+const ALLOWED_ENTRY_EXTENSIONS = ["js", "mjs"]
+
+/**
+ * Checks for missing required fields in the plugin manifest.
+ * @param {Object} manifest - The manifest object to check for missing fields
+ * @returns {string[]} - Returns an array of error messages for missing fields
+ */
+function checkMissingFields(manifest) {
+    return REQUIRED_FIELDS.filter((field) => !(field in manifest)).map((field) => `Missing required field: "${field}"`)
+}
+
+/**
+ * Validates individual fields according to their specific rules
+ * @param {string} field - The name of the field to validate
+ * @param {*} value - The value of the field to validate
+ * @returns {string[]} - Returns an array of error messages for invalid fields
+ */
+function validateField(field, value) {
+    const errors = []
+
+    switch (field) {
+        case "name":
+            if (typeof value !== "string" || !NAME_REGEX.test(value)) {
+                errors.push("name must contain only lowercase letters, numbers and hyphens.")
+            }
+            break
+
+        case "version":
+            if (typeof value !== "string" || !VERSION_REGEX.test(value)) {
+                errors.push("version must be in X.Y.Z format where X, Y, Z are numbers.")
+            }
+            break
+
+        case "entry":
+            if (typeof value !== "string" || value.trim() === "") {
+                errors.push("entry must be a non-empty string.")
+            } else if (isAbsolute(value) || normalize(value).split(/[\\/]/).includes("..")) {
+                // The entry is imported and run, so it must stay inside the plugin directory
+                errors.push("entry must be a path inside the plugin directory.")
+            } else if (!ALLOWED_ENTRY_EXTENSIONS.includes(value.split(".").pop()?.toLowerCase())) {
+                errors.push(`entry must be a ${ALLOWED_ENTRY_EXTENSIONS.map((ext) => `.${ext}`).join(" or ")} file.`)
+            }
+            break
+
+        case "title":
+        case "description":
+        case "author":
+            if (typeof value !== "string") {
+                errors.push(`${field} must be a string.`)
+            }
+            break
+
+        case "capabilities":
+            if (!Array.isArray(value)) {
+                errors.push("capabilities must be an array.")
+            } else {
+                const unknown = value.filter((capability) => !CAPABILITIES.includes(capability))
+                if (unknown.length > 0) {
+                    errors.push(`Unknown capabilities: ${unknown.join(", ")}.`)
+                }
+            }
+            break
+    }
+
+    return errors
+}
+
+/**
+ * Validates a parsed plugin.json manifest.
+ * @param {Object} manifest - The parsed manifest
+ * @param {string} directoryName - Name of the plugin directory, which must match the plugin name
+ * @returns {Object} - Returns an object with a boolean 'valid' and an array of 'errors'
+ */
+export function validatePluginManifest(manifest, directoryName) {
+    if (!manifest || typeof manifest !== "object" || Array.isArray(manifest)) {
+        return { valid: false, errors: ["plugin.json must contain a JSON object."] }
+    }
+
+    // Step 1: Check for missing required fields
+    const errors = checkMissingFields(manifest)
+
+    // If there are missing required fields, stop further validation
+    if (errors.length > 0) {
+        return { valid: false, errors }
+    }
+
+    // Step 2: Validate each required field
+    REQUIRED_FIELDS.forEach((field) => errors.push(...validateField(field, manifest[field])))
+
+    // Step 3: Validate optional fields
+    OPTIONAL_FIELDS.forEach((field) => {
+        if (field in manifest) errors.push(...validateField(field, manifest[field]))
+    })
+
+    // Step 4: The directory name identifies the plugin, so both must agree
+    if (directoryName && manifest.name !== directoryName) {
+        errors.push(`name must match the plugin directory ("${directoryName}").`)
+    }
+
+    // Final result
+    return {
+        valid: errors.length === 0,
+        errors,
+    }
+}
@@ -0,0 +1,418 @@
+/**
+ * Redirect Manager Module
+ * Stores the redirects of the site, the ones added by hand and the ones recorded when content moves
+ * (changed slug, new parent page), matches request paths against them and counts their hits
+ */
+import { join } from "node:path"
+import { randomBytes } from "node:crypto"
+import { readJsonFile, writeJsonFile } from "./theme/utils/file-utils.js"
+
+// How a redirect source is compared to request paths
+export const MATCH_TYPES = ["exact", "wildcard", "regex"]
+
+// Permanent and temporary redirects, 307 and 308 keep the request method
+export const REDIRECT_STATUSES = [301, 302, 307, 308]
+
+// Delay before hit counts are written, so busy redirects don't write the file on every request (ms)
+const HITS_SAVE_DELAY = 10000
+
+// Paths of the admin and the API, which redirects must not take over
+const RESERVED_PATHS = ["/aether", "/api"]
+
+export class RedirectManager {
+    /**
+     * @param {string} dataDir - Directory containing site data
+     */
+    constructor(dataDir) {
+        this.redirectsPath = join(dataDir, "redirects.json")
+        this.redirects = []
+        this.exactRedirects = new Map() // Source => redirect, looked up first
+        this.patternRedirects = [] // { redirect, pattern } of wildcard and regex redirects, in order
+        this.hitsTimer = null
+        this.saving = Promise.resolve()
+    }
+
+    /**
+     * Load the redirects
+     * @returns {Promise<boolean>} Success or failure
+     */
+    async initialize() {
+        try {
+            const data = await readJsonFile(this.redirectsPath, { redirects: [] })
+            this.redirects = Array.isArray(data.redirects) ? data.redirects : []
+            this.compile()
+            return true
+        } catch (error) {
+            console.error("Error initializing redirect manager:", error)
+            return false
+        }
+    }
+
+    /**
+     * Save the redirects to the data directory
+     * Hit counts and edits can be saved at the same time, so saves are chained to never overlap
+     * @returns {Promise<boolean>} Success or failure
+     */
+    async saveRedirects() {
+        this.saving = this.saving.then(() => writeJsonFile(this.redirectsPath, { redirects: this.redirects }))
+        return this.saving
+    }
+
+    /**
+     * Index the redirects for matching, after every change
+     */
+    compile() {
+        this.exactRedirects = new Map()
+        this.patternRedirects = []
+
+        for (const redirect of this.redirects) {
+            if (redirect.matchType === "exact") {
+                // The first redirect of a source wins, like the order of the list
+                if (!this.exactRedirects.has(redirect.source)) this.exactRedirects.set(redirect.source, redirect)
+                continue
+            }
+
+            try {
+                this.patternRedirects.push({ redirect, pattern: toPattern(redirect) })
+            } catch (error) {
+                console.error(`Invalid redirect source "${redirect.source}":`, error.message)
+            }
+        }
+    }
+
+    /**
+     * Get all redirects
+     * @returns {Array<Object>} Redirects
+     */
+    getRedirects() {
+        return this.redirects
+    }
+
+    /**
+     * Get a redirect by ID
+     * @param {string} id - Redirect ID
+     * @returns {Object|null} Redirect
+     */
+    getRedirect(id) {
+        return this.redirects.find((r) => r.id === id) || null
+    }
+
+    /**
+     * Create a redirect
+     * @param {Object} data - Redirect data
+     * @param {string} data.source - Path, wildcard pattern (/blog/*) or regular expression
+     * @param {string} data.target - Path or URL, $1, $2... insert the parts matched by wildcards and regex groups
+     * @param {string} [data.matchType='exact'] - exact, wildcard or regex
+     * @param {number} [data.status=301] - HTTP status
+     * @param {string} [data.note] - Note shown in the admin
+     * @returns {Promise<Object>} Created redirect
+     * @throws {Error} If the redirect is invalid or its source already redirects
+     */
+    async createRedirect({ source, target, matchType = "exact", status = 301, note = "" }) {
+        const now = new Date().toISOString()
+        const redirect = {
+            id: randomBytes(8).toString("hex"),
+            ...validateRedirect({ source, target, matchType, status }),
+            note: String(note || "").slice(0, 200),
+            auto: false,
+            hits: 0,
+            lastHitAt: null,
+            createdAt: now,
+            updatedAt: now,
+        }
+
+        this.assertUniqueSource(redirect)
+
+        this.redirects.push(redirect)
+        this.compile()
+        await this.saveRedirects()
+
+        return redirect
+    }
+
+    /**
+     * Update a redirect
+     * @param {string} id - Redirect ID
+     * @param {Object} updates - Fields to change (source, target, matchType, status, note, resetHits)
+     * @returns {Promise<Object|null>} Updated redirect, or null if not found
+     * @throws {Error} If the redirect is invalid or its source already redirects
+     */
+    async updateRedirect(id, { source, target, matchType, status, note, resetHits } = {}) {
+        const redirect = this.getRedirect(id)
+        if (!redirect) return null
+
+        const updated = validateRedirect({
+            source: source ?? redirect.source,
+            target: target ?? redirect.target,
+            matchType: matchType ?? redirect.matchType,
+            status: status ?? redirect.status,
+        })
+
+        this.assertUniqueSource(updated, id)
+
+        Object.assign(redirect, updated)
+        if (note !== undefined) redirect.note = String(note || "").slice(0, 200)
+        if (resetHits) {
+            redirect.hits = 0
+            redirect.lastHitAt = null
+        }
+        redirect.updatedAt = new Date().toISOString()
+
+        this.compile()
+        await this.saveRedirects()
+
+        return redirect
+    }
+
+    /**
+     * Delete a redirect
+     * @param {string} id - Redirect ID
+     * @returns {Promise<boolean>} True if the redirect was deleted
+     */
+    async deleteRedirect(id) {
+        const count = this.redirects.length
+        this.redirects = this.redirects.filter((r) => r.id !== id)
+        if (this.redirects.length === count) return false
+
+        this.compile()
+        await this.saveRedirects()
+        return true
+    }
+
+    /**
+     * Check that no other exact redirect has the same source
+     * @param {Object} redirect - Validated redirect
+     * @param {string} [id] - ID of the redirect being updated
+     * @throws {Error} If the source already redirects
+     */
+    assertUniqueSource(redirect, id) {
+        if (redirect.matchType !== "exact") return
+
+        const existing = this.exactRedirects.get(redirect.source)
+        if (existing && existing.id !== id) {
+            throw new Error(`${redirect.source} already redirects to ${existing.target}`)
+        }
+    }
+
+    /**
+     * Record that content moved, so its old URL redirects to the new one (301)
+     * Redirects to the old URL are updated to skip it, and redirects from the new URL are removed
+     * since they would hide the content.
+     * @param {string} fromPath - Previous URL path
+     * @param {string} toPath - New URL path
+     * @param {Object} [details] - Details stored with the redirect
+     * @param {string} [details.contentId] - ID of the content that moved
+     * @param {string} [details.contentType] - Type of the content ('post' or 'page')
+     * @returns {Promise<Object|null>} The redirect, or null if the paths are the same
+     */
+    async addContentRedirect(fromPath, toPath, { contentId, contentType } = {}) {
+        const source = normalizePath(fromPath)
+        const target = normalizePath(toPath)
+        if (source === target) return null
+
+        const now = new Date().toISOString()
+
+        // The new URL serves content again, so it can't stay redirected
+        this.redirects = this.redirects.filter((r) => !(r.matchType === "exact" && r.source === target))
+
+        // Avoid chains: a page renamed twice redirects both old URLs to the last one
+        for (const redirect of this.redirects) {
+            if (redirect.matchType === "exact" && redirect.target === source) {
+                redirect.target = target
+                redirect.updatedAt = now
+            }
+        }
+
+        let redirect = this.redirects.find((r) => r.matchType === "exact" && r.source === source)
+
+        if (redirect) {
+            Object.assign(redirect, { target, status: 301, updatedAt: now })
+        } else {
+            redirect = {
+                id: randomBytes(8).toString("hex"),
+                source,
+                target,
+                matchType: "exact",
+                status: 301,
+                note: "",
+                auto: true,
+                contentId: contentId ? String(contentId) : null,
+                contentType: contentType || null,
+                hits: 0,
+                lastHitAt: null,
+                createdAt: now,
+                updatedAt: now,
+            }
+            this.redirects.push(redirect)
+        }
+
+        this.compile()
+        await this.saveRedirects()
+
+        return redirect
+    }
+
+    /**
+     * Find the redirect of a request URL
+     * Exact redirects are checked first, then wildcard and regex redirects in their order.
+     * @param {string} url - Request URL (path and query string)
+     * @returns {Object|null} { redirect, location }, or null if no redirect matches
+     */
+    match(url) {
+        const [rawPath, query] = splitQuery(url)
+        const path = normalizePath(rawPath)
+
+        const exact = this.exactRedirects.get(path)
+        if (exact) {
+            return { redirect: exact, location: withQuery(exact.target, query) }
+        }
+
+        for (const { redirect, pattern } of this.patternRedirects) {
+            const match = pattern.exec(path)
+            if (!match) continue
+
+            // $1, $2... insert the matched parts, $0 the whole path
+            const location = redirect.target.replace(/\$(\d+)/g, (_, index) => match[index] ?? "")
+
+            // A pattern matching its own target would redirect forever
+            if (normalizePath(splitQuery(location)[0]) === path) continue
+
+            return { redirect, location: withQuery(location, query) }
+        }
+
+        return null
+    }
+
+    /**
+     * Count a hit of a redirect, counts are written a few seconds later
+     * @param {Object} redirect - Matched redirect
+     */
+    recordHit(redirect) {
+        redirect.hits = (redirect.hits || 0) + 1
+        redirect.lastHitAt = new Date().toISOString()
+
+        if (this.hitsTimer) return
+
+        this.hitsTimer = setTimeout(() => {
+            this.hitsTimer = null
+            this.saveRedirects()
+        }, HITS_SAVE_DELAY)
+
+        // Pending counts must not keep scripts (like the static build) running
+        this.hitsTimer.unref?.()
+    }
+}
+
+/**
+ * Validate and normalize the fields of a redirect
+ * @param {Object} redirect - Redirect fields (source, target, matchType, status)
+ * @returns {Object} Normalized fields
+ * @throws {Error} If a field is invalid
+ */
+function validateRedirect({ source, target, matchType, status }) {
+    if (!MATCH_TYPES.includes(matchType)) {
+        throw new Error(`Match type must be one of: ${MATCH_TYPES.join(", ")}`)
+    }
+
+    source = String(source || "").trim()
+    target = String(target || "").trim()
+    status = Number(status)
+
+    if (!source) {
+        throw new Error("Source is required")
+    }
+
+    if (matchType === "regex") {
+        if (source.length > 500) throw new Error("Regular expressions are limited to 500 characters")
+
+        try {
+            new RegExp(source)
+        } catch (error) {
+            throw new Error(`Invalid regular expression: ${error.message}`)
+        }
+    } else {
+        if (!source.startsWith("/")) {
+            throw new Error("Source must be a path starting with /")
+        }
+
+        source = normalizePath(source)
+
+        if (RESERVED_PATHS.some((path) => source === path || source.startsWith(`${path}/`))) {
+            throw new Error("The admin and API paths can't be redirected")
+        }
+    }
+
+    if (!target) {
+        throw new Error("Target is required")
+    }
+
+    // Paths or absolute http(s) URLs, no protocol-relative URLs (//example.com)
+    if (/^https?:\/\//i.test(target)) {
+        try {
+            new URL(target)
+        } catch (error) {
+            throw new Error("Target must be a valid URL")
+        }
+    } else if (!target.startsWith("/") || target.startsWith("//")) {
+        throw new Error("Target must be a path starting with / or an http(s) URL")
+    }
+
+    if (/[\s\u0000-\u001f]/.test(target)) {
+        throw new Error("Target can't contain spaces")
+    }
+
+    if (matchType === "exact" && normalizePath(target) === source) {
+        throw new Error("A redirect can't point to itself")
+    }
+
+    if (!REDIRECT_STATUSES.includes(status)) {
+        throw new Error(`Status must be one of: ${REDIRECT_STATUSES.join(", ")}`)
+    }
+
+    return { source, target, matchType, status }
+}
+
+/**
+ * Build the regular expression of a wildcard or regex redirect
+ * @param {Object} redirect - Redirect
+ * @returns {RegExp} Pattern matched against normalized paths
+ */
+function toPattern(redirect) {
+    if (redirect.matchType === "regex") {
+        return new RegExp(redirect.source)
+    }
+
+    // Each * matches any characters, including slashes
+    const escaped = redirect.source.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    return new RegExp(`^${escaped.join("(.*)")}$`)
+}
+
+/**
+ * Normalize a path for matching, without its trailing slash
+ * @param {string} path - URL path
+ * @returns {string} Normalized path
+ */
+export function normalizePath(path) {
+    const normalized = String(path || "/").replace(/\/+$/, "")
+    return normalized.startsWith("/") ? normalized || "/" : `/${normalized}`
+}
+
+/**
+ * Split a URL into its path and query string
+ * @param {string} url - Request URL
+ * @returns {Array<string>} [path, query] (query without "?")
+ */
+function splitQuery(url) {
+    const index = url.indexOf("?")
+    return index === -1 ? [url, ""] : [url.slice(0, index), url.slice(index + 1)]
+}
+
+/**
+ * Keep the query string of a request on its redirect, unless the target has its own
+ * @param {string} location - Redirect target
+ * @param {string} query - Request query string
+ * @returns {string} Location
+ */
+function withQuery(location, query) {
+    return query && !location.includes("?") ? `${location}?${query}` : location
+}
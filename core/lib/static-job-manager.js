@@ -0,0 +1,247 @@
+/**
+ * Static Job Manager Module
+ * Queues static site generation jobs, tracks their progress and keeps a history of past builds
+ */
+import { join } from "node:path"
+import { randomBytes } from "node:crypto"
+import { readJsonFile, writeJsonFile } from "./theme/utils/file-utils.js"
+
+export class StaticJobManager {
+    /**
+     * @param {string} dataDir - Directory containing site data
+     * @param {Object} options - Job manager options
+     * @param {number} [options.historyLimit=20] - Number of finished jobs to keep
+     */
+    constructor(dataDir, options = {}) {
+        this.dataDir = dataDir
+        this.historyPath = join(dataDir, "static-jobs.json")
+        this.historyLimit = options.historyLimit || 20
+        this.jobs = [] // Newest first: queued, running and finished jobs
+        this.queue = []
+        this.isProcessing = false
+        this.listeners = new Set()
+    }
+
+    /**
+     * Initialize the job manager
+     * @returns {Promise<boolean>} Success or failure
+     */
+    async initialize() {
+        try {
+            const data = await readJsonFile(this.historyPath, { jobs: [] })
+            this.jobs = Array.isArray(data.jobs) ? data.jobs : []
+
+            // Jobs that were queued or running when the server stopped will never finish
+            for (const job of this.jobs) {
+                if (job.status === "queued" || job.status === "running") {
+                    job.status = "failed"
+                    job.finishedAt = job.finishedAt || new Date().toISOString()
+                    job.error = { message: "Interrupted by a server restart", stack: null }
+                }
+            }
+
+            return true
+        } catch (error) {
+            console.error("Error initializing static job manager:", error)
+            return false
+        }
+    }
+
+    /**
+     * Save the job history to the data directory
+     * @returns {Promise<boolean>} Success or failure
+     */
+    async saveHistory() {
+        try {
+            return await writeJsonFile(this.historyPath, { jobs: this.jobs })
+        } catch (error) {
+            console.error("Error saving static job history:", error)
+            return false
+        }
+    }
+
+    /**
+     * Queue a static site generation job
+     * @param {Object} options - Generation options (outputDir, baseUrl, cleanUrls, incremental...)
+     * @param {Function} run - Generation command, called with the options and an onProgress callback
+     * @param {Object} [meta] - Job details
+     * @param {string} [meta.requestedBy] - Username of the user who started the job
+     * @param {string} [meta.trigger="manual"] - What started the job ('manual', 'schedule'...)
+     * @returns {Object} Queued job
+     */
+    enqueue(options, run, meta = {}) {
+        const job = {
+            id: randomBytes(8).toString("hex"),
+            status: "queued",
+            trigger: meta.trigger || "manual",
+            requestedBy: meta.requestedBy || null,
+            options: { ...options },
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            duration: null,
+            phase: null,
+            phases: [],
+            progress: 0,
+            files: null,
+            error: null,
+        }
+
+        this.jobs.unshift(job)
+        this.queue.push({ job, run })
+        this.emit(job)
+
+        this.processQueue()
+
+        return job
+    }
+
+    /**
+     * Run queued jobs one at a time
+     */
+    async processQueue() {
+        if (this.isProcessing) return
+
+        this.isProcessing = true
+
+        while (this.queue.length > 0) {
+            const { job, run } = this.queue.shift()
+            await this.runJob(job, run)
+        }
+
+        this.isProcessing = false
+    }
+
+    /**
+     * Run a job and record its outcome
+     * @param {Object} job - Job to run
+     * @param {Function} run - Generation command
+     */
+    async runJob(job, run) {
+        job.status = "running"
+        job.startedAt = new Date().toISOString()
+        this.emit(job)
+
+        try {
+            const stats = await run({ ...job.options, onProgress: (event) => this.handleProgress(job, event) })
+
+            job.status = "succeeded"
+            job.progress = 100
+            if (stats) job.files = stats
+        } catch (error) {
+            console.error("Static site generation job failed:", error)
+            job.status = "failed"
+            job.error = { message: error.message, stack: error.stack || null }
+        }
+
+        job.phase = null
+        job.finishedAt = new Date().toISOString()
+        job.duration = new Date(job.finishedAt) - new Date(job.startedAt)
+
+        this.pruneHistory()
+        await this.saveHistory()
+        this.emit(job)
+    }
+
+    /**
+     * Update a job from a generator progress event
+     * @param {Object} job - Running job
+     * @param {Object} event - Progress event ({ phase, status, phases, files })
+     */
+    handleProgress(job, event) {
+        const { phase, status, phases = [], files } = event
+
+        // Register all phases upfront so that clients can show what remains
+        if (job.phases.length === 0 && phases.length > 0) {
+            job.phases = phases.map((name) => ({ name, status: "pending", startedAt: null, finishedAt: null }))
+        }
+
+        const jobPhase = job.phases.find((item) => item.name === phase)
+        if (jobPhase) {
+            jobPhase.status = status
+            if (status === "running") jobPhase.startedAt = new Date().toISOString()
+            if (status === "done") jobPhase.finishedAt = new Date().toISOString()
+        }
+
+        if (files) job.files = { ...files }
+
+        job.phase = status === "running" ? phase : job.phase
+        const donePhases = job.phases.filter((item) => item.status === "done").length
+        job.progress = job.phases.length > 0 ? Math.round((donePhases / job.phases.length) * 100) : 0
+
+        this.emit(job)
+    }
+
+    /**
+     * Keep the running and queued jobs and the most recent finished ones
+     */
+    pruneHistory() {
+        let finishedCount = 0
+
+        this.jobs = this.jobs.filter((job) => {
+            if (job.status === "queued" || job.status === "running") return true
+            return ++finishedCount <= this.historyLimit
+        })
+    }
+
+    /**
+     * Get a job by ID
+     * @param {string} id - Job ID
+     * @returns {Object|null} Job
+     */
+    getJob(id) {
+        return this.jobs.find((job) => job.id === id) || null
+    }
+
+    /**
+     * Get the running job, or the next queued one
+     * @returns {Object|null} Job
+     */
+    getActiveJob() {
+        return (
+            this.jobs.find((job) => job.status === "running") ||
+            [...this.jobs].reverse().find((job) => job.status === "queued") ||
+            null
+        )
+    }
+
+    /**
+     * Get the most recent job that finished successfully
+     * @returns {Object|null} Job
+     */
+    getLastSuccessfulJob() {
+        return this.jobs.find((job) => job.status === "succeeded") || null
+    }
+
+    /**
+     * Get all jobs, newest first
+     * @returns {Array} Jobs
+     */
+    getJobs() {
+        return this.jobs
+    }
+
+    /**
+     * Subscribe to job updates
+     * @param {Function} listener - Called with the updated job
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener)
+        return () => this.listeners.delete(listener)
+    }
+
+    /**
+     * Notify listeners of a job update
+     * @param {Object} job - Updated job
+     */
+    emit(job) {
+        for (const listener of this.listeners) {
+            try {
+                listener(job)
+            } catch (error) {
+                console.error("Error in static job listener:", error)
+            }
+        }
+    }
+}
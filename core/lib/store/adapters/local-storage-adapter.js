@@ -0,0 +1,157 @@
+/**
+ * Stores uploads in a local directory (content/uploads by default)
+ */
+import { join, resolve, sep, dirname } from "node:path"
+import { createReadStream, existsSync } from "node:fs"
+import { readFile, writeFile, unlink, readdir, stat } from "node:fs/promises"
+import { ensureDirectory } from "../utils/file-utils.js"
+import { UPLOADS_PATH } from "../utils/path-utils.js"
+
+export class LocalStorageAdapter {
+    /**
+     * @param {string} baseDir - Directory of the uploads
+     * @param {Object} [options] - Adapter options
+     * @param {string} [options.publicUrl] - URL the directory is served at (a CDN URL, or /content/uploads)
+     */
+    constructor(baseDir, { publicUrl = UPLOADS_PATH } = {}) {
+        this.name = "local"
+        this.baseDir = resolve(baseDir)
+        this.publicUrl = publicUrl.replace(/\/+$/, "")
+    }
+
+    /**
+     * Create the uploads directories
+     * @returns {Promise<boolean>} Success or failure
+     */
+    async initialize() {
+        const created = await Promise.all(
+            ["", "images", "documents"].map((dir) => ensureDirectory(join(this.baseDir, dir)))
+        )
+        return created.every(Boolean)
+    }
+
+    /**
+     * Get the path of a key, keys can't leave the uploads directory
+     * @param {string} key - Storage key
+     * @returns {string} Absolute file path
+     */
+    resolveKey(key) {
+        const filePath = resolve(this.baseDir, ...key.split("/"))
+
+        if (!filePath.startsWith(this.baseDir + sep)) {
+            throw new Error(`Invalid storage key: ${key}`)
+        }
+
+        return filePath
+    }
+
+    /**
+     * Save a file
+     * @param {string} key - Storage key
+     * @param {Buffer|string} data - File data
+     * @returns {Promise<Object>} { size, createdAt, modifiedAt }
+     */
+    async save(key, data) {
+        const filePath = this.resolveKey(key)
+
+        await ensureDirectory(dirname(filePath))
+        await writeFile(filePath, data)
+
+        return this.stat(key)
+    }
+
+    /**
+     * Read a file
+     * @param {string} key - Storage key
+     * @returns {Promise<Buffer|null>} File data, or null if it doesn't exist
+     */
+    async read(key) {
+        const filePath = this.resolveKey(key)
+        return existsSync(filePath) ? readFile(filePath) : null
+    }
+
+    /**
+     * Get a read stream for a file
+     * @param {string} key - Storage key
+     * @returns {Promise<ReadStream|null>} File stream, or null if it doesn't exist
+     */
+    async createReadStream(key) {
+        const filePath = this.resolveKey(key)
+        return existsSync(filePath) ? createReadStream(filePath) : null
+    }
+
+    /**
+     * Delete a file
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} True if the file existed
+     */
+    async delete(key) {
+        const filePath = this.resolveKey(key)
+        if (!existsSync(filePath)) return false
+
+        await unlink(filePath)
+        return true
+    }
+
+    /**
+     * List the files directly inside a folder
+     * @param {string} prefix - Folder key (e.g. images)
+     * @returns {Promise<Array<Object>>} Files ({ key, name, size, createdAt, modifiedAt })
+     */
+    async list(prefix) {
+        const dirPath = this.resolveKey(prefix)
+        if (!existsSync(dirPath)) return []
+
+        const entries = await readdir(dirPath, { withFileTypes: true })
+
+        const files = await Promise.all(
+            entries
+                .filter((entry) => entry.isFile())
+                .map(async (entry) => ({
+                    key: `${prefix}/${entry.name}`,
+                    name: entry.name,
+                    ...(await this.stat(`${prefix}/${entry.name}`)),
+                }))
+        )
+
+        return files.filter((file) => file.size !== undefined)
+    }
+
+    /**
+     * Get the size and dates of a file
+     * @param {string} key - Storage key
+     * @returns {Promise<Object|null>} { size, createdAt, modifiedAt }, or null if it doesn't exist
+     */
+    async stat(key) {
+        try {
+            const fileStats = await stat(this.resolveKey(key))
+            if (!fileStats.isFile()) return null
+
+            return {
+                size: fileStats.size,
+                createdAt: fileStats.birthtime.toISOString(),
+                modifiedAt: fileStats.mtime.toISOString(),
+            }
+        } catch (error) {
+            return null
+        }
+    }
+
+    /**
+     * Get the public URL of a file
+     * @param {string} key - Storage key
+     * @returns {string} Public URL
+     */
+    getPublicUrl(key) {
+        return `${this.publicUrl}/${key}`
+    }
+
+    /**
+     * Get the path of a file on this server
+     * @param {string} key - Storage key
+     * @returns {string} Absolute file path
+     */
+    getLocalPath(key) {
+        return this.resolveKey(key)
+    }
+}
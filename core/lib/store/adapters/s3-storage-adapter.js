@@ -0,0 +1,322 @@
+/**
+ * Stores uploads in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, DigitalOcean Spaces...)
+ * Requests are signed with AWS Signature Version 4, no SDK is needed.
+ */
+import { createHash, createHmac } from "node:crypto"
+import { Readable } from "node:stream"
+import { getContentType, UPLOADS_PATH } from "../utils/path-utils.js"
+
+// Unique filenames never change, so files can be cached for a year
+const CACHE_CONTROL = "public, max-age=31536000, immutable"
+
+const REQUEST_TIMEOUT = 30000
+
+export class S3StorageAdapter {
+    /**
+     * @param {Object} options - Bucket options
+     * @param {string} options.bucket - Bucket name
+     * @param {string} options.accessKeyId - Access key ID
+     * @param {string} options.secretAccessKey - Secret access key
+     * @param {string} [options.endpoint] - Endpoint URL of S3-compatible services (e.g. http://localhost:9000)
+     * @param {string} [options.region='us-east-1'] - Bucket region
+     * @param {string} [options.prefix] - Folder of the uploads inside the bucket
+     * @param {boolean} [options.forcePathStyle] - Put the bucket in the path rather than the host name
+     * (defaults to true with a custom endpoint, as MinIO expects)
+     * @param {string} [options.publicUrl] - URL the files are served at (a CDN URL, or /content/uploads)
+     */
+    constructor({
+        bucket,
+        accessKeyId,
+        secretAccessKey,
+        endpoint,
+        region = "us-east-1",
+        prefix = "",
+        forcePathStyle,
+        publicUrl = UPLOADS_PATH,
+    }) {
+        if (!bucket || !accessKeyId || !secretAccessKey) {
+            throw new Error("The S3 storage needs a bucket, an access key ID and a secret access key")
+        }
+
+        this.name = "s3"
+        this.bucket = bucket
+        this.accessKeyId = accessKeyId
+        this.secretAccessKey = secretAccessKey
+        this.region = region
+        this.prefix = prefix.replace(/^\/+|\/+$/g, "")
+        this.publicUrl = publicUrl.replace(/\/+$/, "")
+
+        const url = new URL(endpoint || `https://s3.${region}.amazonaws.com`)
+        const pathStyle = forcePathStyle ?? Boolean(endpoint)
+
+        this.origin = pathStyle ? url.origin : `${url.protocol}//${bucket}.${url.host}`
+        this.basePath = pathStyle ? `/${encodeKey(bucket)}` : ""
+    }
+
+    /**
+     * Nothing to create, the bucket must exist
+     * @returns {Promise<boolean>} Always true
+     */
+    async initialize() {
+        return true
+    }
+
+    /**
+     * Get the key of a file in the bucket
+     * @param {string} key - Storage key
+     * @returns {string} Object key, with the prefix
+     */
+    objectKey(key) {
+        return this.prefix ? `${this.prefix}/${key}` : key
+    }
+
+    /**
+     * Save a file
+     * @param {string} key - Storage key
+     * @param {Buffer|string} data - File data
+     * @returns {Promise<Object>} { size, createdAt, modifiedAt }
+     */
+    async save(key, data) {
+        const body = Buffer.isBuffer(data) ? data : Buffer.from(data)
+
+        await this.request("PUT", this.objectKey(key), {
+            body,
+            headers: { "content-type": getContentType(key), "cache-control": CACHE_CONTROL },
+        })
+
+        const now = new Date().toISOString()
+        return { size: body.length, createdAt: now, modifiedAt: now }
+    }
+
+    /**
+     * Read a file
+     * @param {string} key - Storage key
+     * @returns {Promise<Buffer|null>} File data, or null if it doesn't exist
+     */
+    async read(key) {
+        const response = await this.request("GET", this.objectKey(key), { allowMissing: true })
+        return response ? Buffer.from(await response.arrayBuffer()) : null
+    }
+
+    /**
+     * Get a read stream for a file
+     * @param {string} key - Storage key
+     * @returns {Promise<Readable|null>} File stream, or null if it doesn't exist
+     */
+    async createReadStream(key) {
+        const response = await this.request("GET", this.objectKey(key), { allowMissing: true })
+        return response ? Readable.fromWeb(response.body) : null
+    }
+
+    /**
+     * Delete a file
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} True if the file existed
+     */
+    async delete(key) {
+        // S3 answers deletions of missing objects with a success too
+        if (!(await this.stat(key))) return false
+
+        await this.request("DELETE", this.objectKey(key))
+        return true
+    }
+
+    /**
+     * List the files directly inside a folder
+     * @param {string} prefix - Folder key (e.g. images)
+     * @returns {Promise<Array<Object>>} Files ({ key, name, size, createdAt, modifiedAt })
+     */
+    async list(prefix) {
+        const folder = `${this.objectKey(prefix)}/`
+        const files = []
+        let continuationToken
+
+        do {
+            const query = { "list-type": "2", prefix: folder, delimiter: "/" }
+            if (continuationToken) query["continuation-token"] = continuationToken
+
+            const response = await this.request("GET", "", { query })
+            const xml = await response.text()
+
+            for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                const name = readXmlValue(contents, "Key").slice(folder.length)
+                const modifiedAt = new Date(readXmlValue(contents, "LastModified")).toISOString()
+
+                files.push({
+                    key: `${prefix}/${name}`,
+                    name,
+                    size: Number(readXmlValue(contents, "Size")),
+                    createdAt: modifiedAt, // S3 only keeps the date of the last write
+                    modifiedAt,
+                })
+            }
+
+            continuationToken =
+                readXmlValue(xml, "IsTruncated") === "true" ? readXmlValue(xml, "NextContinuationToken") : null
+        } while (continuationToken)
+
+        return files
+    }
+
+    /**
+     * Get the size and dates of a file
+     * @param {string} key - Storage key
+     * @returns {Promise<Object|null>} { size, createdAt, modifiedAt }, or null if it doesn't exist
+     */
+    async stat(key) {
+        const response = await this.request("HEAD", this.objectKey(key), { allowMissing: true })
+        if (!response) return null
+
+        const modifiedAt = new Date(response.headers.get("last-modified") || Date.now()).toISOString()
+
+        return { size: Number(response.headers.get("content-length")), createdAt: modifiedAt, modifiedAt }
+    }
+
+    /**
+     * Get the public URL of a file
+     * @param {string} key - Storage key
+     * @returns {string} Public URL
+     */
+    getPublicUrl(key) {
+        return `${this.publicUrl}/${key}`
+    }
+
+    /**
+     * Files of a bucket have no path on this server
+     * @returns {null} Always null
+     */
+    getLocalPath() {
+        return null
+    }
+
+    /**
+     * Send a signed request to the bucket
+     * @param {string} method - HTTP method
+     * @param {string} objectKey - Object key ("" for the bucket itself)
+     * @param {Object} [options] - Request options
+     * @param {Buffer} [options.body] - Request body
+     * @param {Object} [options.headers] - Extra headers (lowercase names)
+     * @param {Object} [options.query] - Query parameters
+     * @param {boolean} [options.allowMissing=false] - Return null instead of throwing when the object doesn't exist
+     * @returns {Promise<Response|null>} The response
+     * @throws {Error} If the request fails
+     */
+    async request(method, objectKey, { body, headers = {}, query = {}, allowMissing = false } = {}) {
+        const path = `${this.basePath}/${encodeKey(objectKey)}`
+        const queryString = Object.keys(query)
+            .sort()
+            .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+            .join("&")
+
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "")
+        const date = amzDate.slice(0, 8)
+        const payloadHash = sha256(body || "")
+
+        const signedHeaders = {
+            ...headers,
+            host: new URL(this.origin).host,
+            "x-amz-content-sha256": payloadHash,
+            "x-amz-date": amzDate,
+        }
+
+        const headerNames = Object.keys(signedHeaders).sort()
+        const canonicalRequest = [
+            method,
+            path,
+            queryString,
+            ...headerNames.map((name) => `${name}:${String(signedHeaders[name]).trim()}`),
+            "",
+            headerNames.join(";"),
+            payloadHash,
+        ].join("\n")
+
+        const scope = `${date}/${this.region}/s3/aws4_request`
+        const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n")
+
+        const signingKey = [date, this.region, "s3", "aws4_request"].reduce(
+            (key, part) => hmac(key, part),
+            `AWS4${this.secretAccessKey}`
+        )
+        const signature = createHmac("sha256", signingKey).update(stringToSign).digest("hex")
+
+        const { host, ...sentHeaders } = signedHeaders
+
+        const response = await fetch(`${this.origin}${path}${queryString ? `?${queryString}` : ""}`, {
+            method,
+            body,
+            headers: {
+                ...sentHeaders,
+                authorization:
+                    `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, ` +
+                    `SignedHeaders=${headerNames.join(";")}, Signature=${signature}`,
+            },
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+        })
+
+        if (allowMissing && response.status === 404) return null
+
+        if (!response.ok) {
+            const text = method === "HEAD" ? "" : await response.text()
+            const code = readXmlValue(text, "Code") || response.statusText
+            throw new Error(`S3 ${method} ${objectKey || this.bucket} failed: ${response.status} ${code}`)
+        }
+
+        return response
+    }
+}
+
+/**
+ * Encode a string as required by the AWS signature (RFC 3986)
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+}
+
+/**
+ * Encode an object key for a URL path, keeping its slashes
+ * @param {string} key - Object key
+ * @returns {string} Encoded key
+ */
+function encodeKey(key) {
+    return key.split("/").map(encodeRfc3986).join("/")
+}
+
+/**
+ * Get the SHA-256 hash of data
+ * @param {Buffer|string} data - Data to hash
+ * @returns {string} Hex hash
+ */
+function sha256(data) {
+    return createHash("sha256").update(data).digest("hex")
+}
+
+/**
+ * Get the HMAC-SHA256 of a value
+ * @param {Buffer|string} key - Key
+ * @param {string} value - Value
+ * @returns {Buffer} HMAC
+ */
+function hmac(key, value) {
+    return createHmac("sha256", key).update(value).digest()
+}
+
+/**
+ * Read the text of the first element with a name in an S3 XML response
+ * @param {string} xml - XML text
+ * @param {string} name - Element name
+ * @returns {string} Decoded text, or an empty string if the element is missing
+ */
+function readXmlValue(xml, name) {
+    const match = xml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`))
+    if (!match) return ""
+
+    return match[1]
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(code))
+        .replace(/&amp;/g, "&")
+}
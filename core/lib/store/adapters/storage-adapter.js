@@ -0,0 +1,61 @@
+/**
+ * Storage adapters keep the uploaded files and their metadata
+ *
+ * Every adapter implements the same methods, keys being paths relative to the uploads root
+ * (images/photo-1a2b.jpg, images/variants/photo-1a2b-320w.webp, documents/report-3c4d.pdf):
+ *
+ * - initialize(): Promise<boolean>
+ * - save(key, data): Promise<{ size, createdAt, modifiedAt }>
+ * - read(key): Promise<Buffer|null>
+ * - createReadStream(key): Promise<Readable|null>
+ * - delete(key): Promise<boolean>
+ * - list(prefix): Promise<Array<{ key, name, size, createdAt, modifiedAt }>>, files directly inside prefix
+ * - stat(key): Promise<{ size, createdAt, modifiedAt }|null>
+ * - getPublicUrl(key): string
+ * - getLocalPath(key): string|null
+ *
+ * Methods throw when the storage fails, a missing file is not an error.
+ */
+import { LocalStorageAdapter } from "./local-storage-adapter.js"
+import { S3StorageAdapter } from "./s3-storage-adapter.js"
+
+/**
+ * Create the storage adapter of the uploads
+ * @param {string} uploadsDir - Directory of the local storage
+ * @param {Object} [options] - Storage options
+ * @param {string} [options.driver='local'] - 'local' or 's3'
+ * @param {string} [options.publicUrl] - URL prefix of the files (e.g. a CDN URL)
+ * @param {Object} [options.s3] - S3StorageAdapter options
+ * @returns {Object} Storage adapter
+ */
+export function createStorageAdapter(uploadsDir, { driver = "local", publicUrl, s3 = {} } = {}) {
+    switch (driver) {
+        case "local":
+            return new LocalStorageAdapter(uploadsDir, { publicUrl })
+        case "s3":
+            return new S3StorageAdapter({ ...s3, publicUrl })
+        default:
+            throw new Error(`Unknown storage driver: ${driver}`)
+    }
+}
+
+/**
+ * Read the storage options from environment variables
+ * @param {Object} env - Environment variables
+ * @returns {Object} Storage options for createStorageAdapter
+ */
+export function getStorageOptions(env) {
+    return {
+        driver: env.STORAGE_DRIVER || "local",
+        publicUrl: env.UPLOADS_PUBLIC_URL || undefined,
+        s3: {
+            endpoint: env.S3_ENDPOINT || undefined,
+            region: env.S3_REGION || undefined,
+            bucket: env.S3_BUCKET,
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+            prefix: env.S3_PREFIX || undefined,
+            forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === "true" : undefined,
+        },
+    }
+}
@@ -5,7 +5,9 @@ import { FileManager } from "./modules/file-manager.js"
 import { MetadataManager } from "./modules/metadata-manager.js"
 import { ImageHandler } from "./modules/image-handler.js"
 import { DocumentHandler } from "./modules/document-handler.js"
-import { MediaReferenceManager } from "./modules/media-reference-manager.js"
+import { MediaReferenceManager, getStoredSize } from "./modules/media-reference-manager.js"
+import { createStorageAdapter } from "./adapters/storage-adapter.js"
+import { normalizeFolder, normalizeTags, queryMedia, listFolders, listTags } from "./utils/media-query-utils.js"
 
 /**
  * Manages file uploads and storage
@@ -13,15 +15,22 @@ import { MediaReferenceManager } from "./modules/media-reference-manager.js"
 export class FileStorage {
     /**
      * @param {string} uploadsDir - Directory for storing uploaded files
+     * @param {Object} [options] - Storage options
+     * @param {Object} [options.adapter] - Storage adapter to use instead of the one built from the options
+     * @param {string} [options.driver='local'] - Storage driver ('local' or 's3', see createStorageAdapter)
+     * @param {string} [options.publicUrl] - URL prefix of the files (e.g. a CDN URL)
+     * @param {Object} [options.s3] - S3 bucket options
      */
-    constructor(uploadsDir) {
+    constructor(uploadsDir, { adapter, ...storageOptions } = {}) {
         this.uploadsDir = uploadsDir
+        this.storage = adapter || createStorageAdapter(uploadsDir, storageOptions)
+        this.publicUrl = this.storage.publicUrl
 
         // Initialize managers and handlers
-        this.fileManager = new FileManager(uploadsDir)
-        this.metadataManager = new MetadataManager(uploadsDir)
-        this.imageHandler = new ImageHandler(this.fileManager, this.metadataManager, uploadsDir)
-        this.documentHandler = new DocumentHandler(this.fileManager, this.metadataManager, uploadsDir)
+        this.fileManager = new FileManager(this.storage)
+        this.metadataManager = new MetadataManager(this.storage)
+        this.imageHandler = new ImageHandler(this.fileManager, this.metadataManager, this.storage)
+        this.documentHandler = new DocumentHandler(this.fileManager, this.metadataManager)
         this.referenceManager = new MediaReferenceManager(this)
 
         // Initialize the storage
@@ -45,12 +54,13 @@ export class FileStorage {
      * @param {string} filename - Original filename
      * @param {string} type - File type (image or document)
      * @param {Object} metadata - Additional metadata
+     * @param {Object} options - Upload options (keepExif for images)
      * @returns {Object} Saved file information
      */
-    async saveFile(fileData, filename, type = "image", metadata = {}) {
+    async saveFile(fileData, filename, type = "image", metadata = {}, options = {}) {
         try {
             if (type === "image") {
-                return await this.imageHandler.saveImage(fileData, filename, metadata)
+                return await this.imageHandler.saveImage(fileData, filename, metadata, options)
             } else {
                 return await this.documentHandler.saveDocument(fileData, filename, metadata)
             }
@@ -62,12 +72,14 @@ export class FileStorage {
 
     /**
      * Get a list of all uploaded files
-     * @param {string} type - File type (image or document)
+     * @param {string} type - File type (image, document or all)
      * @returns {Array} Array of file information
      */
     async getFiles(type = "image") {
         try {
-            if (type === "image") {
+            if (type === "all") {
+                return [...(await this.imageHandler.getImages()), ...(await this.documentHandler.getDocuments())]
+            } else if (type === "image") {
                 return await this.imageHandler.getImages()
             } else {
                 return await this.documentHandler.getDocuments()
@@ -82,9 +94,9 @@ export class FileStorage {
      * Get a stream for a specific file
      * @param {string} filename - The filename
      * @param {string} type - File type (image or document)
-     * @returns {ReadStream} Stream for the file
+     * @returns {Promise<Readable|null>} Stream for the file, or null if it doesn't exist
      */
-    getFileStream(filename, type = "image") {
+    async getFileStream(filename, type = "image") {
         if (type === "image") {
             return this.imageHandler.getImageStream(filename)
         } else {
@@ -92,6 +104,15 @@ export class FileStorage {
         }
     }
 
+    /**
+     * Get the public URL of an uploaded file
+     * @param {string} url - URL of the file relative to the uploads (e.g. /images/photo-1a2b.jpg)
+     * @returns {string} URL the file is served at (e.g. /content/uploads/images/photo-1a2b.jpg or a CDN URL)
+     */
+    getPublicUrl(url) {
+        return `${this.publicUrl}${url}`
+    }
+
     /**
      * Delete a file
      * @param {string} filename - The filename
@@ -111,6 +132,89 @@ export class FileStorage {
         }
     }
 
+    /**
+     * Get the files matching a query
+     * @param {string} type - File type (image, document or all)
+     * @param {Object} query - Folder, tag, text and sort options (see queryMedia)
+     * @returns {Promise<Array>} Matching files
+     */
+    async queryFiles(type = "image", query = {}) {
+        return queryMedia(await this.getFiles(type), query)
+    }
+
+    /**
+     * Get the virtual folders holding files
+     * @param {string} type - File type (image, document or all)
+     * @returns {Promise<Array>} Folders ({ path, name, count })
+     */
+    async getFolders(type = "all") {
+        return listFolders(await this.getFiles(type))
+    }
+
+    /**
+     * Get the tags given to files
+     * @param {string} type - File type (image, document or all)
+     * @returns {Promise<Array>} Tags ({ name, count })
+     */
+    async getTags(type = "all") {
+        return listTags(await this.getFiles(type))
+    }
+
+    /**
+     * Move files to a folder and change their tags
+     * Only the metadata changes, the ID and URL of the files stay the same.
+     * @param {Array<string>} ids - File IDs
+     * @param {Object} changes - Changes to apply
+     * @param {string} [changes.folder] - Folder to move the files to ("" for the root folder)
+     * @param {Array<string>} [changes.tags] - Tags replacing those of the files
+     * @param {Array<string>} [changes.addTags] - Tags to add
+     * @param {Array<string>} [changes.removeTags] - Tags to remove
+     * @returns {Promise<Object>} { updated: updated files, notFound: IDs without file }
+     * @throws {Error} If the folder or a tag is invalid (no file is changed)
+     */
+    async organizeFiles(ids, { folder, tags, addTags, removeTags } = {}) {
+        // Validate everything before changing any file
+        const newFolder = folder === undefined ? undefined : normalizeFolder(folder)
+        const newTags = tags === undefined ? undefined : normalizeTags(tags)
+        const tagsToAdd = normalizeTags(addTags)
+        const tagsToRemove = normalizeTags(removeTags).map((tag) => tag.toLowerCase())
+        const changesTags = newTags !== undefined || tagsToAdd.length > 0 || tagsToRemove.length > 0
+
+        const files = await this.getFiles("all")
+        const updated = []
+        const notFound = []
+
+        for (const id of ids) {
+            const file = files.find((f) => f.id === id)
+
+            if (!file) {
+                notFound.push(id)
+                continue
+            }
+
+            const updates = {}
+
+            if (newFolder !== undefined) {
+                updates.folder = newFolder
+            }
+
+            if (changesTags) {
+                updates.tags = normalizeTags([...(newTags || file.tags || []), ...tagsToAdd]).filter(
+                    (tag) => !tagsToRemove.includes(tag.toLowerCase())
+                )
+            }
+
+            const result =
+                file.type === "image"
+                    ? await this.imageHandler.updateImage(file.filename, updates)
+                    : await this.documentHandler.updateDocument(file.filename, updates)
+
+            if (result) updated.push(result)
+        }
+
+        return { updated, notFound }
+    }
+
     /**
      * Get a file by its ID
      * @param {string} id - The file ID
@@ -198,6 +302,46 @@ export class FileStorage {
         return this.referenceManager.cleanMediaReferences(id, contentManager)
     }
 
+    /**
+     * Find the files that are not used by any content, setting or menu
+     * @param {Object} contentManager - The ContentManager instance
+     * @param {Object} [sources] - Settings, menu items and extra values to search
+     * @returns {Promise<Object>} - { orphans, totalSize }
+     */
+    async findOrphans(contentManager, sources) {
+        return this.referenceManager.findOrphans(contentManager, sources)
+    }
+
+    /**
+     * Delete orphaned files
+     * References are searched again first, a file used since the report was made is skipped.
+     * @param {Array<string>} ids - IDs of the files to delete
+     * @param {Object} contentManager - The ContentManager instance
+     * @param {Object} [sources] - Settings, menu items and extra values to search
+     * @returns {Promise<Object>} - { deleted, skipped, reclaimedSize }, deleted being the deleted files
+     */
+    async deleteOrphans(ids, contentManager, sources) {
+        const { orphans } = await this.findOrphans(contentManager, sources)
+        const orphansById = new Map(orphans.map((file) => [file.id, file]))
+
+        const deleted = []
+        const skipped = []
+        let reclaimedSize = 0
+
+        for (const id of new Set(ids)) {
+            const file = orphansById.get(id)
+
+            if (file && (await this.deleteFile(file.filename, file.type))) {
+                deleted.push(file)
+                reclaimedSize += getStoredSize(file)
+            } else {
+                skipped.push(id)
+            }
+        }
+
+        return { deleted, skipped, reclaimedSize }
+    }
+
     /**
      * Update metadata in content references
      * @param {string} id - The file ID to update references for
@@ -1,21 +1,16 @@
 /**
  * Handles document-specific operations
  */
-import { join } from "node:path"
-import { listFiles } from "../utils/file-utils.js"
 import { extractIdFromFilename } from "../utils/path-utils.js"
 
 export class DocumentHandler {
     /**
      * @param {Object} fileManager - FileManager instance
      * @param {Object} metadataManager - MetadataManager instance
-     * @param {string} baseDir - Base directory for file storage
      */
-    constructor(fileManager, metadataManager, baseDir) {
+    constructor(fileManager, metadataManager) {
         this.fileManager = fileManager
         this.metadataManager = metadataManager
-        this.baseDir = baseDir
-        this.documentsDir = join(baseDir, "documents")
     }
 
     /**
@@ -59,21 +54,16 @@ export class DocumentHandler {
      */
     async getDocuments() {
         try {
-            // Get list of files
-            const files = await listFiles(this.documentsDir)
+            // Get list of files, with their size and dates
+            const files = await this.fileManager.listFiles("document")
 
             // Filter out metadata files
-            const actualFiles = files.filter((filename) => !filename.endsWith(".metadata.json"))
+            const actualFiles = files.filter((file) => !file.name.endsWith(".metadata.json"))
 
             // Get information for each file
             const filesInfo = await Promise.all(
-                actualFiles.map(async (filename) => {
+                actualFiles.map(async ({ name: filename, size, createdAt, modifiedAt }) => {
                     try {
-                        // Get file stats
-                        const { stat } = await import("node:fs/promises")
-                        const filePath = join(this.documentsDir, filename)
-                        const fileStats = await stat(filePath)
-
                         // Get metadata
                         const metadata = await this.metadataManager.getMetadata("document", filename)
 
@@ -84,12 +74,11 @@ export class DocumentHandler {
                         return {
                             id,
                             filename,
-                            path: filePath,
-                            url: `/documents/${filename}`,
-                            size: fileStats.size,
+                            ...this.fileManager.getFileLocation(filename, "document"),
+                            size,
                             type: "document",
-                            createdAt: metadata.createdAt || fileStats.birthtime.toISOString(),
-                            modifiedAt: fileStats.mtime.toISOString(),
+                            createdAt: metadata.createdAt || createdAt,
+                            modifiedAt,
                             ...metadata,
                         }
                     } catch (error) {
@@ -119,9 +108,8 @@ export class DocumentHandler {
             const updatedMetadata = await this.metadataManager.updateMetadata("document", filename, metadata)
 
             // Get file stats
-            const { stat } = await import("node:fs/promises")
-            const filePath = join(this.documentsDir, filename)
-            const fileStats = await stat(filePath)
+            const fileStats = await this.fileManager.getFileStats(filename, "document")
+            if (!fileStats) throw new Error("File not found")
 
             // Get ID from filename
             const id = extractIdFromFilename(filename)
@@ -130,11 +118,10 @@ export class DocumentHandler {
             return {
                 id,
                 filename,
-                path: filePath,
-                url: `/documents/${filename}`,
+                ...this.fileManager.getFileLocation(filename, "document"),
                 size: fileStats.size,
                 type: "document",
-                modifiedAt: fileStats.mtime.toISOString(),
+                modifiedAt: fileStats.modifiedAt,
                 ...updatedMetadata,
             }
         } catch (error) {
@@ -168,9 +155,9 @@ export class DocumentHandler {
     /**
      * Get a document stream
      * @param {string} filename - Document filename
-     * @returns {ReadStream} Document file stream
+     * @returns {Promise<Readable|null>} Document file stream, or null if the document doesn't exist
      */
-    getDocumentStream(filename) {
+    async getDocumentStream(filename) {
         return this.fileManager.getFileStream(filename, "document")
     }
 }
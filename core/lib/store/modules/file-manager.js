@@ -1,19 +1,15 @@
 /**
  * Manages core file operations
  */
-import { join } from "node:path"
 import { randomBytes } from "node:crypto"
-import { ensureDirectory, saveFile, deleteFile, getFileStream, getFileStats } from "../utils/file-utils.js"
-import { normalizeFilename, buildFilePath, generateFileUrl } from "../utils/path-utils.js"
+import { normalizeFilename, buildFileKey, generateFileUrl } from "../utils/path-utils.js"
 
 export class FileManager {
     /**
-     * @param {string} baseDir - Base directory for file storage
+     * @param {Object} storage - Storage adapter holding the files
      */
-    constructor(baseDir) {
-        this.baseDir = baseDir
-        this.imagesDir = join(baseDir, "images")
-        this.documentsDir = join(baseDir, "documents")
+    constructor(storage) {
+        this.storage = storage
     }
 
     /**
@@ -21,11 +17,7 @@ export class FileManager {
      */
     async initialize() {
         try {
-            // Create directories if they don't exist
-            await ensureDirectory(this.baseDir)
-            await ensureDirectory(this.imagesDir)
-            await ensureDirectory(this.documentsDir)
-            return true
+            return await this.storage.initialize()
         } catch (error) {
             console.error("Error initializing file storage:", error)
             return false
@@ -71,22 +63,15 @@ export class FileManager {
             // Generate a unique filename
             const { uniqueFilename, uniqueId } = this.generateUniqueFilename(originalFilename)
 
-            // Build file path
-            const filePath = buildFilePath({ baseDir: this.baseDir, type, filename: uniqueFilename })
-
             // Save the file
-            await saveFile(filePath, fileData)
-
-            // Get file stats
-            const fileStats = await getFileStats(filePath)
+            const fileStats = await this.storage.save(buildFileKey(type, uniqueFilename), fileData)
 
             // Return file info
             return {
                 id: uniqueId,
                 filename: uniqueFilename,
                 originalFilename,
-                path: filePath,
-                url: generateFileUrl(type, uniqueFilename),
+                ...this.getFileLocation(uniqueFilename, type),
                 size: fileStats ? fileStats.size : 0,
                 type,
                 createdAt: new Date().toISOString(),
@@ -98,17 +83,53 @@ export class FileManager {
     }
 
     /**
-     * Get a file stream
+     * List the stored files of a type, with their size and dates
+     * @param {string} type - File type ('image' or 'document')
+     * @returns {Promise<Array>} Files ({ key, name, size, createdAt, modifiedAt }), metadata files included
+     */
+    async listFiles(type = "image") {
+        try {
+            return await this.storage.list(type === "image" ? "images" : "documents")
+        } catch (error) {
+            console.error(`Error listing ${type} files:`, error)
+            return []
+        }
+    }
+
+    /**
+     * Get the size and dates of a file
      * @param {string} filename - Filename
      * @param {string} type - File type ('image' or 'document')
-     * @returns {ReadStream} File stream
+     * @returns {Promise<Object|null>} { size, createdAt, modifiedAt }, or null if the file doesn't exist
      */
-    getFileStream(filename, type = "image") {
-        // Build file path
-        const filePath = buildFilePath({ baseDir: this.baseDir, type, filename })
+    async getFileStats(filename, type = "image") {
+        return this.storage.stat(buildFileKey(type, filename))
+    }
 
-        // Return a read stream for the file
-        return getFileStream(filePath)
+    /**
+     * Get the location of a file
+     * @param {string} filename - Filename
+     * @param {string} type - File type ('image' or 'document')
+     * @returns {Object} { path, url, publicUrl }, path being null when the file isn't stored on this server
+     */
+    getFileLocation(filename, type = "image") {
+        const key = buildFileKey(type, filename)
+
+        return {
+            path: this.storage.getLocalPath(key),
+            url: generateFileUrl(type, filename),
+            publicUrl: this.storage.getPublicUrl(key),
+        }
+    }
+
+    /**
+     * Get a file stream
+     * @param {string} filename - Filename
+     * @param {string} type - File type ('image' or 'document')
+     * @returns {Promise<Readable|null>} File stream, or null if the file doesn't exist
+     */
+    async getFileStream(filename, type = "image") {
+        return this.storage.createReadStream(buildFileKey(type, filename))
     }
 
     /**
@@ -119,11 +140,7 @@ export class FileManager {
      */
     async deleteFile(filename, type = "image") {
         try {
-            // Build file path
-            const filePath = buildFilePath({ baseDir: this.baseDir, type, filename })
-
-            // Delete the file
-            return await deleteFile(filePath)
+            return await this.storage.delete(buildFileKey(type, filename))
         } catch (error) {
             console.error(`Error deleting ${type} file:`, error)
             return false
@@ -1,21 +1,21 @@
 /**
  * Handles image-specific operations
  */
-import { join } from "node:path"
-import { listFiles } from "../utils/file-utils.js"
+import { extname } from "node:path"
 import { extractIdFromFilename } from "../utils/path-utils.js"
+import { sanitizeSvg } from "../utils/svg-sanitizer.js"
+import { ImageProcessor } from "./image-processor.js"
 
 export class ImageHandler {
     /**
      * @param {Object} fileManager - FileManager instance
      * @param {Object} metadataManager - MetadataManager instance
-     * @param {string} baseDir - Base directory for file storage
+     * @param {Object} storage - Storage adapter holding the files
      */
-    constructor(fileManager, metadataManager, baseDir) {
+    constructor(fileManager, metadataManager, storage) {
         this.fileManager = fileManager
         this.metadataManager = metadataManager
-        this.baseDir = baseDir
-        this.imagesDir = join(baseDir, "images")
+        this.imageProcessor = new ImageProcessor(storage)
     }
 
     /**
@@ -23,19 +23,38 @@ export class ImageHandler {
      * @param {Buffer|string} imageData - Image data
      * @param {string} filename - Original filename
      * @param {Object} metadata - Additional metadata
+     * @param {Object} [options] - Upload options
+     * @param {boolean} [options.keepExif=false] - Keep the EXIF data of the image
      * @returns {Promise<Object>} Image file information
      */
-    async saveImage(imageData, filename, metadata = {}) {
+    async saveImage(imageData, filename, metadata = {}, options = {}) {
         try {
+            // SVGs can hold scripts, they are sanitized before being written
+            if (extname(filename).toLowerCase() === ".svg") {
+                imageData = Buffer.from(sanitizeSvg(imageData.toString("utf8")))
+            }
+
+            // Read the image properties from its bytes and remove its EXIF data (unless asked to keep it)
+            const original = await this.imageProcessor.processOriginal(imageData, options)
+            const data = original?.data || imageData
+
             // Save the file using the file manager
-            const fileInfo = await this.fileManager.saveFile(imageData, filename, "image")
+            const fileInfo = await this.fileManager.saveFile(data, filename, "image")
 
-            // Add image-specific metadata
+            // Generate the resized variants
+            const processed = await this.imageProcessor.generateVariants(data, fileInfo.filename)
+
+            // Add image-specific metadata, the properties read from the file win over those sent by the client
             const imageMetadata = {
                 ...metadata,
                 alt: metadata.alt || filename, // Default alt text
-                width: metadata.width,
-                height: metadata.height,
+                width: original?.width || metadata.width,
+                height: original?.height || metadata.height,
+                format: original?.format,
+                orientation: original?.orientation,
+                dominantColor: original?.dominantColor,
+                exifStripped: original?.exifStripped,
+                variants: processed?.variants || [],
             }
 
             // Save metadata
@@ -60,21 +79,16 @@ export class ImageHandler {
      */
     async getImages() {
         try {
-            // Get list of files
-            const files = await listFiles(this.imagesDir)
+            // Get list of files, with their size and dates
+            const files = await this.fileManager.listFiles("image")
 
             // Filter out metadata files
-            const actualFiles = files.filter((filename) => !filename.endsWith(".metadata.json"))
+            const actualFiles = files.filter((file) => !file.name.endsWith(".metadata.json"))
 
             // Get information for each file
             const filesInfo = await Promise.all(
-                actualFiles.map(async (filename) => {
+                actualFiles.map(async ({ name: filename, size, createdAt, modifiedAt }) => {
                     try {
-                        // Get file stats
-                        const { stat } = await import("node:fs/promises")
-                        const filePath = join(this.imagesDir, filename)
-                        const fileStats = await stat(filePath)
-
                         // Get metadata
                         const metadata = await this.metadataManager.getMetadata("image", filename)
 
@@ -85,12 +99,11 @@ export class ImageHandler {
                         return {
                             id,
                             filename,
-                            path: filePath,
-                            url: `/images/${filename}`,
-                            size: fileStats.size,
+                            ...this.fileManager.getFileLocation(filename, "image"),
+                            size,
                             type: "image",
-                            createdAt: metadata.createdAt || fileStats.birthtime.toISOString(),
-                            modifiedAt: fileStats.mtime.toISOString(),
+                            createdAt: metadata.createdAt || createdAt,
+                            modifiedAt,
                             ...metadata,
                         }
                     } catch (error) {
@@ -120,9 +133,8 @@ export class ImageHandler {
             const updatedMetadata = await this.metadataManager.updateMetadata("image", filename, metadata)
 
             // Get file stats
-            const { stat } = await import("node:fs/promises")
-            const filePath = join(this.imagesDir, filename)
-            const fileStats = await stat(filePath)
+            const fileStats = await this.fileManager.getFileStats(filename, "image")
+            if (!fileStats) throw new Error("File not found")
 
             // Get ID from filename
             const id = extractIdFromFilename(filename)
@@ -131,11 +143,10 @@ export class ImageHandler {
             return {
                 id,
                 filename,
-                path: filePath,
-                url: `/images/${filename}`,
+                ...this.fileManager.getFileLocation(filename, "image"),
                 size: fileStats.size,
                 type: "image",
-                modifiedAt: fileStats.mtime.toISOString(),
+                modifiedAt: fileStats.modifiedAt,
                 ...updatedMetadata,
             }
         } catch (error) {
@@ -151,12 +162,16 @@ export class ImageHandler {
      */
     async deleteImage(filename) {
         try {
+            // Read the variants before the metadata listing them is deleted
+            const { variants } = await this.metadataManager.getMetadata("image", filename)
+
             // Delete the file
             const success = await this.fileManager.deleteFile(filename, "image")
 
-            // Also delete metadata if file deletion was successful
+            // Also delete metadata and variants if file deletion was successful
             if (success) {
                 await this.metadataManager.deleteMetadata("image", filename)
+                await this.imageProcessor.deleteVariants(variants)
             }
 
             return success
@@ -169,9 +184,9 @@ export class ImageHandler {
     /**
      * Get an image stream
      * @param {string} filename - Image filename
-     * @returns {ReadStream} Image file stream
+     * @returns {Promise<Readable|null>} Image file stream, or null if the image doesn't exist
      */
-    getImageStream(filename) {
+    async getImageStream(filename) {
         return this.fileManager.getFileStream(filename, "image")
     }
 }
@@ -0,0 +1,194 @@
+/**
+ * Reads, cleans and resizes uploaded images
+ */
+import { parse } from "node:path"
+
+// Widths generated for each upload, sizes at least as wide as the original are skipped
+export const IMAGE_SIZES = [
+    { name: "thumbnail", width: 320 },
+    { name: "medium", width: 768 },
+    { name: "large", width: 1536 },
+]
+
+// Modern formats generated for each size, next to the format of the original
+export const IMAGE_FORMATS = ["avif", "webp"]
+
+// Formats that can be resized, animated images and SVGs are only served as uploaded
+const RESIZABLE_FORMATS = ["jpeg", "png", "webp", "avif", "tiff"]
+
+const FORMAT_EXTENSIONS = { jpeg: "jpg", png: "png", webp: "webp", avif: "avif" }
+
+// Encoding options of originals re-encoded without their EXIF data, kept close to the upload
+// PNG and TIFF are lossless (a PNG quality would turn on palette quantisation)
+const ORIGINAL_ENCODING = { jpeg: { quality: 92 }, webp: { quality: 92 }, avif: { quality: 80 }, png: {}, tiff: {} }
+
+export class ImageProcessor {
+    /**
+     * @param {Object} storage - Storage adapter the variants are saved to
+     * @param {Object} [options] - Processing options
+     * @param {Array<Object>} [options.sizes] - Variant sizes ({ name, width })
+     * @param {Array<string>} [options.formats] - Modern formats to generate
+     * @param {number} [options.quality] - Encoding quality (1-100)
+     */
+    constructor(storage, { sizes = IMAGE_SIZES, formats = IMAGE_FORMATS, quality = 80 } = {}) {
+        this.storage = storage
+        this.sizes = sizes
+        this.formats = formats
+        this.quality = quality
+        this.sharp = undefined // Loaded on first use
+    }
+
+    /**
+     * Load the sharp image library
+     * Without it uploads keep working, they are just stored as uploaded and get no variants.
+     * @returns {Promise<Function|null>} sharp, or null if it isn't installed
+     */
+    async loadSharp() {
+        if (this.sharp === undefined) {
+            try {
+                this.sharp = (await import("sharp")).default
+            } catch (error) {
+                console.warn("Image variants are disabled, the sharp package could not be loaded:", error.message)
+                this.sharp = null
+            }
+        }
+
+        return this.sharp
+    }
+
+    /**
+     * Read the properties of an uploaded image from its bytes and remove its EXIF data
+     * EXIF, XMP and IPTC data can carry the GPS position, camera serial number or author of a photo.
+     * Removing them re-encodes the image with its EXIF orientation applied, the color profile is kept.
+     * @param {Buffer} imageData - Uploaded image data
+     * @param {Object} [options] - Processing options
+     * @param {boolean} [options.keepExif=false] - Keep the EXIF, XMP and IPTC data
+     * @returns {Promise<Object|null>} { data, width, height, format, orientation, dominantColor, exifStripped },
+     * orientation being the EXIF orientation of the stored file (1 once stripped), or null if the image can't be read
+     */
+    async processOriginal(imageData, { keepExif = false } = {}) {
+        const sharp = await this.loadSharp()
+        if (!sharp) return null
+
+        try {
+            const metadata = await sharp(imageData).metadata()
+
+            // Dimensions as displayed, once the EXIF orientation is applied
+            const { width, height } = metadata.autoOrient || metadata
+
+            const properties = {
+                width,
+                height,
+                format: metadata.format,
+                orientation: metadata.orientation || 1,
+                dominantColor: await this.getDominantColor(imageData),
+            }
+
+            const hasPrivateData = Boolean(metadata.exif || metadata.xmp || metadata.iptc)
+
+            // Animated images would lose their frames, they are stored as uploaded
+            if (keepExif || !hasPrivateData || !ORIGINAL_ENCODING[metadata.format] || metadata.pages > 1) {
+                return { data: imageData, ...properties, exifStripped: false }
+            }
+
+            const data = await sharp(imageData)
+                .rotate()
+                .keepIccProfile()
+                .toFormat(metadata.format, ORIGINAL_ENCODING[metadata.format])
+                .toBuffer()
+
+            // The stored pixels are upright now, so the orientation is normalized with them
+            return { data, ...properties, orientation: 1, exifStripped: true }
+        } catch (error) {
+            console.error("Error reading uploaded image:", error)
+            return null
+        }
+    }
+
+    /**
+     * Get the dominant color of an image, shown by themes while the image loads
+     * @param {Buffer} imageData - Image data
+     * @returns {Promise<string|null>} Hex color (#rrggbb), or null if it can't be computed
+     */
+    async getDominantColor(imageData) {
+        try {
+            const { dominant } = await this.sharp(imageData).stats()
+            return `#${[dominant.r, dominant.g, dominant.b].map((c) => c.toString(16).padStart(2, "0")).join("")}`
+        } catch (error) {
+            return null
+        }
+    }
+
+    /**
+     * Generate the resized variants of an image
+     * @param {Buffer} imageData - Image data
+     * @param {string} filename - Stored filename of the original
+     * @returns {Promise<Object|null>} { width, height, format, variants }, or null if the image can't be read
+     */
+    async generateVariants(imageData, filename) {
+        const sharp = await this.loadSharp()
+        if (!sharp) return null
+
+        try {
+            const metadata = await sharp(imageData).metadata()
+
+            // Dimensions as displayed, once the EXIF orientation is applied
+            const { width, height } = metadata.autoOrient || metadata
+
+            if (!RESIZABLE_FORMATS.includes(metadata.format) || metadata.pages > 1) {
+                return { width, height, format: metadata.format, variants: [] }
+            }
+
+            // Browsers can't show TIFF, so its variants are JPEG
+            const originalFormat = metadata.format === "tiff" ? "jpeg" : metadata.format
+            const formats = [...new Set([originalFormat, ...this.formats])]
+            const { name } = parse(filename)
+
+            const variants = []
+
+            for (const size of this.sizes.filter((size) => size.width < width)) {
+                for (const format of formats) {
+                    const variantFilename = `${name}-${size.width}w.${FORMAT_EXTENSIONS[format]}`
+
+                    const { data, info } = await sharp(imageData)
+                        .rotate() // Apply the EXIF orientation, the variants have no metadata
+                        .resize({ width: size.width })
+                        .toFormat(format, format === "png" ? {} : { quality: this.quality })
+                        .toBuffer({ resolveWithObject: true })
+
+                    await this.storage.save(`images/variants/${variantFilename}`, data)
+
+                    variants.push({
+                        name: size.name,
+                        width: info.width,
+                        height: info.height,
+                        format,
+                        mimeType: `image/${format}`,
+                        size: info.size,
+                        url: `/images/variants/${variantFilename}`,
+                    })
+                }
+            }
+
+            return { width, height, format: metadata.format, variants }
+        } catch (error) {
+            console.error(`Error generating variants for ${filename}:`, error)
+            return null
+        }
+    }
+
+    /**
+     * Delete the variants of an image
+     * @param {Array<Object>} variants - Variants stored in the image metadata
+     * @returns {Promise<void>}
+     */
+    async deleteVariants(variants = []) {
+        for (const variant of variants) {
+            const variantFilename = variant.url?.split("/").pop()
+
+            if (variantFilename) {
+                await this.storage.delete(`images/variants/${variantFilename}`)
+            }
+        }
+    }
+}
@@ -86,6 +86,49 @@ export class MediaReferenceManager {
         }
     }
 
+    /**
+     * Find the media files that nothing references
+     * All content, settings and menus are read once, then searched for the URL of each file
+     * (or of one of its variants) and for featured images stored as a file ID.
+     * @param {Object} contentManager - The ContentManager instance
+     * @param {Object} [sources] - Other places where media can be used
+     * @param {Object} [sources.settings] - Site settings (logo, icon...)
+     * @param {Array<Object>} [sources.menuItems] - Menu items
+     * @param {Array<any>} [sources.extra] - Values added by plugins, searched like the rest
+     * @returns {Promise<Object>} - { orphans, totalSize }, totalSize including the variants of the orphans
+     */
+    async findOrphans(contentManager, { settings = {}, menuItems = [], extra = [] } = {}) {
+        const [files, posts, pages] = await Promise.all([
+            this.fileStorage.getFiles("all"),
+            contentManager.getPosts(),
+            contentManager.getPages(),
+        ])
+
+        // Frontmatter covers featured images, galleries and any field a theme may add
+        const haystack = [...posts, ...pages, settings, menuItems, ...extra]
+            .map((source) => (typeof source === "string" ? source : JSON.stringify(source) || ""))
+            .join("\n")
+
+        // Featured images saved as a bare ID don't contain the URL
+        const featuredIds = new Set(
+            [...posts, ...pages]
+                .map((item) => item.frontmatter?.featuredImage)
+                .filter((featuredImage) => typeof featuredImage === "string")
+        )
+
+        const orphans = files.filter((file) => {
+            if (featuredIds.has(file.id)) return false
+
+            const urls = [file.url, ...(file.variants || []).map((variant) => variant.url)]
+            return !urls.some((url) => url && haystack.includes(url))
+        })
+
+        return {
+            orphans,
+            totalSize: orphans.reduce((total, file) => total + getStoredSize(file), 0),
+        }
+    }
+
     /**
      * Clean references to media in posts/pages
      * @param {string} id - The file ID to clean references for
@@ -394,3 +437,12 @@ export class MediaReferenceManager {
         }
     }
 }
+
+/**
+ * Get the disk space used by a media file and its variants
+ * @param {Object} file - Media file
+ * @returns {number} Size in bytes
+ */
+export function getStoredSize(file) {
+    return (file.size || 0) + (file.variants || []).reduce((total, variant) => total + (variant.size || 0), 0)
+}
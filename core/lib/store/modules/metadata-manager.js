@@ -1,27 +1,25 @@
 /**
  * Manages file metadata
+ * Metadata is stored next to each file, in a JSON file named after it.
  */
-import { join } from "node:path"
-import { existsSync } from "node:fs"
-import { readJsonFile, writeJsonFile } from "../utils/file-utils.js"
+import { buildFileKey } from "../utils/path-utils.js"
 
 export class MetadataManager {
     /**
-     * @param {string} baseDir - Base directory for file storage
+     * @param {Object} storage - Storage adapter holding the files
      */
-    constructor(baseDir) {
-        this.baseDir = baseDir
+    constructor(storage) {
+        this.storage = storage
     }
 
     /**
-     * Get metadata file path for a file
+     * Get the storage key of the metadata of a file
      * @param {string} type - File type ('image' or 'document')
      * @param {string} filename - Filename
-     * @returns {string} Path to the metadata file
+     * @returns {string} Storage key of the metadata file
      */
-    getMetadataPath(type, filename) {
-        const typeDir = type === "image" ? "images" : "documents"
-        return join(this.baseDir, typeDir, `${filename}.metadata.json`)
+    getMetadataKey(type, filename) {
+        return buildFileKey(type, `${filename}.metadata.json`)
     }
 
     /**
@@ -33,8 +31,6 @@ export class MetadataManager {
      */
     async saveMetadata(type, filename, metadata) {
         try {
-            const metadataPath = this.getMetadataPath(type, filename)
-
             // Add timestamps if not present
             if (!metadata.createdAt) {
                 metadata.createdAt = new Date().toISOString()
@@ -42,7 +38,8 @@ export class MetadataManager {
 
             metadata.updatedAt = new Date().toISOString()
 
-            return await writeJsonFile(metadataPath, metadata)
+            await this.storage.save(this.getMetadataKey(type, filename), JSON.stringify(metadata, null, 2))
+            return true
         } catch (error) {
             console.error(`Error saving metadata for ${filename}:`, error)
             return false
@@ -57,13 +54,8 @@ export class MetadataManager {
      */
     async getMetadata(type, filename) {
         try {
-            const metadataPath = this.getMetadataPath(type, filename)
-
-            if (existsSync(metadataPath)) {
-                return await readJsonFile(metadataPath, {})
-            }
-
-            return {}
+            const data = await this.storage.read(this.getMetadataKey(type, filename))
+            return data ? JSON.parse(data.toString("utf8")) : {}
         } catch (error) {
             console.error(`Error getting metadata for ${filename}:`, error)
             return {}
@@ -106,15 +98,9 @@ export class MetadataManager {
      * @returns {Promise<boolean>} Success or failure
      */
     async deleteMetadata(type, filename) {
-        const metadataPath = this.getMetadataPath(type, filename)
-
         try {
-            if (existsSync(metadataPath)) {
-                const { unlink } = await import("node:fs/promises")
-                await unlink(metadataPath)
-                return true
-            }
-            return true // Consider it a success if the file doesn't exist
+            await this.storage.delete(this.getMetadataKey(type, filename))
+            return true // Also a success if the file doesn't exist
         } catch (error) {
             console.error(`Error deleting metadata for ${filename}:`, error)
             return false
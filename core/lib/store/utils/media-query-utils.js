@@ -0,0 +1,168 @@
+/**
+ * Media organization utilities
+ * Folders and tags are virtual: they are stored in the file metadata and never change
+ * the location, ID or URL of a file, so content referencing it keeps working.
+ */
+
+// Sort fields accepted by queryMedia
+export const MEDIA_SORT_FIELDS = ["date", "name", "size"]
+
+const MAX_FOLDER_DEPTH = 5
+const MAX_NAME_LENGTH = 50
+
+/**
+ * Normalize a folder path ("Blog / 2024/" becomes "Blog/2024", the root folder is "")
+ * @param {string} folder - Folder path
+ * @returns {string} Normalized folder path
+ * @throws {Error} If the path is too deep or has an invalid segment
+ */
+export function normalizeFolder(folder) {
+    if (folder === undefined || folder === null) return ""
+    if (typeof folder !== "string") throw new Error("Folder must be a string")
+
+    const segments = folder
+        .split("/")
+        .map((segment) => segment.trim())
+        .filter(Boolean)
+
+    if (segments.length > MAX_FOLDER_DEPTH) {
+        throw new Error(`Folders can be nested ${MAX_FOLDER_DEPTH} levels deep at most`)
+    }
+
+    for (const segment of segments) {
+        if (segment === "." || segment === "..") throw new Error(`Invalid folder name: ${segment}`)
+        if (segment.length > MAX_NAME_LENGTH) {
+            throw new Error(`Folder names can't be longer than ${MAX_NAME_LENGTH} characters`)
+        }
+    }
+
+    return segments.join("/")
+}
+
+/**
+ * Normalize a list of tags (trimmed, without duplicates, compared without case)
+ * @param {Array<string>|string} tags - Tags, or a comma-separated string
+ * @returns {Array<string>} Normalized tags
+ * @throws {Error} If a tag is not a string or is too long
+ */
+export function normalizeTags(tags) {
+    if (tags === undefined || tags === null) return []
+
+    const list = typeof tags === "string" ? tags.split(",") : tags
+    if (!Array.isArray(list)) throw new Error("Tags must be an array of strings")
+
+    const normalized = new Map()
+
+    for (const tag of list) {
+        if (typeof tag !== "string") throw new Error("Tags must be an array of strings")
+
+        const name = tag.trim().replace(/\s+/g, " ")
+        if (!name) continue
+
+        if (name.length > MAX_NAME_LENGTH) {
+            throw new Error(`Tags can't be longer than ${MAX_NAME_LENGTH} characters`)
+        }
+
+        if (!normalized.has(name.toLowerCase())) normalized.set(name.toLowerCase(), name)
+    }
+
+    return [...normalized.values()]
+}
+
+/**
+ * Filter and sort media files
+ * @param {Array<Object>} files - Media files (with their metadata)
+ * @param {Object} [query] - Query options
+ * @param {string} [query.folder] - Only files in this folder ("/" for the root folder)
+ * @param {boolean} [query.recursive=false] - Include the files of subfolders
+ * @param {string} [query.tag] - Only files with this tag
+ * @param {string} [query.q] - Text searched in the filename, title, alt text, caption and tags
+ * @param {string} [query.sort] - 'date', 'name' or 'size' (files keep their order when omitted)
+ * @param {string} [query.order='desc'] - 'asc' or 'desc'
+ * @returns {Array<Object>} Matching files
+ */
+export function queryMedia(files, { folder, recursive = false, tag, q, sort, order = "desc" } = {}) {
+    let result = files
+
+    if (folder !== undefined && folder !== "") {
+        const path = normalizeFolder(folder)
+
+        result = result.filter((file) => {
+            const fileFolder = file.folder || ""
+            return fileFolder === path || (recursive && (path === "" || fileFolder.startsWith(`${path}/`)))
+        })
+    }
+
+    if (tag) {
+        const wanted = tag.trim().toLowerCase()
+        result = result.filter((file) => (file.tags || []).some((fileTag) => fileTag.toLowerCase() === wanted))
+    }
+
+    if (q) {
+        const text = q.trim().toLowerCase()
+
+        result = result.filter((file) =>
+            [file.filename, file.title, file.alt, file.caption, ...(file.tags || [])].some(
+                (value) => typeof value === "string" && value.toLowerCase().includes(text)
+            )
+        )
+    }
+
+    if (MEDIA_SORT_FIELDS.includes(sort)) {
+        const direction = order === "asc" ? 1 : -1
+
+        const compare = {
+            date: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+            name: (a, b) => (a.filename || "").localeCompare(b.filename || ""),
+            size: (a, b) => (a.size || 0) - (b.size || 0),
+        }[sort]
+
+        result = [...result].sort((a, b) => compare(a, b) * direction)
+    }
+
+    return result
+}
+
+/**
+ * List the folders used by media files, with their parent folders
+ * @param {Array<Object>} files - Media files
+ * @returns {Array<Object>} Folders ({ path, name, count }), count being the number of files directly inside
+ */
+export function listFolders(files) {
+    const folders = new Map()
+
+    for (const file of files) {
+        if (!file.folder) continue
+
+        const segments = file.folder.split("/")
+
+        // Parent folders are listed even when they hold no file themselves
+        segments.forEach((_, index) => {
+            const path = segments.slice(0, index + 1).join("/")
+            if (!folders.has(path)) folders.set(path, { path, name: segments[index], count: 0 })
+        })
+
+        folders.get(file.folder).count++
+    }
+
+    return [...folders.values()].sort((a, b) => a.path.localeCompare(b.path))
+}
+
+/**
+ * List the tags used by media files
+ * @param {Array<Object>} files - Media files
+ * @returns {Array<Object>} Tags ({ name, count }) sorted by name
+ */
+export function listTags(files) {
+    const tags = new Map()
+
+    for (const file of files) {
+        for (const tag of file.tags || []) {
+            const key = tag.toLowerCase()
+            if (!tags.has(key)) tags.set(key, { name: tag, count: 0 })
+            tags.get(key).count++
+        }
+    }
+
+    return [...tags.values()].sort((a, b) => a.name.localeCompare(b.name))
+}
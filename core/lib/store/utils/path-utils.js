@@ -1,7 +1,10 @@
 /**
  * Utilities for path management and normalization
  */
-import { extname, basename, join } from "node:path"
+import { extname, basename } from "node:path"
+
+// URL the uploads are served at by the site itself
+export const UPLOADS_PATH = "/content/uploads"
 
 /**
  * Normalize a filename by removing special characters and spaces
@@ -29,16 +32,14 @@ export function normalizeFilename(filename) {
 }
 
 /**
- * Build a path for a file based on its type
- * @param {Object} options - Options for building the path
- * @param {string} options.baseDir - Base directory
- * @param {string} options.type - File type ('image' or 'document')
- * @param {string} options.filename - Filename
- * @returns {string} The full file path
+ * Build the storage key of a file based on its type
+ * @param {string} type - File type ('image' or 'document')
+ * @param {string} filename - Filename
+ * @returns {string} Storage key, relative to the uploads root (e.g. images/photo-1a2b.jpg)
  */
-export function buildFilePath({ baseDir, type, filename }) {
+export function buildFileKey(type, filename) {
     const typeDir = type === "image" ? "images" : "documents"
-    return join(baseDir, typeDir, filename)
+    return `${typeDir}/${filename}`
 }
 
 /**
@@ -63,3 +64,39 @@ export function extractIdFromFilename(filename) {
     const lastDashIndex = filenameWithoutExt.lastIndexOf("-")
     return lastDashIndex !== -1 ? filenameWithoutExt.slice(lastDashIndex + 1) : filenameWithoutExt
 }
+
+// Content types sent to the storage and to browsers, by extension
+const CONTENT_TYPES = {
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    png: "image/png",
+    gif: "image/gif",
+    webp: "image/webp",
+    avif: "image/avif",
+    svg: "image/svg+xml",
+    ico: "image/x-icon",
+    pdf: "application/pdf",
+    doc: "application/msword",
+    docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    xls: "application/vnd.ms-excel",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ppt: "application/vnd.ms-powerpoint",
+    pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    odt: "application/vnd.oasis.opendocument.text",
+    ods: "application/vnd.oasis.opendocument.spreadsheet",
+    odp: "application/vnd.oasis.opendocument.presentation",
+    txt: "text/plain; charset=utf-8",
+    md: "text/markdown; charset=utf-8",
+    csv: "text/csv; charset=utf-8",
+    json: "application/json",
+    zip: "application/zip",
+}
+
+/**
+ * Get the content type of a file from its extension
+ * @param {string} filename - Filename or storage key
+ * @returns {string} Content type (application/octet-stream when unknown)
+ */
+export function getContentType(filename) {
+    return CONTENT_TYPES[extname(filename).slice(1).toLowerCase()] || "application/octet-stream"
+}
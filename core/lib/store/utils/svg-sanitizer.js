@@ -0,0 +1,225 @@
+/**
+ * SVG sanitization
+ * Opened on their own, SVG files are documents of the site's domain and can run scripts like a web page.
+ * Scripts, event handlers and references to other resources are removed before an SVG is stored;
+ * anything the sanitizer can't parse is kept as escaped text, never as markup.
+ */
+
+// Elements removed with everything inside them
+const REMOVED_ELEMENTS = [
+    "script",
+    "foreignobject",
+    "iframe",
+    "embed",
+    "object",
+    "audio",
+    "video",
+    "handler",
+    "listener",
+    "base",
+    "link",
+    "meta",
+]
+
+// Animations are removed when they change a link, as they could turn it into a javascript: URL
+const ANIMATION_ELEMENTS = ["set", "animate"]
+
+// Links can only point inside the file, or to an embedded bitmap
+const SAFE_URL = /^(#|data:image\/(png|jpe?g|gif|webp|avif);base64,)/i
+
+const TAG = /<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g
+
+/**
+ * Remove scripts, event handlers and external references from an SVG document
+ * @param {string} svg - SVG source
+ * @returns {string} Sanitized SVG source
+ */
+export function sanitizeSvg(svg) {
+    let output = ""
+    let index = 0
+    let skipped = null // Removed element being skipped, with its nesting depth
+    let inStyle = false
+
+    const addText = (text) => {
+        if (!skipped) output += inStyle ? sanitizeCss(text) : text
+    }
+
+    while (index < svg.length) {
+        const start = svg.indexOf("<", index)
+
+        if (start === -1) {
+            addText(svg.slice(index))
+            break
+        }
+
+        addText(svg.slice(index, start))
+
+        // Comments are dropped
+        if (svg.startsWith("<!--", start)) {
+            index = endOf(svg, "-->", start)
+            continue
+        }
+
+        if (svg.startsWith("<![CDATA[", start)) {
+            index = endOf(svg, "]]>", start)
+            const content = svg.slice(start + 9, index - 3)
+            if (!skipped) output += `<![CDATA[${inStyle ? sanitizeCss(content) : content}]]>`
+            continue
+        }
+
+        // The DOCTYPE is dropped, its entities could pull in external files
+        if (svg.startsWith("<!", start)) {
+            const subset = svg.indexOf("[", start)
+            const close = svg.indexOf(">", start)
+            const hasSubset = subset !== -1 && (close === -1 || subset < close)
+            index = endOf(svg, ">", hasSubset ? endOf(svg, "]", subset) - 1 : start)
+            continue
+        }
+
+        // Only the XML declaration is kept, xml-stylesheet instructions load external files
+        if (svg.startsWith("<?", start)) {
+            index = endOf(svg, "?>", start)
+            if (!skipped && /^<\?xml\s/.test(svg.slice(start, index))) output += svg.slice(start, index)
+            continue
+        }
+
+        TAG.lastIndex = start
+        const match = TAG.exec(svg)
+
+        if (!match) {
+            if (!skipped) output += "&lt;"
+            index = start + 1
+            continue
+        }
+
+        index = TAG.lastIndex
+
+        const [, closing, name, attributeSource, selfClosing] = match
+        const localName = name.split(":").pop().toLowerCase()
+        const attributes = parseAttributes(attributeSource)
+
+        if (skipped) {
+            if (localName === skipped.name && !selfClosing) skipped.depth += closing ? -1 : 1
+            if (skipped.depth === 0) skipped = null
+            continue
+        }
+
+        const targetsLink =
+            ANIMATION_ELEMENTS.includes(localName) &&
+            attributes.some(
+                (attribute) =>
+                    attribute.name.toLowerCase() === "attributename" && /(^|:)href$/i.test(attribute.value.trim())
+            )
+
+        if (REMOVED_ELEMENTS.includes(localName) || targetsLink) {
+            if (!closing && !selfClosing) skipped = { name: localName, depth: 1 }
+            continue
+        }
+
+        if (localName === "style") inStyle = !closing && !selfClosing
+
+        if (closing) {
+            output += `</${name}>`
+        } else {
+            const safeAttributes = attributes
+                .map(sanitizeAttribute)
+                .filter(Boolean)
+                .map((attribute) => ` ${attribute.name}="${escapeAttribute(attribute.value)}"`)
+                .join("")
+
+            output += `<${name}${safeAttributes}${selfClosing ? " /" : ""}>`
+        }
+    }
+
+    return output
+}
+
+/**
+ * Get the position following the next occurrence of a marker
+ * @param {string} source - Source text
+ * @param {string} marker - Marker to find
+ * @param {number} from - Position to search from
+ * @returns {number} Position after the marker, or the end of the source if it's missing
+ */
+function endOf(source, marker, from) {
+    const position = source.indexOf(marker, from + 1)
+    return position === -1 ? source.length : position + marker.length
+}
+
+/**
+ * Parse the attributes of a tag, their values decoded
+ * @param {string} source - Attributes source
+ * @returns {Array<Object>} Attributes ({ name, value })
+ */
+function parseAttributes(source) {
+    return [...source.matchAll(ATTRIBUTE)].map(([, name, double, single, unquoted]) => ({
+        name,
+        value: decodeEntities(double ?? single ?? unquoted ?? ""),
+    }))
+}
+
+/**
+ * Sanitize an attribute
+ * @param {Object} attribute - Attribute ({ name, value })
+ * @returns {Object|null} The attribute, or null if it must be removed
+ */
+function sanitizeAttribute({ name, value }) {
+    const localName = name.split(":").pop().toLowerCase()
+
+    // Event handlers
+    if (localName.startsWith("on")) return null
+
+    if (localName === "href" || localName === "src") {
+        return SAFE_URL.test(value.trim()) ? { name, value } : null
+    }
+
+    // Entities and whitespace can hide a javascript: URL
+    const compact = value.replace(/[\s\u0000-\u001f\\]/g, "").toLowerCase()
+    if (/(javascript|vbscript):|data:text\/html/.test(compact)) return null
+
+    if (localName === "style") return { name, value: sanitizeCss(value) }
+
+    // fill="url(#gradient)" is kept, fill="url(https://...)" is not
+    if (/url\(/i.test(value) && sanitizeCss(value) !== value) return null
+
+    return { name, value }
+}
+
+/**
+ * Remove imports and external URLs from CSS
+ * @param {string} css - CSS source
+ * @returns {string} Sanitized CSS
+ */
+function sanitizeCss(css) {
+    return css
+        .replace(/\\/g, "") // CSS escapes could spell url or @import
+        .replace(/@import[^;]*;?/gi, "")
+        .replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (match, quote, url) => (url.trim().startsWith("#") ? match : "none"))
+}
+
+/**
+ * Decode the character references of an attribute value
+ * @param {string} value - Attribute value
+ * @returns {string} Decoded value
+ */
+function decodeEntities(value) {
+    const fromCodePoint = (code) => (code <= 0x10ffff ? String.fromCodePoint(code) : "")
+
+    return value
+        .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);?/g, (_, decimal) => fromCodePoint(parseInt(decimal, 10)))
+        .replace(
+            /&(amp|lt|gt|quot|apos);/g,
+            (_, entity) => ({ amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[entity])
+        )
+}
+
+/**
+ * Escape an attribute value
+ * @param {string} value - Attribute value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+    return value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+}
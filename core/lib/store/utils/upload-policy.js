@@ -0,0 +1,138 @@
+/**
+ * Upload policy utilities
+ * The type of an upload is decided by its extension, then checked against the first bytes of the file,
+ * so a script renamed to .jpg or an HTML page renamed to .pdf is rejected.
+ */
+import { extname } from "node:path"
+
+// Largest upload accepted by the server (in MB), whatever the settings say
+export const MAX_UPLOAD_SIZE = 50
+
+// Policy used for the settings that are not set
+export const DEFAULT_UPLOAD_POLICY = {
+    maxImageSize: 10,
+    maxDocumentSize: 10,
+    allowedExtensions: [
+        "jpg",
+        "jpeg",
+        "png",
+        "gif",
+        "webp",
+        "avif",
+        "svg",
+        "ico",
+        "pdf",
+        "doc",
+        "docx",
+        "xls",
+        "xlsx",
+        "ppt",
+        "pptx",
+        "odt",
+        "ods",
+        "odp",
+        "txt",
+        "md",
+        "csv",
+        "zip",
+    ],
+}
+
+// Served from the site's own domain, these would run scripts in the browser of visitors
+const BLOCKED_EXTENSIONS = ["html", "htm", "xhtml", "xml", "js", "mjs"]
+
+const IMAGE_EXTENSIONS = ["jpg", "jpeg", "png", "gif", "webp", "avif", "svg", "ico"]
+
+// Checks of the first bytes of each known format
+const startsWith = (data, bytes, offset = 0) => bytes.every((byte, index) => data[offset + index] === byte)
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0))
+
+// Text files can't contain null bytes
+const isText = (data) => !data.subarray(0, 8192).includes(0)
+
+const isZip = (data) => startsWith(data, [0x50, 0x4b, 0x03, 0x04]) || startsWith(data, [0x50, 0x4b, 0x05, 0x06])
+
+// Legacy Office documents (OLE compound files)
+const isOle = (data) => startsWith(data, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])
+
+const SIGNATURES = {
+    jpg: (data) => startsWith(data, [0xff, 0xd8, 0xff]),
+    jpeg: (data) => startsWith(data, [0xff, 0xd8, 0xff]),
+    png: (data) => startsWith(data, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    gif: (data) => startsWith(data, ascii("GIF87a")) || startsWith(data, ascii("GIF89a")),
+    webp: (data) => startsWith(data, ascii("RIFF")) && startsWith(data, ascii("WEBP"), 8),
+    avif: (data) => startsWith(data, ascii("ftyp"), 4) && /avi[fs]/.test(data.subarray(8, 64).toString("latin1")),
+    ico: (data) => startsWith(data, [0x00, 0x00, 0x01, 0x00]),
+    svg: (data) => isText(data) && /<svg[\s>]/i.test(data.subarray(0, 8192).toString("utf8")),
+    pdf: (data) => startsWith(data, ascii("%PDF-")),
+    doc: isOle,
+    xls: isOle,
+    ppt: isOle,
+    docx: isZip,
+    xlsx: isZip,
+    pptx: isZip,
+    odt: isZip,
+    ods: isZip,
+    odp: isZip,
+    zip: isZip,
+    txt: isText,
+    md: isText,
+    csv: isText,
+}
+
+/**
+ * Get the upload policy from the site settings
+ * @param {Object} settings - Site settings (uploadMaxImageSize, uploadMaxDocumentSize in MB,
+ * and uploadAllowedExtensions as a comma-separated list)
+ * @returns {Object} Upload policy ({ maxImageSize, maxDocumentSize, allowedExtensions })
+ */
+export function getUploadPolicy(settings = {}) {
+    const size = (value, fallback) => {
+        const number = parseFloat(value)
+        return number > 0 ? Math.min(number, MAX_UPLOAD_SIZE) : fallback
+    }
+
+    const extensions = String(settings.uploadAllowedExtensions || "")
+        .split(",")
+        .map((extension) => extension.trim().toLowerCase().replace(/^\./, ""))
+        .filter((extension) => extension && !BLOCKED_EXTENSIONS.includes(extension))
+
+    return {
+        maxImageSize: size(settings.uploadMaxImageSize, DEFAULT_UPLOAD_POLICY.maxImageSize),
+        maxDocumentSize: size(settings.uploadMaxDocumentSize, DEFAULT_UPLOAD_POLICY.maxDocumentSize),
+        allowedExtensions: extensions.length > 0 ? [...new Set(extensions)] : DEFAULT_UPLOAD_POLICY.allowedExtensions,
+    }
+}
+
+/**
+ * Check an upload against the policy
+ * @param {Buffer} data - File data
+ * @param {string} filename - Original filename
+ * @param {Object} policy - Upload policy
+ * @returns {Object} { type, extension }, type being 'image' or 'document'
+ * @throws {Error} If the extension isn't allowed, the file is too large or its content doesn't match its extension
+ */
+export function validateUpload(data, filename, policy) {
+    const extension = extname(filename || "")
+        .slice(1)
+        .toLowerCase()
+
+    if (!extension || !policy.allowedExtensions.includes(extension)) {
+        throw new Error(`Files of type ${extension ? `.${extension}` : "(none)"} are not allowed`)
+    }
+
+    const type = IMAGE_EXTENSIONS.includes(extension) ? "image" : "document"
+    const maxSize = type === "image" ? policy.maxImageSize : policy.maxDocumentSize
+
+    if (data.length > maxSize * 1024 * 1024) {
+        throw new Error(`${type === "image" ? "Images" : "Documents"} can't be larger than ${maxSize} MB`)
+    }
+
+    // Extensions added in the settings without a known signature are accepted as they are
+    const matchesSignature = SIGNATURES[extension]
+    if (data.length === 0 || (matchesSignature && !matchesSignature(data))) {
+        throw new Error(`The content of ${filename} is not a valid .${extension} file`)
+    }
+
+    return { type, extension }
+}
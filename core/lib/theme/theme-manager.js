@@ -250,21 +250,41 @@ export class ThemeManager {
 
     // Menu Management Methods - delegate to the global menu manager
 
+    /**
+     * Get the menu locations declared by the active theme
+     * Themes list them in the menuLocations of their theme.json ({ "footer": "Footer links" }),
+     * those declaring none get a primary location.
+     * @returns {Array<Object>} Menu locations ({ id, name })
+     */
+    getMenuLocations() {
+        const declared = this.activeTheme?.info?.menuLocations
+
+        if (!declared || typeof declared !== "object" || Object.keys(declared).length === 0) {
+            return [{ id: "primary", name: "Primary Menu" }]
+        }
+
+        return Object.entries(declared)
+            .filter(([id]) => /^[a-z0-9][\w-]*$/i.test(id))
+            .map(([id, name]) => ({ id, name: String(name || id) }))
+    }
+
     /**
      * Get the menu structure
+     * @param {string} [menuId] - Menu ID (the primary menu by default)
      * @returns {Promise<Array>} Menu structure
      */
-    async getThemeMenu() {
-        return this.menuManager.getMenuItems()
+    async getThemeMenu(menuId) {
+        return this.menuManager.getMenuItems(menuId)
     }
 
     /**
      * Save the menu structure
      * @param {Array} menuItems - The menu items to save
+     * @param {string} [menuId] - Menu ID (the primary menu by default)
      * @returns {Promise<boolean>} Success or failure
      */
-    async saveThemeMenu(menuItems) {
-        return this.menuManager.saveMenu(menuItems)
+    async saveThemeMenu(menuItems, menuId) {
+        return this.menuManager.saveMenu(menuItems, menuId)
     }
 
     /**
@@ -288,54 +308,60 @@ export class ThemeManager {
     /**
      * Create a new menu item
      * @param {Object} menuItem - The menu item to create
+     * @param {string} [menuId] - Menu ID (the primary menu by default)
      * @returns {Promise<boolean>} Success or failure
      */
-    async createMenuItem(menuItem) {
-        return this.menuManager.createMenuItem(menuItem)
+    async createMenuItem(menuItem, menuId) {
+        return this.menuManager.createMenuItem(menuItem, menuId)
     }
 
     /**
      * Update a menu item
      * @param {string} id - ID of the menu item to update
      * @param {Object} updates - Properties to update
+     * @param {string} [menuId] - Menu ID (the primary menu by default)
      * @returns {Promise<boolean>} Success or failure
      */
-    async updateMenuItem(id, updates) {
-        return this.menuManager.updateMenuItem(id, updates)
+    async updateMenuItem(id, updates, menuId) {
+        return this.menuManager.updateMenuItem(id, updates, menuId)
     }
 
     /**
      * Delete a menu item
      * @param {string} id - ID of the menu item to delete
+     * @param {string} [menuId] - Menu ID (the primary menu by default)
      * @returns {Promise<boolean>} Success or failure
      */
-    async deleteMenuItem(id) {
-        return this.menuManager.deleteMenuItem(id)
+    async deleteMenuItem(id, menuId) {
+        return this.menuManager.deleteMenuItem(id, menuId)
     }
 
     /**
      * Reorder menu items
      * @param {Array<string>} orderedIds - Array of menu item IDs in the new order
+     * @param {string} [menuId] - Menu ID (the primary menu by default)
      * @returns {Promise<boolean>} Success or failure
      */
-    async reorderMenuItems(orderedIds) {
-        return this.menuManager.reorderMenuItems(orderedIds)
+    async reorderMenuItems(orderedIds, menuId) {
+        return this.menuManager.reorderMenuItems(orderedIds, menuId)
     }
 
     /**
      * Generate HTML for a theme menu
+     * @param {string} [menuId] - Menu ID (the primary menu by default)
      * @returns {Promise<string>} HTML for the menu
      */
-    async generateMenuHtml() {
-        return this.menuManager.generateMenuHtml()
+    async generateMenuHtml(menuId) {
+        return this.menuManager.generateMenuHtml(menuId)
     }
 
     /**
-     * Add the menu to the template data
+     * Add the menus of the active theme's locations to the template data
      * @param {Object} templateData - The template data object
      * @returns {Promise<Object>} The updated template data
      */
     async addMenuToTemplateData(templateData) {
-        return this.menuManager.addMenuToTemplateData(templateData)
+        const locations = this.getMenuLocations().map((location) => location.id)
+        return this.menuManager.addMenuToTemplateData(templateData, locations)
     }
 }
@@ -0,0 +1,448 @@
+/**
+ * Webhook Manager Module
+ * Stores webhook endpoints, sends them HMAC-signed JSON payloads when events happen,
+ * retries failed deliveries with an exponential backoff and keeps a delivery log
+ */
+import { join } from "node:path"
+import { createHmac, randomBytes } from "node:crypto"
+import { readJsonFile, writeJsonFile } from "./theme/utils/file-utils.js"
+
+// Events endpoints can subscribe to, "*" subscribes to all of them
+export const WEBHOOK_EVENTS = {
+    "post.created": "Post created",
+    "post.updated": "Post updated",
+    "post.deleted": "Post deleted",
+    "page.created": "Page created",
+    "page.updated": "Page updated",
+    "page.deleted": "Page deleted",
+    "content.bulk": "Bulk action on posts or pages",
+    "media.uploaded": "Media uploaded",
+    "media.updated": "Media updated",
+    "media.deleted": "Media deleted",
+    "settings.updated": "Settings updated",
+}
+
+export class WebhookManager {
+    /**
+     * @param {string} dataDir - Directory containing site data
+     * @param {Object} options - Webhook manager options
+     * @param {number} [options.maxAttempts=5] - Attempts before a delivery fails
+     * @param {number} [options.retryDelay=30000] - Delay before the first retry, doubled after each attempt (ms)
+     * @param {number} [options.timeout=10000] - Time an endpoint has to answer (ms)
+     * @param {number} [options.historyLimit=200] - Number of deliveries to keep in the log
+     */
+    constructor(dataDir, options = {}) {
+        this.endpointsPath = join(dataDir, "webhooks.json")
+        this.deliveriesPath = join(dataDir, "webhook-deliveries.json")
+        this.maxAttempts = options.maxAttempts || 5
+        this.retryDelay = options.retryDelay || 30000
+        this.timeout = options.timeout || 10000
+        this.historyLimit = options.historyLimit || 200
+        this.endpoints = []
+        this.deliveries = [] // Newest first
+        this.retryTimers = new Map()
+        this.saving = Promise.resolve()
+    }
+
+    /**
+     * Initialize the webhook manager and resume the deliveries interrupted by a restart
+     * @returns {Promise<boolean>} Success or failure
+     */
+    async initialize() {
+        try {
+            const endpointsData = await readJsonFile(this.endpointsPath, { endpoints: [] })
+            this.endpoints = Array.isArray(endpointsData.endpoints) ? endpointsData.endpoints : []
+
+            const deliveriesData = await readJsonFile(this.deliveriesPath, { deliveries: [] })
+            this.deliveries = Array.isArray(deliveriesData.deliveries) ? deliveriesData.deliveries : []
+
+            for (const delivery of this.deliveries) {
+                if (delivery.status === "pending") this.scheduleAttempt(delivery)
+            }
+
+            return true
+        } catch (error) {
+            console.error("Error initializing webhook manager:", error)
+            return false
+        }
+    }
+
+    /**
+     * Save the endpoints to the data directory
+     * @returns {Promise<boolean>} Success or failure
+     */
+    async saveEndpoints() {
+        return writeJsonFile(this.endpointsPath, { endpoints: this.endpoints })
+    }
+
+    /**
+     * Save the delivery log to the data directory
+     * Deliveries finish concurrently, so saves are chained to never overlap
+     * @returns {Promise<boolean>} Success or failure
+     */
+    async saveDeliveries() {
+        this.saving = this.saving.then(() => writeJsonFile(this.deliveriesPath, { deliveries: this.deliveries }))
+        return this.saving
+    }
+
+    /**
+     * Get all endpoints, without their secrets
+     * @returns {Array<Object>} Endpoints
+     */
+    getEndpoints() {
+        return this.endpoints.map(toPublicEndpoint)
+    }
+
+    /**
+     * Get an endpoint, without its secret
+     * @param {string} id - Endpoint ID
+     * @returns {Object|null} Endpoint
+     */
+    getEndpoint(id) {
+        const endpoint = this.endpoints.find((e) => e.id === id)
+        return endpoint ? toPublicEndpoint(endpoint) : null
+    }
+
+    /**
+     * Create an endpoint
+     * @param {Object} data - Endpoint data
+     * @param {string} data.name - Name shown in the admin
+     * @param {string} data.url - HTTP(S) URL receiving the payloads
+     * @param {Array<string>} data.events - Subscribed events ("*" for all)
+     * @param {boolean} [data.active=true] - Whether the endpoint receives events
+     * @returns {Promise<Object>} { endpoint, secret } (the secret is only returned here and on rotation)
+     * @throws {Error} If the name, URL or events are invalid
+     */
+    async createEndpoint({ name, url, events, active = true }) {
+        const now = new Date().toISOString()
+        const endpoint = {
+            id: randomBytes(8).toString("hex"),
+            ...validateEndpoint({ name, url, events }),
+            active: active !== false,
+            secret: generateSecret(),
+            createdAt: now,
+            updatedAt: now,
+        }
+
+        this.endpoints.push(endpoint)
+        await this.saveEndpoints()
+
+        return { endpoint: toPublicEndpoint(endpoint), secret: endpoint.secret }
+    }
+
+    /**
+     * Update an endpoint
+     * @param {string} id - Endpoint ID
+     * @param {Object} updates - Fields to change (name, url, events, active, rotateSecret)
+     * @returns {Promise<Object|null>} { endpoint, secret } (secret only when rotated), or null if not found
+     * @throws {Error} If the name, URL or events are invalid
+     */
+    async updateEndpoint(id, { name, url, events, active, rotateSecret } = {}) {
+        const endpoint = this.endpoints.find((e) => e.id === id)
+        if (!endpoint) return null
+
+        Object.assign(
+            endpoint,
+            validateEndpoint({
+                name: name ?? endpoint.name,
+                url: url ?? endpoint.url,
+                events: events ?? endpoint.events,
+            })
+        )
+
+        if (active !== undefined) endpoint.active = active !== false
+        if (rotateSecret) endpoint.secret = generateSecret()
+        endpoint.updatedAt = new Date().toISOString()
+
+        await this.saveEndpoints()
+
+        return { endpoint: toPublicEndpoint(endpoint), secret: rotateSecret ? endpoint.secret : null }
+    }
+
+    /**
+     * Delete an endpoint and cancel its pending retries (its log is kept)
+     * @param {string} id - Endpoint ID
+     * @returns {Promise<boolean>} True if the endpoint was deleted
+     */
+    async deleteEndpoint(id) {
+        const count = this.endpoints.length
+        this.endpoints = this.endpoints.filter((e) => e.id !== id)
+        if (this.endpoints.length === count) return false
+
+        for (const delivery of this.deliveries) {
+            if (delivery.endpointId === id && delivery.status === "pending") {
+                this.cancelAttempt(delivery)
+                delivery.status = "failed"
+                delivery.nextAttemptAt = null
+            }
+        }
+
+        await this.saveEndpoints()
+        await this.saveDeliveries()
+        return true
+    }
+
+    /**
+     * Send an event to the active endpoints subscribed to it
+     * Deliveries run in the background, so callers don't wait for the endpoints
+     * @param {string} event - Event name (see WEBHOOK_EVENTS)
+     * @param {Object} data - Event data
+     * @returns {Array<Object>} Queued deliveries
+     */
+    dispatch(event, data) {
+        const endpoints = this.endpoints.filter(
+            (endpoint) => endpoint.active && (endpoint.events.includes("*") || endpoint.events.includes(event))
+        )
+
+        return endpoints.map((endpoint) => this.queueDelivery(endpoint, event, data))
+    }
+
+    /**
+     * Send a test event to an endpoint, whatever its event filter and status
+     * @param {string} id - Endpoint ID
+     * @returns {Object|null} Queued delivery, or null if the endpoint doesn't exist
+     */
+    ping(id) {
+        const endpoint = this.endpoints.find((e) => e.id === id)
+        if (!endpoint) return null
+
+        return this.queueDelivery(endpoint, "ping", { message: "Webhook test from Aether" })
+    }
+
+    /**
+     * Send the payload of a past delivery again, as a new delivery
+     * @param {string} deliveryId - Delivery ID
+     * @returns {Object|null} Queued delivery, or null if the delivery or its endpoint doesn't exist
+     */
+    redeliver(deliveryId) {
+        const delivery = this.deliveries.find((d) => d.id === deliveryId)
+        const endpoint = delivery && this.endpoints.find((e) => e.id === delivery.endpointId)
+        if (!endpoint) return null
+
+        return this.queueDelivery(endpoint, delivery.event, delivery.payload.data)
+    }
+
+    /**
+     * Create a delivery and make its first attempt
+     * @param {Object} endpoint - Endpoint
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     * @returns {Object} Delivery
+     */
+    queueDelivery(endpoint, event, data) {
+        const id = randomBytes(8).toString("hex")
+        const delivery = {
+            id,
+            endpointId: endpoint.id,
+            endpointName: endpoint.name,
+            url: endpoint.url,
+            event,
+            payload: { id, event, createdAt: new Date().toISOString(), data },
+            status: "pending",
+            attempts: [],
+            nextAttemptAt: new Date().toISOString(),
+            createdAt: new Date().toISOString(),
+        }
+
+        this.deliveries.unshift(delivery)
+        this.pruneHistory()
+        this.scheduleAttempt(delivery)
+
+        return delivery
+    }
+
+    /**
+     * Run the next attempt of a delivery when it is due
+     * @param {Object} delivery - Pending delivery
+     */
+    scheduleAttempt(delivery) {
+        const delay = Math.max(new Date(delivery.nextAttemptAt).getTime() - Date.now(), 0)
+        const timer = setTimeout(() => {
+            this.retryTimers.delete(delivery.id)
+            this.attemptDelivery(delivery)
+        }, delay)
+
+        // Pending retries must not keep scripts (like the static build) running
+        timer.unref?.()
+        this.retryTimers.set(delivery.id, timer)
+    }
+
+    /**
+     * Cancel the scheduled attempt of a delivery
+     * @param {Object} delivery - Pending delivery
+     */
+    cancelAttempt(delivery) {
+        clearTimeout(this.retryTimers.get(delivery.id))
+        this.retryTimers.delete(delivery.id)
+    }
+
+    /**
+     * Post a delivery to its endpoint and record the attempt
+     * @param {Object} delivery - Pending delivery
+     * @returns {Promise<Object>} Delivery
+     */
+    async attemptDelivery(delivery) {
+        const endpoint = this.endpoints.find((e) => e.id === delivery.endpointId)
+
+        if (!endpoint) {
+            delivery.status = "failed"
+            delivery.nextAttemptAt = null
+            await this.saveDeliveries()
+            return delivery
+        }
+
+        const body = JSON.stringify(delivery.payload)
+        const timestamp = Math.floor(Date.now() / 1000).toString()
+        const attempt = { at: new Date().toISOString(), statusCode: null, error: null, duration: null, response: null }
+        const startedAt = Date.now()
+
+        try {
+            const response = await fetch(endpoint.url, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    "User-Agent": "Aether-Webhooks",
+                    "X-Aether-Event": delivery.event,
+                    "X-Aether-Delivery": delivery.id,
+                    "X-Aether-Timestamp": timestamp,
+                    "X-Aether-Signature": `sha256=${signPayload(endpoint.secret, timestamp, body)}`,
+                },
+                body,
+                signal: AbortSignal.timeout(this.timeout),
+            })
+
+            attempt.statusCode = response.status
+            attempt.response = (await response.text()).slice(0, 500)
+
+            if (!response.ok) {
+                attempt.error = `Endpoint answered with status ${response.status}`
+            }
+        } catch (error) {
+            // fetch only says "fetch failed", the cause tells why (connection refused, DNS...)
+            attempt.error =
+                error.name === "TimeoutError"
+                    ? `No answer after ${this.timeout}ms`
+                    : error.cause?.message || error.message
+        }
+
+        attempt.duration = Date.now() - startedAt
+        delivery.attempts.push(attempt)
+
+        if (!attempt.error) {
+            delivery.status = "succeeded"
+            delivery.nextAttemptAt = null
+        } else if (delivery.attempts.length >= this.maxAttempts) {
+            delivery.status = "failed"
+            delivery.nextAttemptAt = null
+        } else {
+            // Exponential backoff: 30s, 1min, 2min, 4min with the default delay
+            const delay = this.retryDelay * 2 ** (delivery.attempts.length - 1)
+            delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString()
+            this.scheduleAttempt(delivery)
+        }
+
+        await this.saveDeliveries()
+        return delivery
+    }
+
+    /**
+     * Keep the pending deliveries and the most recent finished ones
+     */
+    pruneHistory() {
+        let finishedCount = 0
+
+        this.deliveries = this.deliveries.filter((delivery) => {
+            if (delivery.status === "pending") return true
+            return ++finishedCount <= this.historyLimit
+        })
+    }
+
+    /**
+     * Get the delivery log
+     * @param {Object} [options] - Filter options
+     * @param {string} [options.endpointId] - Only the deliveries of this endpoint
+     * @param {number} [options.limit=50] - Maximum number of deliveries
+     * @returns {Array<Object>} Deliveries, newest first
+     */
+    getDeliveries({ endpointId, limit = 50 } = {}) {
+        return this.deliveries.filter((d) => !endpointId || d.endpointId === endpointId).slice(0, limit)
+    }
+
+    /**
+     * Get a delivery by ID
+     * @param {string} id - Delivery ID
+     * @returns {Object|null} Delivery
+     */
+    getDelivery(id) {
+        return this.deliveries.find((d) => d.id === id) || null
+    }
+
+    /**
+     * Get the events endpoints can subscribe to
+     * @returns {Array<Object>} Events ({ name, label })
+     */
+    getEvents() {
+        return Object.entries(WEBHOOK_EVENTS).map(([name, label]) => ({ name, label }))
+    }
+}
+
+/**
+ * Sign a payload for the X-Aether-Signature header
+ * Receivers compute the HMAC-SHA256 of "<timestamp>.<raw body>" with the endpoint secret and compare
+ * @param {string} secret - Endpoint secret
+ * @param {string} timestamp - Unix timestamp sent in X-Aether-Timestamp
+ * @param {string} body - JSON body
+ * @returns {string} Hex signature
+ */
+export function signPayload(secret, timestamp, body) {
+    return createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")
+}
+
+/**
+ * Generate an endpoint secret
+ * @returns {string} Secret
+ */
+function generateSecret() {
+    return `whsec_${randomBytes(24).toString("hex")}`
+}
+
+/**
+ * Remove the secret of an endpoint
+ * @param {Object} endpoint - Endpoint
+ * @returns {Object} Endpoint without its secret
+ */
+function toPublicEndpoint({ secret, ...endpoint }) {
+    return endpoint
+}
+
+/**
+ * Check the name, URL and events of an endpoint
+ * @param {Object} data - Endpoint data ({ name, url, events })
+ * @returns {Object} Normalized data
+ * @throws {Error} If a field is invalid
+ */
+function validateEndpoint({ name, url, events }) {
+    if (typeof name !== "string" || name.trim() === "") {
+        throw new Error("Name is required")
+    }
+
+    let parsedUrl
+    try {
+        parsedUrl = new URL(url)
+    } catch {
+        throw new Error("URL must be a valid URL")
+    }
+    if (parsedUrl.protocol !== "https:" && parsedUrl.protocol !== "http:") {
+        throw new Error("URL must start with http:// or https://")
+    }
+
+    if (!Array.isArray(events) || events.length === 0) {
+        throw new Error("Select at least one event")
+    }
+    const unknown = events.filter((event) => event !== "*" && !Object.hasOwn(WEBHOOK_EVENTS, event))
+    if (unknown.length > 0) {
+        throw new Error(`Unknown events: ${unknown.join(", ")}`)
+    }
+
+    return { name: name.trim(), url: parsedUrl.href, events: [...new Set(events)] }
+}
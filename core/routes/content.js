@@ -1,12 +1,13 @@
 import { marked } from "marked"
+import { isPublished } from "../lib/content/utils/content-utils.js"
 import { prepareTemplateData, processTemplateData, handle404 } from "../utils/route-utils.js"
 import { resolveTemplatePath } from "../utils/template-utils.js"
 
 export function setupContentRoutes(app, systems) {
-    const { themeManager, contentManager, hookSystem, settingsService } = systems
+    const { themeManager, contentManager, hookSystem, settingsService, applyRedirects } = systems
 
     // Handle post routes: /post/:slug
-    app.get("/post/:slug", async (req, res) => {
+    app.get("/post/:slug", applyRedirects, async (req, res) => {
         const { slug } = req.params
 
         try {
@@ -16,7 +17,7 @@ export function setupContentRoutes(app, systems) {
                 resolveRelatedPosts: true,
             })
 
-            if (!content || content.frontmatter.status !== "published") {
+            if (!content || !isPublished(content.frontmatter)) {
                 return handle404(res, req, themeManager, settingsService)
             }
 
@@ -37,7 +38,7 @@ export function setupContentRoutes(app, systems) {
             })
 
             // Process data through hooks
-            const processedData = processTemplateData(hookSystem, templateData, "post.html")
+            const processedData = await processTemplateData(hookSystem, templateData, "post.html")
 
             // Resolve the template path - much cleaner!
             const templatePath = await resolveTemplatePath({
@@ -54,7 +55,7 @@ export function setupContentRoutes(app, systems) {
     })
 
     // Handle page routes: /page/:slug
-    app.get("/page/:slug", async (req, res) => {
+    app.get("/page/:slug", applyRedirects, async (req, res) => {
         const { slug } = req.params
 
         try {
@@ -63,7 +64,7 @@ export function setupContentRoutes(app, systems) {
                 addNavigation: false,
             })
 
-            if (!content || content.frontmatter.status !== "published") {
+            if (!content || !isPublished(content.frontmatter)) {
                 return handle404(res, req, themeManager, settingsService)
             }
 
@@ -91,7 +92,7 @@ export function setupContentRoutes(app, systems) {
             })
 
             // Process data through hooks
-            const processedData = processTemplateData(
+            const processedData = await processTemplateData(
                 hookSystem,
                 templateData,
                 isCustomPage ? `${slug}.html` : "page.html"
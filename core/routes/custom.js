@@ -1,118 +1,53 @@
 import { marked } from "marked"
+import { findCustomPageByPath, getPageBreadcrumbs, getPagesBySlug } from "../lib/content/utils/content-utils.js"
+import { escapeHtml } from "../lib/content/utils/search-utils.js"
 import { enhancedFormatPagination, getSiblingCustomPagesNavigation } from "../utils/pagination-utils.js"
 import { prepareTemplateData, processTemplateData, handle404 } from "../utils/route-utils.js"
 import { resolveTemplatePath } from "../utils/template-utils.js"
 
 export function setupCustomRoutes(app, systems) {
-    const { themeManager, contentManager, hookSystem, settingsService } = systems
+    const { themeManager, contentManager, hookSystem, settingsService, applyRedirects } = systems
 
-    // Match up to 3 levels of nested paths (e.g., /docs, /docs/intro, /docs/api/examples)
-    // The first segment (:path) is required
-    // The second (:subpath) and third (:subSubPath) are optional
-    app.get("/:path/:subpath?/:subSubPath?", async (req, res) => {
-        // Destructure the path segments from the route parameters
-        const { path, subpath, subSubPath } = req.params
-
-        // Combine the segments into a single path string
-        // - Create an array with the segments
-        // - Remove any undefined or falsy values (e.g., if subpath or subSubPath are missing)
-        // - Join the remaining segments with slashes to form a full path
-        const fullPath = [path, subpath, subSubPath].filter(Boolean).join("/")
+    // Match custom pages nested at any depth (e.g., /docs, /docs/intro, /docs/api/examples/errors)
+    // Routes with a fixed first segment (/post, /page, /aether...) take precedence over this one
+    app.get("/**", applyRedirects, async (req, res) => {
+        // Split the path into its segments
+        const segments = req.params["**"].split("/").filter(Boolean)
+        const fullPath = segments.join("/")
+        const path = segments[0]
 
         // Skip processing for paths handled by other routes
         const skipPaths = ["aether", "api", "post", "page", "rss", "rss.xml", "sitemap", "sitemap.html", "sitemap.xml"]
-        if (skipPaths.includes(path)) {
+        if (!path || skipPaths.includes(path)) {
             return
         }
 
         try {
-            let contentPage = null
-            let parentPage = null
-            let templatePath = null
-            let customPath = path
-
-            // First, try to find a direct match for the full path
-            if (subpath) {
-                // Try to find the parent page
-                parentPage = await contentManager.getContentByProperty("page", "slug", path)
-
-                if (
-                    parentPage &&
-                    parentPage.frontmatter.status === "published" &&
-                    parentPage.frontmatter.pageType === "custom"
-                ) {
-                    // Look for the child page
-                    if (subSubPath) {
-                        // For three-level paths, check if subpath is an intermediate parent
-                        const intermediatePage = await contentManager.getContentByProperty("page", "slug", subpath, {
-                            parentPage: path,
-                        })
-
-                        if (
-                            intermediatePage &&
-                            intermediatePage.frontmatter.parentPage === path &&
-                            intermediatePage.frontmatter.status === "published" &&
-                            intermediatePage.frontmatter.pageType === "custom"
-                        ) {
-                            // Look for the final child page
-                            contentPage = await contentManager.getContentByProperty("page", "slug", subSubPath, {
-                                parentPage: subpath,
-                            })
-
-                            if (
-                                contentPage &&
-                                contentPage.frontmatter.parentPage === subpath &&
-                                contentPage.frontmatter.status === "published" &&
-                                contentPage.frontmatter.pageType === "custom"
-                            ) {
-                                customPath = `${path}-${subpath}-${subSubPath}`
-                            } else {
-                                // There is no Markdown file in content/data/custom with a slug matching subSubPath
-                                return handle404(res, req, themeManager, settingsService)
-                            }
-                        }
-                    } else {
-                        // Two-level path, look for direct child
-                        contentPage = await contentManager.getContentByProperty("page", "slug", subpath, {
-                            parentPage: path,
-                        })
-
-                        if (
-                            contentPage &&
-                            contentPage.frontmatter.parentPage === path &&
-                            contentPage.frontmatter.status === "published" &&
-                            contentPage.frontmatter.pageType === "custom"
-                        ) {
-                            customPath = `${path}-${subpath}`
-                        } else {
-                            // There is no Markdown file in content/data/custom with a slug matching subpath
-                            return handle404(res, req, themeManager, settingsService)
-                        }
-                    }
-                }
-            } else {
-                // Single-level path, look for direct match
-                contentPage = await contentManager.getContentByProperty("page", "slug", path)
-            }
+            // Resolve the page served at the full path, its parents must match the path segments
+            const customPages = await contentManager.getPages({
+                status: "published",
+                pageType: "custom",
+                frontmatterOnly: true,
+            })
+            const pagesBySlug = getPagesBySlug(customPages)
+            const frontmatter = findCustomPageByPath(fullPath, pagesBySlug)
 
-            // If no nested page found, try single-level custom page
-            if (!contentPage) {
-                contentPage = await contentManager.getContentByProperty("page", "slug", path)
-                customPath = path
+            if (!frontmatter) {
+                return handle404(res, req, themeManager, settingsService)
             }
 
-            // Check if we found a published custom page
-            const hasContentPage =
-                contentPage &&
-                contentPage.frontmatter.status === "published" &&
-                contentPage.frontmatter.pageType === "custom"
+            const contentPage = await contentManager.getContentByProperty("page", "id", frontmatter.id)
 
-            if (!hasContentPage) {
+            if (!contentPage) {
                 return handle404(res, req, themeManager, settingsService)
             }
 
+            // Nested pages use the template of their full path first (e.g., docs-api-examples)
+            const customPath = segments.join("-")
+            const parentPage = pagesBySlug.get(frontmatter.parentPage) || null
+
             // Resolve the appropriate template
-            templatePath = await resolveTemplatePath({
+            const templatePath = await resolveTemplatePath({
                 themeManager,
                 contentType: "custom",
                 slug: customPath,
@@ -127,7 +62,7 @@ export function setupCustomRoutes(app, systems) {
             const siteSettings = await contentManager.getSiteSettings()
 
             // Add sibling navigation for nested custom pages
-            const siblingNavigation = await getSiblingCustomPagesNavigation(contentPage, contentManager, req)
+            const siblingNavigation = await getSiblingCustomPagesNavigation(contentPage, contentManager)
 
             // Base template data
             let baseTemplateData = {
@@ -148,8 +83,8 @@ export function setupCustomRoutes(app, systems) {
                 // Add parent page data if it exists
                 parentPage: parentPage
                     ? {
-                          title: parentPage.frontmatter.title,
-                          slug: parentPage.frontmatter.slug,
+                          title: parentPage.title,
+                          slug: parentPage.slug,
                       }
                     : null,
                 siblingNavigation: siblingNavigation,
@@ -164,8 +99,50 @@ export function setupCustomRoutes(app, systems) {
             const needsTaxonomyCounts =
                 templateWithTaxonomyCounts.has(path) || templateWithTaxonomyCounts.has(customPath)
 
+            // The search template lists search results instead of all posts
+            const isSearchTemplate = path === "search" || customPath === "search"
+
+            // Add search results if needed
+            if (isSearchTemplate) {
+                const query = (req.queryParams?.get("q") || "").trim()
+                const page = Math.max(parseInt(req.queryParams?.get("page") || "1") || 1, 1)
+                const perPage = parseInt(req.queryParams?.get("pageSize") || siteSettings.postsPerPage || "10")
+
+                const { total, results } = contentManager.searchContent(query, {
+                    limit: perPage,
+                    offset: (page - 1) * perPage,
+                })
+
+                // Expose results like posts so that list templates can render them as is
+                templateData.posts = results.map(({ snippet, ...result }) => ({
+                    metadata: { ...result, snippet },
+                    content: snippet,
+                }))
+                templateData.searchResults = results
+                // Templates output values as is, so the query is escaped before being exposed
+                templateData.search = { query: escapeHtml(query), total, hasQuery: query.length > 0 }
+
+                // Build a pagination object in the same format as LiteNode's paginateMarkdownFiles
+                const totalPages = Math.max(Math.ceil(total / perPage), 1)
+                const pagination = {
+                    page,
+                    per_page: perPage,
+                    total_files: total,
+                    total_pages: totalPages,
+                    prev_page: page > 1 ? page - 1 : null,
+                    next_page: page < totalPages ? page + 1 : null,
+                }
+
+                templateData.pagination = enhancedFormatPagination(pagination, {
+                    isGenerateStatic: false,
+                    contentType: "custom",
+                    slug: fullPath,
+                    cleanUrls: false,
+                    queryParams: query ? { q: query } : {},
+                })
+            }
             // Add pagination if needed
-            if (needsPagination) {
+            else if (needsPagination) {
                 // Get all published posts with summaryView
                 const allPosts = await contentManager.getPosts({
                     status: "published",
@@ -272,41 +249,15 @@ export function setupCustomRoutes(app, systems) {
             }
 
             // Add breadcrumb navigation for nested pages
-            if (subpath) {
-                // Parent (level 0)
-                const breadcrumbs = [{ title: parentPage?.frontmatter.title || path, slug: `/${path}`, order: 0 }]
-
-                // Intermediate (level 1, optional)
-                if (subSubPath && parentPage) {
-                    // Add intermediate breadcrumb if exists
-                    const intermediatePage = await contentManager.getContentByProperty("page", "slug", subpath, {
-                        parentPage: path,
-                    })
-                    if (intermediatePage) {
-                        breadcrumbs.push({
-                            title: intermediatePage.frontmatter.title || subpath,
-                            slug: `/${path}/${subpath}`,
-                            order: 1,
-                        })
-                    }
-                }
-
-                // Current page (level 2 or 1)
-                breadcrumbs.push({
-                    title: contentPage.frontmatter.title || subSubPath || subpath,
-                    slug: `/${fullPath}`,
-                    active: true,
-                    order: breadcrumbs.length, // This will be 1 or 2 depending on above
-                })
-
-                templateData.breadcrumbs = breadcrumbs
+            if (parentPage) {
+                templateData.breadcrumbs = getPageBreadcrumbs(frontmatter, pagesBySlug)
             }
 
             // Prepare full template data with all the site context (menus, theme info, etc.)
             const fullTemplateData = await prepareTemplateData(req, themeManager, siteSettings, templateData)
 
             // Process data through hooks
-            const processedData = processTemplateData(hookSystem, fullTemplateData, `${customPath}.html`)
+            const processedData = await processTemplateData(hookSystem, fullTemplateData, `${customPath}.html`)
 
             // Render the template
             res.render(templatePath, processedData)
@@ -2,10 +2,10 @@ import { prepareTemplateData, processTemplateData } from "../utils/route-utils.j
 import { resolveTemplatePath, checkCustomTemplate } from "../utils/template-utils.js"
 
 export function setupHomeRoutes(app, systems) {
-    const { themeManager, contentManager, hookSystem } = systems
+    const { themeManager, contentManager, hookSystem, applyRedirects } = systems
 
     // Handle the homepage route
-    app.get("/", async (req, res) => {
+    app.get("/", applyRedirects, async (req, res) => {
         try {
             // Get site settings
             const siteSettings = await contentManager.getSiteSettings()
@@ -28,7 +28,7 @@ export function setupHomeRoutes(app, systems) {
             })
 
             // Process data through hooks
-            const processedData = processTemplateData(hookSystem, templateData, "layout.html")
+            const processedData = await processTemplateData(hookSystem, templateData, "layout.html")
 
             // Resolve the template path with enhanced parameters
             const templatePath = await resolveTemplatePath({
@@ -3,6 +3,7 @@ import { setupContentRoutes } from "./content.js"
 import { setupTaxonomyRoutes } from "./taxonomy.js"
 import { setupCustomRoutes } from "./custom.js"
 import { setupSeoRoutes } from "./seo.js"
+import { setupUploadRoutes } from "./uploads.js"
 
 export function setupFrontendRoutes(app, systems) {
     // Set up all frontend routes
@@ -11,4 +12,5 @@ export function setupFrontendRoutes(app, systems) {
     setupTaxonomyRoutes(app, systems)
     setupCustomRoutes(app, systems)
     setupSeoRoutes(app, systems)
+    setupUploadRoutes(app, systems)
 }
@@ -3,10 +3,10 @@ import { prepareTemplateData, processTemplateData, handle404 } from "../utils/ro
 import { resolveTemplatePath, applyTemplateMetadata } from "../utils/template-utils.js"
 
 export function setupTaxonomyRoutes(app, systems) {
-    const { themeManager, contentManager, hookSystem, settingsService } = systems
+    const { themeManager, contentManager, hookSystem, settingsService, applyRedirects } = systems
 
     // Handle category routes: /category/:slug
-    app.get("/category/:slug", async (req, res) => {
+    app.get("/category/:slug", applyRedirects, async (req, res) => {
         const { slug } = req.params
 
         try {
@@ -68,7 +68,7 @@ export function setupTaxonomyRoutes(app, systems) {
             })
 
             // Process data through hooks
-            const processedData = processTemplateData(hookSystem, enhancedTemplateData, "category.html")
+            const processedData = await processTemplateData(hookSystem, enhancedTemplateData, "category.html")
 
             res.render(templatePath, processedData)
         } catch (err) {
@@ -78,7 +78,7 @@ export function setupTaxonomyRoutes(app, systems) {
     })
 
     // Handle tag routes: /tag/:slug
-    app.get("/tag/:slug", async (req, res) => {
+    app.get("/tag/:slug", applyRedirects, async (req, res) => {
         const { slug } = req.params
 
         try {
@@ -140,7 +140,7 @@ export function setupTaxonomyRoutes(app, systems) {
             })
 
             // Process data through hooks
-            const processedData = processTemplateData(hookSystem, enhancedTemplateData, "tag.html")
+            const processedData = await processTemplateData(hookSystem, enhancedTemplateData, "tag.html")
 
             res.render(templatePath, processedData)
         } catch (err) {
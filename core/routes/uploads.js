@@ -0,0 +1,36 @@
+import { getContentType } from "../lib/store/utils/path-utils.js"
+
+export function setupUploadRoutes(app, systems) {
+    const { fileStorage } = systems
+
+    // Local uploads are static files, LiteNode serves them like the theme assets
+    if (fileStorage.storage.name === "local") return
+
+    // Serve the files of other storages at the same URLs, so existing content keeps working
+    app.get("/content/uploads/**", async (req, res) => {
+        try {
+            const key = decodeURIComponent(req.params["**"].slice(1))
+
+            // Metadata files are not uploads
+            if (key.endsWith(".metadata.json")) {
+                return res.status(404).send("File not found")
+            }
+
+            const stream = await fileStorage.storage.createReadStream(key)
+
+            if (!stream) {
+                return res.status(404).send("File not found")
+            }
+
+            res.writeHead(200, {
+                "Content-Type": getContentType(key),
+                "Cache-Control": "public, max-age=31536000, immutable", // Filenames are unique
+            })
+
+            stream.pipe(res)
+        } catch (error) {
+            console.error("Error serving uploaded file:", error)
+            res.status(500).send("Error serving file")
+        }
+    })
+}
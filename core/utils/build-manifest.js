@@ -0,0 +1,242 @@
+import { join, relative, dirname, sep } from "node:path"
+import { readFile, writeFile, readdir, rm, rmdir } from "node:fs/promises"
+import { existsSync } from "node:fs"
+import { createHash } from "node:crypto"
+
+/**
+ * Build manifest for incremental static site generation
+ *
+ * Records, for every file written to the output directory, a fingerprint of the data
+ * and templates it was rendered from and the content items it depends on. The next
+ * build compares fingerprints to skip unchanged outputs and deletes the outputs it
+ * did not produce anymore.
+ */
+
+// Manifest file name, stored at the root of the output directory
+export const BUILD_MANIFEST_FILE = ".aether-build-manifest.json"
+
+// Bump when the manifest format or the fingerprinting changes to force a full rebuild
+const MANIFEST_VERSION = 1
+
+/**
+ * Hash any value (strings as is, other values as JSON)
+ * @param {*} value - Value to hash
+ * @returns {string} SHA-1 hex digest
+ */
+export function hashValue(value) {
+    const data = typeof value === "string" || Buffer.isBuffer(value) ? value : JSON.stringify(value) ?? ""
+    return createHash("sha1").update(data).digest("hex")
+}
+
+/**
+ * Hash all HTML templates of a theme (templates, partials and custom templates)
+ * @param {string} themeDir - Theme directory
+ * @returns {Promise<Object>} Relative template path -> hash
+ */
+export async function hashThemeTemplates(themeDir) {
+    const hashes = {}
+
+    const walk = async (dir) => {
+        const entries = await readdir(dir, { withFileTypes: true })
+
+        for (const entry of entries) {
+            const entryPath = join(dir, entry.name)
+
+            if (entry.isDirectory()) {
+                // Assets are copied, not rendered
+                if (entry.name !== "assets") {
+                    await walk(entryPath)
+                }
+            } else if (entry.name.endsWith(".html") || entry.name === "theme.json") {
+                hashes[relative(themeDir, entryPath).split(sep).join("/")] = hashValue(await readFile(entryPath))
+            }
+        }
+    }
+
+    if (existsSync(themeDir)) {
+        await walk(themeDir)
+    }
+
+    return hashes
+}
+
+export class BuildManifest {
+    /**
+     * @param {string} outputDir - Static site output directory
+     */
+    constructor(outputDir) {
+        this.outputDir = outputDir
+        this.path = join(outputDir, BUILD_MANIFEST_FILE)
+        this.previous = null
+        this.buildKey = ""
+        this.templates = {}
+        this.content = {}
+        this.outputs = {}
+    }
+
+    /**
+     * Load the manifest of the previous build
+     * @returns {Promise<boolean>} True if a usable manifest was found
+     */
+    async load() {
+        try {
+            const manifest = JSON.parse(await readFile(this.path, "utf8"))
+            this.previous = manifest.version === MANIFEST_VERSION ? manifest : null
+        } catch (error) {
+            this.previous = null
+        }
+
+        return this.previous !== null
+    }
+
+    /**
+     * Set what every output of this build depends on (generator options and theme templates)
+     * @param {Object} options - Generator options that change the rendered HTML
+     * @param {Object} templates - Template path -> hash
+     */
+    setBuildContext(options, templates) {
+        this.templates = templates
+        this.buildKey = hashValue({ options, templates })
+    }
+
+    /**
+     * Record the hashes of the content items used by this build
+     * @param {Object} content - Content key ("post:<id>" or "page:<id>") -> hash
+     */
+    setContentHashes(content) {
+        this.content = content
+    }
+
+    /**
+     * Get the content items that changed since the previous build
+     * @returns {Object} { added, changed, removed } arrays of content keys
+     */
+    getContentChanges() {
+        const previous = this.previous?.content || {}
+
+        return {
+            added: Object.keys(this.content).filter((key) => !(key in previous)),
+            changed: Object.keys(this.content).filter((key) => key in previous && previous[key] !== this.content[key]),
+            removed: Object.keys(previous).filter((key) => !(key in this.content)),
+        }
+    }
+
+    /**
+     * Get the template files that changed since the previous build
+     * @returns {Array<string>} Template paths
+     */
+    getTemplateChanges() {
+        const previous = this.previous?.templates || {}
+        const paths = new Set([...Object.keys(previous), ...Object.keys(this.templates)])
+
+        return [...paths].filter((path) => previous[path] !== this.templates[path])
+    }
+
+    /**
+     * Get the manifest key of an output file
+     * @param {string} outputPath - Output file path
+     * @returns {string} Path relative to the output directory
+     */
+    getKey(outputPath) {
+        return relative(this.outputDir, outputPath).split(sep).join("/")
+    }
+
+    /**
+     * Compute the fingerprint of an output from the template and data it is rendered with
+     * @param {string} templatePath - Template path
+     * @param {Object} data - Template data
+     * @returns {string|null} Fingerprint, or null if the data cannot be serialized
+     */
+    fingerprint(templatePath, data) {
+        try {
+            return hashValue(`${this.buildKey}:${templatePath}:${JSON.stringify(data)}`)
+        } catch (error) {
+            // Circular data can't be fingerprinted, the output will always be rendered
+            return null
+        }
+    }
+
+    /**
+     * Check if an output is up to date with the previous build
+     * @param {string} outputPath - Output file path
+     * @param {string|null} fingerprint - Fingerprint of the output for this build
+     * @returns {boolean} True if the output can be skipped
+     */
+    isUpToDate(outputPath, fingerprint) {
+        if (!fingerprint || !this.previous) return false
+
+        const previousOutput = this.previous.outputs?.[this.getKey(outputPath)]
+        return previousOutput?.fingerprint === fingerprint && existsSync(outputPath)
+    }
+
+    /**
+     * Record an output of this build
+     * @param {string} outputPath - Output file path
+     * @param {Object} [entry] - Output details
+     * @param {string|null} [entry.fingerprint] - Fingerprint of the output
+     * @param {Array<string>} [entry.sources] - Content keys the output depends on
+     */
+    record(outputPath, { fingerprint = null, sources = [] } = {}) {
+        this.outputs[this.getKey(outputPath)] = { fingerprint, sources }
+    }
+
+    /**
+     * Check if this build produced an output
+     * @param {string} outputPath - Output file path
+     * @returns {boolean} True if the output was recorded
+     */
+    hasOutput(outputPath) {
+        return this.getKey(outputPath) in this.outputs
+    }
+
+    /**
+     * Get the outputs of the previous build that were not produced by this one
+     * @returns {Array<string>} Output paths
+     */
+    getStaleOutputs() {
+        return Object.keys(this.previous?.outputs || {})
+            .filter((key) => !(key in this.outputs))
+            .map((key) => join(this.outputDir, key))
+    }
+
+    /**
+     * Delete stale outputs and the directories they leave empty
+     * @returns {Promise<number>} Number of deleted files
+     */
+    async deleteStaleOutputs() {
+        const staleOutputs = this.getStaleOutputs()
+
+        for (const outputPath of staleOutputs) {
+            await rm(outputPath, { force: true })
+
+            // Remove parent directories left empty (e.g. post/<slug>/ with clean URLs)
+            let dir = dirname(outputPath)
+            while (dir.startsWith(this.outputDir) && relative(this.outputDir, dir) !== "") {
+                try {
+                    await rmdir(dir)
+                } catch (error) {
+                    break // Not empty
+                }
+                dir = dirname(dir)
+            }
+        }
+
+        return staleOutputs.length
+    }
+
+    /**
+     * Save the manifest of this build
+     */
+    async save() {
+        const manifest = {
+            version: MANIFEST_VERSION,
+            generatedAt: new Date().toISOString(),
+            buildKey: this.buildKey,
+            templates: this.templates,
+            content: this.content,
+            outputs: this.outputs,
+        }
+
+        await writeFile(this.path, JSON.stringify(manifest))
+    }
+}
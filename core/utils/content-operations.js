@@ -0,0 +1,228 @@
+import { getPagesBySlug } from "../lib/content/utils/content-utils.js"
+
+/**
+ * Content write operations shared by the REST and GraphQL APIs
+ *
+ * Creating, updating and deleting posts and pages runs the same validation,
+ * permission checks, filters (api_create_post, api_update_page...) and actions
+ * (post_created, page_deleted...) whichever API the request came through.
+ * Capability checks on the targeted item are left to the callers.
+ *
+ * @param {Object} systems - Core systems (contentManager, hookSystem, authManager)
+ * @returns {Object} Content operations
+ */
+export function createContentOperations({ contentManager, hookSystem, authManager }) {
+    /**
+     * Check that a custom page can be the child of its parent page
+     * Pages can be nested at any depth, as long as a page never becomes its own ancestor.
+     * @param {Object} metadata - Page metadata
+     * @param {string} [id] - ID of the updated page, whose saved metadata completes a partial update
+     * @returns {Promise<string|null>} Error message, or null if the parent is valid
+     */
+    const validateParentPage = async (metadata, id = null) => {
+        const pages = await contentManager.getPages({ frontmatterOnly: true })
+        const current = id ? pages.find((page) => page.frontmatter.id === id)?.frontmatter : null
+        const page = { ...current, ...metadata }
+
+        if (page.pageType !== "custom" || !page.parentPage) {
+            return null
+        }
+
+        // Validate that the parent page exists and is also a custom page
+        const pagesBySlug = getPagesBySlug(pages)
+        const parentPage = pagesBySlug.get(page.parentPage)
+
+        if (!parentPage || parentPage.pageType !== "custom") {
+            return "Parent page must be a valid custom page"
+        }
+
+        // Children reference the page by its saved slug until they are updated
+        const pageSlugs = new Set([page.slug, current?.slug].filter(Boolean))
+
+        // Check for circular references
+        if (pageSlugs.has(page.parentPage)) {
+            return "A page cannot be its own parent"
+        }
+
+        // Walk up from the new parent, reaching the page means it would become its own ancestor
+        const visited = new Set()
+        let ancestor = parentPage
+
+        while (ancestor && !visited.has(ancestor.slug)) {
+            if (pageSlugs.has(ancestor.slug)) {
+                return "This would create a circular parent relationship"
+            }
+
+            visited.add(ancestor.slug)
+            ancestor = pagesBySlug.get(ancestor.parentPage)
+        }
+
+        return null
+    }
+
+    return {
+        /**
+         * Create a post or page
+         * @param {string} contentType - Type of content ('post' or 'page')
+         * @param {Object} contentData - Content data ({ metadata, content })
+         * @param {Object} user - Current user
+         * @returns {Promise<Object>} { success, item } or { success: false, status, error, code, slug }
+         */
+        async createContent(contentType, contentData, user) {
+            const { metadata } = contentData
+
+            // Validate required fields
+            if (!metadata?.title || !metadata?.slug) {
+                return { success: false, status: 400, error: "Title is required" }
+            }
+
+            // Set the author to the current user if not provided
+            if (!metadata.author && user) {
+                contentData.author = user.username
+            }
+
+            // Check that the user may publish and set the author
+            const permissionError = enforceContentPermissions(authManager, user, `${contentType}s`, metadata)
+            if (permissionError) {
+                return { success: false, status: 403, error: permissionError }
+            }
+
+            // Handle parent page for custom pages
+            const parentError = contentType === "page" ? await validateParentPage(metadata) : null
+            if (parentError) {
+                return { success: false, status: 400, error: parentError }
+            }
+
+            // Check if an item with this slug already exists
+            const existingContent = await contentManager.getContentByProperty(contentType, "slug", metadata.slug)
+
+            if (existingContent) {
+                return {
+                    success: false,
+                    status: 409,
+                    error: `A ${contentType} with this slug already exists`,
+                    code: "DUPLICATE_SLUG",
+                    slug: metadata.slug,
+                }
+            }
+
+            // Apply filters to the data before creation
+            const filteredData = await hookSystem.applyFiltersAsync(`api_create_${contentType}`, contentData)
+
+            const options = { user: user?.username }
+            const item =
+                contentType === "post"
+                    ? await contentManager.createPost(filteredData, options)
+                    : await contentManager.createPage(filteredData, options)
+
+            // Run action hook after creation
+            await hookSystem.doActionAsync(`${contentType}_created`, item)
+
+            return { success: true, item }
+        },
+
+        /**
+         * Update a post or page
+         * @param {string} contentType - Type of content ('post' or 'page')
+         * @param {string} id - Content ID
+         * @param {Object} contentData - Content data ({ metadata, content })
+         * @param {Object} user - Current user
+         * @returns {Promise<Object>} { success, item } or { success: false, status, error, code, slug }
+         */
+        async updateContent(contentType, id, contentData, user) {
+            const metadata = contentData.metadata || {}
+
+            // Check that the user may publish and set the author
+            const permissionError = enforceContentPermissions(authManager, user, `${contentType}s`, metadata)
+            if (permissionError) {
+                return { success: false, status: 403, error: permissionError }
+            }
+
+            // Only check for duplicate slug if it's been changed
+            if (metadata.slug) {
+                // Check if another item with this slug already exists (excluding the current one)
+                const existingContent = await contentManager.getContentByProperty(contentType, "slug", metadata.slug)
+
+                if (existingContent && existingContent.frontmatter.id !== id) {
+                    return {
+                        success: false,
+                        status: 409,
+                        error: `Another ${contentType} with this slug already exists`,
+                        code: "DUPLICATE_SLUG",
+                        slug: metadata.slug,
+                    }
+                }
+            }
+
+            // Handle parent page for custom pages
+            const parentError = contentType === "page" ? await validateParentPage(metadata, id) : null
+            if (parentError) {
+                return { success: false, status: 400, error: parentError }
+            }
+
+            // Apply filters to the data before update
+            const filteredData = await hookSystem.applyFiltersAsync(`api_update_${contentType}`, contentData, id)
+
+            const options = { user: user?.username }
+            const item =
+                contentType === "post"
+                    ? await contentManager.updatePost(id, filteredData, options)
+                    : await contentManager.updatePage(id, filteredData, options)
+
+            if (!item) {
+                return { success: false, status: 404, error: `${contentType === "post" ? "Post" : "Page"} not found` }
+            }
+
+            // Run action hook after update
+            await hookSystem.doActionAsync(`${contentType}_updated`, item)
+
+            return { success: true, item }
+        },
+
+        /**
+         * Delete a post or page
+         * @param {string} contentType - Type of content ('post' or 'page')
+         * @param {string} id - Content ID
+         * @returns {Promise<Object>} { success } or { success: false, status, error }
+         */
+        async deleteContent(contentType, id) {
+            // Run action hook before deletion
+            await hookSystem.doActionAsync(`pre_${contentType}_delete`, id)
+
+            const deleted =
+                contentType === "post" ? await contentManager.deletePost(id) : await contentManager.deletePage(id)
+
+            if (!deleted) {
+                return { success: false, status: 404, error: `${contentType === "post" ? "Post" : "Page"} not found` }
+            }
+
+            // Run action hook after deletion
+            await hookSystem.doActionAsync(`${contentType}_deleted`, id)
+
+            return { success: true }
+        },
+    }
+}
+
+/**
+ * Check what a user may set when saving content.
+ * Users who can't edit the content of others always save it under their own name,
+ * and only users allowed to publish can make content live.
+ * @param {Object} authManager - Authentication manager
+ * @param {Object} user - Current user
+ * @param {string} contentType - 'posts' or 'pages'
+ * @param {Object} metadata - Submitted metadata (the author is set in place)
+ * @returns {string|null} Error message, or null if the user may save the content
+ */
+export function enforceContentPermissions(authManager, user, contentType, metadata = {}) {
+    if (!authManager.can(user, `edit_others_${contentType}`)) {
+        metadata.author = user.username
+    }
+
+    const isLive = metadata.status === "published" || metadata.status === "scheduled"
+    if (isLive && !authManager.can(user, `publish_${contentType}`)) {
+        return `You are not allowed to publish ${contentType}`
+    }
+
+    return null
+}
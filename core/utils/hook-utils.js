@@ -1,3 +1,6 @@
+import { addResponsiveImages } from "./image-utils.js"
+import { UPLOADS_PATH } from "../lib/store/utils/path-utils.js"
+
 /**
  * Sets up filtering hooks for optimizing content API responses
  *
@@ -15,76 +18,22 @@ export function setupContentOptimizationHooks(hookSystem) {
      * - frontmatterOnly=true - Returns only frontmatter data
      * - properties=id,title,slug - Returns only specified frontmatter properties
      */
-    hookSystem.addFilter("api_posts", (posts, req) => {
-        // Check if frontmatterOnly parameter is present
-        const frontmatterOnly = req.queryParams?.get("frontmatterOnly") === "true"
-
-        // Check if specific properties are requested
-        const properties = req.queryParams?.get("properties")
-
-        if (frontmatterOnly) {
-            // Return posts with only frontmatter
-            return posts.map((post) => {
-                const { frontmatter } = post
-
-                // If specific properties are requested, filter the frontmatter
-                if (properties) {
-                    const propArray = properties.split(",").map((prop) => prop.trim())
-                    const filteredFrontmatter = {}
-
-                    // Only include requested properties
-                    propArray.forEach((prop) => {
-                        if (frontmatter.hasOwnProperty(prop)) {
-                            filteredFrontmatter[prop] = frontmatter[prop]
-                        }
-                    })
-
-                    return filteredFrontmatter
-                }
-
-                // Return all frontmatter if no specific properties requested
-                return frontmatter
-            })
-        }
-
-        // If not frontmatterOnly, return unmodified posts
-        return posts
-    })
+    hookSystem.addFilter("api_posts", (posts, req) => posts.map((post) => shapeContentItem(post, req)))
 
     /**
      * Filter for pages endpoint that optimizes response payload
      * Supports the same query parameters as the posts filter
      */
-    hookSystem.addFilter("api_pages", (pages, req) => {
-        // Check if frontmatterOnly parameter is present
-        const frontmatterOnly = req.queryParams?.get("frontmatterOnly") === "true"
-
-        // Check if specific properties are requested
-        const properties = req.queryParams?.get("properties")
-
-        if (frontmatterOnly) {
-            return pages.map((page) => {
-                const { frontmatter } = page
-
-                if (properties) {
-                    const propArray = properties.split(",").map((prop) => prop.trim())
-                    const filteredFrontmatter = {}
-
-                    propArray.forEach((prop) => {
-                        if (frontmatter.hasOwnProperty(prop)) {
-                            filteredFrontmatter[prop] = frontmatter[prop]
-                        }
-                    })
+    hookSystem.addFilter("api_pages", (pages, req) => pages.map((page) => shapeContentItem(page, req)))
 
-                    return filteredFrontmatter
-                }
-
-                return frontmatter
-            })
-        }
-
-        return pages
-    })
+    /**
+     * Filters for the public content API (lists and single items)
+     * Support the same query parameters as the posts filter
+     */
+    hookSystem.addFilter("api_public_posts", (posts, req) => posts.map((post) => shapeContentItem(post, req)))
+    hookSystem.addFilter("api_public_pages", (pages, req) => pages.map((page) => shapeContentItem(page, req)))
+    hookSystem.addFilter("api_public_post", (post, req) => shapeContentItem(post, req))
+    hookSystem.addFilter("api_public_page", (page, req) => shapeContentItem(page, req))
 
     /**
      * Filter hook to optimize API post responses with related posts data
@@ -127,3 +76,164 @@ export function setupContentOptimizationHooks(hookSystem) {
         return post
     })
 }
+
+/**
+ * Shape a content item according to the frontmatterOnly and properties query parameters
+ * @param {Object} item - Content item ({ frontmatter, content })
+ * @param {Object} req - The request object containing query parameters
+ * @returns {Object} The item unchanged, its frontmatter, or the requested frontmatter properties
+ */
+function shapeContentItem(item, req) {
+    // Check if frontmatterOnly parameter is present
+    if (req.queryParams?.get("frontmatterOnly") !== "true") {
+        return item
+    }
+
+    const { frontmatter } = item
+
+    // Check if specific properties are requested
+    const properties = req.queryParams?.get("properties")
+
+    // Return all frontmatter if no specific properties requested
+    if (!properties) {
+        return frontmatter
+    }
+
+    // Only include requested properties
+    const filteredFrontmatter = {}
+    properties
+        .split(",")
+        .map((prop) => prop.trim())
+        .forEach((prop) => {
+            if (frontmatter.hasOwnProperty(prop)) {
+                filteredFrontmatter[prop] = frontmatter[prop]
+            }
+        })
+
+    return filteredFrontmatter
+}
+
+/**
+ * Keeps the full-text search index in sync with content changes
+ *
+ * Registers action hooks so that every created, updated, restored, published
+ * or deleted post and page is re-indexed without rebuilding the whole index.
+ *
+ * @param {Object} hookSystem - The hook system instance for registering actions
+ * @param {Object} contentManager - The content manager holding the search index
+ */
+export function setupSearchIndexHooks(hookSystem, contentManager) {
+    for (const contentType of ["post", "page"]) {
+        // Created and updated items carry their full data
+        hookSystem.addAction(`${contentType}_created`, (item) => contentManager.indexContent(item, contentType))
+        hookSystem.addAction(`${contentType}_updated`, (item) => contentManager.indexContent(item, contentType))
+
+        // Deleted items only carry their ID
+        hookSystem.addAction(`${contentType}_deleted`, (id) => contentManager.removeFromSearchIndex(id, contentType))
+    }
+
+    /**
+     * Bulk actions run one hook per item
+     * Published and drafted items are re-indexed, deleted ones are removed
+     */
+    const reindexBulkItem = ({ contentType, id, result }) => {
+        const singularType = contentType.slice(0, -1)
+
+        if (result && typeof result === "object") {
+            contentManager.indexContent(result, singularType)
+        } else if (result === true) {
+            contentManager.removeFromSearchIndex(id, singularType)
+        }
+    }
+
+    hookSystem.addAction("bulk_publish_item", reindexBulkItem)
+    hookSystem.addAction("bulk_draft_item", reindexBulkItem)
+    hookSystem.addAction("bulk_delete_item", reindexBulkItem)
+}
+
+/**
+ * Sends content, media and settings events to the webhook endpoints
+ * Payloads carry the public data of the changed item (no file paths)
+ *
+ * @param {Object} hookSystem - The hook system instance for registering actions
+ * @param {Object} webhookManager - The webhook manager sending the events
+ */
+export function setupWebhookHooks(hookSystem, webhookManager) {
+    // Content hooks receive flat items ({ ...frontmatter, content, type })
+    const toPayload = ({ content, type, ...frontmatter }) => ({ frontmatter, content })
+
+    for (const contentType of ["post", "page"]) {
+        hookSystem.addAction(`${contentType}_created`, (item) =>
+            webhookManager.dispatch(`${contentType}.created`, toPayload(item))
+        )
+        hookSystem.addAction(`${contentType}_updated`, (item) =>
+            webhookManager.dispatch(`${contentType}.updated`, toPayload(item))
+        )
+
+        // Deleted items only carry their ID
+        hookSystem.addAction(`${contentType}_deleted`, (id) =>
+            webhookManager.dispatch(`${contentType}.deleted`, { id })
+        )
+    }
+
+    // One event per bulk action rather than one per item
+    hookSystem.addAction("post_bulk_operation", ({ contentType, action, results }) =>
+        webhookManager.dispatch("content.bulk", {
+            contentType,
+            action,
+            items: results.map(({ id, success }) => ({ id, success })),
+        })
+    )
+
+    // Media payloads leave out the location of the file on the server
+    const toMediaPayload = ({ path, ...file }) => file
+
+    hookSystem.addAction("media_uploaded", (file) => webhookManager.dispatch("media.uploaded", toMediaPayload(file)))
+    hookSystem.addAction("media_updated", (file) => webhookManager.dispatch("media.updated", toMediaPayload(file)))
+    hookSystem.addAction("media_deleted", (id) => webhookManager.dispatch("media.deleted", { id }))
+
+    hookSystem.addAction("settings_updated", (settings) => webhookManager.dispatch("settings.updated", settings))
+}
+
+/**
+ * Adds the srcset, sizes and <picture> sources of uploaded images to template data
+ *
+ * Runs after the template_data filters with the default priority, so images they add are included.
+ * Themes and plugins set the sizes attribute with the "image_sizes" filter, which gets the
+ * default value, the image reference and the template name.
+ *
+ * @param {Object} hookSystem - The hook system instance for registering filters
+ * @param {Object} fileStorage - The file storage holding the image metadata
+ */
+export function setupResponsiveImageHooks(hookSystem, fileStorage) {
+    hookSystem.addFilter(
+        "template_data",
+        (data, templateName) =>
+            addResponsiveImages(data, fileStorage, (image) =>
+                hookSystem.applyFiltersAsync("image_sizes", "100vw", image, templateName)
+            ),
+        20
+    )
+}
+
+/**
+ * Rewrites the links to uploads in rendered content when they are served from another URL
+ *
+ * The editor inserts /content/uploads/... URLs, which the site always serves. With a public
+ * URL (UPLOADS_PUBLIC_URL, e.g. a CDN), pages link to it instead. Nothing is registered otherwise.
+ *
+ * @param {Object} hookSystem - The hook system instance for registering filters
+ * @param {Object} fileStorage - The file storage giving the public URL of the uploads
+ */
+export function setupUploadUrlHooks(hookSystem, fileStorage) {
+    if (fileStorage.publicUrl === UPLOADS_PATH) return
+
+    // Only URLs in attributes (src, srcset, href) or at the start of a srcset candidate
+    const uploadUrl = new RegExp(`(["'\\s,(])${UPLOADS_PATH}/`, "g")
+
+    hookSystem.addFilter("template_data", (data) => {
+        if (typeof data?.content !== "string" || !data.content.includes(UPLOADS_PATH)) return data
+
+        return { ...data, content: data.content.replace(uploadUrl, `$1${fileStorage.publicUrl}/`) }
+    })
+}
@@ -0,0 +1,146 @@
+/**
+ * Responsive image utilities
+ * Images referenced in template data ({ url: "/images/..." }, like featuredImage) get the srcset,
+ * sizes and <picture> sources of their variants, so themes don't have to serve the originals.
+ */
+import { UPLOADS_PATH } from "../lib/store/utils/path-utils.js"
+
+// Order in which <picture> sources are listed, the browser uses the first format it supports
+const SOURCE_FORMATS = ["avif", "webp"]
+
+// Objects deeper than this in template data are not searched for images
+const MAX_DEPTH = 8
+
+/**
+ * Build the srcset attribute of an image in one format
+ * @param {Array<Object>} candidates - Variants (and the original) in that format ({ url, width })
+ * @param {string} [baseUrl] - URL prefix of the uploads (a CDN URL, or /content/uploads)
+ * @returns {string} srcset attribute value
+ */
+export function buildSrcset(candidates, baseUrl = UPLOADS_PATH) {
+    return [...candidates]
+        .sort((a, b) => a.width - b.width)
+        .map((candidate) => `${baseUrl}${candidate.url} ${candidate.width}w`)
+        .join(", ")
+}
+
+/**
+ * Get the responsive attributes of an uploaded image
+ * @param {Object} image - Image reference ({ url, alt... })
+ * @param {Object} metadata - Stored image metadata ({ width, height, format, variants })
+ * @param {string} sizes - sizes attribute value
+ * @param {string} [baseUrl] - URL prefix of the uploads (a CDN URL, or /content/uploads)
+ * @returns {Object} The image reference with src, width, height, dominantColor, srcset, sizes and sources
+ *   ([{ type, srcset, sizes }])
+ */
+export function getResponsiveImage(image, metadata, sizes, baseUrl = UPLOADS_PATH) {
+    const variants = metadata.variants || []
+
+    // The dominant color can fill the space of the image while it loads
+    const properties = {
+        src: `${baseUrl}${image.url}`,
+        width: metadata.width,
+        height: metadata.height,
+        dominantColor: metadata.dominantColor,
+    }
+
+    if (variants.length === 0) {
+        return { ...image, ...properties }
+    }
+
+    // Variants of the fallback format are in the format of the original, unless browsers can't show it (TIFF)
+    const fallbackFormat =
+        variants.find((variant) => !SOURCE_FORMATS.includes(variant.format))?.format || metadata.format
+    const fallbacks = variants.filter((variant) => variant.format === fallbackFormat)
+
+    // The original is the widest candidate of its format
+    if (metadata.format === fallbackFormat) {
+        fallbacks.push({ url: image.url, width: metadata.width })
+    }
+
+    const srcset = buildSrcset(fallbacks, baseUrl)
+
+    const sources = SOURCE_FORMATS.filter((format) => format !== fallbackFormat)
+        .map((format) => ({
+            type: `image/${format}`,
+            srcset: buildSrcset(
+                variants.filter((variant) => variant.format === format),
+                baseUrl
+            ),
+            sizes, // Repeated so loops over the sources can use it
+        }))
+        .filter((source) => source.srcset)
+
+    return { ...image, ...properties, srcset, sizes, sources }
+}
+
+/**
+ * Add responsive attributes to the images referenced in template data
+ * Objects are copied where an image is found, the content they come from is left untouched.
+ * @param {Object} data - Template data
+ * @param {Object} fileStorage - FileStorage instance
+ * @param {Function} getSizes - Returns the sizes attribute of an image (called with the image reference)
+ * @returns {Promise<Object>} Template data with responsive images
+ */
+export async function addResponsiveImages(data, fileStorage, getSizes) {
+    // Several items often share an image, read its metadata once
+    const metadataCache = new Map()
+
+    const getMetadata = (filename) => {
+        if (!metadataCache.has(filename)) {
+            metadataCache.set(filename, fileStorage.metadataManager.getMetadata("image", filename))
+        }
+        return metadataCache.get(filename)
+    }
+
+    const visit = async (value, depth) => {
+        if (depth > MAX_DEPTH || !isPlainObjectOrArray(value)) return value
+
+        if (isImageReference(value)) {
+            const metadata = await getMetadata(value.url.slice("/images/".length))
+            return getResponsiveImage(value, metadata, await getSizes(value), fileStorage.publicUrl)
+        }
+
+        let copy = null
+
+        for (const [key, child] of Object.entries(value)) {
+            const visited = await visit(child, depth + 1)
+
+            if (visited !== child) {
+                copy ??= Array.isArray(value) ? [...value] : { ...value }
+                copy[key] = visited
+            }
+        }
+
+        return copy || value
+    }
+
+    return visit(data, 0)
+}
+
+/**
+ * Check if a value is an object or array worth searching
+ * @param {any} value - Value to check
+ * @returns {boolean} True for arrays and plain objects
+ */
+function isPlainObjectOrArray(value) {
+    if (Array.isArray(value)) return true
+    if (!value || typeof value !== "object") return false
+
+    const prototype = Object.getPrototypeOf(value)
+    return prototype === Object.prototype || prototype === null
+}
+
+/**
+ * Check if an object references an uploaded image (and not one of its variants)
+ * @param {Object} value - Object to check
+ * @returns {boolean} True if the object has the URL of an uploaded image
+ */
+function isImageReference(value) {
+    return (
+        !Array.isArray(value) &&
+        typeof value.url === "string" &&
+        /^\/images\/[^/]+$/.test(value.url) &&
+        !value.url.endsWith(".svg")
+    )
+}
@@ -1,3 +1,5 @@
+import { getContentPath, getPagesBySlug } from "../lib/content/utils/content-utils.js"
+
 /**
  * Generates pagination URLs based on context and pagination data
  * @param {Object} params - Parameters for URL generation
@@ -6,17 +8,27 @@
  * @param {string} params.slug - The slug for the current content
  * @param {Object} params.pagination - The pagination data object
  * @param {boolean} params.cleanUrls - Whether to use clean URLs (no .html extension)
+ * @param {Object} [params.queryParams] - Extra query parameters kept in dynamic URLs (e.g. { q: "search terms" })
  * @returns {Object} Object containing all pagination URLs
  */
-export function generatePaginationUrls({ isGenerateStatic, contentType, slug, pagination, cleanUrls = true }) {
+export function generatePaginationUrls({
+    isGenerateStatic,
+    contentType,
+    slug,
+    pagination,
+    cleanUrls = true,
+    queryParams = {},
+}) {
     // For dynamic sites, we just use query parameters
     if (!isGenerateStatic) {
+        const pageUrl = (page) => `?${new URLSearchParams({ ...queryParams, page }).toString()}`
+
         return {
-            first: `?page=1`,
-            prev: pagination.prevPage ? `?page=${pagination.prevPage}` : null,
-            current: `?page=${pagination.currentPage}`,
-            next: pagination.nextPage ? `?page=${pagination.nextPage}` : null,
-            last: `?page=${pagination.totalPages}`,
+            first: pageUrl(1),
+            prev: pagination.prevPage ? pageUrl(pagination.prevPage) : null,
+            current: pageUrl(pagination.currentPage),
+            next: pagination.nextPage ? pageUrl(pagination.nextPage) : null,
+            last: pageUrl(pagination.totalPages),
         }
     }
 
@@ -91,10 +103,9 @@ export function enhancedFormatPagination(pagination, options) {
  *
  * @param {Object} contentPage - The current content page for which sibling navigation is being built.
  * @param {Object} contentManager - The content manager instance for fetching all custom pages.
- * @param {Object} req - The request object to build the sibling URLs.
  * @returns {Object|null} - Returns an object containing sibling navigation (siblings, prev, next, parentTitle), or null if no sibling navigation is found.
  */
-export async function getSiblingCustomPagesNavigation(contentPage, contentManager, req) {
+export async function getSiblingCustomPagesNavigation(contentPage, contentManager) {
     let siblingNavigation = null
 
     // Ensure there's a content page
@@ -146,11 +157,8 @@ export async function getSiblingCustomPagesNavigation(contentPage, contentManage
                     )
 
                     // Step 7: Build URL for a sibling page
-                    const buildSiblingUrl = (page) => {
-                        const currentPath = req.url.split("/").filter(Boolean)
-                        const siblingPath = [...currentPath.slice(0, -1), page.frontmatter.slug]
-                        return `/${siblingPath.join("/")}`
-                    }
+                    const pagesBySlug = getPagesBySlug(allCustomPages)
+                    const buildSiblingUrl = (page) => getContentPath(page.frontmatter, "page", pagesBySlug)
 
                     // Step 8: Build the sibling navigation object
                     siblingNavigation = {
@@ -206,6 +214,7 @@ export function buildSiblingCustomPagesNavigation(customPages) {
     // Step 1: Build lookup maps for efficient access
     const slugToPageMap = new Map()
     const pagesByParent = new Map()
+    const pagesBySlug = getPagesBySlug(customPages)
 
     for (const page of customPages) {
         const { slug, parentPage } = page.frontmatter
@@ -252,7 +261,7 @@ export function buildSiblingCustomPagesNavigation(customPages) {
                 siblings: siblingPages.map((page) => ({
                     title: page.frontmatter.title,
                     slug: page.frontmatter.slug,
-                    url: buildPageUrl(page, customPages),
+                    url: getContentPath(page.frontmatter, "page", pagesBySlug),
                     active: page.frontmatter.slug === currentSlug,
                     order: page.generatedOrder,
                 })),
@@ -261,7 +270,7 @@ export function buildSiblingCustomPagesNavigation(customPages) {
                         ? {
                               title: siblingPages[i - 1].frontmatter.title,
                               slug: siblingPages[i - 1].frontmatter.slug,
-                              url: buildPageUrl(siblingPages[i - 1], customPages),
+                              url: getContentPath(siblingPages[i - 1].frontmatter, "page", pagesBySlug),
                               order: siblingPages[i - 1].generatedOrder,
                           }
                         : null,
@@ -270,7 +279,7 @@ export function buildSiblingCustomPagesNavigation(customPages) {
                         ? {
                               title: siblingPages[i + 1].frontmatter.title,
                               slug: siblingPages[i + 1].frontmatter.slug,
-                              url: buildPageUrl(siblingPages[i + 1], customPages),
+                              url: getContentPath(siblingPages[i + 1].frontmatter, "page", pagesBySlug),
                               order: siblingPages[i + 1].generatedOrder,
                           }
                         : null,
@@ -284,24 +293,3 @@ export function buildSiblingCustomPagesNavigation(customPages) {
 
     return navigationMap
 }
-
-/**
- * Helper function to build the full URL path for a page in SSG context
- */
-function buildPageUrl(page, allPages) {
-    const parentChain = []
-    let currentPage = page
-
-    // Build the parent chain by traversing up
-    while (currentPage.frontmatter.parentPage) {
-        const parent = allPages.find((p) => p.frontmatter.slug === currentPage.frontmatter.parentPage)
-        if (!parent) break
-
-        parentChain.unshift(parent.frontmatter.slug)
-        currentPage = parent
-    }
-
-    // Create the nested URL path
-    const pathParts = [...parentChain, page.frontmatter.slug]
-    return `/${pathParts.join("/")}`
-}
@@ -1,7 +1,9 @@
 import { createAetherBarHtml } from "./aether-bar-utils.js"
+import { getBreadcrumbs, getSiteUrl, getStructuredData, toJsonLdScript } from "./structured-data-utils.js"
 
 /**
  * Prepares template data with common properties
+ * Every route gets its breadcrumbs and a JSON-LD script (jsonLd) describing the site and the page.
  * @param {Object} req - The request object
  * @param {Object} themeManager - The theme manager instance
  * @param {Object} siteSettings - The site settings
@@ -34,6 +36,15 @@ export async function prepareTemplateData(req, themeManager, siteSettings, addit
         aetherBarInjection = aetherBarComponents.html
     }
 
+    // Structured data uses absolute URLs, from the site settings or the request
+    const breadcrumbs = getBreadcrumbs(additionalData)
+    const structuredData = getStructuredData({
+        data: additionalData,
+        siteSettings,
+        siteUrl: getSiteUrl(req, siteSettings),
+        breadcrumbs,
+    })
+
     const baseData = {
         site: siteSettings,
         theme: activeTheme,
@@ -41,6 +52,9 @@ export async function prepareTemplateData(req, themeManager, siteSettings, addit
         currentUser: req.currentUser,
         aetherBar: aetherBarInjection,
         ...additionalData,
+        breadcrumbs,
+        structuredData,
+        jsonLd: toJsonLdScript(structuredData),
     }
 
     // Add menu data to template
@@ -52,10 +66,10 @@ export async function prepareTemplateData(req, themeManager, siteSettings, addit
  * @param {Object} hookSystem - The hook system instance
  * @param {Object} data - The template data
  * @param {string} templateName - The template name
- * @returns {Object} The processed template data
+ * @returns {Promise<Object>} The processed template data
  */
-export function processTemplateData(hookSystem, data, templateName) {
-    return hookSystem.applyFilters("template_data", data, templateName)
+export async function processTemplateData(hookSystem, data, templateName) {
+    return hookSystem.applyFiltersAsync("template_data", data, templateName)
 }
 
 /**
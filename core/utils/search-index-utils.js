@@ -0,0 +1,159 @@
+import { isPublished, markdownToPlainText } from "../lib/content/utils/content-utils.js"
+import { FIELD_WEIGHTS, STOP_WORDS, tokenize } from "../lib/content/utils/search-utils.js"
+
+/**
+ * Search index utilities for static sites
+ * Builds the compact JSON index queried by the client-side search script,
+ * since a statically generated site has no backend to run searches against
+ */
+
+// Bump when the index format changes so that clients can detect it
+export const SEARCH_INDEX_VERSION = 1
+
+/**
+ * Get the shard holding a term (terms are sharded by their first character)
+ * @param {string} term - Normalized term
+ * @returns {string} Shard key, safe to use in a file name
+ */
+export function getShardKey(term) {
+    return term.codePointAt(0).toString(36)
+}
+
+/**
+ * Build the plain text excerpt shown in search results
+ * @param {Object} frontmatter - Content frontmatter
+ * @param {string} content - Markdown content
+ * @returns {string} Excerpt
+ */
+function getExcerpt(frontmatter, content) {
+    if (frontmatter.excerpt) return frontmatter.excerpt
+    if (frontmatter.seoDescription) return frontmatter.seoDescription
+
+    const text = markdownToPlainText(content || "")
+        .replace(/<[^>]+>/g, " ")
+        .replace(/\s+/g, " ")
+        .trim()
+
+    return text.length > 160 ? `${text.slice(0, 160).replace(/\s+\S*$/, "")}…` : text
+}
+
+/**
+ * Build a static search index from published posts and pages
+ *
+ * The index lists the documents once and maps every term to a flat array of
+ * [documentIndex, weight, documentIndex, weight, ...] pairs. Only titles, tags,
+ * categories and excerpts are indexed to keep the file small.
+ *
+ * When the site has more documents than the shard threshold, the terms are split
+ * into shards by their first character, so that clients only download the shards
+ * matching the query.
+ *
+ * @param {Object} options - Index options
+ * @param {Array} options.posts - Array of posts ({ frontmatter, content })
+ * @param {Array} options.pages - Array of pages ({ frontmatter, content })
+ * @param {string} options.baseUrl - Base URL for the site
+ * @param {boolean} options.cleanUrls - Whether the site uses clean URLs (no .html extension)
+ * @param {Map<string, string>} [options.customPagePaths] - Custom page ID -> generated URL path
+ * @param {number} [options.shardThreshold=1000] - Number of documents above which the index is sharded
+ * @returns {Object} { index, shards } where shards maps a shard key to its terms
+ */
+export function buildStaticSearchIndex({
+    posts = [],
+    pages = [],
+    baseUrl = "",
+    cleanUrls = true,
+    customPagePaths = new Map(),
+    shardThreshold = 1000,
+}) {
+    // Ensure baseUrl has no trailing slash
+    baseUrl = baseUrl.replace(/\/$/, "")
+
+    const now = new Date()
+    const documents = []
+    const terms = new Map() // term -> [documentIndex, weight, ...]
+
+    const addDocument = (item, type, path) => {
+        const { frontmatter, content } = item
+        const tags = Array.isArray(frontmatter.tags)
+            ? frontmatter.tags
+            : typeof frontmatter.tags === "string"
+            ? frontmatter.tags.split(",").map((tag) => tag.trim())
+            : []
+        const excerpt = getExcerpt(frontmatter, content)
+
+        const fields = {
+            title: frontmatter.title || "",
+            tags: tags.join(" "),
+            category: frontmatter.category || "",
+            excerpt,
+        }
+
+        // Collect weighted term frequencies over all fields
+        const weights = new Map()
+        for (const [field, text] of Object.entries(fields)) {
+            for (const term of tokenize(text)) {
+                weights.set(term, (weights.get(term) || 0) + FIELD_WEIGHTS[field])
+            }
+        }
+
+        if (weights.size === 0) return
+
+        const documentIndex = documents.length
+        documents.push({
+            type,
+            title: frontmatter.title || "",
+            url: cleanUrls ? `${baseUrl}/${path}` : `${baseUrl}/${path}.html`,
+            excerpt,
+            tags,
+            category: frontmatter.category || null,
+            date: frontmatter.publishDate || frontmatter.createdAt || null,
+        })
+
+        for (const [term, weight] of weights) {
+            if (!terms.has(term)) {
+                terms.set(term, [])
+            }
+            terms.get(term).push(documentIndex, weight)
+        }
+    }
+
+    for (const post of posts) {
+        if (isPublished(post.frontmatter, now)) {
+            addDocument(post, "post", `post/${post.frontmatter.slug}`)
+        }
+    }
+
+    for (const page of pages) {
+        if (!isPublished(page.frontmatter, now)) continue
+
+        if (page.frontmatter.pageType !== "custom") {
+            addDocument(page, "page", `page/${page.frontmatter.slug}`)
+        } else if (customPagePaths.has(page.frontmatter.id)) {
+            // Only custom pages that were actually generated can be linked to
+            addDocument(page, "page", customPagePaths.get(page.frontmatter.id))
+        }
+    }
+
+    const index = {
+        version: SEARCH_INDEX_VERSION,
+        generatedAt: now.toISOString(),
+        stopWords: [...STOP_WORDS],
+        documents,
+    }
+
+    if (documents.length <= shardThreshold) {
+        index.terms = Object.fromEntries(terms)
+        return { index, shards: {} }
+    }
+
+    const shards = {}
+    for (const [term, postings] of terms) {
+        const key = getShardKey(term)
+        shards[key] = shards[key] || { terms: {} }
+        shards[key].terms[term] = postings
+    }
+
+    index.shards = Object.keys(shards).sort()
+
+    return { index, shards }
+}
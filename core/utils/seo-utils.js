@@ -1,4 +1,5 @@
 import { resolveTemplatePath } from "./template-utils.js"
+import { getContentPath, getPagesBySlug } from "../lib/content/utils/content-utils.js"
 
 /**
  * SEO utilities for generating RSS and sitemap files with intelligent sitemap detection
@@ -107,10 +108,7 @@ async function analyzeSiteStructure({ posts, pages, themeManager }) {
         )
 
         // Build parent-child relationships
-        const pagesBySlug = new Map()
-        customPages.forEach((page) => {
-            pagesBySlug.set(page.frontmatter.slug, page)
-        })
+        const pagesBySlug = getPagesBySlug(customPages)
 
         for (const page of customPages) {
             const slug = page.frontmatter.slug
@@ -142,26 +140,8 @@ async function analyzeSiteStructure({ posts, pages, themeManager }) {
             }
 
             // Build full path for nested pages
-            let fullPath = slug
-            let pathParts = [slug]
-
-            if (page.frontmatter.parentPage) {
-                const parentChain = []
-                let currentPage = page
-
-                // Build parent chain
-                while (currentPage.frontmatter.parentPage) {
-                    const parent = pagesBySlug.get(currentPage.frontmatter.parentPage)
-                    if (!parent) break
-                    parentChain.unshift(parent.frontmatter.slug)
-                    currentPage = parent
-                }
-
-                if (parentChain.length > 0) {
-                    pathParts = [...parentChain, slug]
-                    fullPath = pathParts.join("/")
-                }
-            }
+            const fullPath = getContentPath(page.frontmatter, "page", pagesBySlug).slice(1)
+            const pathParts = fullPath.split("/")
 
             const pageInfo = {
                 page,
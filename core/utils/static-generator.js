@@ -1,12 +1,37 @@
 import { join, dirname } from "node:path"
-import { mkdir, copyFile, readdir, writeFile, readFile } from "node:fs/promises"
+import { mkdir, copyFile, readdir, writeFile, readFile, rm, stat } from "node:fs/promises"
 import { existsSync } from "node:fs"
 import { generatePaginationUrls, buildSiblingCustomPagesNavigation } from "./pagination-utils.js"
 import { prepareTemplateData, processTemplateData } from "./route-utils.js"
 import { resolveTemplatePath, checkCustomTemplate, applyTemplateMetadata } from "./template-utils.js"
 import { generateRssXml, generateSitemapHtml, generateSitemapXml, generateRobotsTxt } from "./seo-utils.js"
+import { buildStaticSearchIndex } from "./search-index-utils.js"
+import { BuildManifest, hashThemeTemplates, hashValue } from "./build-manifest.js"
+import { escapeHtml } from "../lib/content/utils/search-utils.js"
+import {
+    getContentPath,
+    getPageAncestors,
+    getPageBreadcrumbs,
+    getPagesBySlug,
+} from "../lib/content/utils/content-utils.js"
 import { marked } from "marked"
 
+// Phases of a build, in the order they run
+export const GENERATION_PHASES = [
+    "prepare",
+    "homepage",
+    "posts",
+    "pages",
+    "taxonomies",
+    "customPages",
+    "seo",
+    "search",
+    "notFound",
+    "redirects",
+    "assets",
+    "cleanup",
+]
+
 /**
  * Generates a static site from the dynamic CMS content
  */
@@ -23,8 +48,18 @@ export class StaticSiteGenerator {
             outputDir: "_site",
             baseUrl: "/",
             cleanUrls: true, // Use directory/index.html pattern instead of .html files
+            searchIndex: true, // Write search-index.json for client-side search
+            searchShardThreshold: 1000, // Shard the search index above this number of documents
+            incremental: false, // Only re-render outputs whose content or templates changed
             ...options,
         }
+
+        // Custom page ID -> generated URL path, filled while generating custom pages
+        this.customPagePaths = new Map()
+
+        // Manifest of the outputs written by this build, loaded in generate()
+        this.manifest = null
+        this.stats = { rendered: 0, skipped: 0, written: 0, copied: 0, deleted: 0 }
     }
 
     /**
@@ -39,6 +74,7 @@ export class StaticSiteGenerator {
 
     /**
      * Generate the entire static site
+     * @returns {Promise<Object>} Counts of rendered, skipped, written, copied and deleted files
      */
     async generate() {
         console.log(`\n🔨 Starting static site generation to ${this.options.outputDir}`)
@@ -47,41 +83,172 @@ export class StaticSiteGenerator {
         // Create output directory
         await this.ensureDir(this.options.outputDir)
 
-        // Extract systems for easier access
-        const { contentManager, themeManager, hookSystem, settingsService } = this.systems
-
-        // Get site settings
-        const siteSettings = await contentManager.getSiteSettings()
+        // Load the previous build manifest and hash what the outputs depend on
+        await this.runPhase("prepare", () => this.prepareBuildManifest())
 
         // Generate the homepage
-        await this.generateHomepage()
+        await this.runPhase("homepage", () => this.generateHomepage())
 
         // Generate posts
-        await this.generatePosts()
+        await this.runPhase("posts", () => this.generatePosts())
 
         // Generate pages
-        await this.generatePages()
+        await this.runPhase("pages", () => this.generatePages())
 
         // Generate taxonomies (categories and tags)
-        await this.generateTaxonomies()
+        await this.runPhase("taxonomies", () => this.generateTaxonomies())
 
         // Generate custom pages
-        await this.generateCustomPages()
+        await this.runPhase("customPages", () => this.generateCustomPages())
 
         // Generate SEO files (RSS feed and sitemap)
-        await this.generateSeoFiles()
+        await this.runPhase("seo", () => this.generateSeoFiles())
+
+        // Generate the client-side search index
+        await this.runPhase("search", async () => {
+            if (this.options.searchIndex) {
+                await this.generateSearchIndex()
+            }
+        })
 
         // Generate 404 page
-        await this.generate404()
+        await this.runPhase("notFound", () => this.generate404())
 
-        // Copy theme assets (CSS, JS, images)
-        await this.copyThemeAssets()
+        // Generate redirect pages and server redirect files
+        await this.runPhase("redirects", () => this.generateRedirects())
 
-        // Copy uploads
-        await this.copyUploads()
+        // Copy theme assets (CSS, JS, images) and uploads
+        await this.runPhase("assets", async () => {
+            await this.copyThemeAssets()
+            await this.copyUploads()
+        })
+
+        await this.runPhase("cleanup", async () => {
+            // Delete outputs of the previous build that were not generated again (deleted or renamed content)
+            this.stats.deleted = await this.manifest.deleteStaleOutputs()
+
+            // Save the manifest for the next incremental build
+            await this.manifest.save()
+        })
 
+        console.log(
+            `Rendered ${this.stats.rendered} pages, skipped ${this.stats.skipped} unchanged pages, ` +
+                `copied ${this.stats.copied} files and deleted ${this.stats.deleted} stale files`
+        )
         console.timeEnd("Static site generation completed in")
         console.log(`✅ Static site generated successfully at ${this.options.outputDir}\n`)
+
+        return { ...this.stats }
+    }
+
+    /**
+     * Run a generation phase and report its progress
+     * @param {string} phase - Phase name (one of GENERATION_PHASES)
+     * @param {Function} task - Async function running the phase
+     */
+    async runPhase(phase, task) {
+        this.reportProgress(phase, "running")
+        await task()
+        this.reportProgress(phase, "done")
+    }
+
+    /**
+     * Report progress to the onProgress callback, if any
+     * @param {string} phase - Phase name
+     * @param {string} status - Phase status ('running' or 'done')
+     */
+    reportProgress(phase, status) {
+        if (typeof this.options.onProgress !== "function") return
+
+        try {
+            this.options.onProgress({ phase, status, phases: GENERATION_PHASES, files: { ...this.stats } })
+        } catch (error) {
+            console.error("Error reporting static generation progress:", error)
+        }
+    }
+
+    /**
+     * Load the manifest of the previous build and record the hashes of the theme templates and content
+     */
+    async prepareBuildManifest() {
+        const { contentManager, themeManager } = this.systems
+
+        this.manifest = new BuildManifest(this.options.outputDir)
+        const hasPreviousBuild = await this.manifest.load()
+
+        // Every output depends on the options that change URLs and on all theme templates,
+        // since partials can be included from anywhere
+        const activeTheme = themeManager.getActiveTheme()
+        const templates = activeTheme
+            ? await hashThemeTemplates(join(process.cwd(), "content/themes", activeTheme.name))
+            : {}
+
+        this.manifest.setBuildContext(
+            { baseUrl: this.options.baseUrl, cleanUrls: this.options.cleanUrls, theme: activeTheme?.name },
+            templates
+        )
+
+        // Hash the published content to report what changed since the previous build
+        const posts = await contentManager.getPosts({ status: "published" })
+        const pages = await contentManager.getPages({ status: "published" })
+        const contentHashes = {}
+
+        posts.forEach((post) => (contentHashes[`post:${post.frontmatter.id}`] = hashValue(post)))
+        pages.forEach((page) => (contentHashes[`page:${page.frontmatter.id}`] = hashValue(page)))
+
+        this.manifest.setContentHashes(contentHashes)
+
+        if (!this.options.incremental) return
+
+        if (!hasPreviousBuild) {
+            console.log("No previous build manifest found, generating the whole site")
+            return
+        }
+
+        const { added, changed, removed } = this.manifest.getContentChanges()
+        const templateChanges = this.manifest.getTemplateChanges()
+
+        console.log(
+            `Incremental build: ${added.length} added, ${changed.length} changed and ${removed.length} removed ` +
+                `content items, ${templateChanges.length} changed templates`
+        )
+    }
+
+    /**
+     * Render a template to an output file, unless the output is unchanged since the previous incremental build
+     * @param {string} templatePath - Template path
+     * @param {Object} data - Processed template data
+     * @param {string} outputPath - Output file path
+     * @param {Array<string>} [sources] - Content keys ("post:<id>", "page:<id>") the output depends on
+     * @returns {Promise<boolean>} True if the output was rendered
+     */
+    async renderOutput(templatePath, data, outputPath, sources = []) {
+        const fingerprint = this.manifest.fingerprint(templatePath, data)
+        const isUpToDate = this.options.incremental && this.manifest.isUpToDate(outputPath, fingerprint)
+
+        this.manifest.record(outputPath, { fingerprint, sources })
+
+        if (isUpToDate) {
+            this.stats.skipped++
+            return false
+        }
+
+        await this.ensureDir(dirname(outputPath))
+        await this.app.renderToFile(templatePath, data, outputPath)
+        this.stats.rendered++
+
+        return true
+    }
+
+    /**
+     * Write a generated file (feeds, sitemaps, indexes) and record it in the build manifest
+     * @param {string} outputPath - Output file path
+     * @param {string} data - File contents
+     */
+    async writeOutput(outputPath, data) {
+        await writeFile(outputPath, data)
+        this.manifest.record(outputPath)
+        this.stats.written++
     }
 
     /**
@@ -120,6 +287,7 @@ export class StaticSiteGenerator {
             isEditable: false,
             currentUser: null,
             queryParams: new Map(),
+            siteUrl: this.options.baseUrl, // Absolute URLs of the structured data
         }
 
         // Base template data
@@ -145,7 +313,7 @@ export class StaticSiteGenerator {
         const fullTemplateData = await prepareTemplateData(mockReq, themeManager, siteSettings, templateData)
 
         // Process data through hooks
-        const processedData = processTemplateData(hookSystem, fullTemplateData, "layout.html")
+        const processedData = await processTemplateData(hookSystem, fullTemplateData, "layout.html")
 
         // Determine output path
         const outputPath = join(this.options.outputDir, this.options.cleanUrls ? "index.html" : "index.html")
@@ -154,7 +322,7 @@ export class StaticSiteGenerator {
         await this.ensureDir(dirname(outputPath))
 
         // Render the template to a file
-        await this.app.renderToFile(templatePath, processedData, outputPath)
+        await this.renderOutput(templatePath, processedData, outputPath, getContentSources(allPosts))
 
         // If pagination is needed, generate additional pages
         if (allPosts.length > postsPerPage) {
@@ -190,7 +358,7 @@ export class StaticSiteGenerator {
                 })
 
                 // Process data through hooks
-                const processedData = processTemplateData(hookSystem, pageTemplateData, "layout.html")
+                const processedData = await processTemplateData(hookSystem, pageTemplateData, "layout.html")
 
                 // Determine output path
                 const pageOutputPath = join(
@@ -202,7 +370,7 @@ export class StaticSiteGenerator {
                 await this.ensureDir(dirname(pageOutputPath))
 
                 // Render the template to a file
-                await this.app.renderToFile(templatePath, processedData, pageOutputPath)
+                await this.renderOutput(templatePath, processedData, pageOutputPath, getContentSources(paginatedPosts))
             }
         }
     }
@@ -225,6 +393,7 @@ export class StaticSiteGenerator {
             isEditable: false,
             currentUser: null,
             queryParams: new Map(),
+            siteUrl: this.options.baseUrl, // Absolute URLs of the structured data
         }
 
         // Generate a static page for each post
@@ -266,10 +435,13 @@ export class StaticSiteGenerator {
             })
 
             // Process data through hooks
-            const processedData = processTemplateData(hookSystem, templateData, "post.html")
+            const processedData = await processTemplateData(hookSystem, templateData, "post.html")
 
             // Render the template to a file
-            await this.app.renderToFile(templatePath, processedData, outputPath)
+            await this.renderOutput(templatePath, processedData, outputPath, [
+                `post:${content.frontmatter.id}`,
+                ...getContentSources(content.frontmatter.relatedPosts || []),
+            ])
         }
     }
 
@@ -291,6 +463,7 @@ export class StaticSiteGenerator {
             isEditable: false,
             currentUser: null,
             queryParams: new Map(),
+            siteUrl: this.options.baseUrl, // Absolute URLs of the structured data
         }
 
         // Generate a static page for each page
@@ -332,10 +505,10 @@ export class StaticSiteGenerator {
             })
 
             // Process data through hooks
-            const processedData = processTemplateData(hookSystem, templateData, "page.html")
+            const processedData = await processTemplateData(hookSystem, templateData, "page.html")
 
             // Render the template to a file
-            await this.app.renderToFile(templatePath, processedData, outputPath)
+            await this.renderOutput(templatePath, processedData, outputPath, [`page:${content.frontmatter.id}`])
         }
     }
 
@@ -378,6 +551,7 @@ export class StaticSiteGenerator {
             isEditable: false,
             currentUser: null,
             queryParams: new Map(),
+            siteUrl: this.options.baseUrl, // Absolute URLs of the structured data
         }
 
         // Generate category pages
@@ -441,10 +615,10 @@ export class StaticSiteGenerator {
                 const fullTemplateData = await prepareTemplateData(mockReq, themeManager, siteSettings, templateData)
 
                 // Process data through hooks
-                const processedData = processTemplateData(hookSystem, fullTemplateData, "category.html")
+                const processedData = await processTemplateData(hookSystem, fullTemplateData, "category.html")
 
                 // Render the template to a file
-                await this.app.renderToFile(templatePath, processedData, pageOutputPath)
+                await this.renderOutput(templatePath, processedData, pageOutputPath, getContentSources(pageItems))
             }
 
             // Generate all paginated pages
@@ -522,10 +696,10 @@ export class StaticSiteGenerator {
                 const fullTemplateData = await prepareTemplateData(mockReq, themeManager, siteSettings, templateData)
 
                 // Process data through hooks
-                const processedData = processTemplateData(hookSystem, fullTemplateData, "tag.html")
+                const processedData = await processTemplateData(hookSystem, fullTemplateData, "tag.html")
 
                 // Render the template to a file
-                await this.app.renderToFile(templatePath, processedData, pageOutputPath)
+                await this.renderOutput(templatePath, processedData, pageOutputPath, getContentSources(pageItems))
             }
 
             // Generate all paginated pages
@@ -587,26 +761,16 @@ export class StaticSiteGenerator {
             isEditable: false,
             currentUser: null,
             queryParams: new Map(),
+            siteUrl: this.options.baseUrl, // Absolute URLs of the structured data
         }
 
-        // Build a map of parent pages for efficient lookups
-        const parentMap = new Map()
-        for (const page of filteredCustomPages) {
-            if (page.frontmatter.parentPage) {
-                const parent = filteredCustomPages.find((p) => p.frontmatter.slug === page.frontmatter.parentPage)
-                if (parent) {
-                    parentMap.set(page.frontmatter.slug, parent)
-                }
-            }
-        }
+        // Resolve parents among all published custom pages, as the CMS does
+        const pagesBySlug = getPagesBySlug(customPages)
 
         // Function to determine template for a custom page
-        const findTemplateForPage = async (page) => {
-            const slug = page.frontmatter.slug
-            const parentPath = getParentPath(page)
-
+        const findTemplateForPage = async (urlPath) => {
             // Build the full template pattern (e.g., docs-faqs-install)
-            const fullTemplatePattern = parentPath ? `${parentPath}-${slug}` : slug
+            const fullTemplatePattern = urlPath.replaceAll("/", "-")
 
             // Let resolveTemplatePath handle all the fallback logic
             const templatePath = await resolveTemplatePath({
@@ -624,62 +788,26 @@ export class StaticSiteGenerator {
             return templatePath
         }
 
-        // Function to get all parent slugs for a page (recursive)
-        const getParentPath = (page) => {
-            const parents = []
-            let currentPage = page
-
-            while (currentPage.frontmatter.parentPage) {
-                const parent = parentMap.get(currentPage.frontmatter.slug)
-                if (!parent) break
-
-                parents.unshift(parent.frontmatter.slug)
-                currentPage = parent
-
-                // Prevent infinite loops
-                if (parents.length > 10) break
-            }
-
-            return parents.join("-")
-        }
-
         // Generate each custom page
         for (const customPage of filteredCustomPages) {
             const slug = customPage.frontmatter.slug
 
+            // Build the URL path, nested under the parent pages
+            const urlPath = getContentPath(customPage.frontmatter, "page", pagesBySlug).slice(1)
+
             // Find the appropriate template for this page
-            const templatePath = await findTemplateForPage(customPage)
+            const templatePath = await findTemplateForPage(urlPath)
 
             if (!templatePath) {
                 console.warn(`Custom template for ${slug} not found, skipping from SSG...`)
                 continue
             }
 
-            // Build URL path
-            let urlPath = slug
-
-            // If this page has a parent, build the nested path
-            if (customPage.frontmatter.parentPage) {
-                const parentChain = []
-                let currentPage = customPage
-
-                // Build the parent chain by traversing up
-                while (currentPage.frontmatter.parentPage) {
-                    const parent = filteredCustomPages.find(
-                        (p) => p.frontmatter.slug === currentPage.frontmatter.parentPage
-                    )
-                    if (!parent) break
-
-                    parentChain.unshift(parent.frontmatter.slug)
-                    currentPage = parent
-                }
-
-                // Create the nested URL path
-                urlPath = parentChain.length > 0 ? `${parentChain.join("/")}/${slug}` : slug
-            }
-
             console.log(`Generating custom page: ${slug} at path: ${urlPath}`)
 
+            // Remember the path so that the search index can link to this page
+            this.customPagePaths.set(customPage.frontmatter.id, urlPath)
+
             // Determine output path with proper nesting
             const outputPath = join(
                 this.options.outputDir,
@@ -690,10 +818,7 @@ export class StaticSiteGenerator {
             await this.ensureDir(dirname(outputPath))
 
             // Get parent page data if exists
-            let parentPageData = null
-            if (customPage.frontmatter.parentPage) {
-                parentPageData = parentMap.get(customPage.frontmatter.slug)
-            }
+            const parentPageData = getPageAncestors(customPage.frontmatter, pagesBySlug).at(-1) || null
 
             // Get sibling navigation for this page
             const siblingNavigation = siblingNavigationMap.get(slug) || null
@@ -713,8 +838,8 @@ export class StaticSiteGenerator {
                 // Add parent page data
                 parentPage: parentPageData
                     ? {
-                          title: parentPageData.frontmatter.title,
-                          slug: parentPageData.frontmatter.slug,
+                          title: parentPageData.title,
+                          slug: parentPageData.slug,
                       }
                     : null,
                 // Add sibling navigation
@@ -723,52 +848,22 @@ export class StaticSiteGenerator {
 
             // Build breadcrumb navigation for nested pages
             if (parentPageData) {
-                const breadcrumbs = []
-                let currentPage = customPage
-
-                // Build all ancestors in reverse order first
-                const ancestors = []
-                while (currentPage.frontmatter.parentPage) {
-                    const parent = parentMap.get(currentPage.frontmatter.slug)
-                    if (!parent) break
-                    ancestors.unshift(parent) // Add to beginning of array
-                    currentPage = parent
-                }
-
-                // Now build breadcrumbs with correct order values
-                // Start with the topmost parent (order 0)
-                for (let i = 0; i < ancestors.length; i++) {
-                    const parent = ancestors[i]
-                    const parentPath = ancestors
-                        .slice(0, i)
-                        .map((p) => p.frontmatter.slug)
-                        .join("/")
-
-                    breadcrumbs.push({
-                        title: parent.frontmatter.title,
-                        slug: parentPath ? `/${parentPath}/${parent.frontmatter.slug}` : `/${parent.frontmatter.slug}`,
-                        order: i, // Order matches the level in hierarchy (0, 1, ...)
-                    })
-                }
-
-                // Add current page as the final breadcrumb
-                breadcrumbs.push({
-                    title: customPage.frontmatter.title,
-                    slug: `/${urlPath}`,
-                    active: true,
-                    order: ancestors.length, // Current page gets highest order (matches depth level)
-                })
-
-                templateData.breadcrumbs = breadcrumbs
+                templateData.breadcrumbs = getPageBreadcrumbs(customPage.frontmatter, pagesBySlug)
             }
 
             // Determine template slug for special handling
             const { templateSlug } = checkCustomTemplate(templatePath)
 
             // Handle special templates that need additional data
-            const paginatedTemplates = new Set(["blog", "archive", "articles", "news", "search"])
+            const paginatedTemplates = new Set(["blog", "archive", "articles", "news"])
             const needsPagination = paginatedTemplates.has(templateSlug)
 
+            // The search page has no backend here, its results are loaded from the search index by the browser
+            if (templateSlug === "search") {
+                templateData.posts = []
+                templateData.search = { query: "", total: 0, hasQuery: false }
+            }
+
             const templateWithTaxonomyCounts = new Set(["categories", "tags", "topics"])
             const needsTaxonomyCounts = templateWithTaxonomyCounts.has(templateSlug)
 
@@ -819,10 +914,17 @@ export class StaticSiteGenerator {
                     )
 
                     // Process data through hooks
-                    const processedData = processTemplateData(hookSystem, fullTemplateData, `${templateSlug}.html`)
+                    const processedData = await processTemplateData(
+                        hookSystem,
+                        fullTemplateData,
+                        `${templateSlug}.html`
+                    )
 
                     // Render the template to a file
-                    await this.app.renderToFile(templatePath, processedData, pageOutputPath)
+                    await this.renderOutput(templatePath, processedData, pageOutputPath, [
+                        `page:${customPage.frontmatter.id}`,
+                        ...getContentSources(pageItems),
+                    ])
                 }
 
                 // Generate all paginated pages
@@ -926,10 +1028,10 @@ export class StaticSiteGenerator {
             const fullTemplateData = await prepareTemplateData(mockReq, themeManager, siteSettings, templateData)
 
             // Process data through hooks
-            const processedData = processTemplateData(hookSystem, fullTemplateData, `${templateSlug}.html`)
+            const processedData = await processTemplateData(hookSystem, fullTemplateData, `${templateSlug}.html`)
 
             // Render the template to a file
-            await this.app.renderToFile(templatePath, processedData, outputPath)
+            await this.renderOutput(templatePath, processedData, outputPath, [`page:${customPage.frontmatter.id}`])
         }
     }
 
@@ -1014,12 +1116,12 @@ Sitemap: ${baseUrl}/sitemap.xml`
 
                 if (rssXml) {
                     // Write RSS feed to root
-                    await writeFile(join(this.options.outputDir, "rss.xml"), rssXml)
+                    await this.writeOutput(join(this.options.outputDir, "rss.xml"), rssXml)
 
                     // Copy RSS stylesheet to theme-specific location
                     try {
                         const stylesheetContent = await readFile("./assets/css/rss-stylesheet.xsl", "utf8")
-                        await writeFile(join(themeStylesheetDir, "rss-stylesheet.xsl"), stylesheetContent)
+                        await this.writeOutput(join(themeStylesheetDir, "rss-stylesheet.xsl"), stylesheetContent)
                     } catch (error) {
                         console.error("Error copying RSS stylesheet:", error)
                     }
@@ -1036,13 +1138,13 @@ Sitemap: ${baseUrl}/sitemap.xml`
             robotsTxt += "\n"
 
             // Write sitemap XML to root
-            await writeFile(join(this.options.outputDir, "sitemap.xml"), sitemapXml)
+            await this.writeOutput(join(this.options.outputDir, "sitemap.xml"), sitemapXml)
 
             // Write HTML sitemap to /sitemap/index.html
-            await writeFile(join(sitemapDir, "index.html"), sitemapHtml)
+            await this.writeOutput(join(sitemapDir, "index.html"), sitemapHtml)
 
             // Write robots.txt to root
-            await writeFile(join(this.options.outputDir, "robots.txt"), robotsTxt)
+            await this.writeOutput(join(this.options.outputDir, "robots.txt"), robotsTxt)
 
             console.log(
                 `SEO files generated successfully${
@@ -1054,6 +1156,51 @@ Sitemap: ${baseUrl}/sitemap.xml`
         }
     }
 
+    /**
+     * Generate the search index (search-index.json) used by client-side search.
+     * Sharded indexes write their shards to search-index/<shard>.json
+     */
+    async generateSearchIndex() {
+        try {
+            console.log("Generating search index...")
+            const { contentManager } = this.systems
+
+            const posts = await contentManager.getPosts({ status: "published" })
+            const pages = await contentManager.getPages({ status: "published" })
+
+            const { index, shards } = buildStaticSearchIndex({
+                posts,
+                pages,
+                baseUrl: this.options.baseUrl,
+                cleanUrls: this.options.cleanUrls,
+                customPagePaths: this.customPagePaths,
+                shardThreshold: this.options.searchShardThreshold,
+            })
+
+            // Remove shards from a previous build
+            const shardsDir = join(this.options.outputDir, "search-index")
+            await rm(shardsDir, { recursive: true, force: true })
+
+            await this.writeOutput(join(this.options.outputDir, "search-index.json"), JSON.stringify(index))
+
+            if (index.shards) {
+                await this.ensureDir(shardsDir)
+
+                for (const [key, shard] of Object.entries(shards)) {
+                    await this.writeOutput(join(shardsDir, `${key}.json`), JSON.stringify(shard))
+                }
+            }
+
+            console.log(
+                `Search index generated for ${index.documents.length} documents${
+                    index.shards ? ` (${index.shards.length} shards)` : ""
+                }`
+            )
+        } catch (error) {
+            console.error("Error generating search index:", error)
+        }
+    }
+
     /**
      * Generate static 404.html page for the root directory
      */
@@ -1070,6 +1217,7 @@ Sitemap: ${baseUrl}/sitemap.xml`
                 isEditable: false,
                 currentUser: null,
                 queryParams: new Map(),
+                siteUrl: this.options.baseUrl, // Absolute URLs of the structured data
             }
 
             // Get the appropriate template - this will look for 404.html in the theme
@@ -1091,13 +1239,13 @@ Sitemap: ${baseUrl}/sitemap.xml`
             const fullTemplateData = await prepareTemplateData(mockReq, themeManager, siteSettings, templateData)
 
             // Process data through hooks
-            const processedData = processTemplateData(hookSystem, fullTemplateData, "404.html")
+            const processedData = await processTemplateData(hookSystem, fullTemplateData, "404.html")
 
             // Output path at the root of the static site
             const outputPath = join(this.options.outputDir, "404.html")
 
             // Render the template to the 404.html file
-            await this.app.renderToFile(templatePath, processedData, outputPath)
+            await this.renderOutput(templatePath, processedData, outputPath)
 
             console.log("404.html generated successfully")
         } catch (error) {
@@ -1118,11 +1266,128 @@ Sitemap: ${baseUrl}/sitemap.xml`
 </html>`
 
             const outputPath = join(this.options.outputDir, "404.html")
-            await writeFile(outputPath, fallback404)
+            await this.writeOutput(outputPath, fallback404)
             console.log("Fallback 404.html generated")
         }
     }
 
+    /**
+     * Generate the redirects of the site
+     * Static hosts can't run the redirect middleware, so exact redirects get a page redirecting with a
+     * meta refresh, and all redirects are written to _redirects (Netlify, Cloudflare Pages) and
+     * redirects.nginx.conf (to include in an nginx server block).
+     */
+    async generateRedirects() {
+        const { redirectManager } = this.systems
+        const redirects = redirectManager?.getRedirects() || []
+
+        if (redirects.length === 0) {
+            console.log("No redirects to generate")
+            return
+        }
+
+        console.log(`Generating ${redirects.length} redirects...`)
+
+        try {
+            let stubCount = 0
+
+            for (const redirect of redirects.filter((r) => r.matchType === "exact")) {
+                const source = this.getStaticUrl(redirect.source)
+
+                // The root and paths leaving the output directory can't be redirect pages
+                if (source === "/" || source.split("/").includes("..")) continue
+
+                const outputPath = join(
+                    this.options.outputDir,
+                    ...(this.options.cleanUrls ? `${source}/index.html` : source).split("/").filter(Boolean)
+                )
+
+                // Content published at the old URL again takes precedence
+                if (this.manifest.hasOutput(outputPath)) continue
+
+                await this.ensureDir(dirname(outputPath))
+                await this.writeOutput(outputPath, getRedirectPage(this.getStaticUrl(redirect.target)))
+                stubCount++
+            }
+
+            await this.writeOutput(join(this.options.outputDir, "_redirects"), this.getRedirectsFile(redirects))
+            await this.writeOutput(
+                join(this.options.outputDir, "redirects.nginx.conf"),
+                this.getNginxRedirects(redirects)
+            )
+
+            console.log(`${stubCount} redirect pages, _redirects and redirects.nginx.conf generated successfully`)
+        } catch (error) {
+            console.error("Error generating redirects:", error)
+        }
+    }
+
+    /**
+     * Get the URL of a path in the static site (with .html when clean URLs are off)
+     * @param {string} url - Path or absolute URL
+     * @returns {string} URL
+     */
+    getStaticUrl(url) {
+        if (!url.startsWith("/") || this.options.cleanUrls) return url
+
+        const [path, query] = url.split(/\?(.*)/s)
+        const staticPath = path === "/" || /\.[a-z0-9]+$/i.test(path) ? path : `${path.replace(/\/+$/, "")}.html`
+
+        return query ? `${staticPath}?${query}` : staticPath
+    }
+
+    /**
+     * Build the _redirects file of Netlify and Cloudflare Pages
+     * They only support wildcards at the end of paths (:splat), other patterns are left as comments.
+     * @param {Array<Object>} redirects - Redirects
+     * @returns {string} File contents
+     */
+    getRedirectsFile(redirects) {
+        const lines = ["# Redirects generated by Aether"]
+
+        for (const redirect of redirects) {
+            const isTrailingWildcard =
+                redirect.matchType === "wildcard" && redirect.source.indexOf("*") === redirect.source.length - 1
+
+            if (redirect.matchType === "exact") {
+                lines.push(
+                    `${this.getStaticUrl(redirect.source)} ${this.getStaticUrl(redirect.target)} ${redirect.status}`
+                )
+            } else if (isTrailingWildcard) {
+                lines.push(`${redirect.source} ${redirect.target.replace(/\$1(?!\d)/g, ":splat")} ${redirect.status}`)
+            } else {
+                lines.push(`# Not supported: ${redirect.source} -> ${redirect.target} (${redirect.matchType})`)
+            }
+        }
+
+        return `${lines.join("\n")}\n`
+    }
+
+    /**
+     * Build the nginx locations of the redirects, exact paths first as nginx checks them before patterns
+     * @param {Array<Object>} redirects - Redirects
+     * @returns {string} File contents
+     */
+    getNginxRedirects(redirects) {
+        const lines = ["# Redirects generated by Aether, include this file in your server block"]
+
+        // Keep the query string of requests, unless the target has its own
+        const returnTarget = (target) => (target.includes("?") ? target : `${target}$is_args$args`)
+
+        for (const redirect of redirects.filter((r) => r.matchType === "exact")) {
+            const target = returnTarget(this.getStaticUrl(redirect.target))
+            lines.push(`location = ${this.getStaticUrl(redirect.source)} { return ${redirect.status} ${target}; }`)
+        }
+
+        for (const redirect of redirects.filter((r) => r.matchType !== "exact")) {
+            const pattern = redirect.matchType === "wildcard" ? wildcardToRegex(redirect.source) : redirect.source
+            const quoted = pattern.replace(/\\/g, "\\\\").replace(/"/g, '\\"')
+            lines.push(`location ~ "${quoted}" { return ${redirect.status} ${returnTarget(redirect.target)}; }`)
+        }
+
+        return `${lines.join("\n")}\n`
+    }
+
     /**
      * Copy theme assets to the static site
      */
@@ -1160,17 +1425,53 @@ Sitemap: ${baseUrl}/sitemap.xml`
     async copyUploads() {
         console.log("Copying uploads...")
 
+        const { fileStorage } = this.systems
+        const storage = fileStorage?.storage
+
         // Define source and destination directories
         const sourceDir = join(process.cwd(), "content/uploads")
         const destDir = join(this.options.outputDir, "content/uploads")
 
+        // Uploads served from their own URL (e.g. a CDN) are linked there by the pages
+        if (storage && storage.name !== "local" && /^https?:\/\//.test(fileStorage.publicUrl)) {
+            console.log(`Uploads are served from ${fileStorage.publicUrl}, skipping`)
+            return
+        }
+
         // Ensure destination directory exists
         await this.ensureDir(destDir)
 
-        // Copy uploads recursively
+        // Other storages are downloaded file by file
+        if (storage && storage.name !== "local") {
+            await this.downloadUploads(storage, destDir)
+            return
+        }
+
+        // Copy uploads recursively, including the resized variants in images/variants
+        // referenced by the srcset of the pages
         await this.copyDirRecursive(sourceDir, destDir)
     }
 
+    /**
+     * Download the uploads of a storage adapter, metadata files excluded
+     * @param {Object} storage - Storage adapter
+     * @param {string} destDir - Destination directory
+     */
+    async downloadUploads(storage, destDir) {
+        for (const folder of ["images", "images/variants", "documents"]) {
+            const files = await storage.list(folder)
+
+            for (const file of files.filter((file) => !file.name.endsWith(".metadata.json"))) {
+                const data = await storage.read(file.key)
+                if (!data) continue
+
+                const destPath = join(destDir, ...file.key.split("/"))
+                await this.ensureDir(dirname(destPath))
+                await writeFile(destPath, data)
+            }
+        }
+    }
+
     /**
      * Recursively copy a directory
      * @param {string} source - Source directory
@@ -1202,11 +1503,19 @@ Sitemap: ${baseUrl}/sitemap.xml`
                     // Recursively copy subdirectory (passing along the exclude patterns)
                     await this.copyDirRecursive(sourcePath, destPath, excludePatterns)
                 } else {
+                    this.manifest?.record(destPath)
+
+                    // Skip files already copied by a previous incremental build
+                    if (this.options.incremental && (await isSameFile(sourcePath, destPath))) {
+                        continue
+                    }
+
                     // Ensure parent directory exists
                     await this.ensureDir(dirname(destPath))
 
                     // Copy file
                     await copyFile(sourcePath, destPath)
+                    this.stats.copied++
                 }
             }
         } catch (error) {
@@ -1215,6 +1524,34 @@ Sitemap: ${baseUrl}/sitemap.xml`
     }
 }
 
+/**
+ * Get the manifest keys of the content items an output depends on
+ * @param {Array} items - Content items ({ frontmatter } or { metadata }) or IDs
+ * @param {string} contentType - Type of content ('post' or 'page')
+ * @returns {Array<string>} Content keys
+ */
+function getContentSources(items, contentType = "post") {
+    return items.map((item) => {
+        const id = typeof item === "string" ? item : (item.frontmatter || item.metadata || item).id
+        return `${contentType}:${id}`
+    })
+}
+
+/**
+ * Check if a copied file is still identical to its source (same size, not modified since)
+ * @param {string} sourcePath - Source file path
+ * @param {string} destPath - Destination file path
+ * @returns {Promise<boolean>} True if the copy is up to date
+ */
+async function isSameFile(sourcePath, destPath) {
+    try {
+        const [source, dest] = await Promise.all([stat(sourcePath), stat(destPath)])
+        return source.size === dest.size && dest.mtimeMs >= source.mtimeMs
+    } catch (error) {
+        return false
+    }
+}
+
 /**
  * Generate paginated content using a unified approach
  * @param {Array} items - The array of items to paginate (posts, etc.)
@@ -1278,6 +1615,40 @@ async function generatePaginated(items, renderPage, options) {
     }
 }
 
+/**
+ * Build a page redirecting to a URL, for static hosts
+ * @param {string} url - Target URL
+ * @returns {string} HTML
+ */
+function getRedirectPage(url) {
+    const escapedUrl = escapeHtml(url)
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Redirecting…</title>
+    <meta name="robots" content="noindex">
+    <link rel="canonical" href="${escapedUrl}">
+    <meta http-equiv="refresh" content="0; url=${escapedUrl}">
+</head>
+<body>
+    <p>This page has moved to <a href="${escapedUrl}">${escapedUrl}</a>.</p>
+</body>
+</html>
+`
+}
+
+/**
+ * Convert a wildcard redirect source to a regular expression, each * capturing any characters
+ * @param {string} source - Wildcard source (e.g. /blog/*)
+ * @returns {string} Regular expression
+ */
+function wildcardToRegex(source) {
+    const parts = source.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    return `^${parts.join("(.*)")}$`
+}
+
 /**
  * Create a static site generator command
  * @param {Object} app - LiteNode app instance
@@ -1311,9 +1682,10 @@ export function createStaticSiteCommand(app, systems) {
         console.log(`Base URL: ${mergedOptions.baseUrl}`)
         console.log(`Output Directory: ${mergedOptions.outputDir}`)
         console.log(`Clean URLs: ${mergedOptions.cleanUrls ? "enabled" : "disabled"}`)
+        console.log(`Incremental: ${mergedOptions.incremental ? "enabled" : "disabled"}`)
 
         // Create and run the generator
         const generator = new StaticSiteGenerator(app, systems, mergedOptions)
-        await generator.generate()
+        return await generator.generate()
     }
 }
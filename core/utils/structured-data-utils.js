@@ -0,0 +1,238 @@
+/**
+ * Breadcrumbs and structured data (schema.org JSON-LD) of the frontend routes
+ * Built from the template data of each route, so the CMS and the static site output the same markup.
+ */
+import { UPLOADS_PATH } from "../lib/store/utils/path-utils.js"
+import { getContentPath, slugify } from "../lib/content/utils/content-utils.js"
+
+/**
+ * Get the absolute URL of the site, without a trailing slash
+ * The static generator sets siteUrl on its mock requests to the base URL of the build.
+ * @param {Object} req - The request object
+ * @param {Object} siteSettings - The site settings
+ * @returns {string} Site URL, or an empty string when unknown (URLs then stay root-relative)
+ */
+export function getSiteUrl(req, siteSettings) {
+    const protocol = req.socket?.encrypted ? "https" : "http"
+    const requestUrl = req.headers?.host ? `${protocol}://${req.headers.host}` : ""
+
+    return (req.siteUrl ?? (siteSettings.siteUrl || requestUrl)).replace(/\/+$/, "")
+}
+
+/**
+ * Build the breadcrumbs of a route, from the homepage to the current page
+ * Nested custom pages pass the trail of their parents as breadcrumbs, which the homepage is added to.
+ * @param {Object} data - Template data of the route
+ * @returns {Array<Object>} Breadcrumbs ({ title, url, slug, order, active }), slug holding the path like url
+ */
+export function getBreadcrumbs(data) {
+    const route = getRouteType(data)
+    if (!route) return []
+
+    const home = { title: "Home", url: "/" }
+    const current = { title: data.metadata?.title, url: getRoutePath(data, route) }
+    let trail = []
+
+    if (route === "post") {
+        const category = getFieldValues(data.metadata.category)[0]
+        trail = category ? [{ title: category, url: `/category/${slugify(category)}` }, current] : [current]
+    } else if (route === "category" || route === "tag") {
+        trail = [{ title: data.taxonomyTerm, url: current.url }]
+    } else if (route === "custom" && data.breadcrumbs?.length) {
+        trail = data.breadcrumbs
+    } else if (route !== "home") {
+        trail = [current]
+    }
+
+    // Trails that already start at the homepage are kept as they are
+    const crumbs = trail[0]?.url === "/" ? trail : [home, ...trail]
+
+    return crumbs.map(({ title, url }, order) => {
+        const crumb = { title: title || url, url, slug: url, order }
+        return order === crumbs.length - 1 ? { ...crumb, active: true } : crumb
+    })
+}
+
+/**
+ * Build the structured data of a route as a schema.org graph
+ * Every route describes the WebSite (with its search), and content routes add an Article (posts),
+ * a WebPage (pages) or a CollectionPage (category and tag archives) and their BreadcrumbList.
+ * @param {Object} options - Options
+ * @param {Object} options.data - Template data of the route
+ * @param {Object} options.siteSettings - The site settings
+ * @param {string} options.siteUrl - Absolute URL of the site (getSiteUrl)
+ * @param {Array<Object>} options.breadcrumbs - Breadcrumbs of the route (getBreadcrumbs)
+ * @returns {Object} JSON-LD document
+ */
+export function getStructuredData({ data, siteSettings, siteUrl, breadcrumbs }) {
+    const absolute = (path) => (/^https?:\/\//.test(path) ? path : `${siteUrl}${path}`)
+    const websiteId = `${siteUrl}/#website`
+
+    const graph = [
+        {
+            "@type": "WebSite",
+            "@id": websiteId,
+            url: absolute("/"),
+            name: siteSettings.siteTitle,
+            description: siteSettings.siteDescription || undefined,
+            potentialAction: {
+                "@type": "SearchAction",
+                target: { "@type": "EntryPoint", urlTemplate: absolute("/search?q={search_term_string}") },
+                "query-input": "required name=search_term_string",
+            },
+        },
+    ]
+
+    const route = getRouteType(data)
+
+    if (route && route !== "home") {
+        const metadata = data.metadata || {}
+        const url = absolute(getRoutePath(data, route))
+        const breadcrumbId = `${url}#breadcrumb`
+
+        if (route === "post") {
+            const image = getImageUrl(metadata.featuredImage)
+
+            graph.push({
+                "@type": "Article",
+                "@id": `${url}#article`,
+                url,
+                mainEntityOfPage: url,
+                headline: metadata.title,
+                description: metadata.excerpt || metadata.description || undefined,
+                image: image ? absolute(image) : undefined,
+                author: metadata.author ? { "@type": "Person", name: metadata.author } : undefined,
+                datePublished: metadata.publishDate || metadata.createdAt || undefined,
+                dateModified: metadata.updatedAt || metadata.publishDate || metadata.createdAt || undefined,
+                articleSection: getFieldValues(metadata.category)[0],
+                keywords: getFieldValues(metadata.tags).join(", ") || undefined,
+                publisher: {
+                    "@type": "Organization",
+                    name: siteSettings.siteTitle,
+                    logo: siteSettings.siteIcon ? absolute(`${UPLOADS_PATH}${siteSettings.siteIcon}`) : undefined,
+                },
+                isPartOf: { "@id": websiteId },
+                breadcrumb: { "@id": breadcrumbId },
+            })
+        } else if (route === "category" || route === "tag") {
+            const posts = data.posts || []
+
+            graph.push({
+                "@type": "CollectionPage",
+                "@id": url,
+                url,
+                name: data.taxonomyTerm,
+                isPartOf: { "@id": websiteId },
+                breadcrumb: { "@id": breadcrumbId },
+                mainEntity: {
+                    "@type": "ItemList",
+                    numberOfItems: posts.length,
+                    itemListElement: posts.map((post, index) => ({
+                        "@type": "ListItem",
+                        position: index + 1,
+                        url: absolute(getContentPath(post.metadata || post.frontmatter, "post")),
+                        name: (post.metadata || post.frontmatter).title,
+                    })),
+                },
+            })
+        } else {
+            graph.push({
+                "@type": "WebPage",
+                "@id": url,
+                url,
+                name: metadata.title,
+                description: metadata.excerpt || metadata.description || undefined,
+                datePublished: metadata.publishDate || metadata.createdAt || undefined,
+                dateModified: metadata.updatedAt || undefined,
+                isPartOf: { "@id": websiteId },
+                breadcrumb: { "@id": breadcrumbId },
+            })
+        }
+
+        graph.push({
+            "@type": "BreadcrumbList",
+            "@id": breadcrumbId,
+            itemListElement: breadcrumbs.map((crumb, index) => ({
+                "@type": "ListItem",
+                position: index + 1,
+                name: crumb.title,
+                item: absolute(crumb.url),
+            })),
+        })
+    }
+
+    return { "@context": "https://schema.org", "@graph": graph }
+}
+
+/**
+ * Serialize structured data as a script element, ready to embed in the head of a page
+ * Characters that could close the script or be read as HTML are escaped in the JSON.
+ * @param {Object} structuredData - JSON-LD document
+ * @returns {string} HTML script element
+ */
+export function toJsonLdScript(structuredData) {
+    const json = JSON.stringify(structuredData)
+        .replace(/</g, "\\u003c")
+        .replace(/>/g, "\\u003e")
+        .replace(/&/g, "\\u0026")
+        .replace(/\u2028/g, "\\u2028")
+        .replace(/\u2029/g, "\\u2029")
+
+    return `<script type="application/ld+json">${json}</script>`
+}
+
+/**
+ * Get the type of a route from its template data
+ * @param {Object} data - Template data
+ * @returns {string|null} 'home', 'post', 'page', 'custom', 'category', 'tag', or null (404 and error pages)
+ */
+function getRouteType(data) {
+    if (data.homeRoute) return "home"
+    if (data.taxonomyRoute && ["category", "tag"].includes(data.taxonomyType)) return data.taxonomyType
+    if (!data.contentRoute || !data.metadata) return null
+    if (data.fileType === "post") return "post"
+
+    return data.isCustomPage ? "custom" : "page"
+}
+
+/**
+ * Get the URL path of a route (the first page of paginated routes)
+ * @param {Object} data - Template data
+ * @param {string} route - Route type (getRouteType)
+ * @returns {string} URL path
+ */
+function getRoutePath(data, route) {
+    switch (route) {
+        case "home":
+            return "/"
+        case "category":
+        case "tag":
+            return `/${route}/${slugify(String(data.taxonomyTerm))}`
+        case "custom":
+            return `/${data.customPath}`
+        default:
+            return getContentPath(data.metadata, route)
+    }
+}
+
+/**
+ * Get the values of a taxonomy field, stored as an array or a comma-separated string
+ * @param {Array|string} value - Field value
+ * @returns {Array<string>} Values
+ */
+function getFieldValues(value) {
+    const values = Array.isArray(value) ? value : typeof value === "string" ? value.split(",") : []
+    return values.map((item) => String(item).trim()).filter(Boolean)
+}
+
+/**
+ * Get the URL of a featured image ({ url } reference, or a URL)
+ * @param {Object|string} image - Featured image
+ * @returns {string|null} Absolute URL or root-relative path
+ */
+function getImageUrl(image) {
+    const url = typeof image === "string" ? image : image?.url
+    if (!url || !/^(https?:\/\/|\/)/.test(url)) return null
+
+    return url.startsWith("/") && !url.startsWith(`${UPLOADS_PATH}/`) ? `${UPLOADS_PATH}${url}` : url
+}
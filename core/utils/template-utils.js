@@ -47,26 +47,17 @@ export async function resolveTemplatePath({
             return customTemplatePath
         }
 
-        // If slug contains hyphens (likely nested), try parent template
-        if (slug.includes("-")) {
-            // Get the immediate parent by removing the last segment
-            const parts = slug.split("-")
-            const parentSlug = parts.slice(0, -1).join("-")
-
-            const parentTemplatePath = themeManager.getCustomTemplatePath("custom", `${parentSlug}.html`)
-            if (existsSync(parentTemplatePath)) {
-                return parentTemplatePath
-            }
-
-            // If parent template doesn't exist, and there are more than 2 parts,
-            // try the grandparent template (e.g., for documentation-intro-install, try documentation.html)
-            if (parts.length > 2) {
-                const grandparentSlug = parts[0]
-
-                const grandparentTemplatePath = themeManager.getCustomTemplatePath("custom", `${grandparentSlug}.html`)
-                if (existsSync(grandparentTemplatePath)) {
-                    return grandparentTemplatePath
-                }
+        // If slug contains hyphens (likely nested), try the templates of the ancestors, closest first
+        // (e.g., for documentation-intro-install, try documentation-intro.html then documentation.html)
+        const parts = slug.split("-")
+
+        for (let depth = parts.length - 1; depth > 0; depth--) {
+            const ancestorTemplatePath = themeManager.getCustomTemplatePath(
+                "custom",
+                `${parts.slice(0, depth).join("-")}.html`
+            )
+            if (existsSync(ancestorTemplatePath)) {
+                return ancestorTemplatePath
             }
         }
     }
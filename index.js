@@ -15,6 +15,7 @@ setupApp(app, {
     contentDir: "content",
     uploadsDir: "content/uploads",
     themesDir: "content/themes",
+    pluginsDir: "content/plugins",
     dataDir: "content/data",
 })
 